@@ -0,0 +1,289 @@
+/**
+ * SIS compare tool + Env capture - Coursedog API Transport
+ * Sends Coursedog API requests on behalf of CoursedogReporter.
+ * The default transport calls fetch against the environment base URL; MockServerTransport
+ * redirects every request to a local mock server and FixtureTransport answers from recorded
+ * fixtures without any network access, so the fetch → compare → render pipeline can run offline.
+ */
+
+const SESSION_ENDPOINT = '/api/v1/sessions';
+
+/**
+ * Default transport: fetch against the environment base URL
+ */
+class CoursedogTransport {
+  /**
+   * @param {Object} options - Transport options
+   * @param {Function} [options.fetchImpl] - fetch implementation (defaults to global fetch)
+   */
+  constructor(options = {}) {
+    this.type = 'fetch';
+    this.fetchImpl = options.fetchImpl || ((url, init) => fetch(url, init));
+  }
+
+  /**
+   * Build the request URL for an endpoint
+   * @param {string} baseUrl - Environment base URL (e.g. https://staging.coursedog.com)
+   * @param {string} endpoint - API path including query string
+   * @returns {string} Request URL
+   */
+  resolveUrl(baseUrl, endpoint) {
+    return `${baseUrl}${endpoint}`;
+  }
+
+  /**
+   * Send a request
+   * @param {string} baseUrl - Environment base URL
+   * @param {string} endpoint - API path including query string
+   * @param {Object} init - fetch init (method, headers, body, credentials)
+   * @returns {Promise<Response>} fetch Response (or compatible object)
+   */
+  async request(baseUrl, endpoint, init = {}) {
+    return this.fetchImpl(this.resolveUrl(baseUrl, endpoint), init);
+  }
+
+  /**
+   * Log in and return the session response body
+   * @param {string} baseUrl - Environment base URL
+   * @param {Object} credentials - { email, password }
+   * @returns {Promise<Object>} Parsed session response (contains the token)
+   */
+  async createSession(baseUrl, credentials) {
+    const response = await this.request(baseUrl, SESSION_ENDPOINT, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+        'X-Requested-With': 'XMLHttpRequest'
+      },
+      body: JSON.stringify(credentials),
+      credentials: 'include'
+    });
+
+    if (!response.ok) {
+      const error = new Error(`Authentication failed: ${response.status}`);
+      error.statusCode = response.status;
+      throw error;
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Describe the transport for progress logs
+   * @returns {string} Human readable description
+   */
+  describe() {
+    return 'live Coursedog API';
+  }
+}
+
+/**
+ * Sends every request to a local mock server instead of the environment base URL
+ */
+class MockServerTransport extends CoursedogTransport {
+  /**
+   * @param {Object} options - Transport options
+   * @param {string} options.baseUrl - Mock server URL (e.g. http://localhost:4010)
+   * @param {Function} [options.fetchImpl] - fetch implementation
+   */
+  constructor(options = {}) {
+    super(options);
+    if (!options.baseUrl) {
+      throw new Error('MockServerTransport requires a baseUrl');
+    }
+    this.type = 'mockServer';
+    this.baseUrl = options.baseUrl.replace(/\/+$/, '');
+  }
+
+  resolveUrl(baseUrl, endpoint) {
+    return `${this.baseUrl}${endpoint}`;
+  }
+
+  describe() {
+    return `mock server at ${this.baseUrl}`;
+  }
+}
+
+/**
+ * Answers requests from recorded fixtures (no network access)
+ *
+ * Fixture file format:
+ * {
+ *   "fixtures": [
+ *     { "method": "GET", "path": "/api/v1/:school/general/courseTemplate", "status": 200, "body": { ... } },
+ *     { "method": "GET", "path": "/api/v1/:school/general/courseTemplate", "school": "fixture_baseline", "body": { ... } }
+ *   ]
+ * }
+ * `:school` matches any school ID; a fixture with a `school` only matches that school and wins over
+ * the generic one. Query strings are ignored unless the fixture path includes one.
+ */
+class FixtureTransport extends CoursedogTransport {
+  /**
+   * @param {Object} options - Transport options
+   * @param {Object|Array} [options.fixtures] - Fixture file contents or fixture array
+   * @param {string} [options.url] - URL of a fixture file to load on first request
+   * @param {Function} [options.fetchImpl] - fetch implementation used to load `url`
+   */
+  constructor(options = {}) {
+    super(options);
+    this.type = 'fixtures';
+    this.url = options.url || null;
+    this.fixtures = options.fixtures ? FixtureTransport.normalizeFixtures(options.fixtures) : null;
+    this.requests = []; // Requests served, for assertions in tests
+  }
+
+  /**
+   * Accept either the fixture file object or a bare array
+   * @param {Object|Array} data - Fixture data
+   * @returns {Array<Object>} Fixture list
+   */
+  static normalizeFixtures(data) {
+    const list = Array.isArray(data) ? data : (data && Array.isArray(data.fixtures) ? data.fixtures : []);
+    return list.map(fixture => ({
+      ...fixture,
+      method: (fixture.method || 'GET').toUpperCase(),
+      status: fixture.status || 200
+    }));
+  }
+
+  async loadFixtures() {
+    if (this.fixtures) return this.fixtures;
+    if (!this.url) {
+      this.fixtures = [];
+      return this.fixtures;
+    }
+    const response = await this.fetchImpl(this.url);
+    if (!response.ok) {
+      throw new Error(`Failed to load API fixtures from ${this.url}: ${response.status}`);
+    }
+    this.fixtures = FixtureTransport.normalizeFixtures(await response.json());
+    return this.fixtures;
+  }
+
+  /**
+   * Match a request path against a fixture path pattern
+   * @param {string} pattern - Fixture path (may contain :school and a query string)
+   * @param {string} endpoint - Request path including query string
+   * @returns {Object|null} { school } when matched, otherwise null
+   */
+  static matchPath(pattern, endpoint) {
+    const [patternPath, patternQuery] = pattern.split('?');
+    const [requestPath, requestQuery] = endpoint.split('?');
+    const trim = (p) => p.replace(/\/+$/, '');
+    const patternParts = trim(patternPath).split('/');
+    const requestParts = trim(requestPath).split('/');
+    if (patternParts.length !== requestParts.length) return null;
+
+    let school = null;
+    for (let i = 0; i < patternParts.length; i++) {
+      if (patternParts[i] === ':school') {
+        school = decodeURIComponent(requestParts[i]);
+      } else if (patternParts[i] !== requestParts[i]) {
+        return null;
+      }
+    }
+
+    if (patternQuery) {
+      const expected = new URLSearchParams(patternQuery);
+      const actual = new URLSearchParams(requestQuery || '');
+      for (const [key, value] of expected.entries()) {
+        if (actual.get(key) !== value) return null;
+      }
+    }
+
+    return { school };
+  }
+
+  /**
+   * Find the fixture for a request
+   * School-specific fixtures win over literal paths, which win over `:school` wildcards
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - Request path including query string
+   * @returns {Promise<Object|null>} Matching fixture
+   */
+  async findFixture(method, endpoint) {
+    const fixtures = await this.loadFixtures();
+    let best = null;
+    let bestScore = -1;
+    for (const fixture of fixtures) {
+      if (fixture.method !== method) continue;
+      const match = FixtureTransport.matchPath(fixture.path, endpoint);
+      if (!match) continue;
+      if (fixture.school && fixture.school !== match.school) continue;
+      const score = fixture.school ? 2 : (fixture.path.includes(':school') ? 0 : 1);
+      if (score > bestScore) {
+        best = fixture;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  async request(baseUrl, endpoint, init = {}) {
+    const method = (init.method || 'GET').toUpperCase();
+    const fixture = await this.findFixture(method, endpoint);
+    this.requests.push({ method, endpoint, matched: !!fixture });
+
+    if (!fixture) {
+      return FixtureTransport.createResponse(404, { error: `No fixture for ${method} ${endpoint}` });
+    }
+    return FixtureTransport.createResponse(fixture.status, fixture.body === undefined ? {} : fixture.body);
+  }
+
+  /**
+   * Build a fetch Response for a fixture
+   * @param {number} status - HTTP status
+   * @param {*} body - JSON body (strings are sent as-is)
+   * @returns {Response} Response object
+   */
+  static createResponse(status, body) {
+    const statusTexts = { 200: 'OK', 201: 'Created', 204: 'No Content', 400: 'Bad Request', 401: 'Unauthorized', 403: 'Forbidden', 404: 'Not Found', 429: 'Too Many Requests', 500: 'Internal Server Error' };
+    const text = typeof body === 'string' ? body : JSON.stringify(body);
+    return new Response(status === 204 ? null : text, {
+      status,
+      statusText: statusTexts[status] || '',
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  describe() {
+    return `recorded fixtures${this.url ? ` (${this.url})` : ''}`;
+  }
+}
+
+/**
+ * Create a transport from configuration
+ * @param {Object} [config] - { type: 'fetch' | 'mockServer' | 'fixtures', baseUrl, url, fixtures }
+ * @returns {CoursedogTransport} Transport instance
+ */
+function createCoursedogTransport(config = null) {
+  const type = config?.type || 'fetch';
+  switch (type) {
+    case 'fetch':
+      return new CoursedogTransport(config || {});
+    case 'mockServer':
+      return new MockServerTransport(config);
+    case 'fixtures':
+      return new FixtureTransport(config);
+    default:
+      throw new Error(`Unknown API transport type: ${type}`);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CoursedogTransport,
+    MockServerTransport,
+    FixtureTransport,
+    createCoursedogTransport
+  };
+}
+
+if (typeof window !== 'undefined') {
+  window.CoursedogTransport = CoursedogTransport;
+  window.MockServerTransport = MockServerTransport;
+  window.FixtureTransport = FixtureTransport;
+  window.createCoursedogTransport = createCoursedogTransport;
+}
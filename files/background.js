@@ -3,6 +3,19 @@
 // Import update system modules (Manifest V3 service worker)
 importScripts('update-config.js', 'update-manager.js');
 
+// Drift watch runs here, so it needs the API transport, diff model and credentials
+importScripts('api-transport.js', 'diff-model.js', 'drift-watch.js');
+// credentials.js assigns window.APP_CREDENTIALS; give it a window only while it loads
+// (update-manager.js checks for window to tell a page from the service worker)
+self.window = self;
+try {
+  importScripts('credentials.js');
+} catch (error) {
+  console.warn('[Background] credentials.js not available, drift watch disabled:', error?.message || error);
+} finally {
+  delete self.window;
+}
+
 // Initialize Update Manager
 let updateManager = null;
 
@@ -53,6 +66,31 @@ chrome.action.onClicked.addListener((tab) => {
   });
 });
 
+// --- Drift Watch ---
+let driftWatcher = null;
+
+function getDriftWatcher() {
+  if (driftWatcher) return driftWatcher;
+  const appCredentials = self.APP_CREDENTIALS || {};
+  driftWatcher = new DriftWatcher({
+    storage: chrome.storage.local,
+    credentials: appCredentials.coursedog || {},
+    transport: createCoursedogTransport(appCredentials.coursedogTransport),
+    notify: async (watch, diff) => {
+      const { title, message } = DriftWatcher.formatNotification(watch, diff);
+      await chrome.notifications.create(`${DRIFT_WATCH_NOTIFICATION_PREFIX}${watch.id}:${Date.now()}`, {
+        type: 'basic',
+        iconUrl: 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR4nGNgYAAAAAMAASsJTYQAAAAASUVORK5CYII=',
+        title,
+        message
+      });
+      // Let an open popup refresh its watch list
+      try { chrome.runtime.sendMessage({ type: 'driftWatch:updated', watchId: watch.id }); } catch (_) {}
+    }
+  });
+  return driftWatcher;
+}
+
 // --- Upload Queue Management ---
 let uploadQueue = {
   processing: false,
@@ -141,13 +179,14 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
               payloadLocation: (msg.payloadRef && msg.payloadRef.location) || null,
               payloadKey: (msg.payloadRef && msg.payloadRef.key) || null,
               secretLocation: (msg.secretRef && msg.secretRef.location) || null,
-              secretKey: (msg.secretRef && msg.secretRef.key) || null
+              secretKey: (msg.secretRef && msg.secretRef.key) || null,
+              planKey: null
             },
             notion: { mainPageId: null, mainPageUrl: null, subpages: [], totals: { totalBlocks: 0, totalBatches: 0, totalApiCalls: 0 } },
             progress: { percent: 0, currentSubpage: null, currentBatch: 0, lastMessage: null, lastHeartbeatAt: now },
             result: { notionUrl: null, uploadReportMeta: { filename: null, size: 0 } },
             error: { message: null, code: null, details: {} },
-            resume: { resumedCount: 0, lastResumeAt: null }
+            resume: { resumedCount: 0, lastResumeAt: null, retryAt: null }
           };
           await chrome.storage.local.set({ uploadJobs: jobs });
           
@@ -339,6 +378,8 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
             job.updatedAt = new Date().toISOString();
             job.result = { notionUrl: msg.notionUrl || null, uploadReportMeta: msg.uploadReportMeta || { filename: null, size: 0 } };
             await chrome.storage.local.set({ uploadJobs: jobs });
+            // The execution plan is only needed to resume
+            if (job.pointers?.planKey) await chrome.storage.local.remove(job.pointers.planKey);
           }
           
           // ✅ Update snapshot status to succeeded
@@ -377,7 +418,8 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
           const jobs = data.uploadJobs || {};
           const job = jobs[msg.jobId];
           if (job) {
-            job.status = 'failed';
+            // Rate-limited plan uploads stay paused; the upload-watchdog resumes them
+            job.status = isResumableUploadFailure(job, msg.error) ? 'paused' : 'failed';
             job.updatedAt = new Date().toISOString();
             job.error = msg.error || { message: 'Unknown error', code: null, details: {} };
             await chrome.storage.local.set({ uploadJobs: jobs });
@@ -401,7 +443,7 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
           await chrome.notifications.create({
             type: 'basic',
             iconUrl: 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR4nGNgYAAAAAMAASsJTYQAAAAASUVORK5CYII=',
-            title: 'Notion upload failed',
+            title: msg.error?.code === 'rate_limited' ? 'Notion upload paused' : 'Notion upload failed',
             message: (msg.error && msg.error.message) ? msg.error.message : 'An error occurred.'
           });
         } catch (e) {
@@ -440,6 +482,65 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         }
         break;
       }
+      case 'job:checkpoint': {
+        // Plan executor progress: merge the checkpoint into the stored job
+        try {
+          const curr = await chrome.storage.local.get('uploadJobs');
+          const jobs = curr.uploadJobs || {};
+          const job = jobs[msg.jobId];
+          const checkpoint = msg.checkpoint || {};
+          if (job) {
+            const now = new Date().toISOString();
+            if (checkpoint.status) job.status = checkpoint.status;
+            ['pointers', 'notion', 'progress', 'resume'].forEach(field => {
+              if (checkpoint[field]) job[field] = { ...(job[field] || {}), ...checkpoint[field] };
+            });
+            if (checkpoint.error) job.error = checkpoint.error;
+            job.progress = { ...(job.progress || {}), lastHeartbeatAt: now };
+            job.updatedAt = now;
+            await chrome.storage.local.set({ uploadJobs: jobs });
+          }
+          sendResponse?.({ ok: !!job, error: job ? undefined : `Unknown job ${msg.jobId}` });
+        } catch (e) {
+          sendResponse?.({ ok: false, error: e?.message || String(e) });
+        }
+        break;
+      }
+      case 'driftWatch:list': {
+        try {
+          sendResponse?.({ ok: true, watches: await getDriftWatcher().listWatches() });
+        } catch (e) {
+          sendResponse?.({ ok: false, error: e?.message || String(e) });
+        }
+        break;
+      }
+      case 'driftWatch:add': {
+        try {
+          const watch = await getDriftWatcher().addWatch(msg.watch || {});
+          sendResponse?.({ ok: true, watch });
+        } catch (e) {
+          sendResponse?.({ ok: false, error: e?.message || String(e) });
+        }
+        break;
+      }
+      case 'driftWatch:remove': {
+        try {
+          await getDriftWatcher().removeWatch(msg.watchId);
+          sendResponse?.({ ok: true });
+        } catch (e) {
+          sendResponse?.({ ok: false, error: e?.message || String(e) });
+        }
+        break;
+      }
+      case 'driftWatch:check': {
+        try {
+          const result = await getDriftWatcher().checkWatch(msg.watchId);
+          sendResponse?.({ ok: !result.error, changes: result.changes, error: result.error || null });
+        } catch (e) {
+          sendResponse?.({ ok: false, error: e?.message || String(e) });
+        }
+        break;
+      }
       case 'storage:get': {
         try {
           const area = msg.area === 'session' ? chrome.storage.session : chrome.storage.local;
@@ -476,18 +577,85 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   return true; // keep message channel open for async sendResponse
 });
 
+// --- Upload resume (plan uploads checkpoint every request, see notion-plan-executor.js) ---
+const UPLOAD_HEARTBEAT_STALE_MS = 3 * 60 * 1000;
+const UPLOAD_MAX_RESUMES = 5;
+
+function isResumableUploadFailure(job, error) {
+  return !!job.pointers?.planKey && error?.code === 'rate_limited';
+}
+
+/**
+ * Restart the first plan upload that stalled (no heartbeat: crash or browser restart) or whose
+ * rate-limit pause is over; it continues from its checkpointed batch
+ */
+async function resumeStalledUploads() {
+  const data = await chrome.storage.local.get('uploadJobs');
+  const jobs = data.uploadJobs || {};
+  const now = Date.now();
+  const isStalled = (job) => (job.status === 'running' || job.status === 'pending')
+    && now - new Date(job.progress?.lastHeartbeatAt || 0).getTime() > UPLOAD_HEARTBEAT_STALE_MS;
+  const isDue = (job) => job.status === 'paused' && now >= new Date(job.resume?.retryAt || 0).getTime();
+
+  const active = Object.values(jobs).filter(job => job && (job.status === 'running' || job.status === 'pending'));
+  if (active.some(job => !isStalled(job))) return; // an upload is making progress
+
+  const job = Object.values(jobs).find(candidate => candidate && candidate.pointers?.planKey && (isStalled(candidate) || isDue(candidate)));
+  if (!job) return;
+
+  const resumedCount = (job.resume?.resumedCount || 0) + 1;
+  job.updatedAt = new Date().toISOString();
+  if (resumedCount > UPLOAD_MAX_RESUMES) {
+    job.status = 'failed';
+    job.error = { message: `Upload stopped after ${UPLOAD_MAX_RESUMES} resume attempts`, code: 'resume_limit', details: { lastError: job.error || null } };
+    await chrome.storage.local.set({ uploadJobs: jobs });
+    try { chrome.runtime.sendMessage({ type: 'jobsUpdated' }); } catch (_) {}
+    uploadQueue.processing = false;
+    processUploadQueue();
+    return;
+  }
+
+  job.status = 'pending';
+  job.resume = { ...(job.resume || {}), resumedCount, lastResumeAt: job.updatedAt, retryAt: null };
+  job.progress = { ...(job.progress || {}), lastHeartbeatAt: job.updatedAt, lastMessage: `Resuming upload (attempt ${resumedCount})` };
+  await chrome.storage.local.set({ uploadJobs: jobs });
+  console.log(`🔁 Resuming upload ${job.id} (attempt ${resumedCount})`);
+
+  uploadQueue.processing = true;
+  await ensureOffscreenDocument();
+  chrome.runtime.sendMessage({ type: 'offscreenRunJob', jobId: job.id });
+  try { chrome.runtime.sendMessage({ type: 'jobsUpdated' }); } catch (_) {}
+}
+
 chrome.alarms.onAlarm.addListener(async (alarm) => {
   if (alarm?.name === 'upload-watchdog') {
-    // Check heartbeat staleness and re-create offscreen if needed (stub)
     await ensureOffscreenDocument();
+    try {
+      await resumeStalledUploads();
+    } catch (e) {
+      console.warn('[Upload] Resume check failed:', e?.message || e);
+    }
+  }
+  if (alarm?.name === DRIFT_WATCH_ALARM) {
+    try {
+      await getDriftWatcher().runDueChecks();
+    } catch (e) {
+      console.warn('[DriftWatch] Scheduled check failed:', e?.message || e);
+    }
   }
 });
 
 try { chrome.alarms.create('upload-watchdog', { periodInMinutes: 1 }); } catch (_) {}
+try { chrome.alarms.create(DRIFT_WATCH_ALARM, { periodInMinutes: DRIFT_WATCH_ALARM_PERIOD_MINUTES }); } catch (_) {}
 
 // Open Notion page when the completion notification is clicked
 try {
   chrome.notifications.onClicked.addListener(async (notificationId) => {
+    // Drift notifications open the extension, where the watch list shows what changed
+    if (notificationId.startsWith(DRIFT_WATCH_NOTIFICATION_PREFIX)) {
+      try { await chrome.tabs.create({ url: chrome.runtime.getURL('popup.html'), active: true }); } catch (_) {}
+      return;
+    }
     try {
       const data = await chrome.storage.local.get('uploadJobs');
       const jobs = data.uploadJobs || {};
@@ -0,0 +1,417 @@
+#!/usr/bin/env node
+/**
+ * SIS compare tool - Headless comparison CLI
+ * Runs the school-vs-school comparison from saved raw API JSON (e.g. the MainSchool_* /
+ * BaselineSchool_* files in the ZIP export) and writes the report set to disk.
+ *
+ * Usage:
+ *   node compare-cli.js --main <dir> --baseline <dir> [--baseline <dir> ...] --out <dir> [options]
+ *
+ * Options:
+ *   --main-name <name>       Main school name used in report headers (default: main dir name)
+ *   --baseline-name <name>   Baseline school name used in report headers (default: baseline dir name)
+ *   --main-env <env>         Main school environment (default: staging)
+ *   --baseline-env <env>     Baseline school environment (default: staging)
+ *   --no-curriculum          Skip course/program template and forms & workflows reports
+ *   --no-scheduling          Skip section, room, instructor and term template reports
+ *   --patch-entity <entity>  Limit the merge settings patch to an entity (repeatable; default: all entities)
+ *   --property-profile <p>   Template property profile: 'full' (default), 'classic' or a profile JSON file
+ *   --ignore-rules <r>       Ignore rules for known benign differences: 'default', 'none' or a rules JSON file
+ *
+ * --baseline, --baseline-name and --baseline-env may be repeated; names and environments apply to the
+ * baselines in the same order. The first baseline gets the regular report set; with more than one,
+ * MultiBaseline_Comparison_Report.md (one column per school) is written as well.
+ * The remediation plan for the first baseline is written as RemediationPlan_Report.md and RemediationPlan.csv.
+ * MergeSettings_Patch.json (mergeSettings endpoint shape) and MergeSettings_Patch_Preview.diff bring the
+ * main school's merge settings in line with the first baseline.
+ *
+ * Exit codes: 0 on success, 1 when the comparison fails, 2 on invalid arguments.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// report-generator.js expects these as browser globals (loaded by earlier <script> tags in popup.html)
+const { DiffResult, DIFF_CATEGORIES, DIFF_SEVERITIES } = require('./diff-model.js');
+const { GLOBAL_FIELD_EXCEPTIONS, GENERAL_FIELD_EXCEPTIONS } = require('./global-field-exceptions.js');
+const { SEVERITY_RULES, SEVERITY_WEIGHTS, classifyDiffRecord, getSeverityRuleDescription } = require('./severity-rules.js');
+const {
+  DIFF_OPERATIONS, IDENTITY_KEY_RULES, getIdentityKeys, getElementIdentity, stableStringify, matchArrayElements, identityDiff,
+  summarizeOperations, hasContentChanges
+} = require('./identity-diff.js');
+const {
+  TEMPLATE_PROPERTY_CATALOG, TEMPLATE_PROPERTY_PROFILES, resolveTemplatePropertyProfile, getTemplatePropertyKeys,
+  extractTemplateProperties, getTemplatePropertyLabel, describeTemplatePropertyProfile
+} = require('./template-property-profiles.js');
+Object.assign(globalThis, {
+  DiffResult, DIFF_CATEGORIES, DIFF_SEVERITIES, GLOBAL_FIELD_EXCEPTIONS, GENERAL_FIELD_EXCEPTIONS,
+  SEVERITY_RULES, SEVERITY_WEIGHTS, classifyDiffRecord, getSeverityRuleDescription,
+  DIFF_OPERATIONS, IDENTITY_KEY_RULES, getIdentityKeys, getElementIdentity, stableStringify, matchArrayElements, identityDiff,
+  summarizeOperations, hasContentChanges,
+  TEMPLATE_PROPERTY_CATALOG, resolveTemplatePropertyProfile, getTemplatePropertyKeys,
+  extractTemplateProperties, getTemplatePropertyLabel, describeTemplatePropertyProfile
+});
+
+// Default ignore rules are derived from GENERAL_FIELD_EXCEPTIONS, so load them once the globals exist
+const { findIgnoreRule, validateIgnoreRules, resolveIgnoreRules } = require('./ignore-rules.js');
+Object.assign(globalThis, { findIgnoreRule, resolveIgnoreRules });
+
+const CoursedogReportGenerator = require('./report-generator.js');
+globalThis.CoursedogReportGenerator = CoursedogReportGenerator;
+const { MultiBaselineReportGenerator, MULTI_BASELINE_REPORT_KEY } = require('./multi-baseline-report.js');
+const { RemediationPlanGenerator, REMEDIATION_PLAN_DATA_KEY } = require('./remediation-plan.js');
+const { MergeSettingsPatchBuilder } = require('./merge-settings-patch.js');
+globalThis.MergeSettingsPatchBuilder = MergeSettingsPatchBuilder; // Line diffs in the notification settings report
+
+// Reports written by the CLI (same set as the ZIP export)
+const REPORT_KEYS = [
+  'ExecutiveSummary_Report',
+  'CAC_Report',
+  'stepsToExecute_Comparison_Report',
+  'fieldExceptions_Comparison_Report',
+  'courseTemplate_Comparison_Report',
+  'programTemplate_Comparison_Report',
+  'sectionTemplate_Comparison_Report',
+  'roomTemplate_Comparison_Report',
+  'instructorTemplate_Comparison_Report',
+  'termTemplate_Comparison_Report',
+  'FormsWorkflows_Comparison_Report',
+  'NotificationSettings_Comparison_Report',
+  'AttributeMapping_Comparison_Report',
+  'IntegrationFilters_Comparison_Report',
+  'IntegrationRulesSchedule_Comparison_Report',
+  'RemediationPlan_Report'
+];
+
+const SCHOOL_PREFIXES = { main: 'MainSchool', baseline: 'BaselineSchool' };
+
+// School prefix of an exported file name (additional baselines are exported as BaselineSchool2_, ...)
+const SCHOOL_PREFIX_PATTERN = /^(MainSchool|BaselineSchool\d*)_/;
+
+// Raw API data the reports read (tempData <prefix>_<name>); notification settings are stored per module
+const REPORT_DATA_NAMES = [
+  'mergeSettings', 'courseTemplate', 'programTemplate', 'sectionTemplate', 'roomTemplate', 'instructorTemplate',
+  'termTemplate', 'attributeMappings', 'integrationFilters', 'integrationSettings', 'integrationSchedule',
+  'approvalWorkflows', 'cmForms', 'rules', 'formatters', 'fieldMappings', 'customFields'
+];
+
+class UsageError extends Error {}
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Parsed options
+ */
+function parseArgs(argv) {
+  const options = {
+    mainDir: null,
+    baselineDirs: [],
+    outDir: null,
+    mainName: null,
+    baselineNames: [],
+    mainEnv: 'staging',
+    baselineEnvs: [],
+    patchEntities: [],
+    propertyProfile: null,
+    ignoreRules: null,
+    curriculumEnabled: true,
+    schedulingEnabled: true
+  };
+  const valueFlags = {
+    '--main': 'mainDir',
+    '--out': 'outDir',
+    '--main-name': 'mainName',
+    '--main-env': 'mainEnv',
+    '--property-profile': 'propertyProfile',
+    '--ignore-rules': 'ignoreRules'
+  };
+  // Repeatable flags (one value per baseline)
+  const listFlags = {
+    '--baseline': 'baselineDirs',
+    '--baseline-name': 'baselineNames',
+    '--baseline-env': 'baselineEnvs',
+    '--patch-entity': 'patchEntities'
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--no-curriculum') {
+      options.curriculumEnabled = false;
+    } else if (arg === '--no-scheduling') {
+      options.schedulingEnabled = false;
+    } else if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (valueFlags[arg] || listFlags[arg]) {
+      const value = argv[++i];
+      if (value === undefined || value.startsWith('--')) {
+        throw new UsageError(`Missing value for ${arg}`);
+      }
+      if (listFlags[arg]) {
+        options[listFlags[arg]].push(value);
+      } else {
+        options[valueFlags[arg]] = value;
+      }
+    } else {
+      throw new UsageError(`Unknown argument: ${arg}`);
+    }
+  }
+
+  if (options.help) return options;
+  if (!options.mainDir || options.baselineDirs.length === 0 || !options.outDir) {
+    throw new UsageError('--main, --baseline and --out are required');
+  }
+  if (options.baselineNames.length > options.baselineDirs.length || options.baselineEnvs.length > options.baselineDirs.length) {
+    throw new UsageError('More --baseline-name/--baseline-env values than --baseline directories');
+  }
+  options.templatePropertyProfile = loadPropertyProfile(options.propertyProfile);
+  options.ignoreRuleList = loadIgnoreRules(options.ignoreRules);
+  options.mainName = options.mainName || path.basename(path.resolve(options.mainDir));
+  options.baselines = options.baselineDirs.map((dir, i) => ({
+    dir,
+    name: options.baselineNames[i] || path.basename(path.resolve(dir)),
+    environment: options.baselineEnvs[i] || 'staging',
+    prefix: MultiBaselineReportGenerator.baselinePrefix(i)
+  }));
+  return options;
+}
+
+/**
+ * Resolve --property-profile: a built-in profile ID or a JSON file (same shape as the popup's saved profile)
+ * @param {string|null} value - Option value
+ * @returns {Object} Resolved template property profile
+ */
+function loadPropertyProfile(value) {
+  if (!value || TEMPLATE_PROPERTY_PROFILES[value]) return resolveTemplatePropertyProfile(value);
+  if (!fs.existsSync(value)) {
+    throw new UsageError(`Unknown property profile: ${value} (use ${Object.keys(TEMPLATE_PROPERTY_PROFILES).join(', ')} or a JSON file)`);
+  }
+  try {
+    return resolveTemplatePropertyProfile(JSON.parse(fs.readFileSync(value, 'utf8')));
+  } catch (error) {
+    throw new UsageError(`Invalid property profile ${value}: ${error.message}`);
+  }
+}
+
+/**
+ * Resolve --ignore-rules: 'default', 'none' or a JSON file (same shape as the popup's saved rules)
+ * @param {string|null} value - Option value
+ * @returns {Array<Object>} Ignore rules
+ */
+function loadIgnoreRules(value) {
+  if (!value || value === 'default') return resolveIgnoreRules();
+  if (value === 'none') return [];
+  if (!fs.existsSync(value)) {
+    throw new UsageError(`Unknown ignore rules: ${value} (use default, none or a JSON file)`);
+  }
+  try {
+    return validateIgnoreRules(JSON.parse(fs.readFileSync(value, 'utf8')));
+  } catch (error) {
+    throw new UsageError(`Invalid ignore rules ${value}: ${error.message}`);
+  }
+}
+
+/**
+ * Load one school's raw API JSON into tempData under its school prefix
+ * Files already named with the prefix (MainSchool_courseTemplate.json) are used as-is; when the
+ * directory has none, every .json file is taken as that school's data (courseTemplate.json), with any
+ * other school prefix stripped (MainSchool_courseTemplate.json loads as BaselineSchool_courseTemplate).
+ * This lets both --main and --baseline point at the same extracted ZIP export.
+ * @param {string} dir - Directory containing the JSON files
+ * @param {string} side - 'main' or 'baseline'
+ * @param {Object} tempData - tempData object to fill
+ * @param {string} [targetPrefix] - tempData prefix to store under (additional baselines use BaselineSchool2, ...)
+ * @returns {number} Number of files loaded
+ * @throws {UsageError} When the directory has none of the data the reports read
+ */
+function loadSchoolData(dir, side, tempData, targetPrefix = SCHOOL_PREFIXES[side]) {
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+    throw new UsageError(`Not a directory: ${dir}`);
+  }
+
+  const prefix = SCHOOL_PREFIXES[side];
+  const jsonFiles = fs.readdirSync(dir).filter(name => name.toLowerCase().endsWith('.json')).sort();
+  const prefixed = jsonFiles.filter(name => name.startsWith(`${prefix}_`));
+  const selected = prefixed.length > 0 ? prefixed : jsonFiles;
+  const dataNames = selected.map(name => name.replace(/\.json$/i, '').replace(SCHOOL_PREFIX_PATTERN, ''));
+
+  const isReportData = (name) => REPORT_DATA_NAMES.includes(name) || name.startsWith('notificationSettings_');
+  if (!dataNames.some(isReportData)) {
+    throw new UsageError(
+      `No ${side} school data found in ${dir} (${jsonFiles.length} JSON file(s)); expected files such as ` +
+      `${prefix}_mergeSettings.json or courseTemplate.json (${REPORT_DATA_NAMES.join(', ')})`
+    );
+  }
+
+  selected.forEach((name, index) => {
+    const key = `${targetPrefix}_${dataNames[index]}`;
+    const filePath = path.join(dir, name);
+    try {
+      tempData[key] = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to parse ${filePath}: ${error.message}`);
+    }
+  });
+
+  return selected.length;
+}
+
+/**
+ * Run the comparison and write reports to the output directory
+ * @param {Object} options - Parsed options
+ * @returns {Object} Run summary (also written as comparison-summary.json)
+ */
+function runComparison(options) {
+  const tempData = {};
+  const [primary] = options.baselines;
+  const mainCount = loadSchoolData(options.mainDir, 'main', tempData);
+  const baselineCounts = options.baselines.map(baseline => loadSchoolData(baseline.dir, 'baseline', tempData, baseline.prefix));
+  console.log(`Loaded ${mainCount} main and ${baselineCounts.join(' + ')} baseline files`);
+
+  CoursedogReportGenerator.buildUnifiedFieldLists(tempData);
+
+  const reportGenerator = new CoursedogReportGenerator(
+    options.mainName,
+    primary.name,
+    tempData,
+    [],
+    options.curriculumEnabled,
+    options.schedulingEnabled,
+    options.mainEnv,
+    primary.environment,
+    { templatePropertyProfile: options.templatePropertyProfile, ignoreRules: options.ignoreRuleList }
+  );
+  reportGenerator.generateComparisonReport();
+  new RemediationPlanGenerator(options.mainName, primary.name, tempData, {
+    mainEnv: options.mainEnv,
+    baselineEnv: primary.environment
+  }).generateReport();
+
+  if (options.baselines.length > 1) {
+    new MultiBaselineReportGenerator(options.mainName, options.baselines, tempData, {
+      mainEnv: options.mainEnv,
+      curriculumEnabled: options.curriculumEnabled,
+      schedulingEnabled: options.schedulingEnabled,
+      templatePropertyProfile: options.templatePropertyProfile,
+      ignoreRules: options.ignoreRuleList
+    }).generateReport();
+  }
+
+  fs.mkdirSync(options.outDir, { recursive: true });
+
+  const summary = {
+    mainSchool: options.mainName,
+    baselineSchool: primary.name,
+    mainEnv: options.mainEnv,
+    baselineEnv: primary.environment,
+    templatePropertyProfile: options.templatePropertyProfile.name,
+    ignoreRules: options.ignoreRuleList.map(rule => rule.id),
+    baselines: options.baselines.map(({ name, environment }) => ({ name, environment })),
+    generatedAt: new Date().toISOString(),
+    reports: []
+  };
+
+  REPORT_KEYS.forEach(reportKey => {
+    if (!tempData[reportKey]) return;
+
+    fs.writeFileSync(path.join(options.outDir, `${reportKey}.md`), tempData[reportKey]);
+    const entry = { key: reportKey, file: `${reportKey}.md` };
+
+    const diffKey = DiffResult.storageKey(reportKey);
+    if (tempData[diffKey]) {
+      fs.writeFileSync(path.join(options.outDir, `${diffKey}.json`), JSON.stringify(tempData[diffKey], null, 2));
+      entry.diffFile = `${diffKey}.json`;
+      entry.summary = tempData[diffKey].summary;
+    }
+
+    summary.reports.push(entry);
+    const suppressed = entry.summary && entry.summary.suppressed ? `, ${entry.summary.suppressed} suppressed` : '';
+    console.log(`✓ ${entry.file}${entry.summary ? ` (${entry.summary.differences} differences${suppressed})` : ''}`);
+  });
+
+  if (tempData[MULTI_BASELINE_REPORT_KEY]) {
+    const matrixKey = `${MULTI_BASELINE_REPORT_KEY}_Matrix`;
+    fs.writeFileSync(path.join(options.outDir, `${MULTI_BASELINE_REPORT_KEY}.md`), tempData[MULTI_BASELINE_REPORT_KEY]);
+    fs.writeFileSync(path.join(options.outDir, `${matrixKey}.json`), JSON.stringify(tempData[matrixKey], null, 2));
+    summary.reports.push({
+      key: MULTI_BASELINE_REPORT_KEY,
+      file: `${MULTI_BASELINE_REPORT_KEY}.md`,
+      matrixFile: `${matrixKey}.json`,
+      summary: tempData[matrixKey].summary
+    });
+    console.log(`✓ ${MULTI_BASELINE_REPORT_KEY}.md (${options.baselines.length} baselines)`);
+  }
+
+  if (tempData[REMEDIATION_PLAN_DATA_KEY]) {
+    fs.writeFileSync(path.join(options.outDir, 'RemediationPlan.csv'), RemediationPlanGenerator.formatCSV(tempData[REMEDIATION_PLAN_DATA_KEY]));
+    summary.remediationSteps = tempData[REMEDIATION_PLAN_DATA_KEY].steps.length;
+    console.log(`✓ RemediationPlan.csv (${summary.remediationSteps} steps)`);
+  }
+
+  const mergePatch = buildMergePatch(tempData, options.patchEntities);
+  if (mergePatch) {
+    fs.writeFileSync(path.join(options.outDir, 'MergeSettings_Patch.json'), JSON.stringify(mergePatch.patch, null, 2));
+    fs.writeFileSync(path.join(options.outDir, 'MergeSettings_Patch_Preview.diff'), mergePatch.preview);
+    summary.mergePatchChanges = mergePatch.changes.length;
+    console.log(`✓ MergeSettings_Patch.json (${summary.mergePatchChanges} changes)`);
+  }
+
+  fs.writeFileSync(path.join(options.outDir, 'comparison-summary.json'), JSON.stringify(summary, null, 2));
+  console.log(`Wrote ${summary.reports.length} reports to ${options.outDir}`);
+  return summary;
+}
+
+/**
+ * Build the merge settings patch (main -> first baseline)
+ * @param {Object} tempData - Loaded data
+ * @param {Array<string>} entities - Entities to include (empty for all)
+ * @returns {Object|null} Output of MergeSettingsPatchBuilder.buildPatch(), or null without merge settings
+ */
+function buildMergePatch(tempData, entities) {
+  let builder;
+  try {
+    builder = new MergeSettingsPatchBuilder(tempData['MainSchool_mergeSettings'], tempData['BaselineSchool_mergeSettings']);
+  } catch (error) {
+    console.warn(`Skipping merge settings patch: ${error.message}`);
+    return null;
+  }
+  if (entities.length === 0) return builder.buildPatch();
+
+  const selectedIds = builder.getChangeOptions()
+    .filter(group => entities.includes(group.entity))
+    .flatMap(group => group.changes.map(change => change.id));
+  return builder.buildPatch(selectedIds);
+}
+
+function printUsage() {
+  console.log('Usage: node compare-cli.js --main <dir> --baseline <dir> [--baseline <dir> ...] --out <dir> [--main-name <name>] [--baseline-name <name> ...] [--main-env <env>] [--baseline-env <env> ...] [--no-curriculum] [--no-scheduling] [--patch-entity <entity> ...] [--property-profile <full|classic|file.json>] [--ignore-rules <default|none|file.json>]');
+}
+
+function main(argv) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    printUsage();
+    return 2;
+  }
+
+  if (options.help) {
+    printUsage();
+    return 0;
+  }
+
+  try {
+    runComparison(options);
+    return 0;
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return error instanceof UsageError ? 2 : 1;
+  }
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { parseArgs, loadSchoolData, runComparison, main };
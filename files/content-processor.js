@@ -123,7 +123,7 @@ class ContentProcessor {
         const parsed = JSON.parse(jsonContent);
         const preview = this.createJSONPreview(parsed);
         blocks.push(this.client.createHeadingBlock('📋 JSON Structure Preview', 3));
-        blocks.push(this.client.createParagraphBlock(preview.substring(0, 2000)));
+        blocks.push(this.client.createParagraphBlock(preview.substring(0, 2000), false));
 
         if (progressCallback) progressCallback(`✓ JSON file attachment created: ${fileName}`);
         return blocks;
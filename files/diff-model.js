@@ -0,0 +1,320 @@
+/**
+ * Diff Model for Coursedog Extension
+ * Typed, machine-readable difference records produced by every comparison report.
+ * Markdown reports, Notion blocks and the report viewer all render from these records,
+ * so consumers never need to parse the Markdown tables back out.
+ */
+
+// Kind of difference a record describes
+const DIFF_CATEGORIES = {
+  VALUE_MISMATCH: 'value-mismatch',       // Present in both schools with different values
+  MISSING_IN_MAIN: 'missing-in-main',     // Present only in the baseline school
+  MISSING_IN_BASELINE: 'missing-in-baseline', // Present only in the main school
+  UNAVAILABLE: 'unavailable',             // Could not be compared (API failure, empty response)
+  MATCH: 'match'                          // Present in both schools with identical values
+};
+
+// How much attention a record needs
+const DIFF_SEVERITIES = {
+  CRITICAL: 'critical',
+  WARNING: 'warning',
+  INFO: 'info'
+};
+
+// Default severity per category (used when a report does not assign one)
+const DEFAULT_CATEGORY_SEVERITY = {
+  'value-mismatch': DIFF_SEVERITIES.WARNING,
+  'missing-in-main': DIFF_SEVERITIES.WARNING,
+  'missing-in-baseline': DIFF_SEVERITIES.WARNING,
+  'unavailable': DIFF_SEVERITIES.INFO,
+  'match': DIFF_SEVERITIES.INFO
+};
+
+// Suffix used to store a report's diff result next to its Markdown in tempData
+const DIFF_RESULT_SUFFIX = '_Diff';
+
+// Identity diff operations (identity-diff.js) that change content; moves alone do not
+const CONTENT_CHANGE_OPERATIONS = ['insert', 'delete', 'modify'];
+
+/**
+ * Collection of diff records for a single comparison report
+ */
+class DiffResult {
+  /**
+   * @param {string} reportKey - tempData key of the Markdown report (e.g. 'courseTemplate_Comparison_Report')
+   * @param {Object} meta - Report metadata
+   * @param {string} meta.title - Human readable report title
+   * @param {string} meta.mainSchool - Main school ID
+   * @param {string} meta.baselineSchool - Baseline school ID
+   * @param {string} meta.mainEnv - Main school environment
+   * @param {string} meta.baselineEnv - Baseline school environment
+   * @param {Function} [meta.ignoreMatcher] - Returns the ignore rule (ignore-rules.js) matching a record, or null
+   */
+  constructor(reportKey, meta = {}) {
+    this.schemaVersion = 1;
+    this.reportKey = reportKey;
+    this.title = meta.title || reportKey;
+    this.mainSchool = meta.mainSchool || '';
+    this.baselineSchool = meta.baselineSchool || '';
+    this.mainEnv = meta.mainEnv || 'staging';
+    this.baselineEnv = meta.baselineEnv || 'staging';
+    this.generatedAt = meta.generatedAt || new Date().toISOString();
+    this.ignoreMatcher = typeof meta.ignoreMatcher === 'function' ? meta.ignoreMatcher : null;
+    this.records = [];
+    this.errors = [];
+  }
+
+  /**
+   * Get the tempData key used to store the diff result for a report
+   * @param {string} reportKey - tempData key of the Markdown report
+   * @returns {string} tempData key of the diff result
+   */
+  static storageKey(reportKey) {
+    return `${reportKey}${DIFF_RESULT_SUFFIX}`;
+  }
+
+  /**
+   * Check whether a tempData key holds a diff result
+   * @param {string} key - tempData key
+   * @returns {boolean} True if the key is a diff result key
+   */
+  static isStorageKey(key) {
+    return typeof key === 'string' && key.endsWith(DIFF_RESULT_SUFFIX);
+  }
+
+  /**
+   * Derive a category from presence and equality of both sides
+   * (absent on both sides counts as a match; UNAVAILABLE is assigned explicitly by reports)
+   * @param {boolean} existsInMain - Whether the item exists in the main school
+   * @param {boolean} existsInBaseline - Whether the item exists in the baseline school
+   * @param {boolean} isEqual - Whether the values are equal (only used when both exist)
+   * @returns {string} One of DIFF_CATEGORIES
+   */
+  static categorize(existsInMain, existsInBaseline, isEqual) {
+    if (existsInMain && !existsInBaseline) return DIFF_CATEGORIES.MISSING_IN_BASELINE;
+    if (!existsInMain && existsInBaseline) return DIFF_CATEGORIES.MISSING_IN_MAIN;
+    if (!existsInMain && !existsInBaseline) return DIFF_CATEGORIES.MATCH;
+    return isEqual ? DIFF_CATEGORIES.MATCH : DIFF_CATEGORIES.VALUE_MISMATCH;
+  }
+
+  /**
+   * Add a diff record
+   * @param {Object} record - Record fields
+   * @param {string} record.entity - Entity or template type the record belongs to
+   * @param {string} record.section - Report section (e.g. 'stepsToExecute', 'properties')
+   * @param {string} record.fieldPath - Dotted field path or identifier
+   * @param {string} [record.fieldLabel] - Human readable field label (the main school's, else the baseline's)
+   * @param {string} [record.baselineFieldLabel] - Field label in the baseline school (defaults to fieldLabel)
+   * @param {string} [record.property] - Compared property when a field has several
+   * @param {*} record.mainValue - Raw value in the main school (null when absent)
+   * @param {*} record.baselineValue - Raw value in the baseline school (null when absent)
+   * @param {string} record.category - One of DIFF_CATEGORIES
+   * @param {string} [record.severity] - One of DIFF_SEVERITIES (defaults by category)
+   * @param {Object} [record.details] - Report-specific extras needed for rendering
+   * @returns {Object} The stored record
+   */
+  add(record) {
+    const category = record.category || DIFF_CATEGORIES.VALUE_MISMATCH;
+    const stored = {
+      id: '',
+      reportKey: this.reportKey,
+      entity: record.entity || '',
+      section: record.section || '',
+      fieldPath: record.fieldPath || '',
+      fieldLabel: record.fieldLabel || '',
+      baselineFieldLabel: record.baselineFieldLabel ?? record.fieldLabel ?? '',
+      property: record.property || '',
+      mainValue: DiffResult.toPlainValue(record.mainValue),
+      baselineValue: DiffResult.toPlainValue(record.baselineValue),
+      category,
+      severity: record.severity || DEFAULT_CATEGORY_SEVERITY[category] || DIFF_SEVERITIES.INFO,
+      details: record.details || {}
+    };
+    stored.id = DiffResult.recordId(stored);
+
+    // Known benign differences are kept (so they can be counted and listed) but flagged
+    if (this.ignoreMatcher && category !== DIFF_CATEGORIES.MATCH) {
+      const rule = this.suppressIgnoredOperations(stored) || this.ignoreMatcher(stored);
+      if (rule) {
+        stored.ignoreRule = rule.id;
+        stored.suppressed = rule.action === 'suppress';
+      }
+    }
+    this.records.push(stored);
+    return stored;
+  }
+
+  /**
+   * Apply the ignore rules to each identity diff operation of a record (details.operations, e.g. the
+   * attribute mappings, integration filters and workflows reports); operations matched by a suppress
+   * rule are dropped from the record
+   * @param {Object} stored - Record being added
+   * @returns {Object|null} Suppress rule of the record when only moves (or nothing) remain, null otherwise
+   */
+  suppressIgnoredOperations(stored) {
+    const operations = stored.details.operations;
+    if (!Array.isArray(operations) || operations.length === 0) return null;
+    let suppressRule = null;
+    const kept = operations.filter(operation => {
+      const rule = this.ignoreMatcher({
+        ...stored,
+        fieldPath: operation.path || '',
+        property: '',
+        mainValue: DiffResult.toPlainValue(operation.mainValue),
+        baselineValue: DiffResult.toPlainValue(operation.baselineValue)
+      });
+      if (!rule || rule.action !== 'suppress') return true;
+      suppressRule = suppressRule || rule;
+      return false;
+    });
+    if (kept.length === operations.length) return null;
+    stored.details = { ...stored.details, operations: kept, suppressedOperations: operations.length - kept.length };
+    return kept.some(operation => CONTENT_CHANGE_OPERATIONS.includes(operation.op)) ? null : suppressRule;
+  }
+
+  /**
+   * Record an error that prevented (part of) the comparison
+   * @param {string} message - Error message
+   * @param {string} [entity] - Entity the error applies to
+   */
+  addError(message, entity = '') {
+    this.errors.push({ message: String(message || 'Unknown error'), entity });
+  }
+
+  /**
+   * Build a stable identifier for a record (report/section/entity/path/property)
+   * @param {Object} record - Diff record
+   * @returns {string} Record ID
+   */
+  static recordId(record) {
+    return [record.reportKey, record.section, record.entity, record.fieldPath, record.property]
+      .map(part => String(part || ''))
+      .join('|');
+  }
+
+  /**
+   * Make a value safe for JSON/structured clone (undefined becomes null, Sets become arrays)
+   * @param {*} value - Raw value
+   * @returns {*} Plain value
+   */
+  static toPlainValue(value) {
+    if (value === undefined) return null;
+    if (value instanceof Set) return Array.from(value);
+    return value;
+  }
+
+  /**
+   * Filter records
+   * @param {Object} filter - Filter criteria
+   * @param {string} [filter.section] - Only records from this section
+   * @param {string} [filter.entity] - Only records for this entity
+   * @param {boolean} [filter.differencesOnly] - Exclude matching records
+   * @param {boolean} [filter.includeSuppressed] - Include records suppressed by an ignore rule
+   * @returns {Array<Object>} Matching records
+   */
+  getRecords(filter = {}) {
+    return this.records.filter(r =>
+      (filter.includeSuppressed || !r.suppressed) &&
+      (filter.section === undefined || r.section === filter.section) &&
+      (filter.entity === undefined || r.entity === filter.entity) &&
+      (!filter.differencesOnly || r.category !== DIFF_CATEGORIES.MATCH)
+    );
+  }
+
+  /**
+   * Get all records that represent an actual difference
+   * @returns {Array<Object>} Non-matching records
+   */
+  getDifferences() {
+    return this.getRecords({ differencesOnly: true });
+  }
+
+  /**
+   * Get the records suppressed by an ignore rule
+   * @returns {Array<Object>} Suppressed records
+   */
+  getSuppressed() {
+    return this.records.filter(r => r.suppressed);
+  }
+
+  /**
+   * Summarize records by category, severity and entity (suppressed records are only counted as suppressed)
+   * @returns {Object} Summary counts
+   */
+  getSummary() {
+    const summary = {
+      totalRecords: this.records.length,
+      differences: 0,
+      suppressed: 0,
+      byCategory: {},
+      bySeverity: {},
+      byEntity: {},
+      errors: this.errors.length
+    };
+    Object.values(DIFF_CATEGORIES).forEach(c => { summary.byCategory[c] = 0; });
+    Object.values(DIFF_SEVERITIES).forEach(s => { summary.bySeverity[s] = 0; });
+
+    this.records.forEach(record => {
+      if (record.suppressed) {
+        summary.suppressed++;
+        return;
+      }
+      summary.byCategory[record.category] = (summary.byCategory[record.category] || 0) + 1;
+      if (record.category === DIFF_CATEGORIES.MATCH) return;
+      summary.differences++;
+      summary.bySeverity[record.severity] = (summary.bySeverity[record.severity] || 0) + 1;
+      const entity = record.entity || 'general';
+      summary.byEntity[entity] = (summary.byEntity[entity] || 0) + 1;
+    });
+    return summary;
+  }
+
+  /**
+   * Serialize to a plain object suitable for tempData, chrome.storage and JSON files
+   * @returns {Object} Plain diff result
+   */
+  toJSON() {
+    return {
+      schemaVersion: this.schemaVersion,
+      reportKey: this.reportKey,
+      title: this.title,
+      mainSchool: this.mainSchool,
+      baselineSchool: this.baselineSchool,
+      mainEnv: this.mainEnv,
+      baselineEnv: this.baselineEnv,
+      generatedAt: this.generatedAt,
+      summary: this.getSummary(),
+      records: this.records,
+      errors: this.errors
+    };
+  }
+
+  /**
+   * Restore a DiffResult from its serialized form
+   * @param {Object} data - Output of toJSON()
+   * @returns {DiffResult|null} Restored result, or null for invalid input
+   */
+  static fromJSON(data) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.records)) return null;
+    const result = new DiffResult(data.reportKey, data);
+    result.records = data.records.slice();
+    result.errors = Array.isArray(data.errors) ? data.errors.slice() : [];
+    return result;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DiffResult,
+    DIFF_CATEGORIES,
+    DIFF_SEVERITIES,
+    DEFAULT_CATEGORY_SEVERITY
+  };
+}
+
+if (typeof window !== 'undefined') {
+  window.DiffResult = DiffResult;
+  window.DIFF_CATEGORIES = DIFF_CATEGORIES;
+  window.DIFF_SEVERITIES = DIFF_SEVERITIES;
+}
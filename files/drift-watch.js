@@ -0,0 +1,535 @@
+/**
+ * SIS compare tool + Env capture - Drift Watch
+ * Re-captures the integration configuration of watched schools on a schedule and diffs it
+ * against the previous capture, so unannounced configuration changes surface before a sync breaks.
+ * Runs in the background service worker: it authenticates on its own (no popup session) and keeps
+ * every watch, with its last capture and last result, in chrome.storage.local.
+ */
+
+const DRIFT_WATCH_STORAGE_KEY = 'driftWatches';
+const DRIFT_WATCH_ALARM = 'drift-watch';
+const DRIFT_WATCH_ALARM_PERIOD_MINUTES = 15; // How often due watches are looked for
+const DRIFT_WATCH_NOTIFICATION_PREFIX = 'drift-watch:';
+const DRIFT_WATCH_REPORT_KEY = 'DriftWatch_Comparison_Report';
+
+// Sections re-captured on every check (also the DiffResult section names)
+const DRIFT_WATCH_SECTIONS = {
+  mergeSettings: 'Merge Settings',
+  fieldExceptions: 'Field Exceptions',
+  attributeMappings: 'Attribute Mappings',
+  integrationFilters: 'Integration Filters'
+};
+
+// Check intervals offered in the popup
+const DRIFT_WATCH_INTERVALS = {
+  60: 'Every hour',
+  360: 'Every 6 hours',
+  1440: 'Every day'
+};
+
+const DRIFT_WATCH_BASE_URLS = {
+  staging: 'https://staging.coursedog.com',
+  production: 'https://app.coursedog.com'
+};
+
+class DriftWatcher {
+  /**
+   * @param {Object} options - Watcher options
+   * @param {Object} options.storage - chrome.storage area (get/set) holding the watches
+   * @param {Object} options.credentials - Per-environment credentials ({ staging: { email, password }, production: ... })
+   * @param {CoursedogTransport} [options.transport] - API transport (defaults to live fetch)
+   * @param {Object} [options.baseUrls] - Per-environment base URLs
+   * @param {Function} [options.notify] - Called with (watch, diffResult) when a check finds changes
+   * @param {Function} [options.now] - Clock (returns a Date), for tests
+   */
+  constructor(options = {}) {
+    this.storage = options.storage;
+    this.credentials = options.credentials || {};
+    this.transport = options.transport || createCoursedogTransport();
+    this.baseUrls = { ...DRIFT_WATCH_BASE_URLS, ...(options.baseUrls || {}) };
+    this.notify = options.notify || null;
+    this.now = options.now || (() => new Date());
+    this.tokens = {};
+    this.running = null;
+  }
+
+  /**
+   * Key identifying a watch (one per school and environment)
+   * @param {string} schoolId - School ID
+   * @param {string} environment - 'staging' or 'production'
+   * @returns {string} Watch ID
+   */
+  static watchId(schoolId, environment) {
+    return `${environment || 'staging'}:${schoolId}`;
+  }
+
+  async loadWatches() {
+    const data = await this.storage.get(DRIFT_WATCH_STORAGE_KEY);
+    return data[DRIFT_WATCH_STORAGE_KEY] || {};
+  }
+
+  async saveWatches(watches) {
+    await this.storage.set({ [DRIFT_WATCH_STORAGE_KEY]: watches });
+  }
+
+  /**
+   * Update a single watch without clobbering watches changed by a concurrent message
+   * @param {string} id - Watch ID
+   * @param {Function} updateFn - Receives the stored watch and returns the new one (or null to leave it)
+   * @returns {Promise<Object|null>} Updated watch
+   */
+  async updateWatch(id, updateFn) {
+    const watches = await this.loadWatches();
+    if (!watches[id]) return null;
+    const updated = updateFn(watches[id]);
+    if (!updated) return watches[id];
+    watches[id] = updated;
+    await this.saveWatches(watches);
+    return updated;
+  }
+
+  /**
+   * List watches without their stored captures (safe to send to the popup)
+   * @returns {Promise<Array<Object>>} Watch summaries sorted by school
+   */
+  async listWatches() {
+    const watches = await this.loadWatches();
+    return Object.values(watches)
+      .map(({ lastCapture, ...watch }) => ({ ...watch, lastCapturedAt: lastCapture?.capturedAt || null }))
+      .sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Register a school and take the initial capture the first check is compared against
+   * @param {Object} params - Watch parameters
+   * @param {string} params.schoolId - School ID
+   * @param {string} params.environment - 'staging' or 'production'
+   * @param {number} [params.intervalMinutes=1440] - Minutes between checks
+   * @param {string} [params.displayName] - Name shown in notifications
+   * @returns {Promise<Object>} Watch summary
+   */
+  async addWatch({ schoolId, environment = 'staging', intervalMinutes = 1440, displayName = '' }) {
+    if (!schoolId) {
+      throw new Error('addWatch requires a schoolId');
+    }
+    if (!this.baseUrls[environment]) {
+      throw new Error(`Unknown environment: ${environment}`);
+    }
+
+    const id = DriftWatcher.watchId(schoolId, environment);
+    const capture = await this.capture(schoolId, environment);
+    const watches = await this.loadWatches();
+    const previous = watches[id] || {};
+    watches[id] = {
+      id,
+      schoolId,
+      environment,
+      displayName: displayName || previous.displayName || schoolId,
+      intervalMinutes: Number(intervalMinutes) || 1440,
+      createdAt: previous.createdAt || capture.capturedAt,
+      lastCheckedAt: capture.capturedAt,
+      lastCapture: capture,
+      lastResult: null,
+      lastError: DriftWatcher.describeCaptureErrors(capture)
+    };
+    await this.saveWatches(watches);
+    return (await this.listWatches()).find(watch => watch.id === id);
+  }
+
+  async removeWatch(id) {
+    const watches = await this.loadWatches();
+    delete watches[id];
+    await this.saveWatches(watches);
+  }
+
+  /**
+   * Check every watch whose interval has elapsed
+   * Concurrent calls (alarm firing while a manual check runs) share the same run.
+   * @returns {Promise<Array<Object>>} Results of the checks that ran
+   */
+  runDueChecks() {
+    if (this.running) return this.running;
+    this.running = (async () => {
+      const watches = await this.loadWatches();
+      const nowMs = this.now().getTime();
+      const due = Object.values(watches).filter(watch => {
+        const last = watch.lastCheckedAt ? Date.parse(watch.lastCheckedAt) : 0;
+        return nowMs - last >= watch.intervalMinutes * 60 * 1000;
+      });
+
+      // One school at a time keeps the background load on the API low
+      const results = [];
+      for (const watch of due) {
+        results.push(await this.checkWatch(watch.id));
+      }
+      return results;
+    })().finally(() => { this.running = null; });
+    return this.running;
+  }
+
+  /**
+   * Re-capture a watched school, diff it against its last capture and notify on changes
+   * @param {string} id - Watch ID
+   * @returns {Promise<Object>} { watchId, changes, diff } (diff is null when the check failed)
+   */
+  async checkWatch(id) {
+    const watches = await this.loadWatches();
+    const watch = watches[id];
+    if (!watch) {
+      throw new Error(`No drift watch registered for ${id}`);
+    }
+
+    let capture;
+    try {
+      capture = await this.capture(watch.schoolId, watch.environment);
+    } catch (error) {
+      await this.updateWatch(id, stored => ({ ...stored, lastCheckedAt: this.now().toISOString(), lastError: error.message }));
+      return { watchId: id, changes: 0, diff: null, error: error.message };
+    }
+
+    // Sections that failed this time keep their previous capture, so an outage is not reported as drift
+    const previous = watch.lastCapture || { sections: {}, errors: {} };
+    const merged = { ...capture, sections: { ...capture.sections } };
+    Object.keys(capture.errors).forEach(section => {
+      if (previous.sections[section] !== undefined) merged.sections[section] = previous.sections[section];
+    });
+
+    const diff = DriftWatcher.diffCaptures(previous, merged, watch);
+    Object.entries(capture.errors).forEach(([section, message]) => diff.addError(message, section));
+    const summary = diff.getSummary();
+    const differences = diff.getDifferences();
+
+    await this.updateWatch(id, stored => ({
+      ...stored,
+      lastCheckedAt: capture.capturedAt,
+      lastCapture: merged,
+      lastError: DriftWatcher.describeCaptureErrors(capture),
+      lastResult: {
+        checkedAt: capture.capturedAt,
+        previousCapturedAt: previous.capturedAt || null,
+        changes: summary.differences,
+        bySection: DriftWatcher.countBySection(differences),
+        // Only the differences are kept; the full capture is already stored above
+        records: differences
+      },
+      lastChangeAt: summary.differences > 0 ? capture.capturedAt : (stored.lastChangeAt || null)
+    }));
+
+    if (summary.differences > 0 && this.notify) {
+      try {
+        await this.notify(watch, diff);
+      } catch (error) {
+        console.warn('[DriftWatch] Notification failed:', error?.message || error);
+      }
+    }
+    return { watchId: id, changes: summary.differences, diff };
+  }
+
+  // --- Capture ---
+
+  /**
+   * Fetch the watched configuration of a school
+   * @param {string} schoolId - School ID
+   * @param {string} environment - 'staging' or 'production'
+   * @returns {Promise<Object>} { capturedAt, sections: { mergeSettings, fieldExceptions, ... }, errors: { section: message } }
+   */
+  async capture(schoolId, environment) {
+    const capture = { capturedAt: this.now().toISOString(), sections: {}, errors: {} };
+    const fetchSection = async (section, fn) => {
+      try {
+        capture.sections[section] = await fn();
+      } catch (error) {
+        capture.errors[section] = error.message;
+      }
+    };
+
+    await Promise.all([
+      fetchSection('mergeSettings', async () => {
+        const saveState = await this.apiCall(environment, `/api/v1/${schoolId}/general/enabledIntegrationSaveState`);
+        const saveStateId = saveState?.enabledIntegrationSaveState?.integrationSaveStateId;
+        if (!saveStateId) {
+          throw new Error('No integration save state ID found');
+        }
+        const mergeSettings = await this.apiCall(environment, `/api/v1/${schoolId}/integration/mergeSettings?integrationSaveStateId=${saveStateId}`);
+        return { saveStateId, mergeSettings };
+      }),
+      fetchSection('attributeMappings', () => this.apiCall(environment, `/api/v1/${schoolId}/integration/attributeMappings?returnArray=true`)),
+      fetchSection('integrationFilters', () => this.apiCall(environment, `/api/v1/${schoolId}/general/integrationFilters`))
+    ]);
+
+    // Field exceptions need the merge settings (enabled entities and their configured exceptions)
+    const merge = capture.sections.mergeSettings;
+    if (merge) {
+      await fetchSection('fieldExceptions', () => this.fetchFieldExceptions(schoolId, environment, merge.saveStateId, merge.mergeSettings));
+      capture.sections.mergeSettings = merge.mergeSettings;
+    } else {
+      capture.errors.fieldExceptions = 'Merge settings unavailable';
+    }
+
+    if (Object.keys(capture.sections).length === 0) {
+      throw new Error(`Could not capture ${schoolId} (${environment}): ${Object.values(capture.errors).join('; ')}`);
+    }
+    return capture;
+  }
+
+  /**
+   * Fetch the complete field exception map of every enabled entity
+   * Falls back to the exceptions configured in merge settings when the API call fails for an entity
+   * @returns {Promise<Object>} entityType -> { fieldPath: conflictHandlingMethod }
+   */
+  async fetchFieldExceptions(schoolId, environment, saveStateId, mergeSettings) {
+    const result = {};
+    const entities = Object.entries(mergeSettings || {})
+      .filter(([, settings]) => settings && typeof settings === 'object' && settings.enabled)
+      .map(([entityType]) => entityType);
+
+    await Promise.all(entities.map(async (entityType) => {
+      const settings = mergeSettings[entityType];
+      const configured = {};
+      (settings.fieldExceptions || []).forEach(group => {
+        (group.fields || []).forEach(field => {
+          if (Array.isArray(field.path)) configured[field.path.join('.')] = group.conflictHandlingMethod;
+        });
+      });
+
+      try {
+        const apiFieldMap = await this.apiCall(environment, `/api/v1/${schoolId}/integration/entityFieldExceptions/${entityType}`, 'POST', {
+          mergeSettingsOverrides: {
+            integrationSaveStateId: saveStateId,
+            conflictHandlingMethod: settings.conflictHandlingMethod || 'alwaysInstitution',
+            fieldExceptions: settings.fieldExceptions || [],
+            stepsToExecute: { fetchCoursedogData: false }
+          }
+        });
+        // Configured exceptions win, as in the comparison reports
+        result[entityType] = { ...(apiFieldMap || {}), ...configured };
+      } catch (_) {
+        result[entityType] = configured;
+      }
+    }));
+    return result;
+  }
+
+  /**
+   * Authenticated API call for an environment (re-authenticates once on 401)
+   * @param {string} environment - 'staging' or 'production'
+   * @param {string} endpoint - API path including query string
+   * @param {string} [method='GET'] - HTTP method
+   * @param {Object} [body] - JSON body
+   * @returns {Promise<*>} Parsed JSON response
+   */
+  async apiCall(environment, endpoint, method = 'GET', body = null) {
+    const baseUrl = this.baseUrls[environment];
+    const send = async (token) => {
+      const options = {
+        method,
+        headers: { 'Accept': 'application/json', 'X-Requested-With': 'XMLHttpRequest' },
+        credentials: 'include'
+      };
+      if (token) {
+        options.headers['Authorization'] = `Bearer ${token}`;
+        options.headers['X-Auth-Token'] = token;
+      }
+      const schoolId = endpoint.match(/^\/api\/v\d+\/([^/?]+)/)?.[1];
+      if (schoolId) {
+        options.headers['School-ID'] = schoolId;
+      }
+      if (body) {
+        options.headers['Content-Type'] = 'application/json';
+        options.body = JSON.stringify(body);
+      }
+      return this.transport.request(baseUrl, endpoint, options);
+    };
+
+    let response = await send(await this.getToken(environment));
+    if (response.status === 401) {
+      response = await send(await this.getToken(environment, true));
+    }
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`API call failed: ${response.status} ${response.statusText} - ${errorText}`);
+    }
+    return response.json();
+  }
+
+  async getToken(environment, refresh = false) {
+    if (this.tokens[environment] && !refresh) return this.tokens[environment];
+
+    const credentials = this.credentials[environment];
+    if (!credentials || !credentials.email || !credentials.password) {
+      throw new Error(`No credentials configured for ${environment}`);
+    }
+    const session = await this.transport.createSession(this.baseUrls[environment], credentials);
+    const token = session.token || session.accessToken || session.sessionToken || null;
+    this.tokens[environment] = token;
+    return token;
+  }
+
+  // --- Diff ---
+
+  /**
+   * Diff two captures of the same school
+   * The current capture is the "main" side and the previous capture the "baseline", so
+   * missing-in-baseline means added since the last capture and missing-in-main means removed.
+   * @param {Object} previous - Earlier capture
+   * @param {Object} current - New capture
+   * @param {Object} watch - Watch the captures belong to
+   * @returns {DiffResult} Differences (matches are not recorded)
+   */
+  static diffCaptures(previous, current, watch) {
+    const diff = new DiffResult(DRIFT_WATCH_REPORT_KEY, {
+      title: `Drift Watch: ${watch.displayName || watch.schoolId}`,
+      mainSchool: watch.schoolId,
+      baselineSchool: watch.schoolId,
+      mainEnv: watch.environment,
+      baselineEnv: watch.environment,
+      generatedAt: current.capturedAt
+    });
+
+    Object.keys(DRIFT_WATCH_SECTIONS).forEach(section => {
+      const before = previous.sections?.[section];
+      const after = current.sections?.[section];
+      if (before === undefined || after === undefined) return;
+
+      // Merge settings and field exceptions are keyed by entity; the rest are flat configuration
+      const byEntity = section === 'mergeSettings' || section === 'fieldExceptions';
+      const entities = byEntity
+        ? Array.from(new Set([...Object.keys(before || {}), ...Object.keys(after || {})]))
+        : [''];
+
+      // Configured exceptions are part of the Field Exceptions section, so merge settings skip them
+      const sectionValue = (value, entity) => {
+        if (!byEntity) return value;
+        const entityValue = value?.[entity];
+        if (section !== 'mergeSettings' || !entityValue || typeof entityValue !== 'object') return entityValue;
+        const { fieldExceptions, ...rest } = entityValue;
+        return rest;
+      };
+
+      entities.forEach(entity => {
+        const beforeLeaves = DriftWatcher.flatten(sectionValue(before, entity));
+        const afterLeaves = DriftWatcher.flatten(sectionValue(after, entity));
+        const paths = new Set([...Object.keys(beforeLeaves), ...Object.keys(afterLeaves)]);
+        paths.forEach(fieldPath => {
+          const inAfter = Object.prototype.hasOwnProperty.call(afterLeaves, fieldPath);
+          const inBefore = Object.prototype.hasOwnProperty.call(beforeLeaves, fieldPath);
+          const isEqual = JSON.stringify(afterLeaves[fieldPath]) === JSON.stringify(beforeLeaves[fieldPath]);
+          const category = DiffResult.categorize(inAfter, inBefore, isEqual);
+          if (category === DIFF_CATEGORIES.MATCH) return;
+          diff.add({
+            entity,
+            section,
+            fieldPath,
+            mainValue: inAfter ? afterLeaves[fieldPath] : null,
+            baselineValue: inBefore ? beforeLeaves[fieldPath] : null,
+            category,
+            details: { previousCapturedAt: previous.capturedAt || null }
+          });
+        });
+      });
+    });
+    return diff;
+  }
+
+  /**
+   * Flatten a value to dotted paths of its leaves
+   * Array items with an id (or name) are keyed by it so reordering is not reported as a change.
+   * @param {*} value - Value to flatten
+   * @param {string} [prefix] - Path of the value
+   * @param {Object} [out] - Accumulator
+   * @returns {Object} path -> leaf value
+   */
+  static flatten(value, prefix = '', out = {}) {
+    if (value === undefined) return out;
+    if (value === null || typeof value !== 'object') {
+      out[prefix || '(value)'] = value;
+      return out;
+    }
+
+    const entries = Array.isArray(value)
+      ? value.map((item, index) => [DriftWatcher.itemKey(item, index), item])
+      : Object.entries(value);
+    if (entries.length === 0) {
+      out[prefix || '(value)'] = value;
+      return out;
+    }
+    entries.forEach(([key, item]) => {
+      DriftWatcher.flatten(item, prefix ? `${prefix}.${key}` : String(key), out);
+    });
+    return out;
+  }
+
+  static itemKey(item, index) {
+    if (item && typeof item === 'object') {
+      const identity = item.id ?? item._id ?? item.name;
+      if (identity !== undefined && identity !== null && typeof identity !== 'object') {
+        return `[${identity}]`;
+      }
+    }
+    return `[${index}]`;
+  }
+
+  // --- Summaries ---
+
+  static countBySection(records) {
+    const counts = {};
+    records.forEach(record => {
+      counts[record.section] = (counts[record.section] || 0) + 1;
+    });
+    return counts;
+  }
+
+  static describeCaptureErrors(capture) {
+    const sections = Object.keys(capture.errors || {});
+    if (sections.length === 0) return null;
+    return sections.map(section => `${DRIFT_WATCH_SECTIONS[section] || section}: ${capture.errors[section]}`).join('; ');
+  }
+
+  /**
+   * Build the Chrome notification text for a drift result
+   * @param {Object} watch - Watch that changed
+   * @param {DiffResult} diff - Differences found
+   * @returns {Object} { title, message }
+   */
+  static formatNotification(watch, diff) {
+    const differences = diff.getDifferences();
+    const counts = DriftWatcher.countBySection(differences);
+    const sections = Object.entries(counts)
+      .map(([section, count]) => `${DRIFT_WATCH_SECTIONS[section] || section}: ${count}`)
+      .join(', ');
+
+    const verbs = {
+      [DIFF_CATEGORIES.MISSING_IN_BASELINE]: 'added',
+      [DIFF_CATEGORIES.MISSING_IN_MAIN]: 'removed',
+      [DIFF_CATEGORIES.VALUE_MISMATCH]: 'changed'
+    };
+    const examples = differences.slice(0, 3).map(record => {
+      const path = record.entity ? `${record.entity}.${record.fieldPath}` : record.fieldPath;
+      return `${verbs[record.category] || 'changed'} ${path}`;
+    });
+    const more = differences.length > examples.length ? ` (+${differences.length - examples.length} more)` : '';
+
+    return {
+      title: `Config drift: ${watch.displayName || watch.schoolId} (${watch.environment})`,
+      message: `${differences.length} change${differences.length === 1 ? '' : 's'} since the last capture — ${sections}\n${examples.join('\n')}${more}`
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DriftWatcher,
+    DRIFT_WATCH_ALARM,
+    DRIFT_WATCH_ALARM_PERIOD_MINUTES,
+    DRIFT_WATCH_INTERVALS,
+    DRIFT_WATCH_NOTIFICATION_PREFIX,
+    DRIFT_WATCH_SECTIONS
+  };
+}
+
+if (typeof window !== 'undefined') {
+  window.DriftWatcher = DriftWatcher;
+  window.DRIFT_WATCH_INTERVALS = DRIFT_WATCH_INTERVALS;
+  window.DRIFT_WATCH_SECTIONS = DRIFT_WATCH_SECTIONS;
+}
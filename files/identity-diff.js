@@ -0,0 +1,362 @@
+/**
+ * Identity Diff for Coursedog Extension
+ *
+ * Structural diff that matches array elements by identity instead of by index, so inserting one
+ * integration filter or template child does not shift every later element into a false difference.
+ *
+ * Array identity keys are plain data, like SEVERITY_RULES: the first rule whose `path` pattern
+ * matches the array's path (element identities stripped, e.g. 'integrationFilters.courses') supplies
+ * the keys. Each key is a property path ('id', 'key.path') or a list of paths forming a composite
+ * identity; the first key an element has a value for is used. Arrays of primitives are matched by value.
+ *
+ * Operations describe how the main school differs from the baseline:
+ *   insert - element or property only in main
+ *   delete - element or property only in baseline
+ *   modify - value differs (reported at the deepest differing path)
+ *   move   - element present in both but at a different position relative to the others
+ *            (reported separately; a moved element may have modify operations as well)
+ */
+
+const DIFF_OPERATIONS = {
+  INSERT: 'insert',
+  DELETE: 'delete',
+  MODIFY: 'modify',
+  MOVE: 'move',
+  MATCH: 'match' // Only emitted with { includeMatches: true }
+};
+
+const IDENTITY_KEY_RULES = [
+  {
+    id: 'integration-filters',
+    description: 'Integration filters per entity: filter type and filtered field path',
+    path: /(^|\.)integrationFilters\.[^.]+$/,
+    keys: [['filterType', 'filterValues.0.key.path'], 'id', '_id']
+  },
+  {
+    id: 'integration-filter-values',
+    description: 'Filter values of an integration filter: filtered field path',
+    path: /(^|\.)filterValues$/,
+    keys: ['key.path', 'key.label']
+  },
+  {
+    id: 'attribute-mappings',
+    description: 'Attribute mappings: primary type, field name and code (description and status are editable)',
+    path: /(^|\.)(attributeMappings|data)$/,
+    keys: [['primaryType', 'fieldName', 'code'], 'id', '_id']
+  },
+  {
+    id: 'field-exceptions',
+    description: 'Merge settings field exception groups: conflict handling method',
+    path: /(^|\.)fieldExceptions$/,
+    keys: ['conflictHandlingMethod']
+  },
+  {
+    id: 'field-exception-fields',
+    description: 'Fields of a field exception group: field path',
+    path: /(^|\.)fieldExceptions\.fields$/,
+    keys: ['path']
+  },
+  {
+    id: 'template-children',
+    description: 'Template children and questions: question id',
+    path: /(^|\.)(children|questions)$/,
+    keys: ['id', 'questionId', 'path', '_id']
+  },
+  {
+    id: 'workflow-approvers',
+    description: 'Approval workflow step approvers: email or role (user IDs are school-specific)',
+    path: /(^|\.)approvers$/,
+    keys: ['email', 'role', 'roleName', 'name', 'id', '_id']
+  },
+  {
+    id: 'default',
+    description: 'Any other array of objects',
+    path: /.*/,
+    keys: ['id', '_id', 'questionId', 'code', 'path', 'name']
+  }
+];
+
+/**
+ * Get a nested property by dotted path
+ * @param {Object} obj - Source object
+ * @param {string} path - Dotted path ('key.path', 'filterValues.0.key')
+ * @returns {*} Value, or undefined
+ */
+function getIdentityValue(obj, path) {
+  return path.split('.').reduce((current, key) => (current == null ? undefined : current[key]), obj);
+}
+
+/**
+ * Get the identity keys for an array at a path
+ * @param {string} path - Array path with element identities stripped
+ * @param {Array<Object>} [rules] - Rules to evaluate (defaults to IDENTITY_KEY_RULES)
+ * @returns {Array<string|Array<string>>} Identity keys
+ */
+function getIdentityKeys(path, rules = IDENTITY_KEY_RULES) {
+  const rule = rules.find(r => r.path.test(path || ''));
+  return rule ? rule.keys : [];
+}
+
+/**
+ * Resolve an element's identity
+ * Composite keys join the parts the element has with '|' (missing parts are left out, so a filter
+ * without a field path is 'status' rather than '|status').
+ * @param {*} item - Array element
+ * @param {Array<string|Array<string>>} keys - Identity keys
+ * @returns {string|null} Identity, or null when the element has none of the keys (matched by content and labelled by index)
+ */
+function getElementIdentity(item, keys) {
+  if (item === null || typeof item !== 'object') {
+    return JSON.stringify(item);
+  }
+  const format = (value) => Array.isArray(value) ? value.join('.') : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+  for (const key of keys) {
+    const paths = Array.isArray(key) ? key : [key];
+    const values = paths.map(path => getIdentityValue(item, path))
+      .filter(value => value !== undefined && value !== null && value !== '');
+    if (values.length === 0) continue;
+    return values.map(format).join('|');
+  }
+  return null;
+}
+
+/**
+ * Stable JSON (sorted object keys) used to match identity-less elements by content
+ * @param {*} value - Value
+ * @returns {string} JSON
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Similarity of two identity-less elements: shared property names, plus one per equal property value
+ * (0 when they have nothing in common, so unrelated elements are reported as insert + delete)
+ * @param {*} a - Main element
+ * @param {*} b - Baseline element
+ * @returns {number} Score
+ */
+function similarity(a, b) {
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object' || Array.isArray(a) !== Array.isArray(b)) return 0;
+  return Object.keys(a).reduce((score, key) => {
+    if (!(key in b)) return score;
+    return score + 1 + (stableStringify(a[key]) === stableStringify(b[key]) ? 1 : 0);
+  }, 0);
+}
+
+/**
+ * Match the elements of two arrays
+ * Elements are matched by identity; elements without one are matched by identical content first,
+ * then paired with the most similar remaining element (see similarity()). Duplicate identities are told apart by occurrence (id, id#2, ...).
+ * @param {Array} mainArray - Main school array
+ * @param {Array} baselineArray - Baseline school array
+ * @param {Array<string|Array<string>>} keys - Identity keys
+ * @returns {Object} { pairs: [{ label, mainIndex, baselineIndex, moved }], inserted: [{ label, mainIndex }], deleted: [{ label, baselineIndex }] }
+ */
+function matchArrayElements(mainArray, baselineArray, keys) {
+  const index = (array) => {
+    const seen = {};
+    return array.map((item, position) => {
+      const identity = getElementIdentity(item, keys);
+      if (identity === null) return { identity: null, position, item };
+      seen[identity] = (seen[identity] || 0) + 1;
+      return { identity: seen[identity] > 1 ? `${identity}#${seen[identity]}` : identity, position, item };
+    });
+  };
+  const mainItems = index(mainArray);
+  const baselineItems = index(baselineArray);
+
+  const pairs = [];
+  const baselineByIdentity = new Map(baselineItems.filter(b => b.identity !== null).map(b => [b.identity, b]));
+  const matchedBaseline = new Set();
+  const unmatchedMain = [];
+
+  mainItems.forEach(m => {
+    const b = m.identity !== null ? baselineByIdentity.get(m.identity) : null;
+    if (b) {
+      pairs.push({ label: m.identity, mainIndex: m.position, baselineIndex: b.position });
+      matchedBaseline.add(b.position);
+    } else {
+      unmatchedMain.push(m);
+    }
+  });
+
+  // Identity-less elements: identical content first, then the most similar remaining element
+  const anonymousBaseline = baselineItems.filter(b => b.identity === null && !matchedBaseline.has(b.position));
+  const anonymousMain = unmatchedMain.filter(m => m.identity === null);
+  const remainingMain = [];
+  anonymousMain.forEach(m => {
+    const content = stableStringify(m.item);
+    const b = anonymousBaseline.find(candidate => !matchedBaseline.has(candidate.position) && stableStringify(candidate.item) === content);
+    if (b) {
+      pairs.push({ label: String(m.position), mainIndex: m.position, baselineIndex: b.position });
+      matchedBaseline.add(b.position);
+    } else {
+      remainingMain.push(m);
+    }
+  });
+  remainingMain.forEach(m => {
+    let best = null;
+    let bestScore = 0;
+    anonymousBaseline.forEach(candidate => {
+      if (matchedBaseline.has(candidate.position)) return;
+      const score = similarity(m.item, candidate.item);
+      if (score > bestScore) {
+        best = candidate;
+        bestScore = score;
+      }
+    });
+    if (best) {
+      pairs.push({ label: String(m.position), mainIndex: m.position, baselineIndex: best.position });
+      matchedBaseline.add(best.position);
+    }
+  });
+
+  // Moves: matched elements outside the longest run that kept its relative order
+  pairs.sort((a, b) => a.mainIndex - b.mainIndex);
+  const stable = longestIncreasingSubsequence(pairs.map(pair => pair.baselineIndex));
+  pairs.forEach((pair, i) => { pair.moved = !stable.has(i); });
+
+  return {
+    pairs,
+    inserted: mainItems
+      .filter(m => !pairs.some(pair => pair.mainIndex === m.position))
+      .map(m => ({ label: m.identity !== null ? m.identity : String(m.position), mainIndex: m.position })),
+    deleted: baselineItems
+      .filter(b => !matchedBaseline.has(b.position))
+      .map(b => ({ label: b.identity !== null ? b.identity : String(b.position), baselineIndex: b.position }))
+  };
+}
+
+/**
+ * Indexes (into `values`) of one longest strictly increasing subsequence
+ * @param {Array<number>} values - Values
+ * @returns {Set<number>} Indexes in the subsequence
+ */
+function longestIncreasingSubsequence(values) {
+  const tails = [];
+  const previous = new Array(values.length).fill(-1);
+  values.forEach((value, i) => {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (values[tails[mid]] < value) low = mid + 1; else high = mid;
+    }
+    if (low > 0) previous[i] = tails[low - 1];
+    tails[low] = i;
+  });
+  const result = new Set();
+  for (let i = tails.length ? tails[tails.length - 1] : -1; i !== -1; i = previous[i]) {
+    result.add(i);
+  }
+  return result;
+}
+
+/**
+ * Diff two values, matching array elements by identity
+ * @param {*} mainValue - Main school value
+ * @param {*} baselineValue - Baseline school value
+ * @param {Object} [options] - Options
+ * @param {string} [options.path=''] - Path of the values, also used to pick identity rules
+ *   (e.g. 'integrationFilters.courses'; element identities appear as [identity])
+ * @param {Array<Object>} [options.rules] - Identity key rules (defaults to IDENTITY_KEY_RULES)
+ * @param {boolean} [options.includeMatches=false] - Also emit MATCH operations for equal primitives
+ * @returns {Array<Object>} Operations: { op, path, mainValue, baselineValue, mainIndex?, baselineIndex? }
+ */
+function identityDiff(mainValue, baselineValue, options = {}) {
+  const operations = [];
+  const path = options.path || '';
+  const rulePath = path.replace(/\[[^\]]*\]/g, '');
+  walkIdentityDiff(mainValue, baselineValue, path, rulePath, options.rules || IDENTITY_KEY_RULES, !!options.includeMatches, operations);
+  return operations;
+}
+
+function walkIdentityDiff(mainValue, baselineValue, path, rulePath, rules, includeMatches, operations) {
+  const mainIsObject = mainValue !== null && typeof mainValue === 'object';
+  const baselineIsObject = baselineValue !== null && typeof baselineValue === 'object';
+
+  if (!mainIsObject || !baselineIsObject || Array.isArray(mainValue) !== Array.isArray(baselineValue)) {
+    if (mainValue !== baselineValue && stableStringify(mainValue) !== stableStringify(baselineValue)) {
+      operations.push({ op: DIFF_OPERATIONS.MODIFY, path: path || 'root', mainValue, baselineValue });
+    } else if (includeMatches) {
+      operations.push({ op: DIFF_OPERATIONS.MATCH, path: path || 'root', mainValue, baselineValue });
+    }
+    return;
+  }
+
+  if (Array.isArray(mainValue)) {
+    const { pairs, inserted, deleted } = matchArrayElements(mainValue, baselineValue, getIdentityKeys(rulePath, rules));
+    const elementPath = (label) => `${path}[${label}]`;
+
+    deleted.forEach(({ label, baselineIndex }) => {
+      operations.push({ op: DIFF_OPERATIONS.DELETE, path: elementPath(label), mainValue: undefined, baselineValue: baselineValue[baselineIndex], baselineIndex });
+    });
+    inserted.forEach(({ label, mainIndex }) => {
+      operations.push({ op: DIFF_OPERATIONS.INSERT, path: elementPath(label), mainValue: mainValue[mainIndex], baselineValue: undefined, mainIndex });
+    });
+    pairs.forEach(({ label, mainIndex, baselineIndex, moved }) => {
+      if (moved) {
+        operations.push({ op: DIFF_OPERATIONS.MOVE, path: elementPath(label), mainValue: mainValue[mainIndex], baselineValue: baselineValue[baselineIndex], mainIndex, baselineIndex });
+      }
+      walkIdentityDiff(mainValue[mainIndex], baselineValue[baselineIndex], elementPath(label), rulePath, rules, includeMatches, operations);
+    });
+    return;
+  }
+
+  const keys = new Set([...Object.keys(mainValue), ...Object.keys(baselineValue)]);
+  keys.forEach(key => {
+    const childPath = path ? `${path}.${key}` : key;
+    const childRulePath = rulePath ? `${rulePath}.${key}` : key;
+    const inMain = mainValue[key] !== undefined;
+    const inBaseline = baselineValue[key] !== undefined;
+    if (inMain && !inBaseline) {
+      operations.push({ op: DIFF_OPERATIONS.INSERT, path: childPath, mainValue: mainValue[key], baselineValue: undefined });
+    } else if (!inMain && inBaseline) {
+      operations.push({ op: DIFF_OPERATIONS.DELETE, path: childPath, mainValue: undefined, baselineValue: baselineValue[key] });
+    } else if (inMain && inBaseline) {
+      walkIdentityDiff(mainValue[key], baselineValue[key], childPath, childRulePath, rules, includeMatches, operations);
+    }
+  });
+}
+
+/**
+ * Count operations by type
+ * @param {Array<Object>} operations - Output of identityDiff()
+ * @returns {Object} { insert, delete, modify, move }
+ */
+function summarizeOperations(operations) {
+  const counts = { insert: 0, delete: 0, modify: 0, move: 0 };
+  operations.forEach(({ op }) => {
+    if (counts[op] !== undefined) counts[op]++;
+  });
+  return counts;
+}
+
+/**
+ * Check whether operations contain anything besides moves (and matches)
+ * @param {Array<Object>} operations - Output of identityDiff()
+ * @returns {boolean} True when an element or value was inserted, deleted or modified
+ */
+function hasContentChanges(operations) {
+  return operations.some(({ op }) => op === DIFF_OPERATIONS.INSERT || op === DIFF_OPERATIONS.DELETE || op === DIFF_OPERATIONS.MODIFY);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DIFF_OPERATIONS,
+    IDENTITY_KEY_RULES,
+    getIdentityKeys,
+    getElementIdentity,
+    stableStringify,
+    matchArrayElements,
+    identityDiff,
+    summarizeOperations,
+    hasContentChanges
+  };
+}
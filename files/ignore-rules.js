@@ -0,0 +1,185 @@
+/**
+ * Ignore Rules for Coursedog Extension
+ *
+ * Known benign differences (identifiers, timestamps, sync metadata, school-specific codes) that are
+ * expected for every school pair. Every report records its differences through DiffResult.add(), which
+ * checks each difference against these rules:
+ *   suppress  - The record is kept in the diff result but left out of report tables, counts, the
+ *               Executive Summary and the remediation plan; every report lists what was suppressed
+ *   downgrade - The record stays visible with severity 'info'
+ *
+ * Rules are plain data, like SEVERITY_RULES; the first matching rule wins. The popup lets users edit
+ * the rule list (saved in chrome.storage.local); the CLI takes --ignore-rules.
+ *
+ * Rule fields:
+ *   id          - Stable identifier (shown next to suppressed items)
+ *   description - Why the difference is benign
+ *   action      - 'suppress' | 'downgrade'
+ *   match       - At least one of:
+ *     path      - Glob(s) for the field: matched against fieldPath, property and fieldPath.property
+ *                 ('*' stays within one dot-separated segment, '**' spans segments). Records with
+ *                 identity diff operations (details.operations) are also matched per operation path:
+ *                 suppressed operations are dropped, and the record is suppressed once no
+ *                 insert/delete/modify operation is left
+ *     entity    - Entity / template type(s)
+ *     section   - Report section(s) (e.g. 'properties', 'stepsToExecute')
+ *     reportKey - Report key(s)
+ *     value     - Pattern every present value must match ('/regex/' or exact string)
+ */
+
+const IGNORE_RULES_STORAGE_KEY = 'ignoreRules';
+
+const IGNORE_RULE_ACTIONS = ['suppress', 'downgrade'];
+
+const IGNORE_RULE_MATCH_FIELDS = ['path', 'entity', 'section', 'reportKey', 'value'];
+
+// Fields Coursedog always owns on every entity type (GENERAL_FIELD_EXCEPTIONS in global-field-exceptions.js)
+const IGNORE_RULE_EXCEPTION_FIELDS = typeof GENERAL_FIELD_EXCEPTIONS !== 'undefined' ? Object.keys(GENERAL_FIELD_EXCEPTIONS) : [];
+
+const DEFAULT_IGNORE_RULES = [
+  {
+    id: 'global-field-exception-fields',
+    description: 'Sync metadata, versions and audit fields Coursedog always owns (general global field exceptions)',
+    action: 'suppress',
+    match: { path: IGNORE_RULE_EXCEPTION_FIELDS.flatMap(field => [field, `**.${field}`]) }
+  },
+  {
+    id: 'sync-timestamps',
+    description: 'lastSynced*/updatedAt-type fields change on every sync',
+    action: 'suppress',
+    match: { path: ['lastSynced*', '**.lastSynced*', 'updatedAt', '**.updatedAt', 'lastUpdated*', '**.lastUpdated*'] }
+  },
+  {
+    id: 'database-ids',
+    description: 'Database identifiers are generated per school',
+    action: 'suppress',
+    match: { path: ['_id', '**._id'] }
+  },
+  {
+    id: 'timestamp-values',
+    description: 'Both values are timestamps (dates of edits and captures differ between schools)',
+    action: 'downgrade',
+    match: { value: '/^\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}/' }
+  }
+];
+
+const ignoreGlobCache = new Map();
+
+function ignoreGlobToRegExp(glob) {
+  if (!ignoreGlobCache.has(glob)) {
+    const pattern = glob
+      .split('**')
+      .map(part => part.split('*').map(text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^.]*'))
+      .join('.*');
+    ignoreGlobCache.set(glob, new RegExp(`^${pattern}$`));
+  }
+  return ignoreGlobCache.get(glob);
+}
+
+function toIgnoreList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+function matchesIgnoreValue(value, pattern) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  if (typeof pattern === 'string' && pattern.length > 2 && pattern.startsWith('/') && pattern.endsWith('/')) {
+    return new RegExp(pattern.slice(1, -1)).test(text);
+  }
+  return text === String(pattern);
+}
+
+/**
+ * Check a diff record against one rule
+ * @param {Object} record - Diff record
+ * @param {Object} rule - Ignore rule
+ * @returns {boolean} True when every match field matches
+ */
+function matchesIgnoreRule(record, rule) {
+  const match = rule.match || {};
+  if (match.entity !== undefined && !toIgnoreList(match.entity).includes(record.entity)) return false;
+  if (match.section !== undefined && !toIgnoreList(match.section).includes(record.section)) return false;
+  if (match.reportKey !== undefined && !toIgnoreList(match.reportKey).includes(record.reportKey)) return false;
+  if (match.path !== undefined) {
+    const paths = [record.fieldPath, record.property, record.fieldPath && record.property ? `${record.fieldPath}.${record.property}` : '']
+      .filter(Boolean);
+    if (!toIgnoreList(match.path).some(glob => paths.some(path => ignoreGlobToRegExp(glob).test(path)))) return false;
+  }
+  if (match.value !== undefined) {
+    const values = [record.mainValue, record.baselineValue].filter(value => value !== null && value !== undefined);
+    if (values.length === 0 || !values.every(value => toIgnoreList(match.value).some(pattern => matchesIgnoreValue(value, pattern)))) return false;
+  }
+  return true;
+}
+
+/**
+ * Find the first ignore rule matching a diff record
+ * @param {Object} record - Diff record
+ * @param {Array<Object>} [rules] - Rules to evaluate (defaults to DEFAULT_IGNORE_RULES)
+ * @returns {Object|null} Matching rule
+ */
+function findIgnoreRule(record, rules = DEFAULT_IGNORE_RULES) {
+  return rules.find(rule => matchesIgnoreRule(record, rule)) || null;
+}
+
+/**
+ * Validate a (saved or user-edited) rule list
+ * @param {Array<Object>} rules - Rules to validate
+ * @returns {Array<Object>} The rules, each with a description and action filled in
+ * @throws {Error} When a rule is malformed (message names the rule)
+ */
+function validateIgnoreRules(rules) {
+  if (!Array.isArray(rules)) {
+    throw new Error('Ignore rules must be a JSON array');
+  }
+  const ids = new Set();
+  return rules.map((rule, index) => {
+    const label = rule && rule.id ? `"${rule.id}"` : `#${index + 1}`;
+    if (!rule || typeof rule !== 'object' || !rule.id) throw new Error(`Ignore rule ${label} needs an id`);
+    if (ids.has(rule.id)) throw new Error(`Ignore rule ${label} is defined twice`);
+    ids.add(rule.id);
+    const action = rule.action || 'suppress';
+    if (!IGNORE_RULE_ACTIONS.includes(action)) throw new Error(`Ignore rule ${label} has unknown action "${action}"`);
+    const match = rule.match || {};
+    const fields = Object.keys(match);
+    const unknown = fields.filter(field => !IGNORE_RULE_MATCH_FIELDS.includes(field));
+    if (unknown.length > 0) throw new Error(`Ignore rule ${label} has unknown match field(s): ${unknown.join(', ')}`);
+    if (fields.length === 0) throw new Error(`Ignore rule ${label} must match at least one of: ${IGNORE_RULE_MATCH_FIELDS.join(', ')}`);
+    toIgnoreList(match.value || []).forEach(pattern => {
+      if (typeof pattern === 'string' && pattern.length > 2 && pattern.startsWith('/') && pattern.endsWith('/')) {
+        try {
+          new RegExp(pattern.slice(1, -1));
+        } catch (error) {
+          throw new Error(`Ignore rule ${label} has an invalid value pattern: ${error.message}`);
+        }
+      }
+    });
+    return { id: String(rule.id), description: rule.description || '', action, match };
+  });
+}
+
+/**
+ * Rules to use for a run: saved rules when valid, the defaults otherwise
+ * @param {Array<Object>|null} [saved] - Saved rules (null/undefined for the defaults)
+ * @returns {Array<Object>} Rules
+ */
+function resolveIgnoreRules(saved) {
+  if (!saved) return DEFAULT_IGNORE_RULES;
+  try {
+    return validateIgnoreRules(saved);
+  } catch (error) {
+    console.warn('Invalid saved ignore rules, using defaults:', error.message);
+    return DEFAULT_IGNORE_RULES;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    IGNORE_RULES_STORAGE_KEY,
+    DEFAULT_IGNORE_RULES,
+    findIgnoreRule,
+    matchesIgnoreRule,
+    validateIgnoreRules,
+    resolveIgnoreRules
+  };
+}
@@ -44,8 +44,40 @@ async function getPayload(job) {
   return data[payloadKey] || null;
 }
 
+/**
+ * Job store of the Notion plan executor. Offscreen documents have no chrome.storage, so jobs are read
+ * and checkpointed through the background (job:get, job:checkpoint) and the plan is kept with
+ * storage:get/storage:set under uploadPlanKey(jobId).
+ * @returns {Object} { getJob, checkpoint, getPlan, savePlan, removePlan }
+ */
+function createUploadJobStore() {
+  const send = (message) => new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (!response || !response.ok) reject(new Error(response?.error || `${message.type} failed`));
+      else resolve(response);
+    });
+  });
+  return {
+    async getJob(jobId) {
+      return (await send({ type: 'job:get', jobId })).job;
+    },
+    async checkpoint(jobId, checkpoint) {
+      await send({ type: 'job:checkpoint', jobId, checkpoint });
+    },
+    async getPlan(jobId) {
+      return (await send({ type: 'storage:get', area: 'local', key: uploadPlanKey(jobId) })).value || null;
+    },
+    async savePlan(jobId, plan) {
+      await send({ type: 'storage:set', area: 'local', key: uploadPlanKey(jobId), value: plan });
+    },
+    async removePlan(jobId) {
+      await send({ type: 'storage:remove', area: 'local', key: uploadPlanKey(jobId) });
+    }
+  };
+}
+
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { readJobs, writeJobs, upsertJob, getJob, setPayload, getPayload };
+  module.exports = { readJobs, writeJobs, upsertJob, getJob, setPayload, getPayload, createUploadJobStore };
 }
 
 
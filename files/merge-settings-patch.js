@@ -0,0 +1,352 @@
+/**
+ * SIS compare tool + Env capture - Merge Settings Patch
+ * Builds a JSON patch, in the shape GET /integration/mergeSettings returns ({ <entity>: settings }),
+ * that brings the main school's merge settings in line with the baseline for the selected entities
+ * and fields: the default conflictHandlingMethod, stepsToExecute toggles and fieldExceptions.
+ * Only selected changes are applied; everything else in a patched entity is kept as the main school has it
+ * (an entity the main school lacks starts from the baseline's settings without the compared parts).
+ * A line diff of each patched entity (main vs patched) is produced as a preview.
+ */
+
+const MERGE_PATCH_CHANGE_KINDS = {
+  DEFAULT_METHOD: 'defaultMethod',
+  STEP: 'step',
+  FIELD_EXCEPTION: 'fieldException'
+};
+
+// Lines of unchanged context kept around each change in the preview diff
+const MERGE_PATCH_PREVIEW_CONTEXT = 3;
+
+class MergeSettingsPatchBuilder {
+  /**
+   * @param {Object} mainSettings - Main school mergeSettings (the school being changed)
+   * @param {Object} baselineSettings - Baseline school mergeSettings (the reference)
+   */
+  constructor(mainSettings, baselineSettings) {
+    if (!mainSettings || mainSettings.error || !baselineSettings || baselineSettings.error) {
+      throw new Error('Merge settings data not available for both schools');
+    }
+    this.mainSettings = mainSettings;
+    this.baselineSettings = baselineSettings;
+  }
+
+  /**
+   * Change ID used for selections
+   * @param {string} entity - Entity type
+   * @param {string} kind - MERGE_PATCH_CHANGE_KINDS value
+   * @param {string} [key] - Step name or field path
+   * @returns {string} Change ID
+   */
+  static changeId(entity, kind, key = '') {
+    return kind === MERGE_PATCH_CHANGE_KINDS.DEFAULT_METHOD ? `${entity}:${kind}` : `${entity}:${kind}:${key}`;
+  }
+
+  /**
+   * Entity types present in either school's merge settings
+   * @returns {Array<string>} Sorted entity types
+   */
+  getEntities() {
+    const isEntity = ([, settings]) => settings && typeof settings === 'object' && !Array.isArray(settings);
+    const entities = new Set([
+      ...Object.entries(this.mainSettings).filter(isEntity).map(([entity]) => entity),
+      ...Object.entries(this.baselineSettings).filter(isEntity).map(([entity]) => entity)
+    ]);
+    return Array.from(entities).sort();
+  }
+
+  /**
+   * List every change that would make the main school match the baseline, grouped by entity
+   * @returns {Array<Object>} [{ entity, changes: [{ id, entity, kind, key, label, mainValue, baselineValue }] }]
+   *   (entities without differences are omitted)
+   */
+  getChangeOptions() {
+    return this.getEntities().map(entity => {
+      const main = this.mainSettings[entity] || {};
+      const baseline = this.baselineSettings[entity] || {};
+      const changes = [];
+
+      if (main.conflictHandlingMethod !== baseline.conflictHandlingMethod) {
+        changes.push(this.createChange(entity, MERGE_PATCH_CHANGE_KINDS.DEFAULT_METHOD, 'conflictHandlingMethod', '',
+          main.conflictHandlingMethod, baseline.conflictHandlingMethod));
+      }
+
+      const mainSteps = main.stepsToExecute || {};
+      const baselineSteps = baseline.stepsToExecute || {};
+      Array.from(new Set([...Object.keys(mainSteps), ...Object.keys(baselineSteps)])).sort().forEach(step => {
+        if (mainSteps[step] !== baselineSteps[step]) {
+          changes.push(this.createChange(entity, MERGE_PATCH_CHANGE_KINDS.STEP, step, '', mainSteps[step], baselineSteps[step]));
+        }
+      });
+
+      const mainFields = MergeSettingsPatchBuilder.indexFieldExceptions(main.fieldExceptions);
+      const baselineFields = MergeSettingsPatchBuilder.indexFieldExceptions(baseline.fieldExceptions);
+      Array.from(new Set([...mainFields.keys(), ...baselineFields.keys()])).sort().forEach(path => {
+        const mainField = MergeSettingsPatchBuilder.fieldExceptionValue(mainFields.get(path));
+        const baselineField = MergeSettingsPatchBuilder.fieldExceptionValue(baselineFields.get(path));
+        if (MergeSettingsPatchBuilder.stableJson(mainField) !== MergeSettingsPatchBuilder.stableJson(baselineField)) {
+          const label = baselineField?.label || mainField?.label || '';
+          changes.push(this.createChange(entity, MERGE_PATCH_CHANGE_KINDS.FIELD_EXCEPTION, path, label, mainField, baselineField));
+        }
+      });
+
+      return { entity, changes };
+    }).filter(group => group.changes.length > 0);
+  }
+
+  createChange(entity, kind, key, label, mainValue, baselineValue) {
+    return {
+      id: MergeSettingsPatchBuilder.changeId(entity, kind, key),
+      entity,
+      kind,
+      key,
+      label,
+      mainValue,
+      baselineValue
+    };
+  }
+
+  /**
+   * Map field path -> { method, field } for an entity's fieldExceptions groups
+   * @param {Array<Object>} fieldExceptions - [{ conflictHandlingMethod, fields: [{ path: [], label }] }]
+   * @returns {Map<string, Object>} Field exceptions keyed by dotted path
+   */
+  static indexFieldExceptions(fieldExceptions) {
+    const index = new Map();
+    (fieldExceptions || []).forEach(group => {
+      (group.fields || []).forEach(field => {
+        index.set((field.path || []).join('.'), { method: group.conflictHandlingMethod, field, group });
+      });
+    });
+    return index;
+  }
+
+  /**
+   * Compared value of a field exception: its group's conflictHandlingMethod plus every field setting but the path
+   * @param {Object} [entry] - indexFieldExceptions() entry
+   * @returns {Object|undefined} Field exception value, undefined when the field has no exception
+   */
+  static fieldExceptionValue(entry) {
+    if (!entry) return undefined;
+    const { path, ...field } = entry.field;
+    return { conflictHandlingMethod: entry.method, ...field };
+  }
+
+  /**
+   * Build the patch for the selected changes
+   * @param {Array<string>|Set<string>} [selectedIds] - Change IDs to apply (defaults to every change)
+   * @returns {Object} { patch: { <entity>: mergeSettings }, changes: Array<Object>, preview: string }
+   */
+  buildPatch(selectedIds) {
+    const allChanges = this.getChangeOptions().flatMap(group => group.changes);
+    const selected = selectedIds ? new Set(selectedIds) : null;
+    const changes = selected ? allChanges.filter(change => selected.has(change.id)) : allChanges;
+
+    const patch = {};
+    changes.forEach(change => {
+      if (!patch[change.entity]) {
+        patch[change.entity] = this.createPatchBase(change.entity);
+      }
+      this.applyChange(patch[change.entity], change);
+    });
+
+    return {
+      patch,
+      changes,
+      preview: this.formatPreview(patch, changes)
+    };
+  }
+
+  /**
+   * Starting point of a patched entity: the main school's settings, or for an entity only the baseline has,
+   * the baseline's settings (type, enabled, ...) without the compared parts, which only selected changes add
+   * @param {string} entity - Entity type
+   * @returns {Object} Entity merge settings to apply changes to
+   */
+  createPatchBase(entity) {
+    if (this.mainSettings[entity]) {
+      return MergeSettingsPatchBuilder.clone(this.mainSettings[entity]);
+    }
+    const { conflictHandlingMethod, stepsToExecute, fieldExceptions, ...settings } = this.baselineSettings[entity] || {};
+    return MergeSettingsPatchBuilder.clone(settings);
+  }
+
+  /**
+   * Apply one change to a (cloned) entity's merge settings
+   * @param {Object} settings - Entity merge settings (modified in place)
+   * @param {Object} change - Change from getChangeOptions()
+   */
+  applyChange(settings, change) {
+    const baseline = this.baselineSettings[change.entity] || {};
+
+    switch (change.kind) {
+      case MERGE_PATCH_CHANGE_KINDS.DEFAULT_METHOD:
+        if (baseline.conflictHandlingMethod === undefined) {
+          delete settings.conflictHandlingMethod;
+        } else {
+          settings.conflictHandlingMethod = baseline.conflictHandlingMethod;
+        }
+        break;
+
+      case MERGE_PATCH_CHANGE_KINDS.STEP: {
+        const baselineSteps = baseline.stepsToExecute || {};
+        settings.stepsToExecute = settings.stepsToExecute || {};
+        if (baselineSteps[change.key] === undefined) {
+          delete settings.stepsToExecute[change.key];
+        } else {
+          settings.stepsToExecute[change.key] = baselineSteps[change.key];
+        }
+        break;
+      }
+
+      case MERGE_PATCH_CHANGE_KINDS.FIELD_EXCEPTION: {
+        settings.fieldExceptions = settings.fieldExceptions || [];
+        // Take the field out of whichever group holds it now
+        settings.fieldExceptions.forEach(group => {
+          group.fields = (group.fields || []).filter(field => (field.path || []).join('.') !== change.key);
+        });
+
+        const baselineEntry = MergeSettingsPatchBuilder.indexFieldExceptions(baseline.fieldExceptions).get(change.key);
+        if (baselineEntry) {
+          let group = settings.fieldExceptions.find(g => g.conflictHandlingMethod === baselineEntry.method);
+          if (!group) {
+            const { fields, ...groupSettings } = baselineEntry.group;
+            group = { ...MergeSettingsPatchBuilder.clone(groupSettings), fields: [] };
+            settings.fieldExceptions.push(group);
+          }
+          group.fields.push(MergeSettingsPatchBuilder.clone(baselineEntry.field));
+        }
+
+        settings.fieldExceptions = settings.fieldExceptions.filter(group => group.fields.length > 0);
+        break;
+      }
+
+      default:
+        throw new Error(`Unknown merge settings change kind: ${change.kind}`);
+    }
+  }
+
+  /**
+   * Render the preview: a change summary followed by a line diff of every patched entity
+   * @param {Object} patch - Patched entities
+   * @param {Array<Object>} changes - Applied changes
+   * @returns {string} Preview text (unified diff style)
+   */
+  formatPreview(patch, changes) {
+    if (changes.length === 0) {
+      return 'No changes selected.\n';
+    }
+
+    let preview = `${changes.length} change(s) in ${Object.keys(patch).length} entit${Object.keys(patch).length === 1 ? 'y' : 'ies'}\n`;
+    changes.forEach(change => {
+      preview += `  ${MergeSettingsPatchBuilder.describeChange(change)}\n`;
+    });
+
+    Object.keys(patch).forEach(entity => {
+      const before = JSON.stringify({ [entity]: this.mainSettings[entity] || {} }, null, 2).split('\n');
+      const after = JSON.stringify({ [entity]: patch[entity] }, null, 2).split('\n');
+      preview += `\n--- main/mergeSettings.${entity}\n+++ patched/mergeSettings.${entity}\n`;
+      preview += MergeSettingsPatchBuilder.diffLines(before, after);
+    });
+    return preview;
+  }
+
+  /**
+   * One-line description of a change
+   * @param {Object} change - Change from getChangeOptions()
+   * @returns {string} Description
+   */
+  static describeChange(change) {
+    const format = (value) => value === undefined ? '(not set)' : JSON.stringify(value);
+    const target = {
+      [MERGE_PATCH_CHANGE_KINDS.DEFAULT_METHOD]: 'conflictHandlingMethod',
+      [MERGE_PATCH_CHANGE_KINDS.STEP]: `stepsToExecute.${change.key}`,
+      [MERGE_PATCH_CHANGE_KINDS.FIELD_EXCEPTION]: `fieldExceptions[${change.key}]`
+    }[change.kind];
+    return `${change.entity}.${target}: ${format(change.mainValue)} → ${format(change.baselineValue)}`;
+  }
+
+  /**
+   * Unified line diff (LCS based) with MERGE_PATCH_PREVIEW_CONTEXT lines of context per hunk
+   * @param {Array<string>} before - Original lines
+   * @param {Array<string>} after - New lines
+   * @returns {string} Diff hunks
+   */
+  static diffLines(before, after) {
+    // LCS table (entity settings are a few hundred lines at most)
+    const lcs = Array.from({ length: before.length + 1 }, () => new Array(after.length + 1).fill(0));
+    for (let i = before.length - 1; i >= 0; i--) {
+      for (let j = after.length - 1; j >= 0; j--) {
+        lcs[i][j] = before[i] === after[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    while (i < before.length || j < after.length) {
+      if (i < before.length && j < after.length && before[i] === after[j]) {
+        ops.push({ type: ' ', line: before[i], oldLine: i + 1, newLine: j + 1 });
+        i++;
+        j++;
+      } else if (i < before.length && (j >= after.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+        ops.push({ type: '-', line: before[i], oldLine: i + 1, newLine: j });
+        i++;
+      } else {
+        ops.push({ type: '+', line: after[j], oldLine: i, newLine: j + 1 });
+        j++;
+      }
+    }
+
+    // Group changed lines into hunks with surrounding context
+    const hunks = [];
+    ops.forEach((op, index) => {
+      if (op.type === ' ') return;
+      const start = Math.max(0, index - MERGE_PATCH_PREVIEW_CONTEXT);
+      const end = Math.min(ops.length, index + MERGE_PATCH_PREVIEW_CONTEXT + 1);
+      const last = hunks[hunks.length - 1];
+      if (last && start <= last.end) {
+        last.end = Math.max(last.end, end);
+      } else {
+        hunks.push({ start, end });
+      }
+    });
+
+    return hunks.map(({ start, end }) => {
+      const lines = ops.slice(start, end);
+      const oldStart = lines.find(op => op.type !== '+')?.oldLine || lines[0].oldLine;
+      const newStart = lines.find(op => op.type !== '-')?.newLine || lines[0].newLine;
+      const oldCount = lines.filter(op => op.type !== '+').length;
+      const newCount = lines.filter(op => op.type !== '-').length;
+      return `@@ -${oldStart},${oldCount} +${newStart},${newCount} @@\n` +
+        lines.map(op => `${op.type}${op.line}`).join('\n') + '\n';
+    }).join('');
+  }
+
+  static clone(value) {
+    return JSON.parse(JSON.stringify(value));
+  }
+
+  /**
+   * JSON with sorted object keys, so values compare equal regardless of key order
+   * @param {*} value - Value
+   * @returns {string|undefined} JSON (undefined for undefined)
+   */
+  static stableJson(value) {
+    return JSON.stringify(value, (key, item) => (item && typeof item === 'object' && !Array.isArray(item)
+      ? Object.fromEntries(Object.keys(item).sort().map(name => [name, item[name]]))
+      : item));
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MergeSettingsPatchBuilder,
+    MERGE_PATCH_CHANGE_KINDS
+  };
+}
+
+if (typeof window !== 'undefined') {
+  window.MergeSettingsPatchBuilder = MergeSettingsPatchBuilder;
+  window.MERGE_PATCH_CHANGE_KINDS = MERGE_PATCH_CHANGE_KINDS;
+}
@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+/**
+ * SIS compare tool - Local mock Coursedog API server
+ * Serves recorded fixtures over HTTP so the extension can run against it with
+ * `coursedogTransport: { type: 'mockServer', baseUrl: 'http://localhost:4010' }` in credentials.js.
+ * localhost is an optional host permission: the popup asks for it when a report is generated.
+ *
+ * Usage:
+ *   node mock-coursedog-server.js [--port 4010] [--fixtures fixtures/coursedog-api.json]
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { FixtureTransport } = require('./api-transport.js');
+
+const DEFAULT_PORT = 4010;
+const DEFAULT_FIXTURES = path.join(__dirname, 'fixtures', 'coursedog-api.json');
+
+// The extension sends Authorization / X-Auth-Token / School-ID, so browsers preflight every request
+const CORS_HEADERS = {
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Accept, Authorization, Content-Type, School-ID, X-Auth-Token, X-Requested-With'
+};
+
+/**
+ * CORS headers for a request: the session request is sent with `credentials: 'include'`
+ * (api-transport.js), which browsers reject with a wildcard origin, so the request Origin is echoed
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Object} Response headers
+ */
+function corsHeaders(req) {
+  const origin = req.headers.origin;
+  if (!origin) return { ...CORS_HEADERS, 'Access-Control-Allow-Origin': '*' };
+  return { ...CORS_HEADERS, 'Access-Control-Allow-Origin': origin, 'Access-Control-Allow-Credentials': 'true', 'Vary': 'Origin' };
+}
+
+/**
+ * Create the mock server (not yet listening)
+ * @param {Object} options - Server options
+ * @param {Object} [options.fixtures] - Fixture file contents (defaults to the bundled set)
+ * @param {Function} [options.log] - Request logger
+ * @returns {http.Server} HTTP server
+ */
+function createMockServer(options = {}) {
+  const fixtures = options.fixtures || JSON.parse(fs.readFileSync(DEFAULT_FIXTURES, 'utf8'));
+  const transport = new FixtureTransport({ fixtures });
+  const log = options.log || (() => {});
+
+  return http.createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, corsHeaders(req));
+      res.end();
+      return;
+    }
+
+    try {
+      const response = await transport.request('', req.url, { method: req.method });
+      const body = await response.text();
+      log(`${req.method} ${req.url} → ${response.status}`);
+      res.writeHead(response.status, { ...corsHeaders(req), 'Content-Type': 'application/json' });
+      res.end(body);
+    } catch (error) {
+      log(`${req.method} ${req.url} → 500 (${error.message})`);
+      res.writeHead(500, { ...corsHeaders(req), 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: error.message }));
+    }
+  });
+}
+
+function parseArgs(argv) {
+  const options = { port: DEFAULT_PORT, fixturesPath: DEFAULT_FIXTURES };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--port') {
+      options.port = parseInt(argv[++i], 10);
+    } else if (argv[i] === '--fixtures') {
+      options.fixturesPath = argv[++i];
+    } else {
+      throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+  if (!Number.isInteger(options.port) || options.port <= 0) {
+    throw new Error('--port must be a positive integer');
+  }
+  return options;
+}
+
+if (require.main === module) {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    console.error('Usage: node mock-coursedog-server.js [--port 4010] [--fixtures <file>]');
+    process.exit(2);
+  }
+
+  const fixtures = JSON.parse(fs.readFileSync(options.fixturesPath, 'utf8'));
+  const server = createMockServer({ fixtures, log: (line) => console.log(line) });
+  server.listen(options.port, () => {
+    console.log(`Mock Coursedog API listening on http://localhost:${options.port} (${options.fixturesPath})`);
+  });
+}
+
+module.exports = { createMockServer };
@@ -0,0 +1,518 @@
+#!/usr/bin/env node
+/**
+ * SIS compare tool - Local fake Notion API server
+ * In-memory stand-in for the parts of the Notion API the uploader uses (pages, block children,
+ * databases, database pages and queries, file uploads), with Notion's error shapes for rate limiting
+ * (429) and request validation (400), so uploads can run end to end without a workspace. Point the
+ * extension at it with `notion: { baseUrl: 'http://localhost:4020/v1/' }` in credentials.js, or
+ * `new NotionClient(secret, null, { baseURL })` in scripts.
+ *
+ * Usage:
+ *   node mock-notion-server.js [--port 4020] [--rate-limit-every <n>] [--token <secret>] [--root-page-id <id>]
+ *
+ * The server starts with one top-level page (id printed at startup; --root-page-id or
+ * NOTION_MOCK_ROOT_PAGE_ID fix it) to use as the Notion top-level page ID.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+
+const DEFAULT_PORT = 4020;
+const RICH_TEXT_MAX_CONTENT = 2000;
+const RICH_TEXT_MAX_ITEMS = 100;
+const APPEND_CHILDREN_MAX = 100;
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Authorization, Content-Type, Notion-Version'
+};
+
+// Block types the uploader produces (plus the ones Notion creates for child pages and databases)
+const BLOCK_TYPES = [
+  'paragraph', 'heading_1', 'heading_2', 'heading_3', 'bulleted_list_item', 'numbered_list_item', 'to_do',
+  'toggle', 'quote', 'callout', 'code', 'divider', 'table', 'table_row', 'file', 'bookmark',
+  'child_page', 'child_database'
+];
+
+class NotionApiError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const validationError = (message) => new NotionApiError(400, 'validation_error', message);
+const notFound = (id) => new NotionApiError(404, 'object_not_found', `Could not find object with ID: ${id}.`);
+
+function pageUrl(id) {
+  return `https://www.notion.so/${id.replace(/-/g, '')}`;
+}
+
+function plainText(richText) {
+  return (richText || []).map(item => item?.text?.content || item?.plain_text || '').join('');
+}
+
+/**
+ * In-memory workspace: pages, databases, blocks and file uploads by id
+ */
+class FakeNotionWorkspace {
+  constructor() {
+    this.pages = new Map();
+    this.databases = new Map();
+    this.blocks = new Map();
+    this.children = new Map(); // parent id → child block ids
+    this.fileUploads = new Map();
+  }
+
+  now() {
+    return new Date().toISOString();
+  }
+
+  addChild(parentId, blockId) {
+    if (!this.children.has(parentId)) this.children.set(parentId, []);
+    this.children.get(parentId).push(blockId);
+  }
+
+  requireContainer(id) {
+    const container = this.pages.get(id) || this.blocks.get(id);
+    if (!container || container.archived) throw notFound(id);
+    return container;
+  }
+
+  validateRichText(richText, path) {
+    if (!Array.isArray(richText)) throw validationError(`body failed validation: ${path} should be an array, instead was \`${JSON.stringify(richText)}\`.`);
+    if (richText.length > RICH_TEXT_MAX_ITEMS) {
+      throw validationError(`body failed validation: ${path}.length should be ≤ \`${RICH_TEXT_MAX_ITEMS}\`, instead was \`${richText.length}\`.`);
+    }
+    richText.forEach((item, index) => {
+      const content = item?.text?.content;
+      if (typeof content !== 'string') throw validationError(`body failed validation: ${path}[${index}].text.content should be defined, instead was \`undefined\`.`);
+      if (content.length > RICH_TEXT_MAX_CONTENT) {
+        throw validationError(`body failed validation: ${path}[${index}].text.content.length should be ≤ \`${RICH_TEXT_MAX_CONTENT}\`, instead was \`${content.length}\`.`);
+      }
+    });
+  }
+
+  validateBlocks(blocks, path, parentTable = null) {
+    if (!Array.isArray(blocks)) throw validationError(`body failed validation: ${path} should be an array.`);
+    if (blocks.length > APPEND_CHILDREN_MAX) {
+      throw validationError(`body failed validation: ${path}.length should be ≤ \`${APPEND_CHILDREN_MAX}\`, instead was \`${blocks.length}\`.`);
+    }
+    blocks.forEach((block, index) => {
+      const blockPath = `${path}[${index}]`;
+      const type = block?.type;
+      if (!BLOCK_TYPES.includes(type) || !block[type] || typeof block[type] !== 'object') {
+        throw validationError(`body failed validation: ${blockPath}.${type || 'type'} should be defined, instead was \`undefined\`.`);
+      }
+      const value = block[type];
+      if (value.rich_text !== undefined) this.validateRichText(value.rich_text, `${blockPath}.${type}.rich_text`);
+      if (type === 'table_row') {
+        if (!Array.isArray(value.cells)) throw validationError(`body failed validation: ${blockPath}.table_row.cells should be an array.`);
+        if (parentTable && value.cells.length !== parentTable.table_width) {
+          throw validationError(`Number of cells in table row must match the table width of the parent table (${parentTable.table_width}).`);
+        }
+        value.cells.forEach((cell, cellIndex) => this.validateRichText(cell, `${blockPath}.table_row.cells[${cellIndex}]`));
+      }
+      if (type === 'file' && value.type === 'file_upload') {
+        const upload = this.fileUploads.get(value.file_upload?.id);
+        if (!upload || upload.status !== 'uploaded') throw validationError(`File upload ${value.file_upload?.id} is not in the uploaded state.`);
+      }
+      if (value.children !== undefined) this.validateBlocks(value.children, `${blockPath}.${type}.children`, type === 'table' ? value : null);
+    });
+  }
+
+  insertBlocks(parentId, blocks) {
+    return blocks.map(block => {
+      const id = crypto.randomUUID();
+      const { children, ...value } = block[block.type];
+      const stored = {
+        object: 'block',
+        id,
+        parent: this.pages.has(parentId) ? { type: 'page_id', page_id: parentId } : { type: 'block_id', block_id: parentId },
+        created_time: this.now(),
+        last_edited_time: this.now(),
+        type: block.type,
+        [block.type]: value,
+        has_children: Array.isArray(children) && children.length > 0,
+        archived: false,
+        in_trash: false
+      };
+      this.blocks.set(id, stored);
+      this.addChild(parentId, id);
+      if (stored.has_children) this.insertBlocks(id, children);
+      return stored;
+    });
+  }
+
+  listChildren(parentId, query) {
+    this.requireContainer(parentId);
+    const ids = (this.children.get(parentId) || []).filter(id => this.blocks.get(id) && !this.blocks.get(id).archived);
+    return this.paginate(ids.map(id => this.blocks.get(id)), query, 'block');
+  }
+
+  paginate(results, query, type) {
+    const pageSize = Math.min(parseInt(query.page_size, 10) || 100, 100);
+    const start = parseInt(query.start_cursor, 10) || 0;
+    const slice = results.slice(start, start + pageSize);
+    const hasMore = start + pageSize < results.length;
+    return { object: 'list', results: slice, next_cursor: hasMore ? String(start + pageSize) : null, has_more: hasMore, type, [type]: {} };
+  }
+
+  // Top-level page shared with the integration (the API cannot create workspace-level pages)
+  createRootPage(title = 'SIS Compare Reviews', id = crypto.randomUUID()) {
+    const now = this.now();
+    const page = {
+      object: 'page',
+      id,
+      created_time: now,
+      last_edited_time: now,
+      parent: { type: 'workspace', workspace: true },
+      properties: { title: { id: 'title', type: 'title', title: [{ type: 'text', text: { content: title }, plain_text: title }] } },
+      url: pageUrl(id),
+      archived: false,
+      in_trash: false
+    };
+    this.pages.set(id, page);
+    return page;
+  }
+
+  createPage(body) {
+    const parent = body.parent || {};
+    const now = this.now();
+    const page = { object: 'page', id: crypto.randomUUID(), created_time: now, last_edited_time: now, archived: false, in_trash: false };
+
+    if (parent.database_id) {
+      const database = this.databases.get(parent.database_id);
+      if (!database || database.archived) throw notFound(parent.database_id);
+      page.parent = { type: 'database_id', database_id: database.id };
+      page.properties = this.databasePageProperties(database, body.properties || {});
+    } else if (parent.page_id) {
+      this.requireContainer(parent.page_id);
+      const title = body.properties?.title?.title;
+      if (!title) throw validationError('body failed validation: body.properties.title should be defined, instead was `undefined`.');
+      this.validateRichText(title, 'body.properties.title.title');
+      page.parent = { type: 'page_id', page_id: parent.page_id };
+      page.properties = { title: { id: 'title', type: 'title', title } };
+    } else {
+      throw validationError('body failed validation: body.parent.page_id should be defined, instead was `undefined`.');
+    }
+    if (body.children !== undefined) this.validateBlocks(body.children, 'body.children');
+
+    page.url = pageUrl(page.id);
+    this.pages.set(page.id, page);
+    if (page.parent.page_id) {
+      this.blocks.set(page.id, { object: 'block', id: page.id, type: 'child_page', child_page: { title: plainText(page.properties.title.title) }, has_children: false, archived: false, in_trash: false });
+      this.addChild(page.parent.page_id, page.id);
+    }
+    if (body.children) this.insertBlocks(page.id, body.children);
+    return page;
+  }
+
+  databasePageProperties(database, properties) {
+    const result = {};
+    Object.entries(properties).forEach(([name, value]) => {
+      const schema = database.properties[name];
+      if (!schema) throw validationError(`${name} is not a property that exists.`);
+      if (value && value[schema.type] === undefined) {
+        throw validationError(`${name} is expected to be ${schema.type}.`);
+      }
+      if (['title', 'rich_text'].includes(schema.type)) this.validateRichText(value[schema.type], `body.properties.${name}.${schema.type}`);
+      result[name] = { id: schema.id, type: schema.type, [schema.type]: value[schema.type] };
+    });
+    return result;
+  }
+
+  updatePage(id, body) {
+    const page = this.pages.get(id);
+    if (!page) throw notFound(id);
+    if (body.properties) {
+      if (page.parent.database_id) {
+        Object.assign(page.properties, this.databasePageProperties(this.databases.get(page.parent.database_id), body.properties));
+      } else if (body.properties.title) {
+        this.validateRichText(body.properties.title.title, 'body.properties.title.title');
+        page.properties.title = { id: 'title', type: 'title', title: body.properties.title.title };
+        const block = this.blocks.get(id);
+        if (block) block.child_page.title = plainText(body.properties.title.title);
+      }
+    }
+    ['archived', 'in_trash'].forEach(flag => {
+      if (typeof body[flag] === 'boolean') {
+        page[flag] = body[flag];
+        if (this.blocks.has(id)) this.blocks.get(id)[flag] = body[flag];
+      }
+    });
+    page.last_edited_time = this.now();
+    return page;
+  }
+
+  schemaProperties(properties, path, existing = {}) {
+    const result = { ...existing };
+    Object.entries(properties || {}).forEach(([name, config]) => {
+      if (config === null) {
+        delete result[name];
+        return;
+      }
+      const type = Object.keys(config || {}).find(key => key !== 'name');
+      if (!type) throw validationError(`body failed validation: ${path}.${name} should define a property type.`);
+      result[name] = { id: existing[name]?.id || crypto.randomBytes(3).toString('hex'), name, type, [type]: config[type] };
+    });
+    const titles = Object.values(result).filter(property => property.type === 'title');
+    if (titles.length !== 1) throw validationError('Databases must have exactly one title property.');
+    return result;
+  }
+
+  createDatabase(body) {
+    const parentId = body.parent?.page_id;
+    if (!parentId) throw validationError('body failed validation: body.parent.page_id should be defined, instead was `undefined`.');
+    if (!this.pages.has(parentId) || this.pages.get(parentId).archived) throw notFound(parentId);
+    if (body.title !== undefined) this.validateRichText(body.title, 'body.title');
+    const now = this.now();
+    const database = {
+      object: 'database',
+      id: crypto.randomUUID(),
+      created_time: now,
+      last_edited_time: now,
+      parent: { type: 'page_id', page_id: parentId },
+      title: body.title || [],
+      is_inline: !!body.is_inline,
+      properties: this.schemaProperties(body.properties, 'body.properties'),
+      archived: false,
+      in_trash: false
+    };
+    database.url = pageUrl(database.id);
+    this.databases.set(database.id, database);
+    this.blocks.set(database.id, { object: 'block', id: database.id, type: 'child_database', child_database: { title: plainText(database.title) }, has_children: false, archived: false, in_trash: false });
+    this.addChild(parentId, database.id);
+    return database;
+  }
+
+  updateDatabase(id, body) {
+    const database = this.databases.get(id);
+    if (!database) throw notFound(id);
+    if (body.title !== undefined) {
+      this.validateRichText(body.title, 'body.title');
+      database.title = body.title;
+    }
+    if (body.properties) database.properties = this.schemaProperties(body.properties, 'body.properties', database.properties);
+    if (typeof body.archived === 'boolean') database.archived = body.archived;
+    database.last_edited_time = this.now();
+    return database;
+  }
+
+  queryDatabase(id, body) {
+    const database = this.databases.get(id);
+    if (!database || database.archived) throw notFound(id);
+    const rows = Array.from(this.pages.values()).filter(page => page.parent?.database_id === id && !page.archived);
+    return this.paginate(rows, { page_size: body.page_size, start_cursor: body.start_cursor }, 'page_or_database');
+  }
+
+  deleteBlock(id) {
+    const block = this.blocks.get(id);
+    if (!block || block.archived) throw notFound(id);
+    block.archived = true;
+    block.in_trash = true;
+    if (this.pages.has(id)) this.pages.get(id).archived = true;
+    if (this.databases.has(id)) this.databases.get(id).archived = true;
+    return block;
+  }
+
+  createFileUpload(body, baseUrl) {
+    const id = crypto.randomUUID();
+    const upload = {
+      object: 'file_upload',
+      id,
+      created_time: this.now(),
+      status: 'pending',
+      filename: body.filename || null,
+      content_type: body.content_type || null,
+      content_length: null,
+      upload_url: `${baseUrl}/v1/file_uploads/${id}/send`
+    };
+    this.fileUploads.set(id, upload);
+    return upload;
+  }
+
+  sendFileUpload(id, rawBody) {
+    const upload = this.fileUploads.get(id);
+    if (!upload) throw notFound(id);
+    if (upload.status !== 'pending') throw validationError(`File upload ${id} is not in the pending state.`);
+    if (!rawBody.length) throw validationError('body failed validation: a file must be sent as multipart/form-data.');
+    upload.status = 'uploaded';
+    upload.content_length = rawBody.length;
+    return upload;
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function parseJson(raw) {
+  if (!raw.length) return {};
+  try {
+    return JSON.parse(raw.toString('utf8'));
+  } catch (error) {
+    throw new NotionApiError(400, 'invalid_json', 'Error parsing JSON body.');
+  }
+}
+
+/**
+ * Create the fake Notion server (not yet listening)
+ * @param {Object} [options] - Server options
+ * @param {string} [options.token] - Accepted integration secret (any Bearer token when omitted)
+ * @param {Object} [options.rateLimit] - { every, retryAfter }: answer every nth request with 429 (Retry-After seconds, default 0)
+ * @param {Array<Object>} [options.failures] - Injected errors: { method, path (substring or RegExp), status, code, message, times }
+ * @param {Object} [options.rootPage] - Seed a top-level page to upload under: { id, title } (both optional)
+ * @param {Function} [options.log] - Request logger
+ * @returns {http.Server} HTTP server; server.workspace holds the created pages, databases and blocks,
+ *   server.rootPage the seeded top-level page (null without options.rootPage)
+ */
+function createMockNotionServer(options = {}) {
+  const workspace = new FakeNotionWorkspace();
+  const rootPage = options.rootPage ? workspace.createRootPage(options.rootPage.title, options.rootPage.id) : null;
+  const failures = (options.failures || []).map(failure => ({ times: 1, ...failure }));
+  const log = options.log || (() => {});
+  let requestCount = 0;
+
+  const route = async (req, url, raw) => {
+    const auth = req.headers.authorization || '';
+    if (!/^Bearer \S+/.test(auth) || (options.token && auth !== `Bearer ${options.token}`)) {
+      throw new NotionApiError(401, 'unauthorized', 'API token is invalid.');
+    }
+
+    requestCount++;
+    if (options.rateLimit?.every && requestCount % options.rateLimit.every === 0) {
+      const error = new NotionApiError(429, 'rate_limited', 'You have been rate limited. Please try again in a few minutes.');
+      error.retryAfter = options.rateLimit.retryAfter ?? 0;
+      throw error;
+    }
+    const failure = failures.find(candidate => candidate.times > 0
+      && (!candidate.method || candidate.method === req.method)
+      && (candidate.path instanceof RegExp ? candidate.path.test(url.pathname) : url.pathname.includes(candidate.path || '')));
+    if (failure) {
+      failure.times--;
+      throw new NotionApiError(failure.status || 400, failure.code || 'validation_error', failure.message || 'Injected failure.');
+    }
+
+    const segments = url.pathname.replace(/^\/v1\/?/, '').split('/').filter(Boolean);
+    const query = Object.fromEntries(url.searchParams.entries());
+    const [resource, id, action] = segments;
+    const key = `${req.method} ${resource}${id ? '/:id' : ''}${action ? `/${action}` : ''}`;
+
+    switch (key) {
+      case 'POST pages': return workspace.createPage(parseJson(raw));
+      case 'GET pages/:id': {
+        const page = workspace.pages.get(id);
+        if (!page) throw notFound(id);
+        return page;
+      }
+      case 'PATCH pages/:id': return workspace.updatePage(id, parseJson(raw));
+      case 'GET blocks/:id/children': return workspace.listChildren(id, query);
+      case 'PATCH blocks/:id/children': {
+        const body = parseJson(raw);
+        workspace.requireContainer(id);
+        workspace.validateBlocks(body.children, 'body.children', workspace.blocks.get(id)?.table || null);
+        return { object: 'list', results: workspace.insertBlocks(id, body.children), next_cursor: null, has_more: false, type: 'block', block: {} };
+      }
+      case 'GET blocks/:id': {
+        const block = workspace.blocks.get(id);
+        if (!block) throw notFound(id);
+        return block;
+      }
+      case 'DELETE blocks/:id': return workspace.deleteBlock(id);
+      case 'POST databases': return workspace.createDatabase(parseJson(raw));
+      case 'GET databases/:id': {
+        const database = workspace.databases.get(id);
+        if (!database) throw notFound(id);
+        return database;
+      }
+      case 'PATCH databases/:id': return workspace.updateDatabase(id, parseJson(raw));
+      case 'POST databases/:id/query': return workspace.queryDatabase(id, parseJson(raw));
+      case 'POST file_uploads': return workspace.createFileUpload(parseJson(raw), `http://${req.headers.host}`);
+      case 'POST file_uploads/:id/send': return workspace.sendFileUpload(id, raw);
+      default:
+        throw new NotionApiError(400, 'invalid_request_url', 'Invalid request URL.');
+    }
+  };
+
+  const server = http.createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, CORS_HEADERS);
+      res.end();
+      return;
+    }
+
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    let status = 200;
+    let body;
+    const headers = { ...CORS_HEADERS, 'Content-Type': 'application/json' };
+    try {
+      body = await route(req, url, await readBody(req));
+    } catch (error) {
+      status = error instanceof NotionApiError ? error.status : 500;
+      body = { object: 'error', status, code: error.code || 'internal_server_error', message: error.message };
+      if (error.retryAfter !== undefined) headers['Retry-After'] = String(error.retryAfter);
+    }
+    log(`${req.method} ${url.pathname} → ${status}${status >= 400 ? ` (${body.code})` : ''}`);
+    res.writeHead(status, headers);
+    res.end(JSON.stringify(body));
+  });
+  server.workspace = workspace;
+  server.rootPage = rootPage;
+  return server;
+}
+
+function parseArgs(argv) {
+  const options = { port: DEFAULT_PORT, rateLimitEvery: 0, token: null, rootPageId: process.env.NOTION_MOCK_ROOT_PAGE_ID || undefined };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--port') {
+      options.port = parseInt(argv[++i], 10);
+    } else if (argv[i] === '--rate-limit-every') {
+      options.rateLimitEvery = parseInt(argv[++i], 10);
+    } else if (argv[i] === '--token') {
+      options.token = argv[++i];
+    } else if (argv[i] === '--root-page-id') {
+      options.rootPageId = argv[++i];
+    } else {
+      throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+  if (!Number.isInteger(options.port) || options.port <= 0) {
+    throw new Error('--port must be a positive integer');
+  }
+  if (!Number.isInteger(options.rateLimitEvery) || options.rateLimitEvery < 0) {
+    throw new Error('--rate-limit-every must be a non-negative integer');
+  }
+  return options;
+}
+
+if (require.main === module) {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    console.error('Usage: node mock-notion-server.js [--port 4020] [--rate-limit-every <n>] [--token <secret>] [--root-page-id <id>]');
+    process.exit(2);
+  }
+
+  const server = createMockNotionServer({
+    token: options.token,
+    rateLimit: options.rateLimitEvery ? { every: options.rateLimitEvery } : null,
+    rootPage: { id: options.rootPageId },
+    log: (line) => console.log(line)
+  });
+  server.listen(options.port, () => {
+    console.log(`Fake Notion API listening on http://localhost:${options.port}/v1/`);
+    console.log(`Top-level page: ${server.rootPage.id} (use it as the Notion top-level page ID)`);
+  });
+}
+
+module.exports = { createMockNotionServer };
@@ -0,0 +1,343 @@
+/**
+ * SIS compare tool + Env capture - Multi-Baseline Report Generator
+ * Compares one main school against several baseline schools in a single run.
+ * Each baseline's data is cached in tempData under its own prefix (BaselineSchool_, BaselineSchool2_, ...);
+ * the regular CoursedogReportGenerator runs once per baseline and the resulting diff records are merged
+ * into a matrix: one row per field/step/exception, one column per school.
+ */
+
+const MULTI_BASELINE_REPORT_KEY = 'MultiBaseline_Comparison_Report';
+
+// Report sections included in the matrix (same set as the single-baseline reports)
+const MULTI_BASELINE_SECTIONS = [
+  { key: 'stepsToExecute_Comparison_Report', title: 'Steps To Execute' },
+  { key: 'fieldExceptions_Comparison_Report', title: 'Field Exceptions' },
+  { key: 'courseTemplate_Comparison_Report', title: 'Course Template', curriculum: true },
+  { key: 'programTemplate_Comparison_Report', title: 'Program Template', curriculum: true },
+  { key: 'sectionTemplate_Comparison_Report', title: 'Section Template', scheduling: true },
+  { key: 'roomTemplate_Comparison_Report', title: 'Room Template', scheduling: true },
+  { key: 'instructorTemplate_Comparison_Report', title: 'Instructor Template', scheduling: true },
+  { key: 'termTemplate_Comparison_Report', title: 'Term Template', scheduling: true },
+  { key: 'FormsWorkflows_Comparison_Report', title: 'Forms & Workflows', curriculum: true },
+  { key: 'NotificationSettings_Comparison_Report', title: 'Notification Settings' },
+  { key: 'AttributeMapping_Comparison_Report', title: 'Attribute Mappings' },
+  { key: 'IntegrationFilters_Comparison_Report', title: 'Integration Filters' },
+  { key: 'IntegrationRulesSchedule_Comparison_Report', title: 'Integration Rules & Schedule' }
+];
+
+// Cell markers per diff category
+const MULTI_BASELINE_MARKERS = {
+  'match': '✅',
+  'value-mismatch': '❌',
+  'missing-in-main': '➕',
+  'missing-in-baseline': '➖',
+  'unavailable': '⚠️'
+};
+
+class MultiBaselineReportGenerator {
+  /**
+   * @param {string} mainSchool - Main school ID
+   * @param {Array<Object>} baselines - [{ name, environment, prefix }] in column order
+   * @param {Object} tempData - Collected data (MainSchool_* plus one prefix per baseline)
+   * @param {Object} options - Report options
+   * @param {string} [options.mainEnv='staging'] - Main school environment
+   * @param {boolean} [options.curriculumEnabled=true] - Include course/program template sections
+   * @param {boolean} [options.schedulingEnabled=true] - Include section template section
+   * @param {Array} [options.debugLog] - Debug log passed to each per-baseline generator
+   * @param {Object|string} [options.templatePropertyProfile] - Template property profile (see template-property-profiles.js)
+   * @param {Array<Object>} [options.ignoreRules] - Ignore rules (see ignore-rules.js; defaults when omitted)
+   */
+  constructor(mainSchool, baselines, tempData, options = {}) {
+    this.mainSchool = mainSchool;
+    this.baselines = baselines;
+    this.tempData = tempData;
+    this.mainEnv = options.mainEnv || 'staging';
+    this.curriculumEnabled = options.curriculumEnabled !== false;
+    this.schedulingEnabled = options.schedulingEnabled !== false;
+    this.debugLog = options.debugLog || [];
+    this.templatePropertyProfile = options.templatePropertyProfile;
+    this.ignoreRules = options.ignoreRules;
+  }
+
+  /**
+   * tempData prefix for the baseline at a column position
+   * @param {number} index - Zero-based baseline index
+   * @returns {string} 'BaselineSchool' for the first baseline, then 'BaselineSchool2', 'BaselineSchool3', ...
+   */
+  static baselinePrefix(index) {
+    return index === 0 ? 'BaselineSchool' : `BaselineSchool${index + 1}`;
+  }
+
+  /**
+   * Build a two-school tempData view for one baseline
+   * The baseline's keys are exposed under BaselineSchool_ so the single-baseline generator can run unchanged;
+   * reports and diffs written by the generator stay in the view.
+   * @param {Object} tempData - Collected data for all schools
+   * @param {string} prefix - The baseline's tempData prefix
+   * @returns {Object} View containing MainSchool_* and BaselineSchool_* keys
+   */
+  static createBaselineView(tempData, prefix) {
+    const view = {};
+    Object.keys(tempData).forEach(key => {
+      if (key.startsWith('MainSchool_')) {
+        view[key] = tempData[key];
+      } else if (key.startsWith(`${prefix}_`)) {
+        view[`BaselineSchool_${key.slice(prefix.length + 1)}`] = tempData[key];
+      }
+    });
+    return view;
+  }
+
+  /**
+   * Diff results the regular report run already stored in tempData (<reportKey>_Diff) for the primary baseline
+   * @returns {Object<string, DiffResult>|null} DiffResult objects per report key, or null unless every section has one
+   */
+  getStoredPrimaryDiffResults() {
+    const results = {};
+    for (const section of this.getSections()) {
+      const diff = DiffResult.fromJSON(this.tempData[DiffResult.storageKey(section.key)]);
+      if (!diff) return null;
+      results[section.key] = diff;
+    }
+    return results;
+  }
+
+  /**
+   * Run the comparison against every baseline (the primary baseline reuses the stored diff results when present)
+   * @returns {Object<string, Object>} DiffResult objects per report key, per baseline prefix
+   */
+  collectDiffResults() {
+    const resultsByBaseline = {};
+    this.baselines.forEach(baseline => {
+      if (baseline.prefix === MultiBaselineReportGenerator.baselinePrefix(0)) {
+        const stored = this.getStoredPrimaryDiffResults();
+        if (stored) {
+          resultsByBaseline[baseline.prefix] = stored;
+          return;
+        }
+      }
+      const view = MultiBaselineReportGenerator.createBaselineView(this.tempData, baseline.prefix);
+      CoursedogReportGenerator.buildUnifiedFieldLists(view);
+
+      const generator = new CoursedogReportGenerator(
+        this.mainSchool,
+        baseline.name,
+        view,
+        this.debugLog,
+        this.curriculumEnabled,
+        this.schedulingEnabled,
+        this.mainEnv,
+        baseline.environment || 'staging',
+        { templatePropertyProfile: this.templatePropertyProfile, ignoreRules: this.ignoreRules }
+      );
+      try {
+        generator.generateComparisonReport();
+      } catch (error) {
+        console.warn(`Comparison against ${baseline.name} failed`, error);
+      }
+      resultsByBaseline[baseline.prefix] = generator.diffResults;
+    });
+    return resultsByBaseline;
+  }
+
+  /**
+   * Merge per-baseline diff records into matrix rows
+   * @returns {Object} Matrix (also stored in tempData as MultiBaseline_Comparison_Report_Matrix)
+   */
+  buildMatrix() {
+    const resultsByBaseline = this.collectDiffResults();
+    const sections = this.getSections().map(section => {
+      const rows = new Map();
+      const errors = [];
+      // Baselines whose comparison ran, with the entities it failed for ('' = the whole report)
+      const compared = this.baselines.map(() => null);
+
+      this.baselines.forEach((baseline, column) => {
+        const diff = resultsByBaseline[baseline.prefix]?.[section.key];
+        if (!diff) {
+          errors.push({ baseline: baseline.name, message: 'Report not generated' });
+          return;
+        }
+        diff.errors.forEach(error => errors.push({ baseline: baseline.name, message: error.message, entity: error.entity }));
+        compared[column] = new Set(diff.errors.map(error => error.entity || ''));
+
+        diff.getRecords().forEach(record => {
+          if (!rows.has(record.id)) {
+            rows.set(record.id, {
+              id: record.id,
+              entity: record.entity,
+              section: record.section,
+              fieldPath: record.fieldPath,
+              fieldLabel: record.fieldLabel,
+              property: record.property,
+              mainValue: null,
+              mainPresent: false,
+              cells: this.baselines.map(() => null)
+            });
+          }
+          const row = rows.get(record.id);
+          if (!row.mainPresent && record.category !== DIFF_CATEGORIES.MISSING_IN_MAIN && record.category !== DIFF_CATEGORIES.UNAVAILABLE) {
+            row.mainValue = record.mainValue;
+            row.mainPresent = true;
+          }
+          row.cells[column] = {
+            category: record.category,
+            severity: record.severity,
+            value: record.category === DIFF_CATEGORIES.MISSING_IN_BASELINE ? null : record.baselineValue
+          };
+        });
+      });
+
+      // Reports only record some matches (e.g. nested fields are recorded when they differ somewhere):
+      // a compared baseline without a record for the row has the main school's value
+      const rowList = Array.from(rows.values());
+      rowList.forEach(row => {
+        row.cells = row.cells.map((cell, column) => {
+          const failed = compared[column];
+          if (cell || !failed || failed.has('') || failed.has(row.entity)) return cell;
+          return { category: DIFF_CATEGORIES.MATCH, severity: DIFF_SEVERITIES.INFO, value: row.mainValue };
+        });
+        row.differences = row.cells.filter(cell => cell && cell.category !== DIFF_CATEGORIES.MATCH).length;
+      });
+      return { reportKey: section.key, title: section.title, rows: rowList, errors };
+    });
+
+    const baselineSummaries = this.baselines.map((baseline, column) => {
+      const summary = { name: baseline.name, environment: baseline.environment || 'staging', differences: 0, bySeverity: {} };
+      Object.values(DIFF_SEVERITIES).forEach(s => { summary.bySeverity[s] = 0; });
+      sections.forEach(section => section.rows.forEach(row => {
+        const cell = row.cells[column];
+        if (!cell || cell.category === DIFF_CATEGORIES.MATCH) return;
+        summary.differences++;
+        summary.bySeverity[cell.severity] = (summary.bySeverity[cell.severity] || 0) + 1;
+      }));
+      return summary;
+    });
+
+    return {
+      schemaVersion: 1,
+      reportKey: MULTI_BASELINE_REPORT_KEY,
+      mainSchool: this.mainSchool,
+      mainEnv: this.mainEnv,
+      baselines: this.baselines.map(b => ({ name: b.name, environment: b.environment || 'staging' })),
+      generatedAt: new Date().toISOString(),
+      summary: { baselines: baselineSummaries },
+      sections
+    };
+  }
+
+  getSections() {
+    return MULTI_BASELINE_SECTIONS.filter(section =>
+      (!section.curriculum || this.curriculumEnabled) && (!section.scheduling || this.schedulingEnabled)
+    );
+  }
+
+  /**
+   * Generate the matrix report and store it in tempData
+   * @returns {Object} The matrix
+   */
+  generateReport() {
+    const matrix = this.buildMatrix();
+    this.tempData[MULTI_BASELINE_REPORT_KEY] = this.formatMatrixReport(matrix);
+    this.tempData[`${MULTI_BASELINE_REPORT_KEY}_Matrix`] = matrix;
+    return matrix;
+  }
+
+  formatSchoolHeader(schoolName, env) {
+    const formatEnv = (environment) => environment.charAt(0).toUpperCase() + environment.slice(1).toLowerCase();
+    return `${schoolName} (${formatEnv(env || 'staging')})`;
+  }
+
+  formatValue(value, max = 60) {
+    if (value === null || value === undefined) return 'N/A';
+    let text = typeof value === 'string' ? value : JSON.stringify(value);
+    text = text.replace(/\|/g, '\\|').replace(/\n/g, ' ');
+    return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+  }
+
+  formatCell(cell) {
+    if (!cell) return '—';
+    const marker = MULTI_BASELINE_MARKERS[cell.category] || '';
+    if (cell.category === DIFF_CATEGORIES.MATCH || cell.category === DIFF_CATEGORIES.MISSING_IN_BASELINE) {
+      return marker;
+    }
+    if (cell.category === DIFF_CATEGORIES.UNAVAILABLE) return `${marker} unavailable`;
+    return `${marker} \`${this.formatValue(cell.value)}\``;
+  }
+
+  /**
+   * Render the matrix as Markdown
+   * @param {Object} matrix - Output of buildMatrix()
+   * @returns {string} Markdown report
+   */
+  formatMatrixReport(matrix) {
+    const baselineHeaders = matrix.baselines.map(b => this.formatSchoolHeader(b.name, b.environment));
+
+    let report = `# Multi-Baseline Comparison Report\n\n`;
+    report += `**Main School:** ${this.formatSchoolHeader(matrix.mainSchool, matrix.mainEnv)}\n`;
+    report += `**Baseline Schools (${matrix.baselines.length}):** ${baselineHeaders.join(', ')}\n`;
+    report += `**Generated:** ${new Date(matrix.generatedAt).toLocaleString()}\n\n`;
+    report += `**Legend:** ✅ same as main · ❌ different value · ➕ only in baseline · ➖ missing in baseline · ⚠️ unavailable · — not compared\n\n`;
+
+    report += `## Summary\n\n`;
+    report += `| Baseline | Differences | Critical | Warning | Info |\n`;
+    report += `|----------|-------------|----------|---------|------|\n`;
+    matrix.summary.baselines.forEach((summary, i) => {
+      report += `| ${baselineHeaders[i]} | ${summary.differences} | ${summary.bySeverity.critical || 0} | ${summary.bySeverity.warning || 0} | ${summary.bySeverity.info || 0} |\n`;
+    });
+    report += `\n---\n\n`;
+
+    matrix.sections.forEach(section => {
+      report += `## ${section.title}\n\n`;
+
+      section.errors.forEach(error => {
+        report += `> ⚠️ ${error.baseline}: ${error.message}${error.entity ? ` (${error.entity})` : ''}\n`;
+      });
+      if (section.errors.length > 0) report += `\n`;
+
+      // Only rows that differ from main in at least one baseline
+      const diffRows = section.rows.filter(row => row.differences > 0);
+      const identicalCount = section.rows.length - diffRows.length;
+
+      if (diffRows.length === 0) {
+        report += `*No differences identified across ${matrix.baselines.length} baselines.*\n\n`;
+        return;
+      }
+
+      const entities = Array.from(new Set(diffRows.map(row => row.entity || 'general')));
+      entities.forEach(entity => {
+        if (entities.length > 1 || entity !== 'general') {
+          report += `### ${entity}\n\n`;
+        }
+        report += `| Field | ${this.formatSchoolHeader(matrix.mainSchool, matrix.mainEnv)} | ${baselineHeaders.join(' | ')} |\n`;
+        report += `|-------|------|${matrix.baselines.map(() => '------').join('|')}|\n`;
+        diffRows.filter(row => (row.entity || 'general') === entity).forEach(row => {
+          const label = row.fieldLabel || row.fieldPath;
+          const field = row.property ? `${label} → ${row.property}` : label;
+          const mainCell = row.mainPresent ? `\`${this.formatValue(row.mainValue)}\`` : '—';
+          report += `| ${this.formatValue(field, 80)} | ${mainCell} | ${row.cells.map(cell => this.formatCell(cell)).join(' | ')} |\n`;
+        });
+        report += `\n`;
+      });
+
+      if (identicalCount > 0) {
+        report += `*${identicalCount} additional rows match the main school in every baseline.*\n\n`;
+      }
+    });
+
+    return report;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MultiBaselineReportGenerator,
+    MULTI_BASELINE_REPORT_KEY
+  };
+}
+
+if (typeof window !== 'undefined') {
+  window.MultiBaselineReportGenerator = MultiBaselineReportGenerator;
+  window.MULTI_BASELINE_REPORT_KEY = MULTI_BASELINE_REPORT_KEY;
+}
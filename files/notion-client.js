@@ -3,10 +3,19 @@
  * Handles all Notion API interactions including page creation and file uploads
  */
 
+const NOTION_API_BASE_URL = 'https://api.notion.com/v1/';
+
 class NotionClient {
-  constructor(secret, notionLogger = null) {
+  /**
+   * @param {string} secret - Notion integration secret
+   * @param {NotionLogger|null} [notionLogger] - Logger
+   * @param {Object} [options] - Client options
+   * @param {string} [options.baseURL] - API base URL (e.g. the local fake server of mock-notion-server.js,
+   *   'http://localhost:4020/v1/'); defaults to the public Notion API
+   */
+  constructor(secret, notionLogger = null, options = {}) {
     this.secret = secret;
-    this.baseURL = 'https://api.notion.com/v1/';
+    this.baseURL = options.baseURL ? `${String(options.baseURL).replace(/\/+$/, '')}/` : NOTION_API_BASE_URL;
     this.headers = {
       'Authorization': `Bearer ${secret}`,
       'Content-Type': 'application/json',
@@ -16,6 +25,7 @@ class NotionClient {
     this.notionLogger = notionLogger; // Reference to NotionLogger instance
     this._abortControllers = new Set();
     this._cancelled = false;
+    this.rowCommentResolver = null; // (row cells) => Comments column text, set per report by the uploader
     
     // Initialize upload report safely
     try {
@@ -94,7 +104,7 @@ class NotionClient {
     const url = `${this.baseURL}pages/${id}`;
     this.logRequest('GET', url, null, this.headers);
     try {
-      const response = await this._fetch(url, { method: 'GET', headers: this.headers });
+      const response = await this._fetchWithRetry(url, { method: 'GET', headers: this.headers });
       const contentType = response.headers.get('content-type') || '';
       const data = contentType.includes('application/json') ? await response.json() : null;
       this.logResponse('GET', url, response.status, data);
@@ -134,6 +144,26 @@ class NotionClient {
     }
   }
 
+  /**
+   * Fetch that waits out rate limits: on 429 it honours Retry-After (exponential backoff otherwise)
+   * and sends the request again, up to maxRetries times
+   * @param {string} url - Request URL
+   * @param {Object} init - fetch options
+   * @param {number} [maxRetries] - Retries before the 429 response is returned to the caller
+   * @returns {Promise<Response>} Final response
+   */
+  async _fetchWithRetry(url, init = {}, maxRetries = 5) {
+    for (let attempt = 0; ; attempt++) {
+      const response = await this._fetch(url, init);
+      if (response.status !== 429 || attempt >= maxRetries) return response;
+      const retryAfter = response.headers.get('Retry-After');
+      const delay = retryAfter ? parseInt(retryAfter) * 1000 : Math.pow(2, attempt) * 1000;
+      this.logResponse(init.method || 'GET', url, response.status, null, 'Rate limited');
+      console.log(`Rate limited. Retrying after ${delay}ms (attempt ${attempt + 1}/${maxRetries})`);
+      await this.delay(delay);
+    }
+  }
+
   /**
    * Log a Notion API request
    * @param {string} method - HTTP method
@@ -494,7 +524,7 @@ class NotionClient {
     this.logRequest('POST', url, body, this.headers);
 
     try {
-      const response = await this._fetch(url, {
+      const response = await this._fetchWithRetry(url, {
         method: 'POST',
         headers: this.headers,
         body: JSON.stringify(body)
@@ -532,7 +562,7 @@ class NotionClient {
     this.logRequest('PATCH', url, body, this.headers);
 
     try {
-      const response = await this._fetch(url, {
+      const response = await this._fetchWithRetry(url, {
         method: 'PATCH',
         headers: this.headers,
         body: JSON.stringify(body)
@@ -559,6 +589,100 @@ class NotionClient {
     }
   }
 
+  /**
+   * Rename a Notion page
+   * @param {string} pageId - Page ID
+   * @param {string} title - New title
+   * @returns {Promise<Object>} Updated page object
+   */
+  async updatePageTitle(pageId, title) {
+    const url = `${this.baseURL}pages/${pageId}`;
+    const body = {
+      properties: {
+        title: {
+          title: [{ text: { content: title } }]
+        }
+      }
+    };
+
+    this.logRequest('PATCH', url, body, this.headers);
+    const response = await this._fetchWithRetry(url, { method: 'PATCH', headers: this.headers, body: JSON.stringify(body) });
+    const responseData = await response.json();
+    if (!response.ok) {
+      this.logResponse('PATCH', url, response.status, responseData, responseData.message || 'Unknown error');
+      throw new Error(`Notion API error: ${response.status} - ${responseData.message || 'Unknown error'}`);
+    }
+    this.logResponse('PATCH', url, response.status, responseData);
+    return responseData;
+  }
+
+  /**
+   * List the child blocks of a page or block (follows pagination)
+   * @param {string} blockId - Page or block ID
+   * @returns {Promise<Array>} Child block objects
+   */
+  async listBlockChildren(blockId) {
+    const children = [];
+    let cursor = null;
+    do {
+      const url = `${this.baseURL}blocks/${blockId}/children?page_size=100${cursor ? `&start_cursor=${encodeURIComponent(cursor)}` : ''}`;
+      this.logRequest('GET', url, null, this.headers);
+      const response = await this._fetchWithRetry(url, { method: 'GET', headers: this.headers });
+      const responseData = await response.json();
+      if (!response.ok) {
+        this.logResponse('GET', url, response.status, responseData, responseData.message || 'Unknown error');
+        throw new Error(`Notion API error: ${response.status} - ${responseData.message || 'Unknown error'}`);
+      }
+      this.logResponse('GET', url, response.status, responseData);
+      children.push(...(responseData.results || []));
+      cursor = responseData.has_more ? responseData.next_cursor : null;
+    } while (cursor);
+    return children;
+  }
+
+  /**
+   * Delete (archive) a block; deleting a child_database block archives the inline database
+   * @param {string} blockId - Block ID
+   * @returns {Promise<Object>} Deleted block object
+   */
+  async deleteBlock(blockId) {
+    const url = `${this.baseURL}blocks/${blockId}`;
+    this.logRequest('DELETE', url, null, this.headers);
+    const response = await this._fetchWithRetry(url, { method: 'DELETE', headers: this.headers });
+    const responseData = await response.json();
+    if (!response.ok) {
+      this.logResponse('DELETE', url, response.status, responseData, responseData.message || 'Unknown error');
+      throw new Error(`Notion API error: ${response.status} - ${responseData.message || 'Unknown error'}`);
+    }
+    this.logResponse('DELETE', url, response.status, responseData);
+    return responseData;
+  }
+
+  /**
+   * Read every row (page) of a database (follows pagination)
+   * @param {string} databaseId - Database ID
+   * @returns {Promise<Array>} Database page objects
+   */
+  async queryDatabase(databaseId) {
+    const url = `${this.baseURL}databases/${databaseId}/query`;
+    const rows = [];
+    let cursor = null;
+    do {
+      const body = { page_size: 100, ...(cursor ? { start_cursor: cursor } : {}) };
+      this.logRequest('POST', url, body, this.headers);
+      const response = await this._fetchWithRetry(url, { method: 'POST', headers: this.headers, body: JSON.stringify(body) });
+      const responseData = await response.json();
+      if (!response.ok) {
+        this.logResponse('POST', url, response.status, responseData, responseData.message || 'Unknown error');
+        throw new Error(`Notion API error: ${response.status} - ${responseData.message || 'Unknown error'}`);
+      }
+      this.logResponse('POST', url, response.status, responseData);
+      rows.push(...(responseData.results || []));
+      cursor = responseData.has_more ? responseData.next_cursor : null;
+    } while (cursor);
+    return rows;
+  }
+
   /**
    * Create a sub-page under a parent page following Notion's official guidelines
    * @param {string} title - Sub-page title
@@ -597,7 +721,7 @@ class NotionClient {
       // Log request
       this.logRequest('POST', url, body, this.headers);
       
-      const pageResponse = await this._fetch(url, {
+      const pageResponse = await this._fetchWithRetry(url, {
         method: 'POST',
         headers: this.headers,
         body: JSON.stringify(body)
@@ -1527,7 +1651,7 @@ class NotionClient {
       object: 'block',
       type: blockType,
       [blockType]: {
-        rich_text: this.createRichTextArrayFromString(content),
+        rich_text: this.createRichTextFromMarkdown(content),
         color: 'default',
         is_toggleable: false
       }
@@ -1540,15 +1664,16 @@ class NotionClient {
   /**
    * Create a paragraph block
    * @param {string} text - Paragraph text
+   * @param {boolean} inlineMarkdown - Render inline Markdown (false for JSON and plain text)
    * @returns {Object} Paragraph block object
    */
-  createParagraphBlock(text) {
+  createParagraphBlock(text, inlineMarkdown = true) {
     const content = String(text || '');
     const block = {
       object: 'block',
       type: 'paragraph',
       paragraph: {
-        rich_text: this.createRichTextArrayFromString(content),
+        rich_text: inlineMarkdown ? this.createRichTextFromMarkdown(content) : this.createRichTextArrayFromString(content),
         color: 'default'
       }
     };
@@ -1630,13 +1755,13 @@ class NotionClient {
         const readableText = this.convertJsonToReadableText(jsonObj);
         const chunks = this.chunkText(readableText, MAX_TEXT_LENGTH);
         chunks.forEach(chunk => {
-          blocks.push(this.createParagraphBlock(chunk));
+          blocks.push(this.createParagraphBlock(chunk, false));
         });
       } catch (error) {
         // If JSON parsing fails, treat as plain text
         const chunks = this.chunkText(content, MAX_TEXT_LENGTH);
         chunks.forEach(chunk => {
-          blocks.push(this.createParagraphBlock(chunk));
+          blocks.push(this.createParagraphBlock(chunk, false));
         });
       }
     } else if (contentType === 'markdown') {
@@ -1757,23 +1882,7 @@ class NotionClient {
               object: 'block',
               type: 'bulleted_list_item',
               bulleted_list_item: {
-                rich_text: [{
-                  type: 'text',
-                  text: {
-                    content: chunk,
-                    link: null
-                  },
-                  annotations: {
-                    bold: false,
-                    italic: false,
-                    strikethrough: false,
-                    underline: false,
-                    code: false,
-                    color: 'default'
-                  },
-                  plain_text: chunk,
-                  href: null
-                }],
+                rich_text: this.createRichTextFromMarkdown(chunk),
                 color: 'default'
               }
             });
@@ -1803,7 +1912,7 @@ class NotionClient {
         if (line.trim()) {
           const chunks = this.chunkText(line, MAX_TEXT_LENGTH);
           chunks.forEach(chunk => {
-            blocks.push(this.createParagraphBlock(chunk));
+            blocks.push(this.createParagraphBlock(chunk, false));
           });
         }
       }
@@ -2134,6 +2243,13 @@ class NotionClient {
     const validatedBlocks = [];
     
     for (const block of blocks) {
+      // Formatted text (several rich_text items): split long items in place, keeping their annotations
+      const richText = block?.[block?.type]?.rich_text;
+      if (Array.isArray(richText) && richText.length > 1) {
+        validatedBlocks.push(this.splitLongRichTextItems(block, maxLength));
+        continue;
+      }
+
       const content = this.extractBlockContent(block);
       
       if (content && content.length > maxLength) {
@@ -2152,6 +2268,21 @@ class NotionClient {
     return validatedBlocks;
   }
 
+  /**
+   * Split the rich_text items of a block that exceed the character limit
+   * @param {Object} block - Block with several rich_text items
+   * @param {number} maxLength - Maximum character length per item
+   * @returns {Object} Block with every item within the limit
+   */
+  splitLongRichTextItems(block, maxLength) {
+    const richText = block[block.type].rich_text.flatMap(item => {
+      const content = item?.text?.content;
+      if (!content || content.length <= maxLength) return [item];
+      return this.forceChunkText(content, maxLength).map(chunk => ({ ...item, text: { ...item.text, content: chunk } }));
+    });
+    return { ...block, [block.type]: { ...block[block.type], rich_text: richText } };
+  }
+
   /**
    * Extract text content from a block
    * @param {Object} block - Block object
@@ -2619,7 +2750,7 @@ class NotionClient {
     const createUrl = `${this.baseURL}file_uploads`;
     const createBody = { filename: fileName, content_type: contentType };
     this.logRequest('POST', createUrl, createBody, this.headers);
-    const createResp = await this._fetch(createUrl, {
+    const createResp = await this._fetchWithRetry(createUrl, {
       method: 'POST',
       headers: this.headers,
       body: JSON.stringify(createBody)
@@ -2645,7 +2776,7 @@ class NotionClient {
     delete sendHeaders['Content-Type'];
 
     this.logRequest('POST', sendUrl, '[multipart/form-data]', sendHeaders);
-    const sendResp = await this._fetch(sendUrl, { method: 'POST', headers: sendHeaders, body: form });
+    const sendResp = await this._fetchWithRetry(sendUrl, { method: 'POST', headers: sendHeaders, body: form });
     const sendData = await sendResp.json();
     if (!sendResp.ok) {
       this.logResponse('POST', sendUrl, sendResp.status, sendData, sendData.message || 'Unknown error');
@@ -2737,7 +2868,7 @@ class NotionClient {
     };
 
     this.logRequest('POST', url, body, this.headers);
-    const response = await this._fetch(url, { method: 'POST', headers: this.headers, body: JSON.stringify(body) });
+    const response = await this._fetchWithRetry(url, { method: 'POST', headers: this.headers, body: JSON.stringify(body) });
     const responseData = await response.json();
     if (!response.ok) {
       this.logResponse('POST', url, response.status, responseData, responseData.message || 'Unknown error');
@@ -2756,9 +2887,10 @@ class NotionClient {
    * @param {string} parentPageId
    * @param {string} databaseTitle
    * @param {Array<string>} headers
+   * @param {Object} [propertyTypes] - Property schema by header name (e.g. { number: {} }); rich_text otherwise
    * @returns {Promise<{database: Object, sanitizedHeaders: Array<string>, titlePropName: string}>}
    */
-  async createDatabaseOrdered(parentPageId, databaseTitle, headers) {
+  async createDatabaseOrdered(parentPageId, databaseTitle, headers, propertyTypes = {}) {
     if (!Array.isArray(headers) || headers.length === 0) {
       // Fallback to minimal single-column database
       headers = ['Name'];
@@ -2779,7 +2911,7 @@ class NotionClient {
     };
 
     this.logRequest('POST', postUrl, postBody, this.headers);
-    const postResp = await this._fetch(postUrl, { method: 'POST', headers: this.headers, body: JSON.stringify(postBody) });
+    const postResp = await this._fetchWithRetry(postUrl, { method: 'POST', headers: this.headers, body: JSON.stringify(postBody) });
     const postData = await postResp.json();
     if (!postResp.ok) {
       this.logResponse('POST', postUrl, postResp.status, postData, postData.message || 'Unknown error');
@@ -2797,9 +2929,9 @@ class NotionClient {
     const otherProps = sanitizedHeaders.filter(n => n !== titlePropName).slice().reverse();
     for (const propName of otherProps) {
       const patchBody = { properties: {} };
-      patchBody.properties[propName] = { rich_text: {} };
+      patchBody.properties[propName] = propertyTypes[propName] || { rich_text: {} };
       this.logRequest('PATCH', patchUrl, patchBody, this.headers);
-      const patchResp = await this._fetch(patchUrl, { method: 'PATCH', headers: this.headers, body: JSON.stringify(patchBody) });
+      const patchResp = await this._fetchWithRetry(patchUrl, { method: 'PATCH', headers: this.headers, body: JSON.stringify(patchBody) });
       const patchData = await patchResp.json();
       if (!patchResp.ok) {
         this.logResponse('PATCH', patchUrl, patchResp.status, patchData, patchData.message || 'Unknown error');
@@ -2813,6 +2945,76 @@ class NotionClient {
     return { database: { id: databaseId }, sanitizedHeaders, titlePropName };
   }
 
+  /**
+   * Retrieve a database by ID
+   * @param {string} databaseId - Database ID
+   * @returns {Promise<{ok: boolean, status: number, data?: any, error?: string}>}
+   */
+  async retrieveDatabase(databaseId) {
+    const url = `${this.baseURL}databases/${databaseId}`;
+    this.logRequest('GET', url, null, this.headers);
+    try {
+      const response = await this._fetchWithRetry(url, { method: 'GET', headers: this.headers });
+      const data = await response.json();
+      this.logResponse('GET', url, response.status, data);
+      return { ok: response.ok, status: response.status, data };
+    } catch (error) {
+      if (NotionClient.isCancellationError(error)) throw error;
+      this.logResponse('GET', url, 0, null, error?.message || String(error));
+      return { ok: false, status: 0, error: error?.message || String(error) };
+    }
+  }
+
+  /**
+   * Add properties (columns) to an existing database
+   * @param {string} databaseId - Database ID
+   * @param {Object} properties - Property schema by name
+   * @returns {Promise<Object>} Updated database object
+   */
+  async addDatabaseProperties(databaseId, properties) {
+    const url = `${this.baseURL}databases/${databaseId}`;
+    const body = { properties };
+    this.logRequest('PATCH', url, body, this.headers);
+    const response = await this._fetchWithRetry(url, { method: 'PATCH', headers: this.headers, body: JSON.stringify(body) });
+    const responseData = await response.json();
+    if (!response.ok) {
+      this.logResponse('PATCH', url, response.status, responseData, responseData.message || 'Unknown error');
+      throw new Error(`Notion API error: ${response.status} - ${responseData.message || 'Unknown error'}`);
+    }
+    this.logResponse('PATCH', url, response.status, responseData);
+    return responseData;
+  }
+
+  /**
+   * Send one request of a compiled upload plan (NotionCompiler batches), retrying rate limits
+   * @param {Object} request - { method, url, body } with placeholders resolved
+   * @param {Object} [options] - { maxRetries } for 429 responses (default 5)
+   * @returns {Promise<Object>} Response data
+   * @throws {Error} Notion API error with status and code ('rate_limited' when 429s outlast the retries)
+   */
+  async executePlanRequest(request, options = {}) {
+    const maxRetries = options.maxRetries ?? 5;
+    // Plans are compiled against the public API; send them to this client's base URL
+    const url = request.url.replace(/^https:\/\/api\.notion\.com\/v1\//, this.baseURL);
+    this.logRequest(request.method, url, request.body, this.headers);
+    const response = await this._fetchWithRetry(url, {
+      method: request.method,
+      headers: this.headers,
+      body: request.body ? JSON.stringify(request.body) : undefined
+    }, maxRetries);
+    const responseData = await response.json().catch(() => ({}));
+    if (response.ok) {
+      this.logResponse(request.method, url, response.status, responseData);
+      return responseData;
+    }
+    this.logResponse(request.method, url, response.status, responseData, responseData.message || 'Unknown error');
+    const error = new Error(`Notion API error: ${response.status} - ${responseData.message || 'Unknown error'}`);
+    error.status = response.status;
+    // A 429 here has outlasted the retries; the plan executor pauses the job on this code
+    error.code = response.status === 429 ? 'rate_limited' : (responseData.code || null);
+    throw error;
+  }
+
   /**
    * Build database properties from headers, ensuring one title property and unique names
    * @param {Array<string>} headers
@@ -2898,6 +3100,16 @@ class NotionClient {
     return parts.map(p => ({ type: 'text', text: { content: p } }));
   }
 
+  /**
+   * Convert inline Markdown (**bold**, *italic*, ~~strike~~, `code`, [text](url)) into a Notion
+   * rich_text array within length limits (see notion-rich-text.js)
+   * @param {string} text
+   * @returns {Array<Object>}
+   */
+  createRichTextFromMarkdown(text) {
+    return markdownToRichText(text, 2000);
+  }
+
   /**
    * Insert multiple rows into a database as pages
    * @param {string} databaseId
@@ -2921,13 +3133,14 @@ class NotionClient {
         const propName = sanitizedHeaders[c];
         const cell = row[c] !== undefined ? String(row[c]) : '';
         
-        // ✅ Handle Comments column specially - always empty
+        // ✅ Handle Comments column specially - triage annotation of the row, empty otherwise
         if (propName === 'Comments') {
-          properties[propName] = { rich_text: [] }; // Empty rich_text array
+          const comment = this.rowCommentResolver ? this.rowCommentResolver(row) : '';
+          properties[propName] = { rich_text: comment ? this.createRichTextArrayFromString(comment) : [] };
         } else if (propName === titlePropName) {
-          properties[propName] = { title: this.createRichTextArrayFromString(cell) };
+          properties[propName] = { title: this.createRichTextFromMarkdown(cell) };
         } else {
-          properties[propName] = { rich_text: this.createRichTextArrayFromString(cell) };
+          properties[propName] = { rich_text: this.createRichTextFromMarkdown(cell) };
         }
       }
 
@@ -2950,7 +3163,7 @@ class NotionClient {
     const body = { parent: { database_id: databaseId }, properties };
 
     this.logRequest('POST', url, body, this.headers);
-    const response = await this._fetch(url, { method: 'POST', headers: this.headers, body: JSON.stringify(body) });
+    const response = await this._fetchWithRetry(url, { method: 'POST', headers: this.headers, body: JSON.stringify(body) });
     const responseData = await response.json();
     if (!response.ok) {
       this.logResponse('POST', url, response.status, responseData, responseData.message || 'Unknown error');
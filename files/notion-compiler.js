@@ -14,9 +14,18 @@ class NotionCompiler {
     };
     this.PARAGRAPH_CHUNK = 1800; // split paragraphs at 1,800 chars
     this.APPEND_CHILDREN_MAX = 100; // max children per append
+    this.RICH_TEXT_MAX = 2000; // max chars per rich_text item (same limit as NotionClient.validateBlocks)
   }
 
-  compileMarkdownToPlan(markdown, destinationPageId) {
+  /**
+   * @param {string} markdown - Report Markdown
+   * @param {string} destinationPageId - Page the report page is created under
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.leadBlocks] - Blocks placed above the report content (difference summary)
+   * @param {Function|null} [options.rowComment] - (row cells) => Comments column text of a table row
+   * @returns {{ plan: Array<string>, batches: Array<Object>, notes: Array<string> }}
+   */
+  compileMarkdownToPlan(markdown, destinationPageId, options = {}) {
     const plan = [];
     const batches = [];
     const notes = [];
@@ -30,21 +39,20 @@ class NotionCompiler {
 
     // 2) Create root page
     plan.push('Create root page');
-    const rootPageReq = this.reqPost('pages', {
-      parent: { type: 'page_id', page_id: destinationPageId },
-      properties: {
-        title: {
-          title: [ { text: { content: title } } ]
-        }
-      },
-      children: []
-    });
-    batches.push(rootPageReq);
+    batches.push(this.rootPageRequest(title, destinationPageId));
 
     // We will refer to the root page id as {rootId} placeholder in subsequent URLs
     // The executor should replace {rootId} with the response id of the first request.
     const rootIdPlaceholder = '{rootId}';
 
+    // Lead blocks come before everything else, including the Field existence tables
+    if (Array.isArray(options.leadBlocks) && options.leadBlocks.length > 0) {
+      this.chunkArray(options.leadBlocks, this.APPEND_CHILDREN_MAX).forEach(children => {
+        plan.push('Append content (lead blocks)');
+        batches.push(this.reqPatch(`blocks/${rootIdPlaceholder}/children`, { children }));
+      });
+    }
+
     // PRIORITY: Move Field existence check tables to the top (before all others)
     const isFieldExistenceHeading = (text) => /field\s+exis(t|st)ence|field\s+exis(t|st)ance/i.test(String(text || ''));
     const consumed = new Set();
@@ -64,7 +72,7 @@ class NotionCompiler {
     // Emit priority pairs first: heading then the associated table as an inline DB
     for (const pair of priorityPairs) {
       const headingItem = parsed.items[pair.headingIndex];
-      const tableItem = parsed.items[pair.tableIndex];
+      const tableItem = this.withCommentsColumn(parsed.items[pair.tableIndex], options.rowComment);
       if (headingItem && headingItem.kind === 'heading') {
         // Append the heading immediately at the top
         const headingBlock = this.blockHeading(headingItem.text, headingItem.level);
@@ -179,12 +187,13 @@ class NotionCompiler {
         case 'table': {
           // Flush any accumulated children first to preserve order
           pushCurrentChildren();
+          const table = this.withCommentsColumn(item, options.rowComment);
 
           // Create inline database for this table
-          const { schema, titlePropName, titleValues, propNamesByHeaderIndex, selectOptionsNotes } = this.inferTableSchema(item.headers, item.rows);
+          const { schema, titlePropName, titleValues, propNamesByHeaderIndex, selectOptionsNotes } = this.inferTableSchema(table.headers, table.rows);
           notes.push(...selectOptionsNotes);
 
-          const dbTitle = item.title || this.deriveTableTitle(item.headers);
+          const dbTitle = table.title || this.deriveTableTitle(table.headers);
           plan.push(`Create DB: ${dbTitle}`);
           // Phase 1: create DB with only the title property to lock column order
           const titleOnly = {}; titleOnly[titlePropName] = { title: {} };
@@ -209,8 +218,8 @@ class NotionCompiler {
           // Create row pages for the table (or add empty-note)
           const rowRequests = this.buildRowRequests(
             dbIdPlaceholder,
-            item.headers,
-            item.rows,
+            table.headers,
+            table.rows,
             schema,
             titlePropName,
             titleValues,
@@ -239,6 +248,51 @@ class NotionCompiler {
     return { plan, batches, notes };
   }
 
+  /**
+   * Plan of a page built from ready-made Notion blocks (no Markdown to parse)
+   * @param {Array<Object>} blocks - Blocks within the Notion limits (NotionClient.validateBlocks)
+   * @param {string} destinationPageId - Page the new page is created under
+   * @param {string} [title] - Page title
+   * @returns {{ plan: Array<string>, batches: Array<Object>, notes: Array<string> }}
+   */
+  compileBlocksToPlan(blocks, destinationPageId, title = 'Imported report') {
+    const plan = ['Create root page'];
+    const batches = [this.rootPageRequest(title, destinationPageId)];
+    const chunks = this.chunkArray(blocks, this.APPEND_CHILDREN_MAX);
+    chunks.forEach((children, idx) => {
+      plan.push(chunks.length > 1 ? `Append content (chunk ${idx + 1}/${chunks.length})` : 'Append content');
+      batches.push(this.reqPatch('blocks/{rootId}/children', { children }));
+    });
+    return { plan, batches, notes: [] };
+  }
+
+  rootPageRequest(title, destinationPageId) {
+    return this.reqPost('pages', {
+      parent: { type: 'page_id', page_id: destinationPageId },
+      properties: {
+        title: {
+          title: [ { text: { content: title } } ]
+        }
+      },
+      children: []
+    });
+  }
+
+  // Every table database gets a Comments column (as NotionClient.createDatabasePropertiesFromHeaders does),
+  // filled from the row comment resolver
+  withCommentsColumn(table, rowComment) {
+    const commentIndex = table.headers.indexOf('Comments');
+    const headers = commentIndex === -1 ? table.headers.concat('Comments') : table.headers;
+    const index = commentIndex === -1 ? table.headers.length : commentIndex;
+    const rows = table.rows.map(row => {
+      const cells = row.slice(0, headers.length);
+      while (cells.length < headers.length) cells.push('');
+      cells[index] = rowComment ? rowComment(row) || '' : '';
+      return cells;
+    });
+    return { ...table, headers, rows };
+  }
+
   // ---------- Parsing ----------
 
   parseMarkdown(markdown) {
@@ -375,11 +429,11 @@ class NotionCompiler {
   collectTable(lines, startIndex) {
     const header = lines[startIndex];
     const separator = lines[startIndex + 1];
-    const headers = header.split('|').map(s => s.trim()).filter(s => s.length > 0);
+    const headers = this.splitTableRow(header).filter(s => s.length > 0);
     let rowIndex = startIndex + 2;
     const rows = [];
     while (rowIndex < lines.length && /\|/.test(lines[rowIndex])) {
-      const row = lines[rowIndex].split('|').map(s => s.trim());
+      const row = this.splitTableRow(lines[rowIndex]);
       const trimmed = row.filter((_, idx) => true);
       if (trimmed.length > 0) rows.push(trimmed);
       else break;
@@ -391,6 +445,13 @@ class NotionCompiler {
     };
   }
 
+  // Cells of a table row: outer pipes dropped, escaped pipes (\\|) kept in the cell
+  splitTableRow(line) {
+    return line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '')
+      .split(/(?<!\\)\|/)
+      .map(s => s.trim());
+  }
+
   // ---------- Block builders ----------
 
   blockHeading(text, level) {
@@ -416,7 +477,7 @@ class NotionCompiler {
       object: 'block',
       type: 'paragraph',
       paragraph: {
-        rich_text: [ { type: 'text', text: { content: text } } ],
+        rich_text: this.richText(text),
         color: 'default'
       }
     };
@@ -427,7 +488,7 @@ class NotionCompiler {
       object: 'block',
       type: 'bulleted_list_item',
       bulleted_list_item: {
-        rich_text: [ { type: 'text', text: { content: text } } ],
+        rich_text: this.richText(text),
         color: 'default'
       }
     };
@@ -438,7 +499,7 @@ class NotionCompiler {
       object: 'block',
       type: 'numbered_list_item',
       numbered_list_item: {
-        rich_text: [ { type: 'text', text: { content: text } } ],
+        rich_text: this.richText(text),
         color: 'default'
       }
     };
@@ -450,7 +511,7 @@ class NotionCompiler {
       type: 'to_do',
       to_do: {
         checked: !!checked,
-        rich_text: [ { type: 'text', text: { content: text } } ]
+        rich_text: this.richText(text)
       }
     };
   }
@@ -460,7 +521,7 @@ class NotionCompiler {
       object: 'block',
       type: 'quote',
       quote: {
-        rich_text: [ { type: 'text', text: { content: text } } ],
+        rich_text: this.richText(text),
         color: 'default'
       }
     };
@@ -472,16 +533,31 @@ class NotionCompiler {
       type: 'code',
       code: {
         language: language || 'text',
-        rich_text: [ { type: 'text', text: { content: code } } ]
+        // Code keeps its whitespace, so split at the limit instead of chunkParagraph boundaries
+        rich_text: (String(code || '').match(new RegExp(`[\\s\\S]{1,${this.RICH_TEXT_MAX}}`, 'g')) || [ '' ])
+          .map(part => ({ type: 'text', text: { content: part } }))
       }
     };
   }
 
+  // ---------- Inline formatting ----------
+
+  // Inline Markdown → rich_text items of at most RICH_TEXT_MAX chars (markdownToRichText in notion-rich-text.js)
+  richText(text) {
+    return markdownToRichText(text, this.RICH_TEXT_MAX);
+  }
+
+  // Displayed text of inline Markdown (select, number, date and checkbox values)
+  plainText(text) {
+    return markdownToPlainText(text);
+  }
+
   // ---------- Table schema inference ----------
 
   inferTableSchema(headers, rows) {
     const notes = [];
-    const columnValues = headers.map((_, colIdx) => rows.map(r => (r[colIdx] !== undefined ? String(r[colIdx]) : '').trim()));
+    // Infer types from the displayed text (`5` is a number, **Yes** a checkbox)
+    const columnValues = headers.map((_, colIdx) => rows.map(r => this.plainText(r[colIdx] !== undefined ? String(r[colIdx]) : '').trim()));
 
     // Force the first report column to be the title to preserve visible order
     const titleCol = 0;
@@ -527,7 +603,9 @@ class NotionCompiler {
       const name = inferredNames[idx];
       let type = 'rich_text';
 
-      if (values.length > 0 && values.every(isBoolToken)) {
+      if (headers[idx] === 'Comments') {
+        // Free text written by reviewers, never inferred
+      } else if (values.length > 0 && values.every(isBoolToken)) {
         type = 'checkbox';
       } else if (values.length > 0 && values.every(isNumber)) {
         type = 'number';
@@ -557,8 +635,8 @@ class NotionCompiler {
       }
     }
 
-    // Title values for convenience
-    const titleValues = columnValues[titleCol];
+    // Title values keep their inline formatting
+    const titleValues = rows.map(r => (r[titleCol] !== undefined ? String(r[titleCol]) : '').trim());
     // Debug notes for verification
     notes.push(`Headers (order): ${headers.join(' | ')}`);
     notes.push(`Properties (order): ${propNamesByHeaderIndex.join(' | ')}`);
@@ -589,14 +667,15 @@ class NotionCompiler {
       const properties = {};
       // Title
       const titleValue = (titleValues[rowIdx] || '').toString();
-      properties[titlePropName] = { title: [ { text: { content: titleValue || `Row ${rowIdx + 1}` } } ] };
+      properties[titlePropName] = { title: this.richText(titleValue || `Row ${rowIdx + 1}`) };
 
       // Other properties
       headers.forEach((h, colIdx) => {
         const propName = headerToProp(h, colIdx);
         if (!schema[propName] || propName === titlePropName) return;
         const type = Object.keys(schema[propName])[0];
-        const raw = (row[colIdx] !== undefined ? String(row[colIdx]) : '').trim();
+        const cell = (row[colIdx] !== undefined ? String(row[colIdx]) : '').trim();
+        const raw = type === 'rich_text' ? cell : this.plainText(cell).trim();
         if (raw.length === 0) {
           // set nulls for optional types where allowed
           if (type === 'number') properties[propName] = { number: null };
@@ -627,9 +706,8 @@ class NotionCompiler {
             break;
           }
           default: {
-            // rich_text; split content if large
-            const chunks = this.chunkParagraph(raw, 1800);
-            properties[propName] = { rich_text: chunks.map(c => ({ type: 'text', text: { content: c } })) };
+            // rich_text; inline formatting, split content if large
+            properties[propName] = { rich_text: this.richText(raw) };
           }
         }
       });
@@ -71,7 +71,7 @@ class NotionLogger {
     const bodySize = body ? JSON.stringify(body).length : 0;
     this.stats.totalRequestSize += bodySize;
     
-    const endpoint = url.replace('https://api.notion.com/v1', '');
+    const endpoint = url.replace(/^https?:\/\/[^/]+\/v1/, '');
     
     // Only log in SUMMARY or DETAILED modes (skip in MINIMAL)
     if (this.logLevel >= NotionLogger.LOG_LEVELS.SUMMARY) {
@@ -125,7 +125,7 @@ class NotionLogger {
       this.stats.errors++;
     }
     
-    const endpoint = url.replace('https://api.notion.com/v1', '');
+    const endpoint = url.replace(/^https?:\/\/[^/]+\/v1/, '');
     
     // Always log errors, otherwise respect log level
     if (error || this.logLevel >= NotionLogger.LOG_LEVELS.SUMMARY) {
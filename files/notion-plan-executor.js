@@ -0,0 +1,202 @@
+/**
+ * SIS compare tool + Env capture - Notion Plan Executor
+ * Runs an upload as a persisted execution plan: every report is compiled (NotionCompiler) into the
+ * Notion requests that build its sub-page, the plan is stored next to the upload job, and each
+ * completed request and each resolved placeholder id ({rootId}, {dbId_N}) is checkpointed into the job.
+ * After a crash, browser restart or 429 storm the upload-watchdog restarts the job and the executor
+ * continues every sub-page from its nextBatchIndex. A request that completed right before a crash, but
+ * was not checkpointed yet, is sent again.
+ */
+
+const UPLOAD_PLAN_KEY_PREFIX = 'uploadPlan_';
+const UPLOAD_RATE_LIMIT_PAUSE_MS = 60 * 1000; // wait before the watchdog resumes a rate-limited job
+
+/**
+ * Storage key of a job's plan
+ * @param {string} jobId - Upload job ID
+ * @returns {string} Storage key
+ */
+function uploadPlanKey(jobId) {
+  return `${UPLOAD_PLAN_KEY_PREFIX}${jobId}`;
+}
+
+/**
+ * Replace the placeholders of a plan request with the ids resolved so far
+ * @param {*} value - Request (or part of it)
+ * @param {Object} ids - Resolved ids by placeholder name ({ rootId, dbId_3, ... })
+ * @returns {*} Copy with placeholders replaced
+ * @throws {Error} When a placeholder has not been resolved
+ */
+function resolvePlanPlaceholders(value, ids) {
+  if (typeof value === 'string') {
+    return value.replace(/\{(rootId|dbId_\d+)\}/g, (placeholder, name) => {
+      if (!ids[name]) throw new Error(`Unresolved plan placeholder ${placeholder}`);
+      return ids[name];
+    });
+  }
+  if (Array.isArray(value)) return value.map(item => resolvePlanPlaceholders(item, ids));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolvePlanPlaceholders(item, ids)]));
+  }
+  return value;
+}
+
+/**
+ * Placeholder a plan request resolves (see NotionCompiler.compileMarkdownToPlan)
+ * @param {Object} request - Plan request
+ * @param {number} index - Position of the request in its sub-page plan
+ * @returns {string|null} Placeholder name
+ */
+function planPlaceholderFor(request, index) {
+  if (request.method !== 'POST') return null;
+  if (index === 0 && /\/pages$/.test(request.url)) return 'rootId';
+  if (/\/databases$/.test(request.url)) return `dbId_${index + 1}`;
+  return null;
+}
+
+class NotionPlanExecutor {
+  /**
+   * @param {Object} options - Executor options
+   * @param {NotionClient} options.client - Notion client
+   * @param {Object} options.store - Job store (createUploadJobStore() in jobs-store.js)
+   * @param {string} options.jobId - Upload job ID
+   * @param {Function} [options.progressCallback] - Progress callback function
+   */
+  constructor({ client, store, jobId, progressCallback = null }) {
+    this.client = client;
+    this.store = store;
+    this.jobId = jobId;
+    this.progressCallback = progressCallback || (() => {});
+  }
+
+  /**
+   * Compile the reports and persist the plan
+   * @param {Array<Object>} reports - Per sub-page: { key, title } plus either the report markdown (with optional
+   *   leadBlocks and rowComment, see NotionCompiler.compileMarkdownToPlan) or ready-made blocks
+   * @param {string} parentPageId - Page the sub-pages are created under
+   * @returns {Promise<Array<UploadJobSubpage>>} Sub-page states (also checkpointed into the job)
+   */
+  async prepare(reports, parentPageId) {
+    const compiler = new NotionCompiler();
+    const plan = {
+      createdAt: new Date().toISOString(),
+      parentPageId,
+      subpages: reports.map(report => {
+        const { batches } = report.blocks
+          ? compiler.compileBlocksToPlan(report.blocks, parentPageId)
+          : compiler.compileMarkdownToPlan(report.markdown, parentPageId, { leadBlocks: report.leadBlocks, rowComment: report.rowComment });
+        // Sub-page titles come from the report configuration rather than the report's H1
+        batches[0].body.properties.title.title = [{ text: { content: report.title } }];
+        return { key: report.key, title: report.title, batches };
+      })
+    };
+    await this.store.savePlan(this.jobId, plan);
+
+    const subpages = plan.subpages.map(subpage => ({
+      key: subpage.key,
+      title: subpage.title,
+      id: null,
+      url: null,
+      totalBatches: subpage.batches.length,
+      nextBatchIndex: 0,
+      status: 'pending',
+      error: null,
+      placeholders: {}
+    }));
+    const totalBatches = subpages.reduce((sum, subpage) => sum + subpage.totalBatches, 0);
+    await this.store.checkpoint(this.jobId, {
+      pointers: { planKey: uploadPlanKey(this.jobId) },
+      notion: { subpages, totals: { totalBlocks: 0, totalBatches, totalApiCalls: totalBatches } }
+    });
+    return subpages;
+  }
+
+  /**
+   * Run (or resume) the persisted plan
+   * @returns {Promise<Array<UploadJobSubpage>>} Final sub-page states
+   * @throws {Error} Cancellations, and rate limits (code 'rate_limited') after pausing the job
+   */
+  async run() {
+    const [job, plan] = await Promise.all([this.store.getJob(this.jobId), this.store.getPlan(this.jobId)]);
+    if (!job || !plan) throw new Error(`No upload plan for job ${this.jobId}`);
+    const subpages = job.notion.subpages;
+    const totalBatches = subpages.reduce((sum, subpage) => sum + subpage.totalBatches, 0);
+    const done = () => subpages.reduce((sum, subpage) => sum + subpage.nextBatchIndex, 0);
+    if (done() > 0) {
+      this.progressCallback(`${this.percent(done(), totalBatches)}% - Resuming upload at request ${done() + 1}/${totalBatches}`);
+    }
+
+    for (let s = 0; s < subpages.length; s++) {
+      const subpage = subpages[s];
+      if (subpage.status === 'succeeded' || subpage.status === 'skipped') continue;
+      const batches = plan.subpages[s].batches;
+      subpage.status = 'running';
+      subpage.error = null;
+      try {
+        for (let i = subpage.nextBatchIndex; i < batches.length; i++) {
+          const request = resolvePlanPlaceholders(batches[i], subpage.placeholders);
+          const data = await this.client.executePlanRequest(request);
+          const placeholder = planPlaceholderFor(batches[i], i);
+          if (placeholder) subpage.placeholders[placeholder] = data.id;
+          if (placeholder === 'rootId') {
+            subpage.id = data.id;
+            subpage.url = data.url || null;
+          }
+          subpage.nextBatchIndex = i + 1;
+          await this.checkpoint(subpages, s, this.percent(done(), totalBatches));
+        }
+        subpage.status = 'succeeded';
+        await this.checkpoint(subpages, s, this.percent(done(), totalBatches));
+        this.progressCallback(`${this.percent(done(), totalBatches)}% - ✓ Created ${subpage.title}`);
+      } catch (error) {
+        if (typeof NotionClient !== 'undefined' && NotionClient.isCancellationError && NotionClient.isCancellationError(error)) {
+          throw error;
+        }
+        if (error.code === 'rate_limited') {
+          // Keep the position; the watchdog resumes the job once the pause is over
+          subpage.status = 'pending';
+          await this.store.checkpoint(this.jobId, {
+            status: 'paused',
+            notion: { subpages },
+            error: { message: error.message, code: 'rate_limited', details: { subpage: subpage.key, batch: subpage.nextBatchIndex } },
+            resume: { retryAt: new Date(Date.now() + UPLOAD_RATE_LIMIT_PAUSE_MS).toISOString() }
+          });
+          this.progressCallback(`${this.percent(done(), totalBatches)}% - ⏸ Rate limited by Notion; the upload will resume automatically`);
+          throw error;
+        }
+        subpage.status = 'failed';
+        subpage.error = error.message;
+        await this.checkpoint(subpages, s, this.percent(done(), totalBatches));
+        this.progressCallback(`${this.percent(done(), totalBatches)}% - ✗ Failed to create ${subpage.title}: ${error.message}`);
+      }
+    }
+    return subpages;
+  }
+
+  async checkpoint(subpages, index, percent) {
+    await this.store.checkpoint(this.jobId, {
+      notion: { subpages },
+      progress: { percent, currentSubpage: subpages[index].key, currentBatch: subpages[index].nextBatchIndex }
+    });
+  }
+
+  // Plan requests run between 30% and 90% of the upload
+  percent(done, total) {
+    return Math.round(30 + (total > 0 ? (done / total) * 60 : 60));
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    UPLOAD_PLAN_KEY_PREFIX,
+    NotionPlanExecutor,
+    uploadPlanKey,
+    resolvePlanPlaceholders,
+    planPlaceholderFor
+  };
+}
+
+if (typeof window !== 'undefined') {
+  window.NotionPlanExecutor = NotionPlanExecutor;
+}
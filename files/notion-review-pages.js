@@ -0,0 +1,150 @@
+/**
+ * SIS compare tool + Env capture - Notion Review Pages
+ * Remembers the Notion review page uploaded for each school pair: the main page, the sub-page of each
+ * report and a fingerprint of the report content. Uploads in "update existing" mode use the record to
+ * sync the previous page in place (only reports whose content changed are rewritten) instead of
+ * creating another "{school} Pod Lead Review {date} {time}" page. Also remembers the Reviews index
+ * database (notion-reviews-index.js) of each top-level page.
+ */
+
+const NOTION_REVIEW_PAGES_STORAGE_KEY = 'notionReviewPages';
+const NOTION_REVIEWS_DATABASES_STORAGE_KEY = 'notionReviewsDatabases'; // Reviews index database per top-level page
+const NOTION_REVIEW_TEMPDATA_KEY = 'NotionReviewMode'; // { updateExisting } attached to a Notion upload payload
+
+/**
+ * Key of a school pair and its environments
+ * @param {string} mainSchool - Main school ID
+ * @param {string} baselineSchool - Baseline school ID
+ * @param {string} [mainEnv='staging'] - Main school environment
+ * @param {string} [baselineEnv='staging'] - Baseline school environment
+ * @returns {string} Pair key
+ */
+function notionReviewPairKey(mainSchool, baselineSchool, mainEnv = 'staging', baselineEnv = 'staging') {
+  const normalize = (value) => String(value || '').trim().toLowerCase();
+  return `${normalize(mainSchool)}:${normalize(mainEnv)}|${normalize(baselineSchool)}:${normalize(baselineEnv)}`;
+}
+
+/**
+ * Fingerprint of a report's content, ignoring the "Generated:" timestamp lines every run changes
+ * @param {string} content - Report Markdown
+ * @param {*} [extra] - Other inputs of the uploaded page (e.g. triage annotations shown as comments)
+ * @returns {Promise<string>} Hex fingerprint
+ */
+async function fingerprintReportContent(content, extra = null) {
+  const text = String(content || '')
+    .split('\n')
+    .filter(line => !/^\s*\*\*Generated:\*\*/.test(line))
+    .join('\n') + (extra ? `\n${JSON.stringify(extra)}` : '');
+
+  if (typeof crypto !== 'undefined' && crypto.subtle) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+  // FNV-1a fallback (no SubtleCrypto)
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return `${hash.toString(16)}-${text.length}`;
+}
+
+/**
+ * Storage area that goes through the background service worker (offscreen documents have no chrome.storage)
+ * @returns {Object} { get, set } with the chrome.storage.local call shapes
+ */
+function createRuntimeStorageArea() {
+  const send = (message) => new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (!response || !response.ok) reject(new Error(response?.error || `${message.type} failed`));
+      else resolve(response);
+    });
+  });
+  return {
+    async get(key) {
+      const response = await send({ type: 'storage:get', area: 'local', key });
+      return { [key]: response.value };
+    },
+    async set(items) {
+      for (const [key, value] of Object.entries(items)) {
+        await send({ type: 'storage:set', area: 'local', key, value });
+      }
+    }
+  };
+}
+
+class NotionReviewPageStore {
+  /**
+   * @param {Object} [options] - Store options
+   * @param {Object} [options.storage] - chrome.storage area (get/set); defaults to chrome.storage.local,
+   *   or the background storage proxy where chrome.storage is unavailable
+   */
+  constructor(options = {}) {
+    this.storage = options.storage
+      || (typeof chrome !== 'undefined' && chrome.storage ? chrome.storage.local : createRuntimeStorageArea());
+  }
+
+  async readAll() {
+    const stored = await this.storage.get(NOTION_REVIEW_PAGES_STORAGE_KEY);
+    return stored[NOTION_REVIEW_PAGES_STORAGE_KEY] || {};
+  }
+
+  /**
+   * Review page last uploaded for a pair
+   * @param {string} pairKey - Output of notionReviewPairKey()
+   * @returns {Promise<Object|null>} { pageId, url, title, uploadedAt, reports: { reportKey: { pageId, url, title, fingerprint, differences } } }
+   */
+  async get(pairKey) {
+    const all = await this.readAll();
+    return all[pairKey] || null;
+  }
+
+  /**
+   * Remember the review page of a pair
+   * @param {string} pairKey - Output of notionReviewPairKey()
+   * @param {Object|null} record - Review page record (null forgets the pair)
+   */
+  async set(pairKey, record) {
+    const all = await this.readAll();
+    if (record) all[pairKey] = record; else delete all[pairKey];
+    await this.storage.set({ [NOTION_REVIEW_PAGES_STORAGE_KEY]: all });
+  }
+
+  /**
+   * Reviews index database of a top-level page
+   * @param {string} parentId - Top-level page ID
+   * @returns {Promise<Object|null>} { databaseId, createdAt }
+   */
+  async getReviewsDatabase(parentId) {
+    const stored = await this.storage.get(NOTION_REVIEWS_DATABASES_STORAGE_KEY);
+    return (stored[NOTION_REVIEWS_DATABASES_STORAGE_KEY] || {})[parentId] || null;
+  }
+
+  /**
+   * Remember the Reviews index database of a top-level page
+   * @param {string} parentId - Top-level page ID
+   * @param {Object|null} record - { databaseId, createdAt } (null forgets it)
+   */
+  async setReviewsDatabase(parentId, record) {
+    const stored = await this.storage.get(NOTION_REVIEWS_DATABASES_STORAGE_KEY);
+    const all = stored[NOTION_REVIEWS_DATABASES_STORAGE_KEY] || {};
+    if (record) all[parentId] = record; else delete all[parentId];
+    await this.storage.set({ [NOTION_REVIEWS_DATABASES_STORAGE_KEY]: all });
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    NOTION_REVIEW_PAGES_STORAGE_KEY,
+    NOTION_REVIEWS_DATABASES_STORAGE_KEY,
+    NOTION_REVIEW_TEMPDATA_KEY,
+    NotionReviewPageStore,
+    notionReviewPairKey,
+    fingerprintReportContent
+  };
+}
+
+if (typeof window !== 'undefined') {
+  window.NotionReviewPageStore = NotionReviewPageStore;
+}
@@ -0,0 +1,186 @@
+/**
+ * SIS compare tool + Env capture - Notion Reviews Index
+ * Keeps a "Pod Lead Reviews" database under the top-level Notion page with one row per uploaded
+ * comparison run: schools, environments, run date, difference count per report, risk score, review
+ * status and a link to the review page. Pod leads filter and sort it as a portfolio view across schools.
+ */
+
+const NOTION_REVIEWS_DATABASE_TITLE = '📇 Pod Lead Reviews';
+
+// Fixed columns in display order (report columns follow; createDatabaseOrdered adds Comments)
+const NOTION_REVIEWS_COLUMNS = {
+  'Review': { title: {} },
+  'Main School': { select: {} },
+  'Baseline School': { select: {} },
+  'Main Env': { select: {} },
+  'Baseline Env': { select: {} },
+  'Run Date': { date: {} },
+  'Status': { select: {} },
+  'Risk Score': { number: {} },
+  'Differences': { number: {} },
+  'Link': { url: {} }
+};
+
+const NOTION_REVIEWS_STATUSES = {
+  needsReview: 'Needs review',
+  clean: 'No differences'
+};
+
+// Reports without a difference count of their own
+const NOTION_REVIEWS_SKIPPED_REPORTS = ['ExecutiveSummary_Report', 'CAC_Report', 'RemediationPlan_Report'];
+
+/**
+ * Column name of a report ('📚 Course Template Comparison' becomes 'Course Template')
+ * @param {string} title - Report title
+ * @returns {string} Column name
+ */
+function reviewsReportColumn(title) {
+  return String(title || '').replace(/^[^A-Za-z0-9]+/, '').replace(/\s+Comparison$/, '').trim();
+}
+
+/**
+ * Summarize a run for the Reviews database from the structured diff results
+ * @param {Object} tempData - All generated data
+ * @param {Array<Object>} reportConfigs - Uploaded reports ({ key, title }, see NotionUploader.getReportConfigs)
+ * @returns {Object} { reports: [{ key, column, differences }], differences, riskScore }
+ */
+function summarizeReviewRun(tempData, reportConfigs) {
+  const summary = { reports: [], differences: 0, riskScore: 0 };
+  reportConfigs
+    .filter(config => !NOTION_REVIEWS_SKIPPED_REPORTS.includes(config.key))
+    .forEach(config => {
+      const diff = DiffResult.fromJSON(tempData[DiffResult.storageKey(config.key)]);
+      if (!diff) return;
+      const differences = diff.getDifferences();
+      summary.reports.push({ key: config.key, column: reviewsReportColumn(config.title), differences: differences.length });
+      summary.differences += differences.length;
+      summary.riskScore += differences.reduce((sum, record) => sum + (record.details?.riskScore || 0), 0);
+    });
+  return summary;
+}
+
+/**
+ * Select option value (Notion select names cannot contain commas)
+ * @param {string} value - Raw value
+ * @returns {Object|null} Select property value
+ */
+function reviewsSelect(value) {
+  const name = String(value || '').replace(/,/g, ' ').trim().slice(0, 100);
+  return name ? { select: { name } } : { select: null };
+}
+
+class NotionReviewsIndex {
+  /**
+   * @param {NotionClient} client - Notion client
+   * @param {NotionReviewPageStore} store - Remembers the database of each top-level page
+   */
+  constructor(client, store) {
+    this.client = client;
+    this.store = store;
+  }
+
+  /**
+   * Find (or create) the Reviews database under a top-level page and make sure it has every report column
+   * The database ID is remembered per machine; another machine finds the database among the page's children.
+   * @param {string} parentId - Top-level page ID
+   * @param {Array<string>} reportColumns - Report columns the next row needs
+   * @returns {Promise<string>} Database ID
+   */
+  async ensureDatabase(parentId, reportColumns) {
+    const record = await this.store.getReviewsDatabase(parentId);
+    let database = record && record.databaseId ? await this.retrieveLiveDatabase(record.databaseId) : null;
+    if (!database) {
+      const foundId = await this.findDatabase(parentId);
+      database = foundId ? await this.retrieveLiveDatabase(foundId) : null;
+      if (database) await this.store.setReviewsDatabase(parentId, { databaseId: database.id, createdAt: new Date().toISOString() });
+    }
+    if (database) {
+      const missing = reportColumns.filter(column => !database.properties[column]);
+      if (missing.length > 0) {
+        await this.client.addDatabaseProperties(database.id, Object.fromEntries(missing.map(column => [column, { number: {} }])));
+      }
+      return database.id;
+    }
+
+    const propertyTypes = { ...NOTION_REVIEWS_COLUMNS };
+    reportColumns.forEach(column => { propertyTypes[column] = { number: {} }; });
+    const created = await this.client.createDatabaseOrdered(parentId, NOTION_REVIEWS_DATABASE_TITLE, Object.keys(propertyTypes), propertyTypes);
+    await this.store.setReviewsDatabase(parentId, { databaseId: created.database.id, createdAt: new Date().toISOString() });
+    return created.database.id;
+  }
+
+  /**
+   * Database that is still in use (not archived or in the trash)
+   * @param {string} databaseId - Database ID
+   * @returns {Promise<Object|null>} { id, properties }
+   */
+  async retrieveLiveDatabase(databaseId) {
+    const existing = await this.client.retrieveDatabase(databaseId);
+    if (!existing.ok || existing.data?.archived || existing.data?.in_trash) return null;
+    return { id: databaseId, properties: existing.data?.properties || {} };
+  }
+
+  /**
+   * Reviews database among the children of a top-level page
+   * @param {string} parentId - Top-level page ID
+   * @returns {Promise<string|null>} Database ID
+   */
+  async findDatabase(parentId) {
+    const children = await this.client.listBlockChildren(parentId);
+    const block = children.find(child => child.type === 'child_database' && !child.archived && !child.in_trash
+      && child.child_database?.title === NOTION_REVIEWS_DATABASE_TITLE);
+    return block ? block.id : null;
+  }
+
+  /**
+   * Row properties of a run
+   * @param {Object} run - { mainSchool, baselineSchool, mainEnv, baselineEnv, runDate, url, summary }
+   * @returns {Object} Notion page properties
+   */
+  buildRunProperties(run) {
+    const runDate = run.runDate || new Date();
+    const properties = {
+      'Review': { title: [{ type: 'text', text: { content: `${run.mainSchool} vs ${run.baselineSchool} ${runDate.toISOString().slice(0, 10)}` } }] },
+      'Main School': reviewsSelect(run.mainSchool),
+      'Baseline School': reviewsSelect(run.baselineSchool),
+      'Main Env': reviewsSelect(run.mainEnv || 'staging'),
+      'Baseline Env': reviewsSelect(run.baselineEnv || 'staging'),
+      'Run Date': { date: { start: runDate.toISOString() } },
+      'Status': reviewsSelect(run.summary.differences > 0 ? NOTION_REVIEWS_STATUSES.needsReview : NOTION_REVIEWS_STATUSES.clean),
+      'Risk Score': { number: run.summary.riskScore },
+      'Differences': { number: run.summary.differences },
+      'Link': { url: run.url || null }
+    };
+    run.summary.reports.forEach(report => {
+      properties[report.column] = { number: report.differences };
+    });
+    return properties;
+  }
+
+  /**
+   * Add the row of a run
+   * @param {string} parentId - Top-level page ID
+   * @param {Object} run - See buildRunProperties()
+   * @returns {Promise<Object>} Created database page
+   */
+  async recordRun(parentId, run) {
+    const databaseId = await this.ensureDatabase(parentId, run.summary.reports.map(report => report.column));
+    return this.client.createPageInDatabase(databaseId, this.buildRunProperties(run));
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    NOTION_REVIEWS_DATABASE_TITLE,
+    NOTION_REVIEWS_COLUMNS,
+    NOTION_REVIEWS_STATUSES,
+    NotionReviewsIndex,
+    summarizeReviewRun,
+    reviewsReportColumn
+  };
+}
+
+if (typeof window !== 'undefined') {
+  window.NotionReviewsIndex = NotionReviewsIndex;
+}
@@ -0,0 +1,103 @@
+/**
+ * SIS compare tool + Env capture - Notion Rich Text
+ * Converts the inline Markdown of report text (**bold**, *italic*, ~~strike~~, `code`, [text](url)) into
+ * Notion rich_text items. Shared by NotionClient and SimpleTableBuilder (live uploads, including table
+ * cells and database rows) and NotionCompiler (execution plans), so every path formats text the same way.
+ */
+
+const NOTION_RICH_TEXT_MAX = 2000; // max chars per rich_text item (same limit as NotionClient.validateBlocks)
+const NOTION_RICH_TEXT_ITEMS_MAX = 100; // max rich_text items per block, cell or property
+
+/**
+ * Split inline Markdown into formatted segments; unmatched markers stay literal
+ * @param {string} text - Inline Markdown
+ * @param {Object} [annotations] - Annotations inherited from the enclosing markers
+ * @param {string|null} [link] - Link inherited from an enclosing [text](url)
+ * @returns {Array<Object>} { content, annotations, link, key } per segment
+ */
+function parseInlineMarkdown(text, annotations = {}, link = null) {
+  const pattern = /\\([\\`*_~\[\]()|#])|`([^`\n]+)`|\[([^\]\n]+)\]\(([^)\s]+)\)|\*\*(?=\S)(.+?)\*\*|__(?=\S)(.+?)__|~~(?=\S)(.+?)~~|\*(?=[^\s*])([^*\n]*?[^\s*])\*|(?<![A-Za-z0-9_])_(?=[^\s_])([^_\n]*?[^\s_])_(?![A-Za-z0-9_])/g;
+  const segments = [];
+  const push = (content, extra = {}, url = link) => {
+    if (!content) return;
+    const merged = { ...annotations, ...extra };
+    segments.push({ content, annotations: merged, link: url, key: JSON.stringify([merged, url]) });
+  };
+
+  let last = 0;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    push(text.slice(last, match.index));
+    last = pattern.lastIndex;
+    const [, escaped, code, linkText, url, bold, boldAlt, strike, italic, italicAlt] = match;
+    if (escaped !== undefined) push(escaped);
+    else if (code !== undefined) push(code, { code: true });
+    else if (linkText !== undefined) {
+      // Notion only accepts absolute links; anchors and relative paths keep just their text
+      const href = /^(https?:\/\/|mailto:)/i.test(url) ? url : link;
+      segments.push(...parseInlineMarkdown(linkText, annotations, href));
+    } else if (bold !== undefined || boldAlt !== undefined) {
+      segments.push(...parseInlineMarkdown(bold !== undefined ? bold : boldAlt, { ...annotations, bold: true }, link));
+    } else if (strike !== undefined) {
+      segments.push(...parseInlineMarkdown(strike, { ...annotations, strikethrough: true }, link));
+    } else {
+      segments.push(...parseInlineMarkdown(italic !== undefined ? italic : italicAlt, { ...annotations, italic: true }, link));
+    }
+  }
+  push(text.slice(last));
+  return segments;
+}
+
+/**
+ * Displayed text of inline Markdown (select, number, date and checkbox values)
+ * @param {string} text - Inline Markdown
+ * @returns {string} Text without the Markdown markers
+ */
+function markdownToPlainText(text) {
+  return parseInlineMarkdown(String(text || '')).map(segment => segment.content).join('');
+}
+
+/**
+ * Convert inline Markdown into rich_text items of at most maxLength chars
+ * @param {string} text - Inline Markdown
+ * @param {number} [maxLength] - Max chars per item
+ * @returns {Array<Object>} rich_text items (at least one; plain text when formatting needs too many items)
+ */
+function markdownToRichText(text, maxLength = NOTION_RICH_TEXT_MAX) {
+  const items = [];
+  parseInlineMarkdown(String(text || '')).forEach(segment => {
+    const last = items[items.length - 1];
+    if (last && last.key === segment.key) last.content += segment.content;
+    else items.push({ ...segment });
+  });
+
+  const richText = [];
+  items.forEach(({ content, annotations, link }) => {
+    for (let i = 0; i < content.length; i += maxLength) {
+      const item = { type: 'text', text: { content: content.slice(i, i + maxLength) } };
+      if (link) item.text.link = { url: link };
+      if (Object.keys(annotations).length > 0) item.annotations = { ...annotations };
+      richText.push(item);
+    }
+  });
+  if (richText.length === 0) return [{ type: 'text', text: { content: '' } }];
+  if (richText.length > NOTION_RICH_TEXT_ITEMS_MAX) {
+    // Too many formatted runs for one block: fall back to plain text
+    const plain = markdownToPlainText(text);
+    const parts = [];
+    for (let i = 0; i < plain.length; i += maxLength) parts.push(plain.slice(i, i + maxLength));
+    return parts.map(part => ({ type: 'text', text: { content: part } }));
+  }
+  return richText;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    NOTION_RICH_TEXT_MAX,
+    NOTION_RICH_TEXT_ITEMS_MAX,
+    parseInlineMarkdown,
+    markdownToPlainText,
+    markdownToRichText
+  };
+}
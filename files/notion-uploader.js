@@ -10,6 +10,7 @@ class NotionUploader {
     this.workspaceId = 'coursedog1'; // Extract from Notion URL
     this.lastUploadReport = null; // Store the last upload report
     this.simpleProcessor = null; // Simple content processor
+    this.reviewPageStore = null; // Review page of each school pair (notion-review-pages.js), created on first use
     
     // Notion API rate limits
     this.RATE_LIMIT = {
@@ -141,6 +142,12 @@ class NotionUploader {
    */
   getReportConfigs(tempData, mainSchool, baselineSchool) {
     const reportConfigs = [
+      {
+        key: 'ExecutiveSummary_Report',
+        title: '🚦 Executive Summary',
+        type: 'markdown',
+        generateContent: () => tempData['ExecutiveSummary_Report'] || 'Executive Summary not available'
+      },
       {
         key: 'CAC_Report',
         title: '📋 CAC Report',
@@ -177,6 +184,36 @@ class NotionUploader {
         type: 'markdown',
         generateContent: () => tempData['sectionTemplate_Comparison_Report'] || 'Section Template report not available'
       },
+      {
+        key: 'roomTemplate_Comparison_Report',
+        title: '🏫 Room Template Comparison',
+        type: 'markdown',
+        generateContent: () => tempData['roomTemplate_Comparison_Report'] || 'Room Template report not available'
+      },
+      {
+        key: 'instructorTemplate_Comparison_Report',
+        title: '🧑‍🏫 Instructor Template Comparison',
+        type: 'markdown',
+        generateContent: () => tempData['instructorTemplate_Comparison_Report'] || 'Instructor Template report not available'
+      },
+      {
+        key: 'termTemplate_Comparison_Report',
+        title: '🗓️ Term Template Comparison',
+        type: 'markdown',
+        generateContent: () => tempData['termTemplate_Comparison_Report'] || 'Term Template report not available'
+      },
+      {
+        key: 'FormsWorkflows_Comparison_Report',
+        title: '📝 Forms & Workflows Comparison',
+        type: 'markdown',
+        generateContent: () => tempData['FormsWorkflows_Comparison_Report'] || 'Forms & Workflows report not available'
+      },
+      {
+        key: 'NotificationSettings_Comparison_Report',
+        title: '🔔 Notification Settings Comparison',
+        type: 'markdown',
+        generateContent: () => tempData['NotificationSettings_Comparison_Report'] || 'Notification Settings report not available'
+      },
       {
         key: 'AttributeMapping_Comparison_Report',
         title: '🗺️ Attribute Mapping Comparison',
@@ -188,9 +225,35 @@ class NotionUploader {
         title: '🔍 Integration Filters Comparison',
         type: 'markdown',
         generateContent: () => tempData['IntegrationFilters_Comparison_Report'] || 'Integration Filters report not available'
+      },
+      {
+        key: 'IntegrationRulesSchedule_Comparison_Report',
+        title: '⏱️ Integration Rules & Schedule Comparison',
+        type: 'markdown',
+        generateContent: () => tempData['IntegrationRulesSchedule_Comparison_Report'] || 'Integration Rules & Schedule report not available'
       }
     ];
 
+    // Matrix report only exists for runs with additional baselines
+    if (tempData['MultiBaseline_Comparison_Report']) {
+      reportConfigs.push({
+        key: 'MultiBaseline_Comparison_Report',
+        title: '🧮 Multi-Baseline Comparison',
+        type: 'markdown',
+        generateContent: () => tempData['MultiBaseline_Comparison_Report']
+      });
+    }
+
+    // Remediation plan becomes a to-do list (see generateRemediationNotionBlocks)
+    if (tempData['RemediationPlan_Report_Plan']) {
+      reportConfigs.push({
+        key: 'RemediationPlan_Report',
+        title: '🛠️ Remediation Plan',
+        type: 'markdown',
+        generateContent: () => tempData['RemediationPlan_Report'] || 'Report not available'
+      });
+    }
+
 		// Skip adding Snapshot (JSON/Markdown) as sub-pages; JSON snapshots will be attached as a ZIP file
 
 		// Skip API Debug Log per requirements
@@ -563,9 +626,7 @@ class NotionUploader {
       this.initializeSimpleProcessor();
       
       progressCallback('10% - Initializing simplified Notion upload...');
-      progressCallback('15% - Creating main Notion page...');
 
-      // Create main page first
       const now = new Date();
       const dateStr = now.toISOString().slice(0, 10); // YYYY-MM-DD
       const timeStr = now.toTimeString().slice(0, 5); // HH:MM
@@ -574,24 +635,51 @@ class NotionUploader {
       if (!topLevelParentId) {
         try { this.client.logWarning && this.client.logWarning('deprecation', 'Using hardcoded Notion parentId; please set Top-level Notion page URL'); } catch (_) {}
       }
-      
-      const mainPage = await this.client.createPage(pageTitle, parentId);
 
-      progressCallback('20% - Generating simplified main page content...');
-      
-      // Create simplified main page content
-      const mainPageBlocks = this.createSimplifiedMainPageContent(mainSchool, baselineSchool, mainEnv, baselineEnv);
-      await this.client.appendBlocksToPage(mainPage.id, mainPageBlocks);
-
-      progressCallback('25% - Main page created successfully!');
-			progressCallback('26% - Attaching main snapshot (JSON)...');
-			await this.attachMainSnapshotJsonToPage(mainPage.id, tempData, mainSchool, progressCallback);
-      progressCallback('30% - Starting simplified sub-page creation...');
+      // "Update existing" mode syncs the previous review page of this school pair in place
+      const pairKey = typeof notionReviewPairKey === 'function' ? notionReviewPairKey(mainSchool, baselineSchool, mainEnv, baselineEnv) : null;
+      const previous = pairKey && tempData[NOTION_REVIEW_TEMPDATA_KEY]?.updateExisting
+        ? await this.findPreviousReviewPage(pairKey, progressCallback)
+        : null;
+
+      let mainPage;
+      let subPages;
+      if (previous) {
+        progressCallback('15% - Updating the previous review page for this school pair...');
+        mainPage = await this.client.updatePageTitle(previous.pageId, pageTitle);
+        mainPage.url = mainPage.url || previous.url;
+        progressCallback('30% - Syncing changed sub-pages...');
+        subPages = await this.syncSimplifiedSubPages(tempData, mainSchool, baselineSchool, progressCallback, previous);
+      } else {
+        progressCallback('15% - Creating main Notion page...');
+
+        // Create main page first
+        mainPage = await this.client.createPage(pageTitle, parentId);
+
+        progressCallback('20% - Generating simplified main page content...');
+
+        // Create simplified main page content
+        const mainPageBlocks = this.createSimplifiedMainPageContent(mainSchool, baselineSchool, mainEnv, baselineEnv);
+        await this.client.appendBlocksToPage(mainPage.id, mainPageBlocks);
+
+        progressCallback('25% - Main page created successfully!');
+        progressCallback('26% - Attaching main snapshot (JSON)...');
+        await this.attachMainSnapshotJsonToPage(mainPage.id, tempData, mainSchool, progressCallback);
+        progressCallback('30% - Starting simplified sub-page creation...');
+
+        // (ZIP attachment removed; using hosted JSON upload instead)
+
+        // Create simplified sub-pages
+        subPages = await this.createSimplifiedSubPages(tempData, mainSchool, baselineSchool, progressCallback, mainPage.id);
+      }
 
-			// (ZIP attachment removed; using hosted JSON upload instead)
+      // Remember the page so the next "update existing" upload for this pair can sync it
+      if (pairKey) {
+        await this.rememberReviewPage(pairKey, mainPage, pageTitle, subPages, { mainSchool, baselineSchool, mainEnv, baselineEnv }, tempData);
+      }
 
-			// Create simplified sub-pages
-      const subPages = await this.createSimplifiedSubPages(tempData, mainSchool, baselineSchool, progressCallback, mainPage.id);
+      // One row per run in the top-level page's Reviews database
+      await this.recordReviewRun(parentId, mainPage, tempData, { mainSchool, baselineSchool, mainEnv, baselineEnv, runDate: now }, progressCallback);
 
       progressCallback('95% - Finalizing upload...');
       progressCallback('100% - All simplified pages created successfully!');
@@ -637,6 +725,106 @@ class NotionUploader {
     }
   }
 
+  /**
+   * Resumable upload of an upload job: the sub-pages are built from a persisted execution plan
+   * (NotionPlanExecutor), so a restarted job continues from its last checkpointed request
+   * @param {string} jobId - Upload job ID
+   * @param {Object} store - Job store (createUploadJobStore() in jobs-store.js)
+   * @param {Object} tempData - All generated data
+   * @param {string} mainSchool - Main school ID
+   * @param {string} baselineSchool - Baseline school ID
+   * @param {Function} progressCallback - Progress callback function
+   * @param {string} topLevelParentId - Top-level parent page ID
+   * @param {string} mainEnv - Main school environment ('staging' or 'production')
+   * @param {string} baselineEnv - Baseline school environment ('staging' or 'production')
+   * @returns {Promise<Object>} { url, uploadReport }
+   */
+  async uploadReportFilesFromPlan(jobId, store, tempData, mainSchool, baselineSchool, progressCallback, topLevelParentId = null, mainEnv = 'staging', baselineEnv = 'staging') {
+    const now = new Date();
+    const parentId = topLevelParentId || '265f804589d180518502d2db7c9f8ce6';
+    const executor = new NotionPlanExecutor({ client: this.client, store, jobId, progressCallback });
+    const job = await store.getJob(jobId);
+    if (!job) throw new Error(`Unknown upload job ${jobId}`);
+
+    // The main page and its content are separate steps: a resumed job reuses the page and
+    // rewrites content that was interrupted before the mainPageContent checkpoint
+    let mainPage = job.notion?.mainPageId ? { id: job.notion.mainPageId, url: job.notion.mainPageUrl } : null;
+    let pageTitle = job.notion?.mainPageTitle || null;
+    if (!mainPage) {
+      progressCallback('15% - Creating main Notion page...');
+      pageTitle = `${mainSchool} Pod Lead Review ${now.toISOString().slice(0, 10)} ${now.toTimeString().slice(0, 5)}`;
+      mainPage = await this.client.createPage(pageTitle, parentId);
+      await store.checkpoint(jobId, { pointers: { planKey: uploadPlanKey(jobId) }, notion: { mainPageId: mainPage.id, mainPageUrl: mainPage.url || null, mainPageTitle: pageTitle, mainPageContent: false } });
+    }
+    if (!job.notion?.mainPageContent) {
+      if (job.notion?.mainPageId) {
+        progressCallback('16% - Clearing partially written main page content...');
+        for (const block of await this.client.listBlockChildren(mainPage.id)) {
+          await this.client.deleteBlock(block.id);
+        }
+      }
+      progressCallback('20% - Generating simplified main page content...');
+      await this.client.appendBlocksToPage(mainPage.id, this.createSimplifiedMainPageContent(mainSchool, baselineSchool, mainEnv, baselineEnv));
+      progressCallback('26% - Attaching main snapshot (JSON)...');
+      await this.attachMainSnapshotJsonToPage(mainPage.id, tempData, mainSchool, progressCallback);
+      await store.checkpoint(jobId, { notion: { mainPageContent: true } });
+    }
+
+    if (!(await store.getPlan(jobId))) {
+      progressCallback('28% - Compiling the upload plan...');
+      // Same sub-page content as fillSimplifiedSubPage: CAC and remediation pages are prebuilt blocks,
+      // report pages lead with the difference summary and fill the Comments column of their tables
+      const reports = [];
+      this.getReportConfigs(tempData, mainSchool, baselineSchool)
+        .filter(config => config.type === 'markdown' && tempData[config.key])
+        .forEach(config => {
+          const report = { key: config.key, title: config.title };
+          if (config.key === 'CAC_Report') {
+            const blocks = this.generateCACNotionBlocks(tempData, mainSchool, baselineSchool);
+            if (blocks.length > 1) reports.push({ ...report, blocks: this.client.validateBlocks(blocks, 2000) }); // Intro paragraph always exists
+          } else if (config.key === 'RemediationPlan_Report') {
+            reports.push({ ...report, blocks: this.client.validateBlocks(this.generateRemediationNotionBlocks(tempData['RemediationPlan_Report_Plan']), 2000) });
+          } else {
+            reports.push({
+              ...report,
+              markdown: config.generateContent(),
+              leadBlocks: this.createDiffSummaryBlocks(tempData[DiffResult.storageKey(config.key)]),
+              rowComment: this.createRowCommentResolver(config.key, tempData)
+            });
+          }
+        });
+      await executor.prepare(reports, mainPage.id);
+    }
+
+    progressCallback('30% - Creating sub-pages from the upload plan...');
+    const subpages = await executor.run();
+
+    const pairKey = typeof notionReviewPairKey === 'function' ? notionReviewPairKey(mainSchool, baselineSchool, mainEnv, baselineEnv) : null;
+    const schools = { mainSchool, baselineSchool, mainEnv, baselineEnv };
+    if (pairKey) {
+      const created = subpages.filter(subpage => subpage.id).map(subpage => ({ key: subpage.key, title: subpage.title, id: subpage.id, url: subpage.url }));
+      await this.rememberReviewPage(pairKey, mainPage, pageTitle, created, schools, tempData);
+    }
+    await this.recordReviewRun(parentId, mainPage, tempData, { ...schools, runDate: now }, progressCallback);
+
+    const failed = subpages.filter(subpage => subpage.status === 'failed');
+    progressCallback(failed.length > 0
+      ? `100% - ✓ Upload complete with ${failed.length} failed sub-page${failed.length === 1 ? '' : 's'}`
+      : '100% - ✓ Upload complete!');
+
+    let uploadReport = null;
+    try {
+      uploadReport = this.client.generateUploadReport();
+      this.lastUploadReport = uploadReport;
+    } catch (error) {
+      console.warn('Failed to generate upload report:', error);
+    }
+    return {
+      url: mainPage.url || `https://www.notion.so/${this.workspaceId}/${mainPage.id.replace(/-/g, '')}`,
+      uploadReport
+    };
+  }
+
   /**
    * Original complex upload method (kept for fallback)
    * @param {Object} tempData - All generated data
@@ -772,6 +960,10 @@ class NotionUploader {
       }
     });
 
+    if (tempData['RemediationPlan_Report_Plan'] && typeof RemediationPlanGenerator !== 'undefined') {
+      zip.file('RemediationPlan.csv', RemediationPlanGenerator.formatCSV(tempData['RemediationPlan_Report_Plan']));
+    }
+
     // Add debug log file
     const debugLog = this.generateDebugLogFile(tempData);
     zip.file('API_Debug_Log.md', debugLog);
@@ -875,6 +1067,13 @@ class NotionUploader {
       }
     });
 
+    if (tempData['RemediationPlan_Report_Plan'] && typeof RemediationPlanGenerator !== 'undefined') {
+      files.push({
+        name: 'RemediationPlan.csv',
+        blob: new Blob([RemediationPlanGenerator.formatCSV(tempData['RemediationPlan_Report_Plan'])], { type: 'text/csv' })
+      });
+    }
+
     // Add debug log file
     const debugLog = this.generateDebugLogFile(tempData);
     files.push({
@@ -1069,13 +1268,22 @@ class NotionUploader {
   // Comparison report keys (simplified)
   get comparisonReportKeys() {
     return [
+      'ExecutiveSummary_Report',
       'stepsToExecute_Comparison_Report',
       'fieldExceptions_Comparison_Report',
       'courseTemplate_Comparison_Report',
       'programTemplate_Comparison_Report',
       'sectionTemplate_Comparison_Report',
+      'roomTemplate_Comparison_Report',
+      'instructorTemplate_Comparison_Report',
+      'termTemplate_Comparison_Report',
+      'FormsWorkflows_Comparison_Report',
+      'NotificationSettings_Comparison_Report',
       'AttributeMapping_Comparison_Report',
-      'IntegrationFilters_Comparison_Report'
+      'IntegrationFilters_Comparison_Report',
+      'IntegrationRulesSchedule_Comparison_Report',
+      'MultiBaseline_Comparison_Report',
+      'RemediationPlan_Report'
     ];
   }
 
@@ -1249,9 +1457,11 @@ The Notion upload feature was not used for this report generation.
               await this.client.appendBlocksToPage(subPage.id, blocks);
               
               subPages.push({
+                key: config.key,
                 title: config.title,
                 id: subPage.id,
-                url: subPage.url
+                url: subPage.url,
+                fingerprint: await this.fingerprintReport(config, content, tempData)
               });
               
               progressCallback(`${progressPercent}% - ✓ Created ${config.title}`);
@@ -1260,26 +1470,28 @@ The Notion upload feature was not used for this report generation.
             }
             continue; // Skip the normal processing below
           }
-          
+
+          // Remediation plan: one to-do per change so the checklist can be ticked off in Notion
+          if (config.key === 'RemediationPlan_Report') {
+            blocks = this.generateRemediationNotionBlocks(tempData['RemediationPlan_Report_Plan']);
+            const subPage = await this.client.createPage(config.title, mainPageId);
+            await this.client.appendBlocksToPage(subPage.id, blocks);
+            subPages.push({
+              key: config.key,
+              title: config.title,
+              id: subPage.id,
+              url: subPage.url,
+              fingerprint: await this.fingerprintReport(config, content, tempData)
+            });
+            progressCallback(`${progressPercent}% - ✓ Created ${config.title}`);
+            continue; // Skip the normal processing below
+          }
+
           // Create the sub-page FIRST (needed for table/database creation)
           const subPage = await this.client.createPage(config.title, mainPageId);
-          
-          // Process report content to blocks with the actual page ID
-          // This allows tables to be created as inline databases with the correct parent
-          if (this.simpleProcessor && typeof this.simpleProcessor.processReportForNotion === 'function') {
-            blocks = await this.simpleProcessor.processReportForNotion(
-              content,
-              config.title,
-              subPage.id, // Pass actual page ID for table/database creation
-              { allowHeadings: false, titleEachCodeBlock: false, suppressTopHeading: false }
-            );
-          } else {
-            console.error('SimpleProcessor not properly initialized');
-            blocks = []; // Fallback to empty array
-          }
-          
-          // Check if content is significant after processing
-          if (!this.hasSignificantContent(blocks)) {
+
+          const filled = await this.fillSimplifiedSubPage(config, content, tempData, mainSchool, baselineSchool, subPage.id);
+          if (!filled) {
             // Delete the empty page we just created (cleanup)
             try {
               await this.client.archivePage(subPage.id);
@@ -1290,15 +1502,12 @@ The Notion upload feature was not used for this report generation.
             continue; // Skip to next report
           }
           
-          // Add blocks to sub-page
-          if (blocks && Array.isArray(blocks) && blocks.length > 0) {
-            await this.client.appendBlocksToPage(subPage.id, blocks);
-          }
-          
           subPages.push({
+            key: config.key,
             title: config.title,
             id: subPage.id,
-            url: subPage.url
+            url: subPage.url,
+            fingerprint: await this.fingerprintReport(config, content, tempData)
           });
           
           progressCallback(`${progressPercent}% - ✓ Created ${config.title}`);
@@ -1318,6 +1527,460 @@ The Notion upload feature was not used for this report generation.
     return subPages;
   }
 
+  /**
+   * Fill a report sub-page: difference summary plus the report content (tables become inline databases)
+   * @param {Object} config - Report configuration (getReportConfigs)
+   * @param {string} content - Report Markdown
+   * @param {Object} tempData - All generated data
+   * @param {string} mainSchool - Main school ID
+   * @param {string} baselineSchool - Baseline school ID
+   * @param {string} pageId - Sub-page ID
+   * @param {Map<string, string>} [keptComments] - Reviewer comments of the page's previous databases, by row key
+   *   (matched entries are removed from the map)
+   * @returns {Promise<boolean>} False when the report has no significant content (nothing appended)
+   */
+  async fillSimplifiedSubPage(config, content, tempData, mainSchool, baselineSchool, pageId, keptComments = new Map()) {
+    if (config.key === 'CAC_Report') {
+      const blocks = this.generateCACNotionBlocks(tempData, mainSchool, baselineSchool);
+      if (!Array.isArray(blocks) || blocks.length <= 1) return false; // Intro paragraph always exists
+      await this.client.appendBlocksToPage(pageId, blocks);
+      return true;
+    }
+    if (config.key === 'RemediationPlan_Report') {
+      await this.client.appendBlocksToPage(pageId, this.generateRemediationNotionBlocks(tempData['RemediationPlan_Report_Plan']));
+      return true;
+    }
+
+    this.client.rowCommentResolver = this.createRowCommentResolver(config.key, tempData, keptComments);
+
+    try {
+      this.initializeSimpleProcessor();
+      // Process report content to blocks with the actual page ID
+      // This allows tables to be created as inline databases with the correct parent
+      let blocks = [];
+      if (this.simpleProcessor && typeof this.simpleProcessor.processReportForNotion === 'function') {
+        blocks = await this.simpleProcessor.processReportForNotion(
+          content,
+          config.title,
+          pageId,
+          { allowHeadings: false, titleEachCodeBlock: false, suppressTopHeading: false }
+        );
+      } else {
+        console.error('SimpleProcessor not properly initialized');
+      }
+      if (!this.hasSignificantContent(blocks)) return false;
+
+      // Lead with the difference counts from the structured diff result
+      blocks = this.createDiffSummaryBlocks(tempData[DiffResult.storageKey(config.key)]).concat(blocks);
+      await this.client.appendBlocksToPage(pageId, blocks);
+      return true;
+    } finally {
+      this.client.rowCommentResolver = null;
+    }
+  }
+
+  /**
+   * Comments column text of a report's table rows: the row's triage annotations, plus the comment
+   * reviewers left on the same row of the previous upload
+   * @param {string} reportKey - Report key (getReportConfigs)
+   * @param {Object} tempData - All generated data
+   * @param {Map<string, string>} [keptComments] - Reviewer comments by row key (matched entries are removed from the map)
+   * @returns {Function|null} (row cells) => comment text, or null when the report has no comments
+   */
+  createRowCommentResolver(reportKey, tempData, keptComments = new Map()) {
+    const annotations = Object.values(tempData[TRIAGE_TEMPDATA_KEY] || {}).filter(annotation => annotation.reportKey === reportKey);
+    if (annotations.length === 0 && keptComments.size === 0) return null;
+    return (row) => {
+      const triage = annotations.length > 0 ? getTriageRowComment(row, annotations) : '';
+      const key = NotionUploader.reviewRowKey(row);
+      const kept = keptComments.get(key) || '';
+      keptComments.delete(key);
+      if (!kept || kept.includes(triage)) return kept || triage;
+      return triage ? `${triage}; ${kept}` : kept;
+    };
+  }
+
+  /**
+   * Review page store, or null when notion-review-pages.js is not loaded
+   * @returns {NotionReviewPageStore|null}
+   */
+  getReviewPageStore() {
+    if (!this.reviewPageStore && typeof NotionReviewPageStore !== 'undefined') {
+      this.reviewPageStore = new NotionReviewPageStore();
+    }
+    return this.reviewPageStore;
+  }
+
+  /**
+   * Previous review page of a school pair, if it still exists in Notion
+   * @param {string} pairKey - notionReviewPairKey() of the upload
+   * @param {Function} progressCallback - Progress callback function
+   * @returns {Promise<Object|null>} Stored review page record
+   */
+  async findPreviousReviewPage(pairKey, progressCallback) {
+    const store = this.getReviewPageStore();
+    if (!store) return null;
+    let record = null;
+    try {
+      record = await store.get(pairKey);
+    } catch (error) {
+      console.warn('Could not read previous review pages:', error);
+    }
+    if (!record || !record.pageId) {
+      progressCallback('12% - No previous review page for this school pair; creating a new one');
+      return null;
+    }
+    const page = await this.client.retrievePage(record.pageId);
+    if (!page.ok || page.data?.archived || page.data?.in_trash) {
+      progressCallback('12% - Previous review page no longer exists; creating a new one');
+      return null;
+    }
+    return record;
+  }
+
+  /**
+   * Store the review page of a school pair (failures only cost the next "update existing" upload)
+   * @param {string} pairKey - notionReviewPairKey() of the upload
+   * @param {Object} mainPage - Main page ({ id, url })
+   * @param {string} title - Main page title
+   * @param {Array<Object>} subPages - Sub-pages ({ key, title, id, url, fingerprint })
+   * @param {Object} schools - { mainSchool, baselineSchool, mainEnv, baselineEnv }
+   * @param {Object} tempData - All generated data (difference counts for the next change log)
+   */
+  async rememberReviewPage(pairKey, mainPage, title, subPages, schools, tempData) {
+    const store = this.getReviewPageStore();
+    if (!store) return;
+    const reports = {};
+    subPages.filter(subPage => subPage.key).forEach(subPage => {
+      reports[subPage.key] = {
+        pageId: subPage.id,
+        url: subPage.url || null,
+        title: subPage.title,
+        fingerprint: subPage.fingerprint || null,
+        differences: this.countReportDifferences(tempData, subPage.key)
+      };
+    });
+    try {
+      await store.set(pairKey, {
+        pageId: mainPage.id,
+        url: mainPage.url || null,
+        title,
+        ...schools,
+        uploadedAt: new Date().toISOString(),
+        reports
+      });
+    } catch (error) {
+      console.warn('Could not remember the review page:', error);
+    }
+  }
+
+  /**
+   * Add the run to the Reviews index database of the top-level page (failures leave the upload intact)
+   * @param {string} parentId - Top-level page ID
+   * @param {Object} mainPage - Main page ({ id, url })
+   * @param {Object} tempData - All generated data
+   * @param {Object} run - { mainSchool, baselineSchool, mainEnv, baselineEnv, runDate }
+   * @param {Function} progressCallback - Progress callback function
+   */
+  async recordReviewRun(parentId, mainPage, tempData, run, progressCallback) {
+    const store = this.getReviewPageStore();
+    if (!store || typeof NotionReviewsIndex === 'undefined') return;
+    progressCallback('93% - Recording run in the Reviews database...');
+    try {
+      const reportConfigs = this.getReportConfigs(tempData, run.mainSchool, run.baselineSchool);
+      await new NotionReviewsIndex(this.client, store).recordRun(parentId, {
+        ...run,
+        url: mainPage.url || null,
+        summary: summarizeReviewRun(tempData, reportConfigs)
+      });
+    } catch (error) {
+      if (typeof NotionClient !== 'undefined' && NotionClient.isCancellationError && NotionClient.isCancellationError(error)) {
+        throw error;
+      }
+      console.warn('Could not record the run in the Reviews database:', error);
+      progressCallback(`93% - ⚠ Could not record the run in the Reviews database: ${error.message}`);
+    }
+  }
+
+  /**
+   * Number of differences in a report's structured diff result
+   * @param {Object} tempData - All generated data
+   * @param {string} reportKey - Report key
+   * @returns {number|null} Difference count, or null when the report has no diff result
+   */
+  countReportDifferences(tempData, reportKey) {
+    const diff = DiffResult.fromJSON(tempData[DiffResult.storageKey(reportKey)]);
+    return diff ? diff.getSummary().differences : null;
+  }
+
+  /**
+   * Fingerprint of what a report sub-page shows (report content plus the triage comments of its rows)
+   * @param {Object} config - Report configuration
+   * @param {string} content - Report Markdown
+   * @param {Object} tempData - All generated data
+   * @returns {Promise<string|null>} Fingerprint, or null when notion-review-pages.js is not loaded
+   */
+  async fingerprintReport(config, content, tempData) {
+    if (typeof fingerprintReportContent !== 'function') return null;
+    const annotations = Object.values(tempData[TRIAGE_TEMPDATA_KEY] || {}).filter(annotation => annotation.reportKey === config.key);
+    return fingerprintReportContent(content, annotations.length > 0 ? annotations : null);
+  }
+
+  /**
+   * Key matching a database row across uploads (its non-empty cells, order-independent). Cells are compared
+   * by their displayed text, so a Markdown cell matches the typed value stored for it: numbers lose their
+   * thousands separators and boolean tokens become 'true' (or empty, like an unchecked checkbox).
+   * Select names longer than 100 chars are stored truncated and do not match.
+   * @param {Array<string>} cells - Row cells (Markdown or displayed text)
+   * @returns {string} Row key
+   */
+  static reviewRowKey(cells) {
+    const normalize = (cell) => {
+      const text = (typeof markdownToPlainText === 'function' ? markdownToPlainText(String(cell || '')) : String(cell || '')).trim();
+      if (/^-?\d{1,3}(,\d{3})+(\.\d+)?$/.test(text) || /^-?\d+(\.\d+)?$/.test(text)) return String(Number(text.replace(/,/g, '')));
+      const lower = text.toLowerCase();
+      if (['true', 'yes', '✅', 'x'].includes(lower)) return 'true';
+      if (['false', 'no', '❌'].includes(lower)) return '';
+      return text;
+    };
+    return cells.map(normalize).filter(Boolean).sort().join('\u241F');
+  }
+
+  /**
+   * Displayed text of a database row property, for reviewRowKey (title, rich_text, select, multi_select,
+   * number, checkbox, date, url, email and phone_number; other types read as empty)
+   * @param {Object} property - Notion property value
+   * @returns {string} Property text
+   */
+  static reviewPropertyText(property) {
+    if (!property) return '';
+    const richText = (items) => (items || []).map(part => part.plain_text ?? part.text?.content ?? '').join('');
+    switch (property.type || Object.keys(property).find(key => key !== 'id')) {
+      case 'title': return richText(property.title);
+      case 'rich_text': return richText(property.rich_text);
+      case 'select': return property.select ? property.select.name || '' : '';
+      case 'multi_select': return (property.multi_select || []).map(option => option.name).join(', ');
+      case 'number': return property.number === null || property.number === undefined ? '' : String(property.number);
+      case 'checkbox': return property.checkbox ? 'true' : '';
+      case 'date': return property.date ? property.date.start || '' : '';
+      case 'url': return property.url || '';
+      case 'email': return property.email || '';
+      case 'phone_number': return property.phone_number || '';
+      default: return '';
+    }
+  }
+
+  /**
+   * Remove the content of a sub-page, keeping the reviewer comments of its inline databases
+   * @param {string} pageId - Sub-page ID
+   * @returns {Promise<Map<string, string>>} Comments column values by row key
+   */
+  async clearSubPageContent(pageId) {
+    const keptComments = new Map();
+    const children = await this.client.listBlockChildren(pageId);
+
+    for (const block of children.filter(child => child.type === 'child_database')) {
+      try {
+        const rows = await this.client.queryDatabase(block.id);
+        rows.forEach(row => {
+          const properties = row.properties || {};
+          const comment = NotionUploader.reviewPropertyText(properties.Comments).trim();
+          if (!comment) return;
+          const cells = Object.entries(properties).filter(([name]) => name !== 'Comments').map(([, property]) => NotionUploader.reviewPropertyText(property));
+          keptComments.set(NotionUploader.reviewRowKey(cells), comment);
+        });
+      } catch (error) {
+        if (NotionClient.isCancellationError(error)) throw error;
+        console.warn(`Could not read comments of database ${block.id}:`, error);
+      }
+    }
+
+    for (const block of children) {
+      await this.client.deleteBlock(block.id);
+      await this.client.delay(this.RATE_LIMIT.MIN_DELAY_BETWEEN_BATCHES);
+    }
+    return keptComments;
+  }
+
+  /**
+   * Sync the sub-pages of a previous review page: reports whose content changed are rewritten in place,
+   * new reports are added, reports without content are archived and unchanged ones are left alone.
+   * Ends with a change-log block on the main page, replacing the change log (and snapshot) of the previous update.
+   * @param {Object} tempData - All generated data
+   * @param {string} mainSchool - Main school ID
+   * @param {string} baselineSchool - Baseline school ID
+   * @param {Function} progressCallback - Progress callback function
+   * @param {Object} previous - Stored review page record
+   * @returns {Promise<Array>} Sub-pages of the updated review page
+   */
+  async syncSimplifiedSubPages(tempData, mainSchool, baselineSchool, progressCallback, previous) {
+    const subPages = [];
+    const changes = [];
+    const orphanedComments = [];
+    const previousReports = { ...(previous.reports || {}) };
+    const reportConfigs = this.getReportConfigs(tempData, mainSchool, baselineSchool);
+
+    for (let i = 0; i < reportConfigs.length; i++) {
+      const config = reportConfigs[i];
+      const progressPercent = Math.round(30 + (i / reportConfigs.length) * 60); // 30% to 90%
+      const prior = previousReports[config.key];
+      delete previousReports[config.key];
+
+      try {
+        const content = config.generateContent();
+        const fingerprint = await this.fingerprintReport(config, content, tempData);
+        const differences = this.countReportDifferences(tempData, config.key);
+
+        if (prior && fingerprint && prior.fingerprint === fingerprint) {
+          subPages.push({ key: config.key, title: config.title, id: prior.pageId, url: prior.url, fingerprint });
+          changes.push({ title: config.title, status: 'unchanged' });
+          progressCallback(`${progressPercent}% - ✓ ${config.title} unchanged`);
+          continue;
+        }
+
+        progressCallback(`${progressPercent}% - ${prior ? 'Updating' : 'Creating'} ${config.title}...`);
+        let keptComments = new Map();
+        let page;
+        if (prior) {
+          keptComments = await this.clearSubPageContent(prior.pageId);
+          page = { id: prior.pageId, url: prior.url };
+        } else {
+          page = await this.client.createPage(config.title, previous.pageId);
+        }
+
+        const previousComments = new Map(keptComments);
+        const filled = content && content !== 'Report not available'
+          ? await this.fillSimplifiedSubPage(config, content, tempData, mainSchool, baselineSchool, page.id, keptComments)
+          : false;
+        (filled ? keptComments : previousComments).forEach(comment => orphanedComments.push({ title: config.title, comment }));
+
+        if (!filled) {
+          await this.client.archivePage(page.id);
+          if (prior) changes.push({ title: config.title, status: 'removed' });
+          progressCallback(`${progressPercent}% - ⚠ ${prior ? 'Removed' : 'Skipped'} ${config.title} (insufficient content)`);
+          continue;
+        }
+
+        subPages.push({ key: config.key, title: config.title, id: page.id, url: page.url, fingerprint });
+        changes.push({ title: config.title, status: prior ? 'updated' : 'added', before: prior ? (prior.differences ?? null) : null, after: differences });
+        progressCallback(`${progressPercent}% - ✓ ${prior ? 'Updated' : 'Created'} ${config.title}`);
+      } catch (error) {
+        if (typeof NotionClient !== 'undefined' && NotionClient.isCancellationError && NotionClient.isCancellationError(error)) {
+          throw error;
+        }
+        console.error(`Error syncing ${config.title}:`, error);
+        progressCallback(`${progressPercent}% - ✗ Error syncing ${config.title}: ${error.message}`);
+        // Keep the old page on record (without a fingerprint, so the next upload rewrites it)
+        if (prior) subPages.push({ key: config.key, title: config.title, id: prior.pageId, url: prior.url, fingerprint: null });
+        changes.push({ title: config.title, status: 'failed', error: error.message });
+      }
+    }
+
+    // Reports of the previous upload that this run did not produce
+    for (const prior of Object.values(previousReports)) {
+      try {
+        await this.client.archivePage(prior.pageId);
+        changes.push({ title: prior.title, status: 'removed' });
+      } catch (error) {
+        if (NotionClient.isCancellationError(error)) throw error;
+        console.warn(`Could not archive ${prior.title}:`, error);
+      }
+    }
+
+    progressCallback('92% - Adding change log...');
+    const changed = changes.some(change => change.status !== 'unchanged');
+    await this.removePreviousUpdateBlocks(previous.pageId, mainSchool, changed && Boolean(tempData[`snapshot_${mainSchool}_json`]));
+    await this.client.appendBlocksToPage(previous.pageId, this.createChangeLogBlocks(previous, changes, orphanedComments));
+    if (changed) {
+      await this.attachMainSnapshotJsonToPage(previous.pageId, tempData, mainSchool, progressCallback);
+    }
+    return subPages;
+  }
+
+  /**
+   * Delete the change log of the previous "update existing" upload from the main page and, when a new
+   * snapshot replaces it, the previously attached snapshot JSON (or its "could not attach" note)
+   * @param {string} pageId - Main page ID
+   * @param {string} mainSchool - Main school ID
+   * @param {boolean} replaceSnapshot - Whether a new snapshot will be attached
+   */
+  async removePreviousUpdateBlocks(pageId, mainSchool, replaceSnapshot) {
+    const text = (block) => (block[block.type]?.rich_text || []).map(part => part.plain_text ?? part.text?.content ?? '').join('');
+    const changeLogParagraphs = ['Changes since ', 'No report content changed.', 'Reviewer comments on rows that no longer exist:'];
+    const isChangeLogHeading = (block) => block?.type === 'heading_3' && text(block).startsWith('🔄 Updated');
+    const isSnapshotNote = (block) => block?.type === 'heading_3' && text(block) === '📄 Snapshot (JSON)';
+
+    try {
+      const children = await this.client.listBlockChildren(pageId);
+      const obsolete = [];
+      for (let i = 0; i < children.length; i++) {
+        const block = children[i];
+        if (block.type === 'divider' && isChangeLogHeading(children[i + 1])) {
+          obsolete.push(block, children[++i]);
+          while (children[i + 1] && (children[i + 1].type === 'bulleted_list_item'
+            || (children[i + 1].type === 'paragraph' && changeLogParagraphs.some(prefix => text(children[i + 1]).startsWith(prefix))))) {
+            obsolete.push(children[++i]);
+          }
+        } else if (replaceSnapshot && block.type === 'file' && block.file?.name === `snapshot_${mainSchool}.json`) {
+          obsolete.push(block);
+        } else if (replaceSnapshot && isSnapshotNote(block)) {
+          obsolete.push(block);
+          if (children[i + 1]?.type === 'paragraph' && text(children[i + 1]).startsWith('Could not attach Snapshot JSON')) obsolete.push(children[++i]);
+        }
+      }
+
+      for (const block of obsolete) {
+        await this.client.deleteBlock(block.id);
+        await this.client.delay(this.RATE_LIMIT.MIN_DELAY_BETWEEN_BATCHES);
+      }
+    } catch (error) {
+      if (NotionClient.isCancellationError(error)) throw error;
+      console.warn('Could not remove the previous change log from the review page:', error);
+    }
+  }
+
+  /**
+   * Change-log blocks appended to the main page by an "update existing" upload
+   * @param {Object} previous - Stored review page record of the previous upload
+   * @param {Array<Object>} changes - { title, status, before, after, error } per report
+   * @param {Array<Object>} orphanedComments - { title, comment } reviewer comments whose row no longer exists
+   * @returns {Array} Notion blocks
+   */
+  createChangeLogBlocks(previous, changes, orphanedComments) {
+    const text = (content) => [{ type: 'text', text: { content: String(content).slice(0, 2000) } }];
+    const bullet = (content) => ({ object: 'block', type: 'bulleted_list_item', bulleted_list_item: { rich_text: text(content) } });
+    const count = (status) => changes.filter(change => change.status === status).length;
+    const since = previous.uploadedAt ? new Date(previous.uploadedAt).toLocaleString() : 'the previous upload';
+    const differences = (value) => (value === null || value === undefined ? '?' : value);
+
+    const blocks = [
+      this.client.createDividerBlock(),
+      this.client.createHeadingBlock(`🔄 Updated ${new Date().toLocaleString()}`, 3),
+      this.client.createParagraphBlock(
+        `Changes since ${since}: ${count('updated')} updated, ${count('added')} added, ${count('removed')} removed, ${count('unchanged')} unchanged` +
+        (count('failed') > 0 ? `, ${count('failed')} failed` : '') + '.'
+      )
+    ];
+
+    const icons = { updated: '✏️', added: '🆕', removed: '🗑️', failed: '✗' };
+    changes.filter(change => change.status !== 'unchanged').forEach(change => {
+      let line = `${icons[change.status]} ${change.title}: ${change.status}`;
+      if (change.status === 'updated' && (change.before !== null || change.after !== null)) line += ` (${differences(change.before)} → ${differences(change.after)} differences)`;
+      if (change.status === 'added' && change.after !== null && change.after !== undefined) line += ` (${change.after} differences)`;
+      if (change.status === 'failed') line += ` (${change.error})`;
+      blocks.push(bullet(line));
+    });
+    if (changes.every(change => change.status === 'unchanged')) {
+      blocks.push(this.client.createParagraphBlock('No report content changed.'));
+    }
+
+    if (orphanedComments.length > 0) {
+      blocks.push(this.client.createParagraphBlock('Reviewer comments on rows that no longer exist:'));
+      orphanedComments.forEach(({ title, comment }) => blocks.push(bullet(`💬 ${title}: ${comment}`)));
+    }
+    return blocks;
+  }
+
   /**
    * Get a friendly title for a report key
    * @param {string} reportKey - The report key
@@ -1328,13 +1991,115 @@ The Notion upload feature was not used for this report generation.
       'courseTemplate_Comparison_Report': '📚 Course Template Comparison',
       'programTemplate_Comparison_Report': '🎓 Program Template Comparison',
       'sectionTemplate_Comparison_Report': '📅 Section Template Comparison',
+      'roomTemplate_Comparison_Report': '🏫 Room Template Comparison',
+      'instructorTemplate_Comparison_Report': '🧑‍🏫 Instructor Template Comparison',
+      'termTemplate_Comparison_Report': '🗓️ Term Template Comparison',
+      'FormsWorkflows_Comparison_Report': '📝 Forms & Workflows Comparison',
+      'NotificationSettings_Comparison_Report': '🔔 Notification Settings Comparison',
       'attributeMapping_Comparison_Report': '🗺️ Attribute Mapping Comparison',
-      'integrationFilters_Comparison_Report': '🔍 Integration Filters Comparison'
+      'integrationFilters_Comparison_Report': '🔍 Integration Filters Comparison',
+      'IntegrationRulesSchedule_Comparison_Report': '⏱️ Integration Rules & Schedule Comparison'
     };
     
     return titles[reportKey] || reportKey;
   }
 
+  /**
+   * Generate Notion blocks for the remediation plan: a heading per phase and a to-do per change
+   * @param {Object} plan - Plan from RemediationPlanGenerator (tempData.RemediationPlan_Report_Plan)
+   * @returns {Array} Array of Notion block objects
+   */
+  generateRemediationNotionBlocks(plan) {
+    const text = (content, annotations) => ({ type: 'text', text: { content: String(content).slice(0, 2000) }, ...(annotations ? { annotations } : {}) });
+    const steps = plan?.steps || [];
+    const blocks = [{
+      object: 'block',
+      type: 'callout',
+      callout: {
+        rich_text: [text(steps.length === 0
+          ? `No configuration changes needed: ${plan?.mainSchool || 'the main school'} already matches ${plan?.baselineSchool || 'the baseline'}.`
+          : `${steps.length} change(s) to make ${plan.mainSchool} match ${plan.baselineSchool}, in order.`)],
+        icon: { type: 'emoji', emoji: steps.length === 0 ? '✅' : '🛠️' }
+      }
+    }];
+
+    const severityIcons = { critical: '🔴', warning: '🟡', info: '🔵' };
+    let currentPhase = null;
+    steps.forEach(step => {
+      if (step.phase !== currentPhase) {
+        currentPhase = step.phase;
+        blocks.push({
+          object: 'block',
+          type: 'heading_3',
+          heading_3: { rich_text: [text(step.phaseTitle)] }
+        });
+      }
+      // Instructions mark values with backticks; Notion gets them as plain text
+      blocks.push({
+        object: 'block',
+        type: 'to_do',
+        to_do: {
+          checked: false,
+          rich_text: [
+            text(`${step.order}. ${severityIcons[step.severity] || ''} ${step.instruction.replace(/`/g, '')}`),
+            text(` — ${step.area}`, { italic: true, color: 'gray' })
+          ]
+        }
+      });
+    });
+    return blocks;
+  }
+
+  /**
+   * Build summary blocks (difference counts by severity and category) from a stored diff result
+   * @param {Object} diffData - Serialized DiffResult from tempData
+   * @returns {Array} Notion blocks, empty when no diff result is available
+   */
+  createDiffSummaryBlocks(diffData) {
+    const diff = DiffResult.fromJSON(diffData);
+    if (!diff) return [];
+
+    const summary = diff.getSummary();
+    const text = (content) => [{ type: 'text', text: { content } }];
+    const blocks = [{
+      object: 'block',
+      type: 'callout',
+      callout: {
+        rich_text: text(summary.differences === 0
+          ? 'No differences found.'
+          : `${summary.differences} difference(s): ${summary.bySeverity.critical} critical, ${summary.bySeverity.warning} warning, ${summary.bySeverity.info} info`),
+        icon: { type: 'emoji', emoji: summary.differences === 0 ? '✅' : '📊' }
+      }
+    }];
+
+    const categoryLabels = {
+      [DIFF_CATEGORIES.VALUE_MISMATCH]: 'Value mismatches',
+      [DIFF_CATEGORIES.MISSING_IN_MAIN]: 'Missing in main',
+      [DIFF_CATEGORIES.MISSING_IN_BASELINE]: 'Missing in baseline',
+      [DIFF_CATEGORIES.UNAVAILABLE]: 'Unavailable'
+    };
+    Object.entries(categoryLabels).forEach(([category, label]) => {
+      const count = summary.byCategory[category] || 0;
+      if (count > 0) {
+        blocks.push({
+          object: 'block',
+          type: 'bulleted_list_item',
+          bulleted_list_item: { rich_text: text(`${label}: ${count}`) }
+        });
+      }
+    });
+
+    if (summary.errors > 0) {
+      blocks.push({
+        object: 'block',
+        type: 'bulleted_list_item',
+        bulleted_list_item: { rich_text: text(`Errors during comparison: ${summary.errors}`) }
+      });
+    }
+
+    return blocks;
+  }
+
   /**
    * Check if blocks array contains meaningful content
    * Skips pages with only headers, dividers, and minimal text
@@ -0,0 +1,116 @@
+// Offscreen job runner: runs the Notion upload jobs background.js starts with offscreenRunJob.
+// New uploads run from a persisted execution plan (NotionUploader.uploadReportFilesFromPlan), so a job
+// restarted by the upload-watchdog continues from its last checkpoint. "Update existing" uploads sync
+// the previous review page in place and run through uploadReportFilesSimplified.
+
+const OFFSCREEN_HEARTBEAT_MS = 20 * 1000;
+
+let activeUpload = null; // { jobId, client }
+
+function sendRuntimeMessage(message) {
+  return new Promise((resolve) => {
+    try {
+      chrome.runtime.sendMessage(message, (response) => resolve(response || null));
+    } catch (_) {
+      resolve(null);
+    }
+  });
+}
+
+async function readStoredValue(location, key) {
+  if (!key) return null;
+  const response = await sendRuntimeMessage({ type: 'storage:get', area: location === 'session' ? 'session' : 'local', key });
+  return response && response.ok ? response.value : null;
+}
+
+/**
+ * Forward "NN% - message" progress lines to the background job state
+ * @param {string} jobId - Upload job ID
+ * @returns {Function} Progress callback
+ */
+function createJobProgressCallback(jobId) {
+  return (message) => {
+    const match = /^(\d{1,3})%\s*-\s*/.exec(String(message || ''));
+    sendRuntimeMessage({
+      type: 'jobProgress',
+      jobId,
+      percent: match ? Math.min(100, parseInt(match[1], 10)) : undefined,
+      message: String(message || '')
+    });
+  };
+}
+
+async function runUploadJob(jobId) {
+  if (activeUpload) {
+    console.warn(`[Offscreen] Upload ${activeUpload.jobId} is still running; ignoring ${jobId}`);
+    return;
+  }
+  const store = createUploadJobStore();
+  const heartbeat = setInterval(() => sendRuntimeMessage({ type: 'jobHeartbeat', jobId }), OFFSCREEN_HEARTBEAT_MS);
+  try {
+    const job = await store.getJob(jobId);
+    if (!job) throw new Error(`Unknown upload job ${jobId}`);
+    if (job.status === 'cancelled') return;
+    const pointers = job.pointers || {};
+    const [payload, secret] = await Promise.all([
+      readStoredValue(pointers.payloadLocation, pointers.payloadKey),
+      readStoredValue(pointers.secretLocation, pointers.secretKey)
+    ]);
+    if (!payload || !payload.tempData) throw new Error('Upload payload is no longer available');
+    if (!secret) throw new Error('Notion secret is no longer available');
+
+    const meta = job.meta || {};
+    const logger = new NotionLogger();
+    const client = new NotionClient(secret, logger, { baseURL: meta.notionBaseUrl || null });
+    const uploader = new NotionUploader(client, logger);
+    if (meta.notionWorkspaceId) uploader.workspaceId = meta.notionWorkspaceId;
+    activeUpload = { jobId, client };
+
+    const progress = createJobProgressCallback(jobId);
+    const args = [payload.tempData, meta.mainSchool, meta.baselineSchool, progress, meta.notionTopLevelPageId || null, meta.mainEnv || 'staging', meta.baselineEnv || 'staging'];
+    const result = payload.tempData[NOTION_REVIEW_TEMPDATA_KEY]?.updateExisting
+      ? await uploader.uploadReportFilesSimplified(...args)
+      : await uploader.uploadReportFilesFromPlan(jobId, store, ...args);
+
+    const report = result.uploadReport || null;
+    await sendRuntimeMessage({
+      type: 'storage:set',
+      area: 'local',
+      key: `artifacts:${jobId}`,
+      value: {
+        uploadReport: report ? { filename: report.filename, mime: 'application/json', content: report.downloadContent } : null,
+        notionLogs: { filename: `notion-api-log-${jobId}.md`, mime: 'text/markdown', content: logger.generateLogFile() }
+      }
+    });
+    await sendRuntimeMessage({
+      type: 'jobCompleted',
+      jobId,
+      notionUrl: result.url || null,
+      uploadReportMeta: { filename: report ? report.filename : null, size: report ? report.downloadContent.length : 0 }
+    });
+  } catch (error) {
+    if (NotionClient.isCancellationError(error)) {
+      console.log(`[Offscreen] Upload ${jobId} cancelled`);
+      return;
+    }
+    console.error(`[Offscreen] Upload ${jobId} failed:`, error);
+    await sendRuntimeMessage({
+      type: 'jobFailed',
+      jobId,
+      error: { message: error.message || String(error), code: error.code || null, details: { status: error.status || null } }
+    });
+  } finally {
+    clearInterval(heartbeat);
+    if (activeUpload && activeUpload.jobId === jobId) activeUpload = null;
+  }
+}
+
+chrome.runtime.onMessage.addListener((msg) => {
+  if (!msg || !msg.type) return false;
+  if (msg.type === 'offscreenRunJob') {
+    runUploadJob(msg.jobId);
+  } else if (msg.type === 'offscreenCancelJob') {
+    if (activeUpload && activeUpload.jobId === msg.jobId) activeUpload.client.cancel();
+  }
+  return false; // background.js answers every request; never hold its response channel
+});
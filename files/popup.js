@@ -22,6 +22,27 @@ class CoursedogReporter {
     
     // Environment-specific credentials (loaded from credentials.js)
     this.environmentCredentials = window.APP_CREDENTIALS.coursedog;
+
+    // API transport: live fetch by default; credentials.js may set coursedogTransport to
+    // { type: 'mockServer', baseUrl } or { type: 'fixtures', url } to run against a local mock or recorded fixtures
+    this.transport = createCoursedogTransport(window.APP_CREDENTIALS.coursedogTransport);
+    if (this.transport.type !== 'fetch') {
+      console.log(`🧪 Coursedog API requests served by ${this.transport.describe()}`);
+    }
+
+    // Bounded-concurrency request pool with per-environment rate limits and 429 Retry-After handling
+    this.requestPool = new RequestPool({
+      concurrency: 6,
+      limits: {
+        staging: { concurrency: 4, maxRps: 8 },
+        production: { concurrency: 3, maxRps: 5 }
+      },
+      onRateLimited: (environment, waitMs, attempt) => {
+        this.logProgress(`⏳ ${environment} rate limited (429), retrying in ${Math.ceil(waitMs / 1000)}s (attempt ${attempt})`, 'warn');
+      }
+    });
+    // In-flight re-authentication per environment, shared by every request that got a 401 meanwhile
+    this.pendingReauth = {};
     
     // Separate tokens for each environment
     this.stagingToken = '';
@@ -39,6 +60,11 @@ class CoursedogReporter {
     // Track environment for selected schools
     this.selectedMainSchool = { name: '', environment: '' };
     this.selectedBaselineSchool = { name: '', environment: '' };
+    this.additionalBaselineSchools = []; // Extra baselines for multi-baseline runs [{ name, environment }]
+    this.comparisonBaselines = []; // Baselines of the current run [{ name, environment, prefix }]
+    this.snapshotStore = new SnapshotStore(); // Local snapshot history (IndexedDB)
+    this.triageStore = new TriageAnnotationStore({ storage: chrome.storage.local }); // Reviewer annotations per school pair
+    this.snapshotComparison = null; // Report sides when comparing two stored snapshots
     
     // Legacy properties (will be removed)
     this.token = '';
@@ -53,13 +79,35 @@ class CoursedogReporter {
     this.notionLogger = new NotionLogger(); // Initialize NotionLogger
     window.notionLogger = this.notionLogger; // Make globally available
     this.comparisonReportKeys = [
+      'ExecutiveSummary_Report',
       'stepsToExecute_Comparison_Report',
       'fieldExceptions_Comparison_Report',
       'courseTemplate_Comparison_Report',
       'programTemplate_Comparison_Report',
       'sectionTemplate_Comparison_Report',
+      'roomTemplate_Comparison_Report',
+      'instructorTemplate_Comparison_Report',
+      'termTemplate_Comparison_Report',
+      'FormsWorkflows_Comparison_Report',
+      'NotificationSettings_Comparison_Report',
       'AttributeMapping_Comparison_Report',
-      'IntegrationFilters_Comparison_Report'
+      'IntegrationFilters_Comparison_Report',
+      'IntegrationRulesSchedule_Comparison_Report',
+      'MultiBaseline_Comparison_Report',
+      'RemediationPlan_Report'
+    ];
+    // Reports generated only when Curriculum is checked
+    this.curriculumReportKeys = [
+      'courseTemplate_Comparison_Report',
+      'programTemplate_Comparison_Report',
+      'FormsWorkflows_Comparison_Report'
+    ];
+    // Reports generated only when Scheduling is checked
+    this.schedulingReportKeys = [
+      'sectionTemplate_Comparison_Report',
+      'roomTemplate_Comparison_Report',
+      'instructorTemplate_Comparison_Report',
+      'termTemplate_Comparison_Report'
     ];
     this.activeDownloadUrls = new Set(); // Track active blob URLs for proper cleanup
     
@@ -70,14 +118,22 @@ class CoursedogReporter {
     // Notion configuration (loaded from credentials.js)
     this.notionConfig = {
       secret: window.APP_CREDENTIALS.notion.secret,
-      workspaceId: window.APP_CREDENTIALS.notion.workspaceId
+      workspaceId: window.APP_CREDENTIALS.notion.workspaceId,
+      // Optional API base URL, e.g. 'http://localhost:4020/v1/' for mock-notion-server.js
+      baseUrl: window.APP_CREDENTIALS.notion.baseUrl || null
     };
     
     // Initialize Notion client with NotionLogger
-    this.notionClient = new NotionClient(this.notionConfig.secret, this.notionLogger);
+    this.notionClient = new NotionClient(this.notionConfig.secret, this.notionLogger, { baseURL: this.notionConfig.baseUrl });
     this.notionUploader = new NotionUploader(this.notionClient, this.notionLogger);
     window.notionUploader = this.notionUploader; // expose for download button helper
 
+    // Question properties compared by the template reports (saved under TEMPLATE_PROPERTY_PROFILE_STORAGE_KEY)
+    this.templatePropertyProfile = resolveTemplatePropertyProfile();
+
+    // Known benign differences suppressed or downgraded in every report (saved under IGNORE_RULES_STORAGE_KEY)
+    this.ignoreRules = resolveIgnoreRules();
+
     // Default Notion URL used when no stored page id exists (loaded from credentials.js)
     this.DEFAULT_NOTION_URL = window.APP_CREDENTIALS.notion.defaultPageUrl;
     
@@ -87,6 +143,8 @@ class CoursedogReporter {
     this.initializeEventListeners();
     this.loadStoredNotionPreferences && this.loadStoredNotionPreferences();
     this.loadEnvironmentPreference(); // Load environment before login
+    this.loadTemplatePropertyProfile();
+    this.loadIgnoreRules();
     this.loadSessionData();
     this.autoLogin();
     this.syncNotionUploadUiState();
@@ -149,12 +207,16 @@ class CoursedogReporter {
   }
   async loadStoredNotionPreferences() {
     try {
-      const { autoNotionUpload, notionTopLevelPageId } = await chrome.storage.local.get(['autoNotionUpload', 'notionTopLevelPageId']);
+      const { autoNotionUpload, notionTopLevelPageId, notionUpdateExisting } = await chrome.storage.local.get(['autoNotionUpload', 'notionTopLevelPageId', 'notionUpdateExisting']);
       const autoCheckbox = document.getElementById('send-to-notion-checkbox');
       if (autoCheckbox) {
         // Default to unchecked - users must explicitly opt-in
         autoCheckbox.checked = autoNotionUpload === true;
       }
+      const updateExistingCheckbox = document.getElementById('notion-update-existing-checkbox');
+      if (updateExistingCheckbox) {
+        updateExistingCheckbox.checked = notionUpdateExisting === true;
+      }
       // Do not prefill the input (keeps it empty and focus-friendly). Show current status in feedback instead
       const feedback = document.getElementById('notion-top-level-url-feedback');
       if (feedback && notionTopLevelPageId) {
@@ -175,6 +237,182 @@ class CoursedogReporter {
     }
   }
 
+  /**
+   * Load the saved template property profile and set up its editor
+   */
+  async loadTemplatePropertyProfile() {
+    try {
+      const { [TEMPLATE_PROPERTY_PROFILE_STORAGE_KEY]: stored } = await chrome.storage.local.get(TEMPLATE_PROPERTY_PROFILE_STORAGE_KEY);
+      this.templatePropertyProfile = resolveTemplatePropertyProfile(stored);
+    } catch (e) {
+      console.warn('Failed to load template property profile:', e);
+    }
+    this.setupTemplatePropertyProfileEditor();
+  }
+
+  setupTemplatePropertyProfileEditor() {
+    const presetSelect = document.getElementById('property-profile-preset');
+    const templateSelect = document.getElementById('property-profile-template');
+    if (!presetSelect || !templateSelect) return;
+
+    presetSelect.innerHTML = '';
+    Object.values(TEMPLATE_PROPERTY_PROFILES).forEach(profile => {
+      const option = document.createElement('option');
+      option.value = profile.id;
+      option.textContent = profile.name;
+      presetSelect.appendChild(option);
+    });
+    const customOption = document.createElement('option');
+    customOption.value = 'custom';
+    customOption.textContent = 'Custom';
+    presetSelect.appendChild(customOption);
+
+    // The editor works on a draft; reports only use the profile once it is saved
+    this.templatePropertyProfileDraft = JSON.parse(JSON.stringify(this.templatePropertyProfile));
+    presetSelect.addEventListener('change', () => {
+      if (presetSelect.value === 'custom') return;
+      this.templatePropertyProfileDraft = JSON.parse(JSON.stringify(resolveTemplatePropertyProfile(presetSelect.value)));
+      this.renderTemplatePropertyProfileEditor('Unsaved changes');
+    });
+    templateSelect.addEventListener('change', () => this.renderTemplatePropertyProfileEditor());
+
+    const editor = document.getElementById('property-profile-editor');
+    editor.addEventListener('change', (e) => {
+      if (e.target === presetSelect || e.target === templateSelect) return;
+      this.readTemplatePropertyProfileEditor();
+    });
+    this.renderTemplatePropertyProfileEditor();
+  }
+
+  /**
+   * Show the draft settings of the selected template type
+   * @param {string} [statusText] - Status line (defaults to the saved profile name)
+   */
+  renderTemplatePropertyProfileEditor(statusText) {
+    const draft = this.templatePropertyProfileDraft;
+    const templateType = document.getElementById('property-profile-template').value;
+    const settings = draft.templates[templateType];
+
+    document.getElementById('property-profile-name').textContent = this.templatePropertyProfile.name;
+    document.getElementById('property-profile-preset').value = TEMPLATE_PROPERTY_PROFILES[draft.id] ? draft.id : 'custom';
+
+    const container = document.getElementById('property-profile-properties');
+    container.innerHTML = '';
+    TEMPLATE_PROPERTY_CATALOG.forEach(property => {
+      const label = document.createElement('label');
+      label.className = 'checkbox-label';
+      label.title = property.paths.join(', ');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = property.key;
+      checkbox.checked = settings.include.includes(property.key);
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(` ${property.label}`));
+      container.appendChild(label);
+    });
+    document.getElementById('property-profile-compare-other').checked = settings.compareOther;
+    const ignoreInput = document.getElementById('property-profile-ignore');
+    ignoreInput.value = settings.ignore.join(', ');
+    ignoreInput.disabled = !settings.compareOther;
+    document.getElementById('property-profile-status').textContent = statusText || `Saved profile: ${this.templatePropertyProfile.name}`;
+  }
+
+  /**
+   * Copy the editor inputs into the draft (any edit turns the draft into a custom profile)
+   */
+  readTemplatePropertyProfileEditor() {
+    const templateType = document.getElementById('property-profile-template').value;
+    const include = Array.from(document.querySelectorAll('#property-profile-properties input:checked')).map(checkbox => checkbox.value);
+    const draft = this.templatePropertyProfileDraft;
+    draft.id = 'custom';
+    draft.name = 'Custom';
+    draft.templates[templateType] = {
+      include: TEMPLATE_PROPERTY_CATALOG.map(property => property.key).filter(key => include.includes(key)),
+      compareOther: document.getElementById('property-profile-compare-other').checked,
+      ignore: document.getElementById('property-profile-ignore').value.split(',').map(path => path.trim()).filter(Boolean)
+    };
+    this.renderTemplatePropertyProfileEditor('Unsaved changes');
+  }
+
+  async saveTemplatePropertyProfile() {
+    this.templatePropertyProfile = resolveTemplatePropertyProfile(this.templatePropertyProfileDraft);
+    this.templatePropertyProfileDraft = JSON.parse(JSON.stringify(this.templatePropertyProfile));
+    try {
+      await chrome.storage.local.set({ [TEMPLATE_PROPERTY_PROFILE_STORAGE_KEY]: this.templatePropertyProfile });
+      this.renderTemplatePropertyProfileEditor(`Saved profile: ${this.templatePropertyProfile.name} (applies to the next report)`);
+    } catch (e) {
+      console.warn('Failed to save template property profile:', e);
+      this.renderTemplatePropertyProfileEditor('Could not save the profile; it applies to this session only');
+    }
+  }
+
+  async resetTemplatePropertyProfile() {
+    this.templatePropertyProfile = resolveTemplatePropertyProfile();
+    this.templatePropertyProfileDraft = JSON.parse(JSON.stringify(this.templatePropertyProfile));
+    try {
+      await chrome.storage.local.remove(TEMPLATE_PROPERTY_PROFILE_STORAGE_KEY);
+    } catch (e) {
+      console.warn('Failed to clear template property profile:', e);
+    }
+    this.renderTemplatePropertyProfileEditor();
+  }
+
+  /**
+   * Load the saved ignore rules and show them in their editor
+   */
+  async loadIgnoreRules() {
+    try {
+      const { [IGNORE_RULES_STORAGE_KEY]: stored } = await chrome.storage.local.get(IGNORE_RULES_STORAGE_KEY);
+      this.ignoreRules = resolveIgnoreRules(stored);
+    } catch (e) {
+      console.warn('Failed to load ignore rules:', e);
+    }
+    this.renderIgnoreRulesEditor();
+  }
+
+  /**
+   * Show the active rules in the editor
+   * @param {string} [statusText] - Status line
+   */
+  renderIgnoreRulesEditor(statusText) {
+    const textarea = document.getElementById('ignore-rules-json');
+    if (!textarea) return;
+    const suppressCount = this.ignoreRules.filter(rule => rule.action === 'suppress').length;
+    document.getElementById('ignore-rules-count').textContent =
+      `${this.ignoreRules.length} rule${this.ignoreRules.length === 1 ? '' : 's'} (${suppressCount} suppress, ${this.ignoreRules.length - suppressCount} downgrade)`;
+    textarea.value = JSON.stringify(this.ignoreRules, null, 2);
+    document.getElementById('ignore-rules-status').textContent = statusText || '';
+  }
+
+  async saveIgnoreRules() {
+    const status = document.getElementById('ignore-rules-status');
+    let rules;
+    try {
+      rules = validateIgnoreRules(JSON.parse(document.getElementById('ignore-rules-json').value));
+    } catch (e) {
+      status.textContent = `❌ ${e.message}`;
+      return;
+    }
+    this.ignoreRules = rules;
+    try {
+      await chrome.storage.local.set({ [IGNORE_RULES_STORAGE_KEY]: rules });
+      this.renderIgnoreRulesEditor('Saved (applies to the next report)');
+    } catch (e) {
+      console.warn('Failed to save ignore rules:', e);
+      this.renderIgnoreRulesEditor('Could not save the rules; they apply to this session only');
+    }
+  }
+
+  async resetIgnoreRules() {
+    this.ignoreRules = resolveIgnoreRules();
+    try {
+      await chrome.storage.local.remove(IGNORE_RULES_STORAGE_KEY);
+    } catch (e) {
+      console.warn('Failed to clear ignore rules:', e);
+    }
+    this.renderIgnoreRulesEditor('Reset to the default rules');
+  }
+
   /**
    * Load stored environment preferences for both school selectors
    */
@@ -508,22 +746,7 @@ class CoursedogReporter {
       try {
         console.log(`🔐 Authenticating to ${environment} as ${credentials.email}... (attempt ${attempt}/${maxRetries})`);
         
-        const authResponse = await fetch(`${baseUrl}/api/v1/sessions`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Accept': 'application/json',
-            'X-Requested-With': 'XMLHttpRequest'
-          },
-          body: JSON.stringify(credentials),
-          credentials: 'include'
-        });
-
-        if (!authResponse.ok) {
-          throw new Error(`Authentication failed: ${authResponse.status}`);
-        }
-
-        const authData = await authResponse.json();
+        const authData = await this.transport.createSession(baseUrl, credentials);
         const token = this.extractTokenFromResponse(authData);
 
         if (!token) {
@@ -539,7 +762,7 @@ class CoursedogReporter {
         console.log(`✅ Token received for ${environment}, verifying...`);
         
         // Verify the token works by making a test request
-        const verifyResponse = await fetch(`${baseUrl}/api/v1/admin/schools/displayNames`, {
+        const verifyResponse = await this.transport.request(baseUrl, '/api/v1/admin/schools/displayNames', {
           method: 'GET',
           headers: {
             'Content-Type': 'application/json',
@@ -605,7 +828,7 @@ class CoursedogReporter {
     const currentToken = environment === 'staging' ? this.stagingToken : this.productionToken;
 
     try {
-      const response = await fetch(`${baseUrl}/api/v1/admin/schools/displayNames`, {
+      const response = await this.transport.request(baseUrl, '/api/v1/admin/schools/displayNames', {
         method: 'GET',
         headers: {
           'Content-Type': 'application/json',
@@ -809,6 +1032,20 @@ class CoursedogReporter {
     this.activeDownloadUrls.clear();
   }
 
+  /**
+   * Ask for access to the local mock servers configured in credentials.js (optional_host_permissions,
+   * so regular installs never get localhost access). Must run synchronously in a click handler.
+   */
+  requestLocalServerAccess() {
+    const urls = [this.transport.baseUrl, this.transport.url, this.notionConfig.baseUrl].filter(Boolean);
+    const origins = Array.from(new Set(urls
+      .map(url => { try { return new URL(url, location.href); } catch (_) { return null; } })
+      .filter(url => url && (url.hostname === 'localhost' || url.hostname === '127.0.0.1'))
+      .map(url => `${url.protocol}//${url.hostname}/*`)));
+    if (origins.length === 0 || !chrome.permissions) return;
+    chrome.permissions.request({ origins }).catch(error => console.warn('Local mock server access not granted:', error));
+  }
+
   initializeEventListeners() {
     document.getElementById('generate-report-btn').addEventListener('click', () => this.handleGenerateReport());
     document.getElementById('reset-btn').addEventListener('click', () => this.handleReset());
@@ -869,6 +1106,48 @@ class CoursedogReporter {
         console.log('🔥 Change button clicked via event delegation!', e.target);
         this.handleChangeButtonClick(e);
       }
+      if (e.target.id === 'compare-snapshots-btn') {
+        this.handleCompareSnapshots();
+      }
+      if (e.target.id === 'compare-runs-btn') {
+        this.handleCompareRuns();
+      }
+      if (e.target.id === 'delete-snapshot-btn') {
+        this.handleDeleteSnapshot();
+      }
+      if (e.target.id === 'add-drift-watch-btn') {
+        this.addDriftWatch();
+      }
+      if (e.target.classList.contains('drift-check-btn')) {
+        this.checkDriftWatch(e.target.dataset.watchId);
+      }
+      if (e.target.classList.contains('drift-remove-btn')) {
+        this.removeDriftWatch(e.target.dataset.watchId);
+      }
+      if (e.target.id === 'preview-merge-patch-btn') {
+        this.previewMergePatch();
+      }
+      if (e.target.id === 'download-merge-patch-btn') {
+        this.downloadMergePatch();
+      }
+      if (e.target.id === 'save-property-profile-btn') {
+        this.saveTemplatePropertyProfile();
+      }
+      if (e.target.id === 'reset-property-profile-btn') {
+        this.resetTemplatePropertyProfile();
+      }
+      if (e.target.id === 'save-ignore-rules-btn') {
+        this.saveIgnoreRules();
+      }
+      if (e.target.id === 'reset-ignore-rules-btn') {
+        this.resetIgnoreRules();
+      }
+      if (e.target.id === 'add-baseline-btn') {
+        this.addAdditionalBaseline();
+      }
+      if (e.target.classList.contains('remove-baseline-btn')) {
+        this.removeAdditionalBaseline(parseInt(e.target.dataset.index, 10));
+      }
       if (e.target.id === 'send-to-notion-btn') {
         if (e.target.disabled) {
           e.preventDefault();
@@ -898,6 +1177,8 @@ class CoursedogReporter {
     chrome.runtime.onMessage.addListener((msg) => {
       if (msg && msg.type === 'jobsUpdated') {
         this.syncNotionUploadUiState();
+      } else if (msg && msg.type === 'driftWatch:updated') {
+        this.refreshDriftWatches();
       } else if (msg && msg.type === 'jobProgress') {
         // ✅ Enhanced progress updates with smart banner refresh
         const percent = typeof msg.percent === 'number' ? msg.percent : null;
@@ -1003,6 +1284,12 @@ class CoursedogReporter {
         try { await chrome.storage.local.set({ autoNotionUpload: !!e.target.checked }); } catch (_) {}
       });
     }
+    const updateExistingCheckbox = document.getElementById('notion-update-existing-checkbox');
+    if (updateExistingCheckbox) {
+      updateExistingCheckbox.addEventListener('change', async (e) => {
+        try { await chrome.storage.local.set({ notionUpdateExisting: !!e.target.checked }); } catch (_) {}
+      });
+    }
     
     // Open hardcoded Notion parent page in new tab
     const openNotionBtn = document.getElementById('open-notion-page-btn');
@@ -1409,7 +1696,7 @@ class CoursedogReporter {
     return null;
   }
 
-  async makeApiCall(endpoint, method = 'GET', body = null, environment = null) {
+  async makeApiCall(endpoint, method = 'GET', body = null, environment = null, schoolId = null) {
     // Determine which environment to use
     // If environment is explicitly provided, use it
     // Otherwise, try to infer from the endpoint (school ID) and our tracked selections
@@ -1436,11 +1723,11 @@ class CoursedogReporter {
     // Get environment-specific baseUrl and token
     const baseUrl = this.environments[targetEnv].baseUrl;
     const token = targetEnv === 'staging' ? this.stagingToken : this.productionToken;
-    const credentials = this.environmentCredentials[targetEnv];
     
-    const url = `${baseUrl}${endpoint}`;
+    const url = this.transport.resolveUrl(baseUrl, endpoint);
     const timestamp = new Date().toISOString();
-    const schoolIdForHeader = this.inferSchoolId(endpoint);
+    // School-ID header: explicit school (for /all_done/ endpoints), else the school in the path
+    const schoolIdForHeader = schoolId || this.inferSchoolId(endpoint);
 
     const options = {
       method: method,
@@ -1492,35 +1779,18 @@ class CoursedogReporter {
     this.logProgress(`→ ${method} ${endpoint}`, 'info');
     
     try {
-      const doFetch = async () => fetch(url, options);
+      const doFetch = async () => this.requestPool.schedule(targetEnv, () => this.transport.request(baseUrl, endpoint, options));
       let response = await doFetch();
 
-      // If unauthenticated, try a one-time silent re-auth and retry
-      if (response.status === 401 && credentials && credentials.email && credentials.password) {
-        try {
-          const authResp = await fetch(`${baseUrl}/api/v1/sessions`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json', 'Accept': 'application/json', 'X-Requested-With': 'XMLHttpRequest' },
-            body: JSON.stringify(credentials),
-            credentials: 'include'
-          });
-          if (authResp.ok) {
-            const authJson = await authResp.json();
-            const newToken = this.extractTokenFromResponse(authJson);
-            if (newToken && newToken !== 'cookie-based-auth') {
-              // Update the appropriate token
-              if (targetEnv === 'staging') {
-                this.stagingToken = newToken;
-              } else {
-                this.productionToken = newToken;
-              }
-              options.headers['Authorization'] = `Bearer ${newToken}`;
-              options.headers['X-Auth-Token'] = newToken;
-              response = await doFetch();
-            }
-          }
-        } catch (_) {
-          // ignore and fall through to normal error handling
+      // If unauthenticated, try a one-time silent re-auth and retry (with the token another
+      // request already refreshed, when the one this request was sent with is stale)
+      if (response.status === 401) {
+        const currentToken = targetEnv === 'staging' ? this.stagingToken : this.productionToken;
+        const newToken = currentToken && currentToken !== token ? currentToken : await this.reauthenticate(targetEnv);
+        if (newToken) {
+          options.headers['Authorization'] = `Bearer ${newToken}`;
+          options.headers['X-Auth-Token'] = newToken;
+          response = await doFetch();
         }
       }
 
@@ -1576,6 +1846,49 @@ class CoursedogReporter {
     }
   }
 
+  /**
+   * Silently re-authenticate to an environment after a 401
+   * Concurrent callers share one session request (pendingReauth) instead of each logging in again.
+   * @param {string} environment - 'staging' or 'production'
+   * @returns {Promise<string|null>} New token, or null if re-auth was not possible
+   */
+  reauthenticate(environment) {
+    if (!this.pendingReauth[environment]) {
+      this.pendingReauth[environment] = this.createSessionToken(environment)
+        .finally(() => { delete this.pendingReauth[environment]; });
+    }
+    return this.pendingReauth[environment];
+  }
+
+  /**
+   * Log in to an environment with the configured credentials and store the new token
+   * @param {string} environment - 'staging' or 'production'
+   * @returns {Promise<string|null>} New token, or null if re-auth was not possible
+   */
+  async createSessionToken(environment) {
+    const credentials = this.environmentCredentials[environment];
+    if (!credentials || !credentials.email || !credentials.password) {
+      return null;
+    }
+
+    try {
+      const authJson = await this.transport.createSession(this.environments[environment].baseUrl, credentials);
+      const newToken = this.extractTokenFromResponse(authJson);
+      if (!newToken || newToken === 'cookie-based-auth') {
+        return null;
+      }
+      if (environment === 'staging') {
+        this.stagingToken = newToken;
+      } else {
+        this.productionToken = newToken;
+      }
+      return newToken;
+    } catch (_) {
+      // ignore and fall through to normal error handling
+      return null;
+    }
+  }
+
   extractTokenFromResponse(response) {
     if (response.token) return response.token;
     if (response.accessToken) return response.accessToken;
@@ -1917,8 +2230,20 @@ class CoursedogReporter {
     const isValid = mainSchoolId && baselineSchoolId && !isSameSchoolSameEnv;
     generateBtn.disabled = !isValid;
     
+    const addBaselineBtn = document.getElementById('add-baseline-btn');
+    if (addBaselineBtn) {
+      addBaselineBtn.disabled = !baselineSchoolId || isSameSchoolSameEnv;
+    }
+
+    const addDriftWatchBtn = document.getElementById('add-drift-watch-btn');
+    if (addDriftWatchBtn) {
+      addDriftWatchBtn.disabled = !mainSchoolId;
+    }
+    
     if (isSameSchoolSameEnv) {
       this.logProgress('Warning: Same school selected for both Main and Baseline in the same environment', 'error');
+    } else if (isValid && this.additionalBaselineSchools.length > 0) {
+      this.logProgress(`Ready to compare ${mainSchoolId} against ${this.getComparisonBaselines().length} baselines`, 'success');
     } else if (isValid) {
       // Get display names for logging from environment-specific lists
       const mainSchoolList = this.mainSchoolEnvironment === 'staging' ? this.stagingSchools : this.productionSchools;
@@ -1936,6 +2261,86 @@ class CoursedogReporter {
     }
   }
 
+  /**
+   * Keep the currently selected baseline as an additional baseline and reopen the picker
+   * The school selected in the picker when the report is generated is the primary baseline
+   */
+  addAdditionalBaseline() {
+    const baselineSchoolId = document.getElementById('baseline-school').value;
+    if (!baselineSchoolId) return;
+
+    const environment = this.selectedBaselineSchool.environment || this.baselineSchoolEnvironment;
+    const alreadyAdded = this.additionalBaselineSchools.some(b => b.name === baselineSchoolId && b.environment === environment);
+    if (!alreadyAdded) {
+      this.additionalBaselineSchools.push({ name: baselineSchoolId, environment });
+      this.logProgress(`Added ${baselineSchoolId} (${environment}) as an additional baseline`, 'info');
+    }
+
+    this.renderAdditionalBaselines();
+    this.showSchoolSelection('baseline');
+  }
+
+  removeAdditionalBaseline(index) {
+    if (Number.isNaN(index) || !this.additionalBaselineSchools[index]) return;
+    const [removed] = this.additionalBaselineSchools.splice(index, 1);
+    this.logProgress(`Removed additional baseline ${removed.name} (${removed.environment})`, 'info');
+    this.renderAdditionalBaselines();
+    this.checkSchoolSelection();
+  }
+
+  renderAdditionalBaselines() {
+    const container = document.getElementById('additional-baselines');
+    const list = document.getElementById('additional-baselines-list');
+    if (!container || !list) return;
+
+    list.innerHTML = '';
+    this.additionalBaselineSchools.forEach((baseline, index) => {
+      const schoolList = baseline.environment === 'production' ? this.productionSchools : this.stagingSchools;
+      const schoolData = schoolList.find(school => school.id === baseline.name);
+      const displayName = schoolData ? (schoolData.displayName || schoolData.fullName || schoolData.id) : baseline.name;
+      const envLabel = baseline.environment === 'production' ? '🔴' : '🧪';
+
+      const item = document.createElement('li');
+      const label = document.createElement('span');
+      label.textContent = `${envLabel} ${baseline.name} - ${displayName}`;
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'remove-baseline-btn';
+      removeBtn.dataset.index = String(index);
+      removeBtn.title = 'Remove baseline';
+      removeBtn.innerHTML = '&times;';
+      item.appendChild(label);
+      item.appendChild(removeBtn);
+      list.appendChild(item);
+    });
+    container.style.display = this.additionalBaselineSchools.length > 0 ? 'block' : 'none';
+  }
+
+  /**
+   * Baselines for the next run: the selected baseline first, then the additional baselines
+   * Additional baselines equal to the main school (same environment) or the primary baseline are skipped
+   * @returns {Array<Object>} [{ name, environment, prefix }] with tempData prefixes BaselineSchool, BaselineSchool2, ...
+   */
+  getComparisonBaselines() {
+    const mainSchoolId = document.getElementById('main-school').value;
+    const primary = {
+      name: document.getElementById('baseline-school').value,
+      environment: this.selectedBaselineSchool.environment || this.baselineSchoolEnvironment
+    };
+    const baselines = primary.name ? [primary] : [];
+
+    this.additionalBaselineSchools.forEach(baseline => {
+      const isMain = baseline.name === mainSchoolId && baseline.environment === this.mainSchoolEnvironment;
+      const isDuplicate = baselines.some(b => b.name === baseline.name && b.environment === baseline.environment);
+      if (!isMain && !isDuplicate) baselines.push({ ...baseline });
+    });
+
+    return baselines.map((baseline, index) => ({
+      ...baseline,
+      prefix: MultiBaselineReportGenerator.baselinePrefix(index)
+    }));
+  }
+
   updateLoadingStatus(message) {
     document.getElementById('loading-status').textContent = message;
   }
@@ -1943,6 +2348,9 @@ class CoursedogReporter {
   showSchoolSelectionUI() {
     document.getElementById('loading-section').style.display = 'none';
     document.getElementById('school-section').style.display = 'block';
+    this.refreshSnapshotHistory();
+    this.refreshReportRuns();
+    this.refreshDriftWatches();
   }
 
   showProductionUnavailableWarning() {
@@ -1999,8 +2407,11 @@ class CoursedogReporter {
   }
 
   async handleGenerateReport() {
+    this.requestLocalServerAccess();
     this.mainSchool = document.getElementById('main-school').value;
     this.baselineSchool = document.getElementById('baseline-school').value;
+    this.comparisonBaselines = this.getComparisonBaselines();
+    this.snapshotComparison = null;
     
     // Get display names for logging from environment-specific lists
     const mainSchoolList = this.mainSchoolEnvironment === 'staging' ? this.stagingSchools : this.productionSchools;
@@ -2042,7 +2453,8 @@ class CoursedogReporter {
     // ✅ Clear any previous download URLs
     this.cleanupDownloadUrls();
     
-    this.logProgress(`🆕 Starting fresh report generation: ${mainDisplayName} vs ${baselineDisplayName}`, 'info');
+    const extraBaselineCount = this.comparisonBaselines.length - 1;
+    this.logProgress(`🆕 Starting fresh report generation: ${mainDisplayName} vs ${baselineDisplayName}${extraBaselineCount > 0 ? ` (+${extraBaselineCount} more baselines)` : ''}`, 'info');
     
     // Show appropriate progress indicator
     const isNerdMode = document.getElementById('info-for-nerds-checkbox').checked;
@@ -2082,6 +2494,8 @@ class CoursedogReporter {
         // Generate snapshot downloads
         this.generateSnapshotDownloads(snapshotData, this.mainSchool);
         this.logProgress('Snapshot files generated successfully!', 'success');
+
+        await this.saveSnapshotToHistory(snapshotData);
       } catch (snapshotError) {
         console.error('Snapshot generation error:', snapshotError);
         this.logProgress(`Snapshot generation failed: ${snapshotError.message}`, 'error');
@@ -2144,9 +2558,9 @@ class CoursedogReporter {
           // Filter reports based on checkbox states
           let shouldInclude = true;
           
-          if (reportKey === 'courseTemplate_Comparison_Report' || reportKey === 'programTemplate_Comparison_Report') {
+          if (this.curriculumReportKeys.includes(reportKey)) {
             shouldInclude = curriculumEnabled;
-          } else if (reportKey === 'sectionTemplate_Comparison_Report') {
+          } else if (this.schedulingReportKeys.includes(reportKey)) {
             shouldInclude = schedulingEnabled;
           }
           
@@ -2157,6 +2571,12 @@ class CoursedogReporter {
         }
       });
 
+      // Remediation plan checklist as CSV (the Markdown version is in comparisonReportKeys)
+      if (this.tempData[REMEDIATION_PLAN_DATA_KEY]) {
+        const planLink = this.createDownloadLink('RemediationPlan.csv', RemediationPlanGenerator.formatCSV(this.tempData[REMEDIATION_PLAN_DATA_KEY]), 'text/csv');
+        downloadContainer.appendChild(planLink);
+      }
+
       // Generate debug log file
       const debugLog = this.generateDebugLogFile();
       const debugLink = this.createDownloadLink('API_Debug_Log.md', debugLog, 'text/markdown');
@@ -2186,9 +2606,9 @@ class CoursedogReporter {
         if (this.tempData[reportKey]) {
           let shouldInclude = true;
           
-          if (reportKey === 'courseTemplate_Comparison_Report' || reportKey === 'programTemplate_Comparison_Report') {
+          if (this.curriculumReportKeys.includes(reportKey)) {
             shouldInclude = curriculumEnabled;
-          } else if (reportKey === 'sectionTemplate_Comparison_Report') {
+          } else if (this.schedulingReportKeys.includes(reportKey)) {
             shouldInclude = schedulingEnabled;
           }
           
@@ -2218,6 +2638,7 @@ class CoursedogReporter {
       // Enable View Reports button
       const viewBtn = document.getElementById('view-reports-btn');
       if (viewBtn) viewBtn.style.display = 'inline-block';
+      this.renderMergePatchPanel();
       
       // Reveal results UI and hide simple progress
       const resultsSection = document.getElementById('results-section');
@@ -2268,81 +2689,75 @@ class CoursedogReporter {
       { name: 'courseTemplate', endpoint: '/api/v1/:school/general/courseTemplate' },
       { name: 'programTemplate', endpoint: '/api/v1/:school/general/programTemplate' },
       { name: 'sectionTemplate', endpoint: '/api/v2/:school/general/sectionTemplate' },
+      { name: 'roomTemplate', endpoint: '/api/v1/:school/general/roomTemplate' },
+      { name: 'instructorTemplate', endpoint: '/api/v1/:school/general/instructorTemplate' },
+      { name: 'termTemplate', endpoint: '/api/v1/:school/general/termTemplate' },
+      { name: 'cmForms', endpoint: '/api/v1/:school/formsv2?formType=cm' },
+      { name: 'approvalWorkflows', endpoint: '/api/v1/:school/general/approvalWorkflows' },
       { name: 'integrationSaveState', endpoint: '/api/v1/:school/general/enabledIntegrationSaveState' },
       { name: 'attributeMappings', endpoint: '/api/v1/:school/integration/attributeMappings?returnArray=true' },
-      { name: 'integrationFilters', endpoint: '/api/v1/:school/general/integrationFilters' }
+      { name: 'integrationFilters', endpoint: '/api/v1/:school/general/integrationFilters' },
+      { name: 'integrationSchedule', endpoint: '/api/v1/:school/general/integrationSchedule' },
+      { name: 'rules', endpoint: '/api/v1/:school/rules' }
     ];
 
-    // Calculate total steps: basic queries + merge settings + field exceptions + integration reports
-    const basicSteps = queries.length * 2 + 2; // 2 schools * queries + merge settings for both (now 6*2+2=14)
-    
-    // Use a conservative estimate for field exceptions and integration steps (will be recalculated dynamically)
-    // Field exceptions: ~10-15 entities per school (depends on formatters/merge settings)
-    // Integration steps: varies by enabled entity types
-    const estimatedIntegrationSteps = 50; // Conservative estimate (includes field exceptions + integration queries)
-    const totalSteps = basicSteps + estimatedIntegrationSteps;
-    let currentStep = 0;
+    // Notification settings for the modules the report options cover
+    const curriculumEnabled = document.getElementById('curriculum-checkbox').checked;
+    const schedulingEnabled = document.getElementById('scheduling-checkbox').checked;
+    CoursedogReportGenerator.NOTIFICATION_MODULES
+      .filter(module => module.toggle === null || (module.toggle === 'curriculum' ? curriculumEnabled : schedulingEnabled))
+      .forEach(module => queries.push({ name: `notificationSettings_${module.code}`, endpoint: `/api/v1/all_done/notifications_settings/${module.code}` }));
+
+    // Every school in the run: main, primary baseline (BaselineSchool) and any additional baselines
+    const baselines = this.comparisonBaselines.length > 0
+      ? this.comparisonBaselines
+      : [{ name: this.baselineSchool, environment: this.baselineSchoolEnvironment, prefix: 'BaselineSchool' }];
+    const schools = [
+      { school: this.mainSchool, prefix: 'MainSchool', environment: this.mainSchoolEnvironment },
+      ...baselines.map(baseline => ({ school: baseline.name, prefix: baseline.prefix, environment: baseline.environment }))
+    ];
 
-    this.tempData = {};
+    // Calculate total steps: basic queries + merge settings for every school
+    // Field exception and integration steps are added once merge settings tell us the enabled entities
+    const basicSteps = queries.length * schools.length + schools.length;
+    const estimatedIntegrationSteps = 50; // Placeholder until the actual count is known
+    const progress = this.createProgressTracker(basicSteps + estimatedIntegrationSteps);
 
-    // Run basic queries for both schools
-    for (const query of queries) {
-      // Main school
-      currentStep++;
-      this.updateProgress(currentStep, totalSteps, `Fetching ${query.name} for ${this.mainSchool} (${this.mainSchoolEnvironment})...`);
-      
-      try {
-        const mainEndpoint = query.endpoint.replace(':school', this.mainSchool);
-        const mainData = await this.makeApiCall(mainEndpoint, 'GET', null, this.mainSchoolEnvironment);
-        this.tempData[`MainSchool_${query.name}`] = mainData;
-        this.logProgress(`✓ MainSchool_${query.name} completed`, 'success');
-      } catch (error) {
-        this.logProgress(`✗ MainSchool_${query.name} failed: ${error.message}`, 'error');
-        this.tempData[`MainSchool_${query.name}`] = { error: error.message };
-      }
+    this.tempData = {};
 
-      // Baseline school
-      currentStep++;
-      this.updateProgress(currentStep, totalSteps, `Fetching ${query.name} for ${this.baselineSchool} (${this.baselineSchoolEnvironment})...`);
-      
+    // Run basic queries for all schools concurrently (bounded by the request pool)
+    await Promise.all(queries.flatMap(query => schools.map(async ({ school, prefix, environment }) => {
       try {
-        const baselineEndpoint = query.endpoint.replace(':school', this.baselineSchool);
-        const baselineData = await this.makeApiCall(baselineEndpoint, 'GET', null, this.baselineSchoolEnvironment);
-        this.tempData[`BaselineSchool_${query.name}`] = baselineData;
-        this.logProgress(`✓ BaselineSchool_${query.name} completed`, 'success');
+        const endpoint = query.endpoint.replace(':school', school);
+        // School passed explicitly for endpoints without a school in the path (notifications_settings)
+        this.tempData[`${prefix}_${query.name}`] = await this.makeApiCall(endpoint, 'GET', null, environment, school);
+        this.logProgress(`✓ ${prefix}_${query.name} completed`, 'success');
       } catch (error) {
-        this.logProgress(`✗ BaselineSchool_${query.name} failed: ${error.message}`, 'error');
-        this.tempData[`BaselineSchool_${query.name}`] = { error: error.message };
+        this.logProgress(`✗ ${prefix}_${query.name} failed: ${error.message}`, 'error');
+        this.tempData[`${prefix}_${query.name}`] = { error: error.message };
       }
-    }
+      progress.advance(`Fetched ${query.name} for ${school} (${environment})`);
+    })));
 
-    // Get integration merge settings for both schools
-    currentStep = await this.fetchMergeSettings(currentStep, totalSteps);
+    // Get integration merge settings for all schools
+    await this.fetchMergeSettings(progress, schools);
 
-    // NEW: Fetch complete field exception maps for both schools
+    // NEW: Fetch complete field exception maps for all schools
     // This provides ALL fields (explicit + implicit) for accurate comparison
-    const mainMergeSettings = this.tempData['MainSchool_mergeSettings'];
-    const baselineMergeSettings = this.tempData['BaselineSchool_mergeSettings'];
+    // Now that merge settings are known, replace the estimate with the actual step count
+    const fieldExceptionTargets = schools.map(({ prefix }) => this.getFieldExceptionTargets(this.tempData[`${prefix}_mergeSettings`], prefix));
+    const mainEnabledTypes = this.getEnabledEntityTypes('MainSchool_mergeSettings');
+    const baselineEnabledTypes = this.getEnabledEntityTypes('BaselineSchool_mergeSettings');
+    progress.setRemaining(
+      fieldExceptionTargets.reduce((count, entities) => count + entities.length, 0) +
+      this.getIntegrationStepCount(mainEnabledTypes) + this.getIntegrationStepCount(baselineEnabledTypes)
+    );
 
     this.logProgress('📋 Fetching complete field exception maps for accurate comparison...', 'info');
     
-    currentStep = await this.fetchEntityFieldExceptions(
-      currentStep, 
-      totalSteps, 
-      this.mainSchool, 
-      mainMergeSettings, 
-      'MainSchool',
-      this.mainSchoolEnvironment
-    );
-
-    currentStep = await this.fetchEntityFieldExceptions(
-      currentStep, 
-      totalSteps, 
-      this.baselineSchool, 
-      baselineMergeSettings, 
-      'BaselineSchool',
-      this.baselineSchoolEnvironment
-    );
+    await Promise.all(schools.map(({ school, prefix, environment }, i) =>
+      this.fetchEntityFieldExceptions(progress, school, this.tempData[`${prefix}_mergeSettings`], prefix, environment, fieldExceptionTargets[i])
+    ));
 
     this.logProgress('✅ Field exception maps retrieval completed!', 'success');
 
@@ -2350,8 +2765,11 @@ class CoursedogReporter {
     this.buildUnifiedFieldLists();
     this.logProgress('✅ Unified field lists built for comparison', 'success');
 
-    // Generate comprehensive integration reports (Main School only)
-    currentStep = await this.fetchIntegrationData(currentStep, totalSteps);
+    // Generate comprehensive integration reports (main + primary baseline only; the matrix report does not use them)
+    if (baselines.length > 1) {
+      this.logProgress(`Skipping integration data for additional baselines: ${baselines.slice(1).map(b => b.name).join(', ')}`, 'info');
+    }
+    await this.fetchIntegrationData(progress, mainEnabledTypes, baselineEnabledTypes);
     
     // Save session data
     try {
@@ -2361,57 +2779,34 @@ class CoursedogReporter {
     }
   }
 
-  async fetchMergeSettings(currentStep, totalSteps) {
-    // Main school merge settings
-    currentStep++;
-    this.updateProgress(currentStep, totalSteps, `Fetching merge settings for ${this.mainSchool} (${this.mainSchoolEnvironment})...`);
-    
-    try {
-      const mainIntegrationData = this.tempData[`MainSchool_integrationSaveState`];
-      this.logProgress(`MainSchool integration data: ${JSON.stringify(mainIntegrationData).substring(0, 200)}...`, 'info');
-      
-      // Fix: Look in the correct nested path
-      const mainSaveStateId = mainIntegrationData?.enabledIntegrationSaveState?.integrationSaveStateId;
-      if (mainSaveStateId) {
-        this.logProgress(`Found MainSchool save state ID: ${mainSaveStateId}`, 'info');
-        const mainMergeSettings = await this.makeApiCall(`/api/v1/${this.mainSchool}/integration/mergeSettings?integrationSaveStateId=${mainSaveStateId}`, 'GET', null, this.mainSchoolEnvironment);
-        this.tempData[`MainSchool_mergeSettings`] = mainMergeSettings;
-        this.logProgress(`✓ MainSchool_mergeSettings completed`, 'success');
-      } else {
-        this.logProgress(`⚠ MainSchool integration save state ID not found. Available keys: ${Object.keys(mainIntegrationData || {})}`, 'error');
-        this.tempData[`MainSchool_mergeSettings`] = { error: 'No integration save state ID found', rawData: mainIntegrationData };
-      }
-    } catch (error) {
-      this.logProgress(`✗ MainSchool_mergeSettings failed: ${error.message}`, 'error');
-      this.tempData[`MainSchool_mergeSettings`] = { error: error.message };
-    }
+  async fetchMergeSettings(progress, schools) {
+    await Promise.all(schools.map(({ school, prefix, environment }) =>
+      this.fetchSchoolMergeSettings(school, prefix, environment, progress)
+    ));
+  }
 
-    // Baseline school merge settings
-    currentStep++;
-    this.updateProgress(currentStep, totalSteps, `Fetching merge settings for ${this.baselineSchool} (${this.baselineSchoolEnvironment})...`);
-    
+  async fetchSchoolMergeSettings(school, schoolPrefix, environment, progress) {
     try {
-      const baselineIntegrationData = this.tempData[`BaselineSchool_integrationSaveState`];
-      this.logProgress(`BaselineSchool integration data: ${JSON.stringify(baselineIntegrationData).substring(0, 200)}...`, 'info');
+      const integrationData = this.tempData[`${schoolPrefix}_integrationSaveState`];
+      this.logProgress(`${schoolPrefix} integration data: ${JSON.stringify(integrationData).substring(0, 200)}...`, 'info');
       
       // Fix: Look in the correct nested path
-      const baselineSaveStateId = baselineIntegrationData?.enabledIntegrationSaveState?.integrationSaveStateId;
-      if (baselineSaveStateId) {
-        this.logProgress(`Found BaselineSchool save state ID: ${baselineSaveStateId}`, 'info');
-        const baselineMergeSettings = await this.makeApiCall(`/api/v1/${this.baselineSchool}/integration/mergeSettings?integrationSaveStateId=${baselineSaveStateId}`, 'GET', null, this.baselineSchoolEnvironment);
-        this.tempData[`BaselineSchool_mergeSettings`] = baselineMergeSettings;
-        this.logProgress(`✓ BaselineSchool_mergeSettings completed`, 'success');
+      const saveStateId = integrationData?.enabledIntegrationSaveState?.integrationSaveStateId;
+      if (saveStateId) {
+        this.logProgress(`Found ${schoolPrefix} save state ID: ${saveStateId}`, 'info');
+        const mergeSettings = await this.makeApiCall(`/api/v1/${school}/integration/mergeSettings?integrationSaveStateId=${saveStateId}`, 'GET', null, environment);
+        this.tempData[`${schoolPrefix}_mergeSettings`] = mergeSettings;
+        this.logProgress(`✓ ${schoolPrefix}_mergeSettings completed`, 'success');
       } else {
-        this.logProgress(`⚠ BaselineSchool integration save state ID not found. Available keys: ${Object.keys(baselineIntegrationData || {})}`, 'error');
-        this.tempData[`BaselineSchool_mergeSettings`] = { error: 'No integration save state ID found', rawData: baselineIntegrationData };
+        this.logProgress(`⚠ ${schoolPrefix} integration save state ID not found. Available keys: ${Object.keys(integrationData || {})}`, 'error');
+        this.tempData[`${schoolPrefix}_mergeSettings`] = { error: 'No integration save state ID found', rawData: integrationData };
       }
     } catch (error) {
-      this.logProgress(`✗ BaselineSchool_mergeSettings failed: ${error.message}`, 'error');
-      this.tempData[`BaselineSchool_mergeSettings`] = { error: error.message };
+      this.logProgress(`✗ ${schoolPrefix}_mergeSettings failed: ${error.message}`, 'error');
+      this.tempData[`${schoolPrefix}_mergeSettings`] = { error: error.message };
     }
 
-    this.updateProgress(currentStep, totalSteps, 'Merge settings retrieval completed!');
-    return currentStep;
+    progress.advance(`Fetched merge settings for ${school} (${environment})`);
   }
 
   /**
@@ -2454,24 +2849,22 @@ class CoursedogReporter {
   }
 
   /**
-   * Fetch complete field exception maps for all target entities
-   * Uses POST /api/v1/{school}/integration/entityFieldExceptions/{entityType}
-   * This provides ALL fields (explicit + implicit) for accurate comparison
+   * Determine which entities to fetch field exception maps for
+   * Returns an empty list when merge settings or the save state ID are unavailable
    */
-  async fetchEntityFieldExceptions(currentStep, totalSteps, school, mergeSettings, schoolPrefix, environment) {
+  getFieldExceptionTargets(mergeSettings, schoolPrefix) {
     if (!mergeSettings || mergeSettings.error) {
       this.logProgress(`⚠ ${schoolPrefix}: No merge settings available for entity field exceptions`, 'warn');
-      return currentStep;
+      return [];
     }
 
     // Extract save state ID from the integrationSaveState data
-    const integrationDataKey = `${schoolPrefix}_integrationSaveState`;
-    const integrationData = this.tempData[integrationDataKey];
+    const integrationData = this.tempData[`${schoolPrefix}_integrationSaveState`];
     const saveStateId = integrationData?.enabledIntegrationSaveState?.integrationSaveStateId;
     
     if (!saveStateId) {
       this.logProgress(`⚠ ${schoolPrefix}: No save state ID for field exceptions`, 'warn');
-      return currentStep;
+      return [];
     }
 
     // Get target entities from formatters or merge settings
@@ -2479,20 +2872,31 @@ class CoursedogReporter {
     
     if (targetEntities.length === 0) {
       this.logProgress(`⚠ ${schoolPrefix}: No target entities for field exceptions`, 'warn');
-      return currentStep;
+    }
+    return targetEntities;
+  }
+
+  /**
+   * Fetch complete field exception maps for all target entities
+   * Uses POST /api/v1/{school}/integration/entityFieldExceptions/{entityType}
+   * This provides ALL fields (explicit + implicit) for accurate comparison
+   */
+  async fetchEntityFieldExceptions(progress, school, mergeSettings, schoolPrefix, environment, targetEntities) {
+    if (targetEntities.length === 0) {
+      return;
     }
 
-    this.logProgress(`${schoolPrefix}: Fetching complete field exception maps for ${targetEntities.length} entities...`, 'info');
+    const saveStateId = this.tempData[`${schoolPrefix}_integrationSaveState`]?.enabledIntegrationSaveState?.integrationSaveStateId;
 
-    for (const entityType of targetEntities) {
-      currentStep++;
-      this.updateProgress(currentStep, totalSteps, `Fetching ${schoolPrefix} ${entityType} field exceptions...`);
+    this.logProgress(`${schoolPrefix}: Fetching complete field exception maps for ${targetEntities.length} entities...`, 'info');
 
+    await Promise.all(targetEntities.map(async (entityType) => {
       // Get entity merge settings outside try block so it's accessible in catch block
       const entityMergeSettings = mergeSettings[entityType];
       if (!entityMergeSettings) {
         this.logProgress(`⚠ ${schoolPrefix}: No merge settings for ${entityType}, skipping`, 'warn');
-        continue;
+        progress.advance(`Skipped ${schoolPrefix} ${entityType} field exceptions`);
+        return;
       }
 
       try {
@@ -2577,9 +2981,9 @@ class CoursedogReporter {
         this.logProgress(`⚙️ ${schoolPrefix}: Generated ${fieldCount} configured fields for ${entityType}`, 'info');
         this.logProgress(`✓ ${schoolPrefix}_fieldExceptionMap_${entityType} completed (configured fields only)`, 'success');
       }
-    }
 
-    return currentStep;
+      progress.advance(`Fetched ${schoolPrefix} ${entityType} field exceptions`);
+    }));
   }
 
   /**
@@ -2588,71 +2992,17 @@ class CoursedogReporter {
    * This ensures fields present in either school's data are included in comparison
    */
   buildUnifiedFieldLists() {
-    const mainMergeSettings = this.tempData['MainSchool_mergeSettings'];
-    const baselineMergeSettings = this.tempData['BaselineSchool_mergeSettings'];
-
-    if (!mainMergeSettings && !baselineMergeSettings) {
+    if (!this.tempData['MainSchool_mergeSettings'] && !this.tempData['BaselineSchool_mergeSettings']) {
       this.logProgress('⚠️ No merge settings available for unified field list generation', 'warn');
       return;
     }
 
-    // Get all entity types that have field exception data
-    const entityTypes = new Set();
-    
-    // Collect entity types from tempData keys
-    Object.keys(this.tempData).forEach(key => {
-      const match = key.match(/^(MainSchool|BaselineSchool)_fieldExceptionMap_(.+)$/);
-      if (match) {
-        entityTypes.add(match[2]);
-      }
-    });
-
-    this.logProgress(`Building unified field lists for ${entityTypes.size} entities...`, 'info');
+    const unifiedLists = CoursedogReportGenerator.buildUnifiedFieldLists(this.tempData);
+    const entityTypes = Object.keys(unifiedLists);
 
-    // Process each entity type
+    this.logProgress(`Building unified field lists for ${entityTypes.length} entities...`, 'info');
     entityTypes.forEach(entityType => {
-      const unifiedFields = new Set();
-
-      // Get field exception maps for both schools
-      const mainMapData = this.tempData[`MainSchool_fieldExceptionMap_${entityType}`];
-      const baselineMapData = this.tempData[`BaselineSchool_fieldExceptionMap_${entityType}`];
-
-      // Add fields from main school's API response (if available)
-      if (mainMapData?.data) {
-        Object.keys(mainMapData.data).forEach(fieldPath => unifiedFields.add(fieldPath));
-      }
-
-      // Add fields from baseline school's API response (if available)
-      if (baselineMapData?.data) {
-        Object.keys(baselineMapData.data).forEach(fieldPath => unifiedFields.add(fieldPath));
-      }
-
-      // Add fields from main school's configured exceptions
-      const mainEntitySettings = mainMergeSettings?.[entityType];
-      if (mainEntitySettings?.fieldExceptions) {
-        mainEntitySettings.fieldExceptions.forEach(exceptionGroup => {
-          exceptionGroup.fields.forEach(field => {
-            const pathString = field.path.join('.');
-            unifiedFields.add(pathString);
-          });
-        });
-      }
-
-      // Add fields from baseline school's configured exceptions
-      const baselineEntitySettings = baselineMergeSettings?.[entityType];
-      if (baselineEntitySettings?.fieldExceptions) {
-        baselineEntitySettings.fieldExceptions.forEach(exceptionGroup => {
-          exceptionGroup.fields.forEach(field => {
-            const pathString = field.path.join('.');
-            unifiedFields.add(pathString);
-          });
-        });
-      }
-
-      // Store the unified field list
-      this.tempData[`unifiedFieldList_${entityType}`] = unifiedFields;
-      
-      this.logProgress(`  ${entityType}: ${unifiedFields.size} unique fields`, 'info');
+      this.logProgress(`  ${entityType}: ${unifiedLists[entityType].size} unique fields`, 'info');
     });
   }
 
@@ -2789,35 +3139,32 @@ class CoursedogReporter {
     return ENTITY_SPECIFIC[entityType] || GENERAL;
   }
 
-  async fetchIntegrationData(currentStep, totalSteps) {
+  async fetchIntegrationData(progress, mainEnabledTypes, baselineEnabledTypes) {
     this.logProgress('Starting comprehensive integration data retrieval for BOTH schools...', 'info');
     
-    // Get enabled entity types from merge settings for both schools
-    const mainEnabledTypes = this.getEnabledEntityTypes('MainSchool_mergeSettings');
-    const baselineEnabledTypes = this.getEnabledEntityTypes('BaselineSchool_mergeSettings');
-    
     this.logProgress(`Main school enabled entities: ${mainEnabledTypes.join(', ')}`, 'info');
     this.logProgress(`Baseline school enabled entities: ${baselineEnabledTypes.join(', ')}`, 'info');
     
-    // Calculate actual integration steps needed for both schools
-    const mainIntegrationSteps = 3 + (mainEnabledTypes.length * 4); // 3 basic endpoints + 4 endpoints per entity type
-    const baselineIntegrationSteps = 3 + (baselineEnabledTypes.length * 4);
-    const totalIntegrationSteps = mainIntegrationSteps + baselineIntegrationSteps;
-    const newTotalSteps = (totalSteps - 50) + totalIntegrationSteps; // Replace the estimate with actual count
-    
-    this.logProgress(`Integration will require ${totalIntegrationSteps} steps (${mainIntegrationSteps} for Main, ${baselineIntegrationSteps} for Baseline)`, 'info');
-    
-    // Fetch integration data for Main School
-    this.logProgress(`Fetching Main School integration data (${this.mainSchoolEnvironment})...`, 'info');
-    currentStep = await this.fetchSchoolIntegrationData(this.mainSchool, 'MainSchool', mainEnabledTypes, currentStep, newTotalSteps, this.mainSchoolEnvironment);
-    this.updateProgress(currentStep, newTotalSteps, 'Main School integration data retrieval completed!');
-    
-    // Fetch integration data for Baseline School
-    this.logProgress(`Fetching Baseline School integration data (${this.baselineSchoolEnvironment})...`, 'info');
-    currentStep = await this.fetchSchoolIntegrationData(this.baselineSchool, 'BaselineSchool', baselineEnabledTypes, currentStep, newTotalSteps, this.baselineSchoolEnvironment);
-    this.updateProgress(currentStep, newTotalSteps, 'Baseline School integration data retrieval completed!');
+    const mainIntegrationSteps = this.getIntegrationStepCount(mainEnabledTypes);
+    const baselineIntegrationSteps = this.getIntegrationStepCount(baselineEnabledTypes);
+    this.logProgress(`Integration will require ${mainIntegrationSteps + baselineIntegrationSteps} steps (${mainIntegrationSteps} for Main, ${baselineIntegrationSteps} for Baseline)`, 'info');
     
-    return currentStep;
+    // Fetch integration data for both schools in parallel
+    this.logProgress(`Fetching Main (${this.mainSchoolEnvironment}) and Baseline (${this.baselineSchoolEnvironment}) integration data...`, 'info');
+    await Promise.all([
+      this.fetchSchoolIntegrationData(this.mainSchool, 'MainSchool', mainEnabledTypes, progress, this.mainSchoolEnvironment),
+      this.fetchSchoolIntegrationData(this.baselineSchool, 'BaselineSchool', baselineEnabledTypes, progress, this.baselineSchoolEnvironment)
+    ]);
+    progress.update('Integration data retrieval completed!');
+  }
+
+  /**
+   * Number of integration requests made for a school
+   * @param {Array<string>} enabledTypes - Enabled entity types
+   * @returns {number} 3 basic endpoints + 4 endpoints per entity type
+   */
+  getIntegrationStepCount(enabledTypes) {
+    return 3 + (enabledTypes.length * 4);
   }
 
   getEnabledEntityTypes(mergeSettingsKey) {
@@ -2837,18 +3184,25 @@ class CoursedogReporter {
     return enabledTypes.length > 0 ? enabledTypes : ['courses', 'sections', 'professors', 'students', 'terms', 'rooms'];
   }
 
-  async fetchSchoolIntegrationData(schoolId, schoolPrefix, enabledTypes, currentStep, totalSteps, environment) {
+  async fetchSchoolIntegrationData(schoolId, schoolPrefix, enabledTypes, progress, environment) {
     const integrationEndpoints = [
       { name: 'integrationSettings', endpoint: `/api/v1/admin/schools/${schoolId}/integration/settings` },
       { name: 'formatters', endpoint: `/api/v1/admin/schools/${schoolId}/integration/formatters` },
       { name: 'formattersPost', endpoint: `/api/v1/admin/schools/${schoolId}/integration/formatters/post` }
     ];
     
-    // Fetch basic integration endpoints
-    for (const endpoint of integrationEndpoints) {
-      currentStep++;
-      this.updateProgress(currentStep, totalSteps, `Fetching ${endpoint.name} for ${schoolId}...`);
-      
+    // Entity-specific endpoints for each enabled type
+    for (const entityType of enabledTypes) {
+      integrationEndpoints.push(
+        { name: `fieldMappings_${entityType}`, endpoint: `/api/v1/admin/schools/${schoolId}/integration/field-mappings/${entityType}` },
+        { name: `fieldMappingsPost_${entityType}`, endpoint: `/api/v1/admin/schools/${schoolId}/integration/field-mappings/post/${entityType}` },
+        { name: `customFields_${entityType}`, endpoint: `/api/v1/admin/schools/${schoolId}/integration/field-mappings/${entityType}/custom-fields` },
+        { name: `customFieldsPost_${entityType}`, endpoint: `/api/v1/admin/schools/${schoolId}/integration/field-mappings/post/${entityType}/custom-fields` }
+      );
+    }
+    
+    // Requests run concurrently; the request pool enforces concurrency and rate limits
+    await Promise.all(integrationEndpoints.map(async (endpoint) => {
       try {
         const data = await this.makeApiCall(endpoint.endpoint, 'GET', null, environment);
         // Store structured response with metadata
@@ -2861,9 +3215,6 @@ class CoursedogReporter {
           endpoint: endpoint.endpoint
         };
         this.logProgress(`✓ ${schoolPrefix}_${endpoint.name} completed`, 'success');
-        
-        // Small delay to avoid overwhelming the API
-        await this.delay(100);
       } catch (error) {
         // Downgrade expected formatter 404s to info
         if (this.isExpectedFormatter404(endpoint.endpoint, error)) {
@@ -2888,63 +3239,8 @@ class CoursedogReporter {
           };
         }
       }
-    }
-    
-    // Fetch entity-specific endpoints for each enabled type
-    for (const entityType of enabledTypes) {
-      const entityEndpoints = [
-        { name: `fieldMappings_${entityType}`, endpoint: `/api/v1/admin/schools/${schoolId}/integration/field-mappings/${entityType}` },
-        { name: `fieldMappingsPost_${entityType}`, endpoint: `/api/v1/admin/schools/${schoolId}/integration/field-mappings/post/${entityType}` },
-        { name: `customFields_${entityType}`, endpoint: `/api/v1/admin/schools/${schoolId}/integration/field-mappings/${entityType}/custom-fields` },
-        { name: `customFieldsPost_${entityType}`, endpoint: `/api/v1/admin/schools/${schoolId}/integration/field-mappings/post/${entityType}/custom-fields` }
-      ];
-      
-      for (const endpoint of entityEndpoints) {
-        currentStep++;
-        this.updateProgress(currentStep, totalSteps, `Fetching ${endpoint.name} for ${schoolId}...`);
-        
-        try {
-          const data = await this.makeApiCall(endpoint.endpoint, 'GET', null, environment);
-          // Store structured response with metadata
-          this.tempData[`${schoolPrefix}_${endpoint.name}`] = {
-            status: 'success',
-            statusCode: 200,
-            data: data,
-            error: null,
-            timestamp: new Date().toISOString(),
-            endpoint: endpoint.endpoint
-          };
-          this.logProgress(`✓ ${schoolPrefix}_${endpoint.name} completed`, 'success');
-          
-          // Small delay between requests
-          await this.delay(100);
-        } catch (error) {
-          if (this.isExpectedFormatter404(endpoint.endpoint, error)) {
-            this.logProgress(`ℹ ${schoolPrefix}_${endpoint.name} not configured (expected for many schools)`, 'info');
-            this.tempData[`${schoolPrefix}_${endpoint.name}`] = { 
-              status: 'not_configured', 
-              statusCode: 404,
-              data: null,
-              error: '404 Not Found (expected)',
-              timestamp: new Date().toISOString(),
-              endpoint: endpoint.endpoint
-            };
-          } else {
-            this.logProgress(`✗ ${schoolPrefix}_${endpoint.name} failed: ${error.message}`, 'error');
-            this.tempData[`${schoolPrefix}_${endpoint.name}`] = { 
-              status: 'error',
-              statusCode: error.statusCode || null,
-              data: null,
-              error: error.message,
-              timestamp: new Date().toISOString(),
-              endpoint: endpoint.endpoint
-            };
-          }
-        }
-      }
-    }
-    
-    return currentStep;
+      progress.advance(`Fetched ${endpoint.name} for ${schoolId}`);
+    }));
   }
 
   delay(ms) {
@@ -3016,9 +3312,9 @@ class CoursedogReporter {
         // Filter reports based on checkbox states
         let shouldInclude = true;
         
-        if (reportKey === 'courseTemplate_Comparison_Report' || reportKey === 'programTemplate_Comparison_Report') {
+        if (this.curriculumReportKeys.includes(reportKey)) {
           shouldInclude = curriculumEnabled;
-        } else if (reportKey === 'sectionTemplate_Comparison_Report') {
+        } else if (this.schedulingReportKeys.includes(reportKey)) {
           shouldInclude = schedulingEnabled;
         }
         
@@ -3029,6 +3325,12 @@ class CoursedogReporter {
       }
     });
 
+    // Remediation plan checklist as CSV (the Markdown version is in comparisonReportKeys)
+    if (this.tempData[REMEDIATION_PLAN_DATA_KEY]) {
+      const planLink = this.createDownloadLink('RemediationPlan.csv', RemediationPlanGenerator.formatCSV(this.tempData[REMEDIATION_PLAN_DATA_KEY]), 'text/csv');
+      downloadContainer.appendChild(planLink);
+    }
+
     // Generate debug log file
     const debugLog = this.generateDebugLogFile();
     const debugLink = this.createDownloadLink('API_Debug_Log.md', debugLog, 'text/markdown');
@@ -3058,9 +3360,9 @@ class CoursedogReporter {
       if (this.tempData[reportKey]) {
         let shouldInclude = true;
         
-        if (reportKey === 'courseTemplate_Comparison_Report' || reportKey === 'programTemplate_Comparison_Report') {
+        if (this.curriculumReportKeys.includes(reportKey)) {
           shouldInclude = curriculumEnabled;
-        } else if (reportKey === 'sectionTemplate_Comparison_Report') {
+        } else if (this.schedulingReportKeys.includes(reportKey)) {
           shouldInclude = schedulingEnabled;
         }
         
@@ -3090,6 +3392,7 @@ class CoursedogReporter {
     // Enable View Reports button
     const viewBtn = document.getElementById('view-reports-btn');
     if (viewBtn) viewBtn.style.display = 'inline-block';
+    this.renderMergePatchPanel();
     
     this.logProgress('All files ready for download and Notion upload!', 'success');
   }
@@ -3128,18 +3431,30 @@ class CoursedogReporter {
 
       // Additional reports
       const extra = [
+        { key: 'ExecutiveSummary_Report', title: '🚦 Executive Summary', cond: true },
         { key: 'stepsToExecute_Comparison_Report', title: '🔄 Steps to Execute Comparison', cond: true },
         { key: 'fieldExceptions_Comparison_Report', title: '⚠️ Field Exceptions Comparison', cond: true },
         { key: 'courseTemplate_Comparison_Report', title: '📚 Course Template Comparison', cond: curriculumEnabled },
         { key: 'programTemplate_Comparison_Report', title: '🎓 Program Template Comparison', cond: curriculumEnabled },
         { key: 'sectionTemplate_Comparison_Report', title: '📅 Section Template Comparison', cond: schedulingEnabled },
+        { key: 'roomTemplate_Comparison_Report', title: '🏫 Room Template Comparison', cond: schedulingEnabled },
+        { key: 'instructorTemplate_Comparison_Report', title: '🧑‍🏫 Instructor Template Comparison', cond: schedulingEnabled },
+        { key: 'termTemplate_Comparison_Report', title: '🗓️ Term Template Comparison', cond: schedulingEnabled },
+        { key: 'FormsWorkflows_Comparison_Report', title: '📝 Forms & Workflows Comparison', cond: curriculumEnabled },
+        { key: 'NotificationSettings_Comparison_Report', title: '🔔 Notification Settings Comparison', cond: true },
         { key: 'AttributeMapping_Comparison_Report', title: '🗺️ Attribute Mapping Comparison', cond: true },
-        { key: 'IntegrationFilters_Comparison_Report', title: '🔍 Integration Filters Comparison', cond: true }
+        { key: 'IntegrationFilters_Comparison_Report', title: '🔍 Integration Filters Comparison', cond: true },
+        { key: 'IntegrationRulesSchedule_Comparison_Report', title: '⏱️ Integration Rules & Schedule Comparison', cond: true },
+        { key: 'MultiBaseline_Comparison_Report', title: '🧮 Multi-Baseline Comparison', cond: true },
+        { key: 'RemediationPlan_Report', title: '🛠️ Remediation Plan', cond: true }
       ];
+      const diffs = {};
       extra.forEach(item => {
         if (item.cond && this.tempData[item.key]) {
           reports[item.key] = this.tempData[item.key];
           index.push({ key: item.key, title: item.title, type: 'markdown' });
+          const diffKey = DiffResult.storageKey(item.key);
+          if (this.tempData[diffKey]) diffs[item.key] = this.tempData[diffKey];
         }
       });
 
@@ -3147,7 +3462,8 @@ class CoursedogReporter {
       const payload = {
         meta: { mainSchool: this.mainSchool, baselineSchool: this.baselineSchool, createdAt: new Date().toISOString() },
         index,
-        reports
+        reports,
+        diffs
       };
       await chrome.storage.local.set({ [sessionId]: payload });
       const url = chrome.runtime.getURL(`report-viewer.html?session=${sessionId}`);
@@ -3156,6 +3472,7 @@ class CoursedogReporter {
       } else {
         window.open(url, '_blank');
       }
+      this.refreshReportRuns();
     } catch (error) {
       console.error('Failed to open report viewer:', error);
       alert('Failed to open report viewer. See console for details.');
@@ -3192,9 +3509,9 @@ class CoursedogReporter {
       this.comparisonReportKeys.forEach(reportKey => {
         if (this.tempData[reportKey]) {
           let shouldInclude = true;
-          if (reportKey === 'courseTemplate_Comparison_Report' || reportKey === 'programTemplate_Comparison_Report') {
+          if (this.curriculumReportKeys.includes(reportKey)) {
             shouldInclude = curriculumEnabled;
-          } else if (reportKey === 'sectionTemplate_Comparison_Report') {
+          } else if (this.schedulingReportKeys.includes(reportKey)) {
             shouldInclude = schedulingEnabled;
           }
           
@@ -3214,6 +3531,11 @@ class CoursedogReporter {
         }
       });
 
+      if (this.tempData[REMEDIATION_PLAN_DATA_KEY]) {
+        zip.file('RemediationPlan.csv', RemediationPlanGenerator.formatCSV(this.tempData[REMEDIATION_PLAN_DATA_KEY]));
+        this.logProgress('Added RemediationPlan.csv to simple ZIP', 'info');
+      }
+
       // Add Notion debug log if available
       if (this.notionClient && this.notionClient.getLogs && this.notionClient.getLogs().length > 0) {
         const notionDebugLog = this.generateNotionDebugLog();
@@ -3286,18 +3608,52 @@ class CoursedogReporter {
     const curriculumEnabled = document.getElementById('curriculum-checkbox').checked;
     const schedulingEnabled = document.getElementById('scheduling-checkbox').checked;
     
+    // Snapshot comparisons label each side with the snapshot instead of the selected schools
+    const sides = this.snapshotComparison || {
+      mainName: this.selectedMainSchool.name || this.mainSchool,
+      baselineName: this.selectedBaselineSchool.name || this.baselineSchool,
+      mainEnv: this.selectedMainSchool.environment || 'staging',
+      baselineEnv: this.selectedBaselineSchool.environment || 'staging'
+    };
+    
     const reportGenerator = new CoursedogReportGenerator(
-      this.selectedMainSchool.name || this.mainSchool, 
-      this.selectedBaselineSchool.name || this.baselineSchool, 
+      sides.mainName, 
+      sides.baselineName, 
       this.tempData, 
       this.debugLog,
       curriculumEnabled,
       schedulingEnabled,
-      this.selectedMainSchool.environment || 'staging',
-      this.selectedBaselineSchool.environment || 'staging'
+      sides.mainEnv,
+      sides.baselineEnv,
+      { templatePropertyProfile: this.templatePropertyProfile, ignoreRules: this.ignoreRules }
     );
     // Call to generate side-effect reports only; ignore returned content
     try { reportGenerator.generateComparisonReport(); } catch (e) { console.warn('Comparison generation failed', e); }
+
+    // Ordered checklist of changes that make the main school match the (primary) baseline
+    const remediationPlanGenerator = new RemediationPlanGenerator(sides.mainName, sides.baselineName, this.tempData, {
+      mainEnv: sides.mainEnv,
+      baselineEnv: sides.baselineEnv
+    });
+    try { remediationPlanGenerator.generateReport(); } catch (e) { console.warn('Remediation plan generation failed', e); }
+
+    // Matrix report when the run includes additional baselines
+    if (this.comparisonBaselines.length > 1) {
+      const multiBaselineGenerator = new MultiBaselineReportGenerator(
+        this.selectedMainSchool.name || this.mainSchool,
+        this.comparisonBaselines,
+        this.tempData,
+        {
+          mainEnv: this.selectedMainSchool.environment || 'staging',
+          curriculumEnabled,
+          schedulingEnabled,
+          debugLog: this.debugLog,
+          templatePropertyProfile: this.templatePropertyProfile,
+          ignoreRules: this.ignoreRules
+        }
+      );
+      try { multiBaselineGenerator.generateReport(); } catch (e) { console.warn('Multi-baseline report generation failed', e); }
+    }
     return '';
   }
 
@@ -3320,6 +3676,30 @@ class CoursedogReporter {
     return link;
   }
 
+  /**
+   * Track progress for requests that complete in any order
+   * advance() counts one finished step; setRemaining() replaces an estimate once the real count is known
+   * @param {number} totalSteps - Initial (estimated) number of steps
+   * @returns {Object} Progress tracker
+   */
+  createProgressTracker(totalSteps) {
+    const tracker = {
+      current: 0,
+      total: totalSteps,
+      advance: (message) => {
+        tracker.current++;
+        tracker.update(message);
+      },
+      setRemaining: (remainingSteps) => {
+        tracker.total = tracker.current + remainingSteps;
+      },
+      update: (message) => {
+        this.updateProgress(Math.min(tracker.current, tracker.total), Math.max(tracker.total, 1), message);
+      }
+    };
+    return tracker;
+  }
+
   updateProgress(current, total, message) {
     const percentage = Math.round((current / total) * 100);
     document.getElementById('progress-fill').style.width = `${percentage}%`;
@@ -3437,12 +3817,13 @@ class CoursedogReporter {
   // Session Storage Methods
   async loadSessionData() {
     try {
-      const data = await chrome.storage.session.get(['tempData', 'mainSchool', 'baselineSchool', 'debugLog', 'lastReportTime']);
+      const data = await chrome.storage.session.get(['tempData', 'mainSchool', 'baselineSchool', 'comparisonBaselines', 'debugLog', 'lastReportTime']);
       
       if (data.tempData && data.mainSchool && data.baselineSchool) {
         this.tempData = data.tempData;
         this.mainSchool = data.mainSchool;
         this.baselineSchool = data.baselineSchool;
+        this.comparisonBaselines = data.comparisonBaselines || [];
         this.debugLog = data.debugLog || [];
         
         const timeDiff = Date.now() - (data.lastReportTime || 0);
@@ -3466,6 +3847,7 @@ class CoursedogReporter {
         tempData: this.tempData,
         mainSchool: this.mainSchool,
         baselineSchool: this.baselineSchool,
+        comparisonBaselines: this.comparisonBaselines,
         debugLog: this.debugLog,
         lastReportTime: Date.now()
       });
@@ -4415,9 +4797,9 @@ class CoursedogReporter {
           // Filter reports based on checkbox states
           let shouldInclude = true;
           
-          if (reportKey === 'courseTemplate_Comparison_Report' || reportKey === 'programTemplate_Comparison_Report') {
+          if (this.curriculumReportKeys.includes(reportKey)) {
             shouldInclude = curriculumEnabled;
-          } else if (reportKey === 'sectionTemplate_Comparison_Report') {
+          } else if (this.schedulingReportKeys.includes(reportKey)) {
             shouldInclude = schedulingEnabled;
           }
           
@@ -4437,6 +4819,11 @@ class CoursedogReporter {
         }
       });
 
+      if (this.tempData[REMEDIATION_PLAN_DATA_KEY]) {
+        zip.file('RemediationPlan.csv', RemediationPlanGenerator.formatCSV(this.tempData[REMEDIATION_PLAN_DATA_KEY]));
+        this.logProgress('Added RemediationPlan.csv to ZIP', 'info');
+      }
+
       // Add debug log file
       const debugLog = this.generateDebugLogFile();
       zip.file('API_Debug_Log.md', debugLog);
@@ -4553,17 +4940,36 @@ class CoursedogReporter {
         }
       }
 
+      // Read structured diff results saved alongside the reports (<reportKey>_Diff.json)
+      const diffs = {};
+      const diffFiles = [];
+      zip.forEach((path, entry) => {
+        const key = path.split('/').pop().replace(/\.json$/i, '');
+        if (!entry.dir && path.toLowerCase().endsWith('.json') && DiffResult.isStorageKey(key)) {
+          diffFiles.push({ entry, reportKey: key.slice(0, -'_Diff'.length) });
+        }
+      });
+      for (const { entry, reportKey } of diffFiles) {
+        if (!reports[reportKey]) continue;
+        try {
+          diffs[reportKey] = JSON.parse(await entry.async('string'));
+        } catch (e) {
+          console.warn('Failed reading diff', entry.name, e);
+        }
+      }
+
       // Build index and meta
       const index = this.buildReportIndexFromKeys(Object.keys(reports));
       const meta = this.inferMetaFromReports(reports);
 
       const sessionId = 'zip_' + Date.now();
-      const payload = { meta, index, reports };
+      const payload = { meta, index, reports, diffs };
       await chrome.storage.local.set({ [sessionId]: payload });
       const url = chrome.runtime.getURL(`report-viewer.html?session=${sessionId}`);
       if (chrome.tabs && chrome.tabs.create) chrome.tabs.create({ url }); else window.open(url, '_blank');
 
       this.logProgress(`✓ Loaded ${mdFiles.length} markdown files from ZIP`, 'success');
+      this.refreshReportRuns();
     } catch (err) {
       console.error('Load ZIP error:', err);
       alert('Failed to load ZIP: ' + (err?.message || err));
@@ -4578,13 +4984,22 @@ class CoursedogReporter {
   buildReportIndexFromKeys(keys) {
     const titleMap = {
       'CAC_Report': '📋 CAC Report',
+      'ExecutiveSummary_Report': '🚦 Executive Summary',
       'stepsToExecute_Comparison_Report': '🔄 Steps to Execute Comparison',
       'fieldExceptions_Comparison_Report': '⚠️ Field Exceptions Comparison',
       'courseTemplate_Comparison_Report': '📚 Course Template Comparison',
       'programTemplate_Comparison_Report': '🎓 Program Template Comparison',
       'sectionTemplate_Comparison_Report': '📅 Section Template Comparison',
+      'roomTemplate_Comparison_Report': '🏫 Room Template Comparison',
+      'instructorTemplate_Comparison_Report': '🧑‍🏫 Instructor Template Comparison',
+      'termTemplate_Comparison_Report': '🗓️ Term Template Comparison',
+      'FormsWorkflows_Comparison_Report': '📝 Forms & Workflows Comparison',
+      'NotificationSettings_Comparison_Report': '🔔 Notification Settings Comparison',
       'AttributeMapping_Comparison_Report': '🗺️ Attribute Mapping Comparison',
-      'IntegrationFilters_Comparison_Report': '🔍 Integration Filters Comparison'
+      'IntegrationFilters_Comparison_Report': '🔍 Integration Filters Comparison',
+      'IntegrationRulesSchedule_Comparison_Report': '⏱️ Integration Rules & Schedule Comparison',
+      'MultiBaseline_Comparison_Report': '🧮 Multi-Baseline Comparison',
+      'RemediationPlan_Report': '🛠️ Remediation Plan'
     };
     return keys.map(k => ({ key: k, title: titleMap[k] || k, type: 'markdown' }));
   }
@@ -4605,6 +5020,132 @@ class CoursedogReporter {
     }
   }
 
+  /**
+   * Report runs kept in chrome.storage.local (viewer sessions: rv_* from this popup, zip_* from loaded ZIPs)
+   * Run comparison sessions are left out
+   * @returns {Promise<Array<Object>>} Runs ({ id, meta, source }), newest first
+   */
+  async listReportRuns() {
+    const stored = await chrome.storage.local.get(null);
+    return Object.entries(stored)
+      .filter(([key, payload]) => /^(rv|zip)_\d+$/.test(key) && payload && payload.reports && !payload.meta?.runComparison)
+      .map(([key, payload]) => ({
+        id: key,
+        meta: { ...payload.meta, createdAt: payload.meta?.createdAt || new Date(Number(key.split('_')[1])).toISOString() },
+        source: key.startsWith('zip_') ? 'ZIP' : 'Run'
+      }))
+      .sort((a, b) => new Date(b.meta.createdAt) - new Date(a.meta.createdAt));
+  }
+
+  /**
+   * Reload the run pickers
+   * Defaults to the newest run (later) and the previous run of the same schools (earlier)
+   */
+  async refreshReportRuns() {
+    const section = document.getElementById('run-comparison-section');
+    const selectA = document.getElementById('run-a');
+    const selectB = document.getElementById('run-b');
+    if (!section || !selectA || !selectB) return;
+
+    let runs;
+    try {
+      runs = await this.listReportRuns();
+    } catch (error) {
+      console.warn('Report runs unavailable:', error);
+      section.style.display = 'none';
+      return;
+    }
+
+    const previousA = selectA.value;
+    const previousB = selectB.value;
+    [selectA, selectB].forEach(select => {
+      select.innerHTML = '';
+      if (runs.length === 0) {
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = 'No saved runs';
+        select.appendChild(placeholder);
+      }
+      runs.forEach(run => {
+        const option = document.createElement('option');
+        option.value = run.id;
+        option.textContent = `${run.source === 'ZIP' ? '📥' : '📊'} ${formatRunLabel(run.meta)}`;
+        select.appendChild(option);
+      });
+    });
+
+    if (runs.length > 0) {
+      const has = (id) => runs.some(run => run.id === id);
+      const newest = runs[0];
+      const previous = runs.find(run => run.id !== newest.id
+        && run.meta.mainSchool === newest.meta.mainSchool
+        && run.meta.baselineSchool === newest.meta.baselineSchool) || runs[1] || newest;
+      selectB.value = has(previousB) ? previousB : newest.id;
+      selectA.value = has(previousA) ? previousA : previous.id;
+    }
+
+    const status = document.getElementById('run-comparison-status');
+    if (status) {
+      status.textContent = `${runs.length} run${runs.length === 1 ? '' : 's'} saved locally`;
+    }
+    document.getElementById('compare-runs-btn').disabled = runs.length < 2;
+    section.style.display = runs.length > 0 ? 'block' : 'none';
+  }
+
+  /**
+   * Compare two runs and open the result in the report viewer
+   * The viewer session holds the run comparison report followed by the later run's reports
+   */
+  async handleCompareRuns() {
+    const idA = document.getElementById('run-a').value;
+    const idB = document.getElementById('run-b').value;
+    if (!idA || !idB || idA === idB) {
+      this.logProgress('Select two different report runs to compare', 'error');
+      return;
+    }
+
+    try {
+      const stored = await chrome.storage.local.get([idA, idB]);
+      if (!stored[idA] || !stored[idB]) {
+        throw new Error('Report run not found in local storage');
+      }
+      const runA = stored[idA];
+      const runB = stored[idB];
+      const [earlier, later] = new Date(runA.meta?.createdAt || 0) <= new Date(runB.meta?.createdAt || 0)
+        ? [runA, runB]
+        : [runB, runA];
+      if (Object.keys(earlier.diffs || {}).length === 0 || Object.keys(later.diffs || {}).length === 0) {
+        this.logProgress('One of the runs has no structured diffs (ZIPs from older versions); only reports with diffs in both runs are compared', 'warn');
+      }
+
+      const comparison = compareReportRuns(earlier, later);
+      const sessionId = 'rv_' + Date.now();
+      const payload = {
+        meta: {
+          mainSchool: later.meta?.mainSchool,
+          baselineSchool: later.meta?.baselineSchool,
+          createdAt: new Date().toISOString(),
+          runComparison: { earlier: earlier.meta || {}, later: later.meta || {} }
+        },
+        index: [
+          { key: RUN_COMPARISON_REPORT_KEY, title: '🆚 Run Comparison', type: 'markdown' },
+          ...(later.index || []).filter(item => item.key !== RUN_COMPARISON_REPORT_KEY)
+        ],
+        reports: { [RUN_COMPARISON_REPORT_KEY]: generateRunComparisonReport(comparison), ...(later.reports || {}) },
+        diffs: later.diffs || {}
+      };
+      await chrome.storage.local.set({ [sessionId]: payload });
+      const url = chrome.runtime.getURL(`report-viewer.html?session=${sessionId}`);
+      if (chrome.tabs && chrome.tabs.create) chrome.tabs.create({ url }); else window.open(url, '_blank');
+
+      const { totals } = comparison;
+      this.logProgress(`✓ Run comparison: ${totals.new} new, ${totals.resolved} resolved, ${totals.changed} changed, ${totals.unchanged} unchanged`, 'success');
+    } catch (error) {
+      console.error('Run comparison error:', error);
+      this.logProgress(`Run comparison failed: ${error.message}`, 'error');
+    }
+  }
+
 
   /**
    * Generate snapshot data by making all 24 API requests
@@ -4650,342 +5191,138 @@ class CoursedogReporter {
       
       this.logProgress(`Found enabled entity types: ${enabledEntityTypes.join(', ')}`, 'info');
       
-      // 1. Integration Configuration Requests
-      this.logProgress('Fetching integration configuration...', 'info');
-      
-      try {
-        snapshotData.codeAsConfig.configuration = await this.makeApiCall(`/api/v1/${schoolId}/integration/configuration`);
-        requestStatus.total++;
-        requestStatus.successful++;
-      } catch (error) {
-        snapshotData.codeAsConfig.configuration = { error: error.message, status: 'not_configured' };
-        requestStatus.total++;
-        requestStatus.errors.push({ endpoint: 'configuration', message: error.message });
-      }
-      
-      try {
-        snapshotData.codeAsConfig.settings = await this.makeApiCall(`/api/v1/admin/schools/${schoolId}/integration/settings/`);
-        requestStatus.total++;
-        requestStatus.successful++;
-      } catch (error) {
-        snapshotData.codeAsConfig.settings = { error: error.message, status: 'not_configured' };
-        requestStatus.total++;
-        requestStatus.errors.push({ endpoint: 'settings', message: error.message });
-      }
-      
-      try {
-        snapshotData.codeAsConfig.formattersGet = await this.makeApiCall(`/api/v1/admin/schools/${schoolId}/integration/formatters/`);
-        requestStatus.total++;
-        requestStatus.successful++;
-      } catch (error) {
-        if (this.isExpectedFormatter404(`/api/v1/admin/schools/${schoolId}/integration/formatters/`, error)) {
-          this.logProgress(`ℹ formatters (GET) not configured for ${schoolId} (expected for many schools)`, 'info');
-          snapshotData.codeAsConfig.formattersGet = { status: 'not_configured', error: '404 Not Found (expected)' };
-        } else {
-          snapshotData.codeAsConfig.formattersGet = { error: error.message, status: 'not_configured' };
-          requestStatus.errors.push({ endpoint: 'formattersGet', message: error.message });
-        }
-        requestStatus.total++;
-      }
-      
-      try {
-        snapshotData.codeAsConfig.formattersPost = await this.makeApiCall(`/api/v1/admin/schools/${schoolId}/integration/formatters/post`);
-        requestStatus.total++;
-        requestStatus.successful++;
-      } catch (error) {
-        if (this.isExpectedFormatter404(`/api/v1/admin/schools/${schoolId}/integration/formatters/post`, error)) {
-          this.logProgress(`ℹ formatters (POST) not configured for ${schoolId} (expected for many schools)`, 'info');
-          snapshotData.codeAsConfig.formattersPost = { status: 'not_configured', error: '404 Not Found (expected)' };
-        } else {
-          snapshotData.codeAsConfig.formattersPost = { error: error.message, status: 'not_configured' };
-          requestStatus.errors.push({ endpoint: 'formattersPost', message: error.message });
-        }
-        requestStatus.total++;
-      }
-      
-      try {
-        snapshotData.codeAsConfig.schedule = await this.makeApiCall(`/api/v1/${schoolId}/general/integrationSchedule`);
-        requestStatus.total++;
-        requestStatus.successful++;
-      } catch (error) {
-        snapshotData.codeAsConfig.schedule = { error: error.message, status: 'not_configured' };
-        requestStatus.total++;
-        requestStatus.errors.push({ endpoint: 'schedule', message: error.message });
-      }
-      
-      // Field mappings for enabled entity types only
-      snapshotData.codeAsConfig.fieldMappingsGet = {};
-      snapshotData.codeAsConfig.fieldMappingsPost = {};
-      snapshotData.codeAsConfig.customFieldMappingsGet = {};
-      
-      for (const entityType of enabledEntityTypes) {
-        try {
-          snapshotData.codeAsConfig.fieldMappingsGet[entityType] = await this.makeApiCall(`/api/v1/admin/schools/${schoolId}/integration/field-mappings/${entityType}`);
-          requestStatus.total++;
-          requestStatus.successful++;
-        } catch (error) {
-          snapshotData.codeAsConfig.fieldMappingsGet[entityType] = { error: error.message };
-          requestStatus.total++;
-          requestStatus.errors.push({ endpoint: `field-mappings/${entityType}`, message: error.message });
-        }
-        
-        try {
-          snapshotData.codeAsConfig.fieldMappingsPost[entityType] = await this.makeApiCall(`/api/v1/admin/schools/${schoolId}/integration/field-mappings/post/${entityType}`);
-          requestStatus.total++;
-          requestStatus.successful++;
-        } catch (error) {
-          snapshotData.codeAsConfig.fieldMappingsPost[entityType] = { error: error.message };
-          requestStatus.total++;
-          requestStatus.errors.push({ endpoint: `field-mappings/post/${entityType}`, message: error.message });
-        }
-        
+      // Fetch one snapshot endpoint into target[field]. The key is assigned up front so the snapshot
+      // keeps a stable field order while requests complete concurrently through the request pool.
+      const fetchInto = async (target, field, endpoint, errorName, errorFields = {}) => {
+        target[field] = null;
         try {
-          snapshotData.codeAsConfig.customFieldMappingsGet[entityType] = await this.makeApiCall(`/api/v1/admin/schools/${schoolId}/integration/field-mappings/${entityType}/custom-fields`);
-          requestStatus.total++;
+          target[field] = await this.makeApiCall(endpoint);
           requestStatus.successful++;
         } catch (error) {
-          snapshotData.codeAsConfig.customFieldMappingsGet[entityType] = { error: error.message };
-          requestStatus.total++;
-          requestStatus.errors.push({ endpoint: `field-mappings/${entityType}/custom-fields`, message: error.message });
+          target[field] = { error: error.message, ...errorFields };
+          requestStatus.errors.push({ endpoint: errorName, message: error.message });
         }
-      }
-      
-      // 2. Notification Settings Requests
-      this.logProgress('Fetching notification settings...', 'info');
-      
-      try {
-        snapshotData.notifications.scheduling = await this.makeApiCall('/api/v1/all_done/notifications_settings/sm');
-        requestStatus.total++;
-        requestStatus.successful++;
-      } catch (error) {
-        snapshotData.notifications.scheduling = { error: error.message };
-        requestStatus.total++;
-        requestStatus.errors.push({ endpoint: 'notifications/scheduling', message: error.message });
-      }
-      
-      try {
-        snapshotData.notifications.catalog = await this.makeApiCall('/api/v1/all_done/notifications_settings/ca');
-        requestStatus.total++;
-        requestStatus.successful++;
-      } catch (error) {
-        snapshotData.notifications.catalog = { error: error.message };
-        requestStatus.total++;
-        requestStatus.errors.push({ endpoint: 'notifications/catalog', message: error.message });
-      }
-      
-      try {
-        snapshotData.notifications.curriculum = await this.makeApiCall('/api/v1/all_done/notifications_settings/cm');
-        requestStatus.total++;
-        requestStatus.successful++;
-      } catch (error) {
-        snapshotData.notifications.curriculum = { error: error.message };
         requestStatus.total++;
-        requestStatus.errors.push({ endpoint: 'notifications/curriculum', message: error.message });
-      }
-      
-      try {
-        snapshotData.notifications.events = await this.makeApiCall('/api/v1/all_done/notifications_settings/em');
-        requestStatus.total++;
-        requestStatus.successful++;
-      } catch (error) {
-        snapshotData.notifications.events = { error: error.message };
-        requestStatus.total++;
-        requestStatus.errors.push({ endpoint: 'notifications/events', message: error.message });
-      }
-      
-      // 3. Forms and Workflows Requests
-      this.logProgress('Fetching forms and workflows...', 'info');
-      
-      try {
-        snapshotData.formsAndWorkflows.forms = await this.makeApiCall(`/api/v1/${schoolId}/formsv2?formType=cm`);
-        requestStatus.total++;
-        requestStatus.successful++;
-      } catch (error) {
-        snapshotData.formsAndWorkflows.forms = { error: error.message };
-        requestStatus.total++;
-        requestStatus.errors.push({ endpoint: 'forms', message: error.message });
-      }
-      
-      try {
-        snapshotData.formsAndWorkflows.workflows = await this.makeApiCall(`/api/v1/${schoolId}/general/approvalWorkflows`);
-        requestStatus.total++;
-        requestStatus.successful++;
-      } catch (error) {
-        snapshotData.formsAndWorkflows.workflows = { error: error.message };
-        requestStatus.total++;
-        requestStatus.errors.push({ endpoint: 'workflows', message: error.message });
-      }
-      
-      // 4. Template Requests
-      this.logProgress('Fetching templates...', 'info');
-      
-      // Reuse existing template data if available to avoid duplicate API calls
-      const schoolPrefix = schoolId === this.mainSchool ? 'MainSchool' : 'BaselineSchool';
-      
-      // Room template (not in main reports, so fetch it)
-      try {
-        snapshotData.templates.room = await this.makeApiCall(`/api/v1/${schoolId}/general/roomTemplate`);
-        requestStatus.total++;
-        requestStatus.successful++;
-      } catch (error) {
-        snapshotData.templates.room = { error: error.message };
-        requestStatus.total++;
-        requestStatus.errors.push({ endpoint: 'roomTemplate', message: error.message });
-      }
-      
-      // Section template (reuse from main reports)
-      if (this.tempData[`${schoolPrefix}_sectionTemplate`]) {
-        console.log('Reusing existing sectionTemplate data');
-        snapshotData.templates.section = this.tempData[`${schoolPrefix}_sectionTemplate`];
-        requestStatus.total++;
-        requestStatus.successful++;
-      } else {
-        try {
-          snapshotData.templates.section = await this.makeApiCall(`/api/v2/${schoolId}/general/sectionTemplate`);
-          requestStatus.total++;
-          requestStatus.successful++;
-        } catch (error) {
-          snapshotData.templates.section = { error: error.message };
-          requestStatus.total++;
-          requestStatus.errors.push({ endpoint: 'sectionTemplate', message: error.message });
-        }
-      }
-      
-      // Instructor template (not in main reports, so fetch it)
-      try {
-        snapshotData.templates.instructor = await this.makeApiCall(`/api/v1/${schoolId}/general/instructorTemplate`);
-        requestStatus.total++;
-        requestStatus.successful++;
-      } catch (error) {
-        snapshotData.templates.instructor = { error: error.message };
-        requestStatus.total++;
-        requestStatus.errors.push({ endpoint: 'instructorTemplate', message: error.message });
-      }
-      
-      // Course template (reuse from main reports)
-      if (this.tempData[`${schoolPrefix}_courseTemplate`]) {
-        console.log('Reusing existing courseTemplate data');
-        snapshotData.templates.course = this.tempData[`${schoolPrefix}_courseTemplate`];
-        requestStatus.total++;
-        requestStatus.successful++;
-      } else {
+      };
+
+      // Formatters are not configured for many schools, so a 404 is recorded without an error
+      const fetchFormatterInto = async (field, endpoint, label) => {
+        snapshotData.codeAsConfig[field] = null;
         try {
-          snapshotData.templates.course = await this.makeApiCall(`/api/v1/${schoolId}/general/courseTemplate`);
-          requestStatus.total++;
+          snapshotData.codeAsConfig[field] = await this.makeApiCall(endpoint);
           requestStatus.successful++;
         } catch (error) {
-          snapshotData.templates.course = { error: error.message };
-          requestStatus.total++;
-          requestStatus.errors.push({ endpoint: 'courseTemplate', message: error.message });
+          if (this.isExpectedFormatter404(endpoint, error)) {
+            this.logProgress(`ℹ formatters (${label}) not configured for ${schoolId} (expected for many schools)`, 'info');
+            snapshotData.codeAsConfig[field] = { status: 'not_configured', error: '404 Not Found (expected)' };
+          } else {
+            snapshotData.codeAsConfig[field] = { error: error.message, status: 'not_configured' };
+            requestStatus.errors.push({ endpoint: field, message: error.message });
+          }
         }
-      }
-      
-      // Program template (reuse from main reports)
-      if (this.tempData[`${schoolPrefix}_programTemplate`]) {
-        console.log('Reusing existing programTemplate data');
-        snapshotData.templates.program = this.tempData[`${schoolPrefix}_programTemplate`];
         requestStatus.total++;
-        requestStatus.successful++;
-      } else {
-        try {
-          snapshotData.templates.program = await this.makeApiCall(`/api/v1/${schoolId}/general/programTemplate`);
+      };
+
+      // Reuse data already fetched for the comparison reports instead of requesting it again
+      const reuseOrFetchInto = (target, field, tempDataKey, endpoint, errorName, errorFields = {}) => {
+        if (this.tempData[tempDataKey]) {
+          console.log(`Reusing existing ${tempDataKey} data`);
+          target[field] = this.tempData[tempDataKey];
           requestStatus.total++;
           requestStatus.successful++;
-        } catch (error) {
-          snapshotData.templates.program = { error: error.message };
-          requestStatus.total++;
-          requestStatus.errors.push({ endpoint: 'programTemplate', message: error.message });
+          return Promise.resolve();
         }
+        return fetchInto(target, field, endpoint, errorName, errorFields);
+      };
+
+      const schoolPrefix = schoolId === this.mainSchool ? 'MainSchool' : 'BaselineSchool';
+
+      // 1. Integration Configuration Requests
+      this.logProgress('Fetching integration configuration, notifications, forms and templates...', 'info');
+
+      // Field mappings for enabled entity types only
+      const fieldMappingsGet = {};
+      const fieldMappingsPost = {};
+      const customFieldMappingsGet = {};
+
+      const independentRequests = [
+        fetchInto(snapshotData.codeAsConfig, 'configuration', `/api/v1/${schoolId}/integration/configuration`, 'configuration', { status: 'not_configured' }),
+        fetchInto(snapshotData.codeAsConfig, 'settings', `/api/v1/admin/schools/${schoolId}/integration/settings/`, 'settings', { status: 'not_configured' }),
+        fetchFormatterInto('formattersGet', `/api/v1/admin/schools/${schoolId}/integration/formatters/`, 'GET'),
+        fetchFormatterInto('formattersPost', `/api/v1/admin/schools/${schoolId}/integration/formatters/post`, 'POST'),
+        reuseOrFetchInto(snapshotData.codeAsConfig, 'schedule', `${schoolPrefix}_integrationSchedule`, `/api/v1/${schoolId}/general/integrationSchedule`, 'schedule', { status: 'not_configured' })
+      ];
+      snapshotData.codeAsConfig.fieldMappingsGet = fieldMappingsGet;
+      snapshotData.codeAsConfig.fieldMappingsPost = fieldMappingsPost;
+      snapshotData.codeAsConfig.customFieldMappingsGet = customFieldMappingsGet;
+
+      for (const entityType of enabledEntityTypes) {
+        independentRequests.push(
+          fetchInto(fieldMappingsGet, entityType, `/api/v1/admin/schools/${schoolId}/integration/field-mappings/${entityType}`, `field-mappings/${entityType}`),
+          fetchInto(fieldMappingsPost, entityType, `/api/v1/admin/schools/${schoolId}/integration/field-mappings/post/${entityType}`, `field-mappings/post/${entityType}`),
+          fetchInto(customFieldMappingsGet, entityType, `/api/v1/admin/schools/${schoolId}/integration/field-mappings/${entityType}/custom-fields`, `field-mappings/${entityType}/custom-fields`)
+        );
       }
-      
-      // Term template (not in main reports, so fetch it)
-      try {
-        snapshotData.templates.term = await this.makeApiCall(`/api/v1/${schoolId}/general/termTemplate`);
-        requestStatus.total++;
-        requestStatus.successful++;
-      } catch (error) {
-        snapshotData.templates.term = { error: error.message };
-        requestStatus.total++;
-        requestStatus.errors.push({ endpoint: 'termTemplate', message: error.message });
-      }
-      
+
+      // 2. Notification Settings Requests
+      independentRequests.push(
+        reuseOrFetchInto(snapshotData.notifications, 'scheduling', `${schoolPrefix}_notificationSettings_sm`, '/api/v1/all_done/notifications_settings/sm', 'notifications/scheduling'),
+        reuseOrFetchInto(snapshotData.notifications, 'catalog', `${schoolPrefix}_notificationSettings_ca`, '/api/v1/all_done/notifications_settings/ca', 'notifications/catalog'),
+        reuseOrFetchInto(snapshotData.notifications, 'curriculum', `${schoolPrefix}_notificationSettings_cm`, '/api/v1/all_done/notifications_settings/cm', 'notifications/curriculum'),
+        reuseOrFetchInto(snapshotData.notifications, 'events', `${schoolPrefix}_notificationSettings_em`, '/api/v1/all_done/notifications_settings/em', 'notifications/events')
+      );
+
+      // 3. Forms and Workflows Requests
+      independentRequests.push(
+        reuseOrFetchInto(snapshotData.formsAndWorkflows, 'forms', `${schoolPrefix}_cmForms`, `/api/v1/${schoolId}/formsv2?formType=cm`, 'forms'),
+        reuseOrFetchInto(snapshotData.formsAndWorkflows, 'workflows', `${schoolPrefix}_approvalWorkflows`, `/api/v1/${schoolId}/general/approvalWorkflows`, 'workflows')
+      );
+
+      // 4. Template Requests (all templates are reused from the main reports when available)
+      independentRequests.push(
+        reuseOrFetchInto(snapshotData.templates, 'room', `${schoolPrefix}_roomTemplate`, `/api/v1/${schoolId}/general/roomTemplate`, 'roomTemplate'),
+        reuseOrFetchInto(snapshotData.templates, 'section', `${schoolPrefix}_sectionTemplate`, `/api/v2/${schoolId}/general/sectionTemplate`, 'sectionTemplate'),
+        reuseOrFetchInto(snapshotData.templates, 'instructor', `${schoolPrefix}_instructorTemplate`, `/api/v1/${schoolId}/general/instructorTemplate`, 'instructorTemplate'),
+        reuseOrFetchInto(snapshotData.templates, 'course', `${schoolPrefix}_courseTemplate`, `/api/v1/${schoolId}/general/courseTemplate`, 'courseTemplate'),
+        reuseOrFetchInto(snapshotData.templates, 'program', `${schoolPrefix}_programTemplate`, `/api/v1/${schoolId}/general/programTemplate`, 'programTemplate'),
+        reuseOrFetchInto(snapshotData.templates, 'term', `${schoolPrefix}_termTemplate`, `/api/v1/${schoolId}/general/termTemplate`, 'termTemplate')
+      );
+
       // 5. Integration State and Settings Requests
-      this.logProgress('Fetching integration state and settings...', 'info');
-      
-      // Reuse existing integration save state data if available
-      if (this.tempData[`${schoolPrefix}_integrationSaveState`]) {
-        console.log('Reusing existing integrationSaveState data');
-        snapshotData.integration.enabledSavedState = this.tempData[`${schoolPrefix}_integrationSaveState`];
-        requestStatus.total++;
-        requestStatus.successful++;
-      } else {
-        try {
-          snapshotData.integration.enabledSavedState = await this.makeApiCall(`/api/v1/${schoolId}/general/enabledIntegrationSaveState`);
+      // Merge settings depend on the enabled save state, so that pair runs in order alongside the rest
+      const integrationStateRequests = (async () => {
+        await reuseOrFetchInto(snapshotData.integration, 'enabledSavedState', `${schoolPrefix}_integrationSaveState`, `/api/v1/${schoolId}/general/enabledIntegrationSaveState`, 'enabledIntegrationSaveState');
+
+        // Use existing merge settings instead of making another API call
+        if (existingMergeSettings) {
+          console.log('Reusing existing merge settings for integration section');
+          snapshotData.integration.mergeSettings = existingMergeSettings;
           requestStatus.total++;
           requestStatus.successful++;
-        } catch (error) {
-          snapshotData.integration.enabledSavedState = { error: error.message };
-          requestStatus.total++;
-          requestStatus.errors.push({ endpoint: 'enabledIntegrationSaveState', message: error.message });
+          return;
         }
-      }
-      
-      // Use existing merge settings instead of making another API call
-      if (existingMergeSettings) {
-        console.log('Reusing existing merge settings for integration section');
-        console.log('Integration section merge settings:', existingMergeSettings);
-        snapshotData.integration.mergeSettings = existingMergeSettings;
-        requestStatus.total++;
-        requestStatus.successful++;
-      } else {
+
         // Fallback: Get save state ID for merge settings
         const saveStateId = snapshotData.integration.enabledSavedState?.enabledIntegrationSaveState?.integrationSaveStateId;
         if (saveStateId) {
-          try {
-            snapshotData.integration.mergeSettings = await this.makeApiCall(`/api/v1/${schoolId}/integration/mergeSettings?integrationSaveStateId=${saveStateId}`);
-            requestStatus.total++;
-            requestStatus.successful++;
-          } catch (error) {
-            snapshotData.integration.mergeSettings = { error: error.message };
-            requestStatus.total++;
-            requestStatus.errors.push({ endpoint: 'mergeSettings', message: error.message });
-          }
+          await fetchInto(snapshotData.integration, 'mergeSettings', `/api/v1/${schoolId}/integration/mergeSettings?integrationSaveStateId=${saveStateId}`, 'mergeSettings');
         } else {
           snapshotData.integration.mergeSettings = { error: 'No integration save state ID found' };
           requestStatus.total++;
           requestStatus.errors.push({ endpoint: 'mergeSettings', message: 'No integration save state ID found' });
         }
-      }
-      
-      try {
-        snapshotData.integration.attrMappings = await this.makeApiCall('/api/v1/all_done/integration/attributeMappings?returnArray=true');
-        requestStatus.total++;
-        requestStatus.successful++;
-      } catch (error) {
-        snapshotData.integration.attrMappings = { error: error.message };
-        requestStatus.total++;
-        requestStatus.errors.push({ endpoint: 'attrMappings', message: error.message });
-      }
-      
-      try {
-        snapshotData.integration.filters = await this.makeApiCall(`/api/v1/${schoolId}/general/filters`);
-        requestStatus.total++;
-        requestStatus.successful++;
-      } catch (error) {
-        snapshotData.integration.filters = { error: error.message };
-        requestStatus.total++;
-        requestStatus.errors.push({ endpoint: 'filters', message: error.message });
-      }
-      
-      try {
-        snapshotData.integration.rules = await this.makeApiCall(`/api/v1/${schoolId}/rules`);
-        requestStatus.total++;
-        requestStatus.successful++;
-      } catch (error) {
-        snapshotData.integration.rules = { error: error.message };
-        requestStatus.total++;
-        requestStatus.errors.push({ endpoint: 'rules', message: error.message });
-      }
+      })();
+      // Reserve the field order of the integration section before the requests settle
+      snapshotData.integration.mergeSettings = snapshotData.integration.mergeSettings ?? null;
+
+      independentRequests.push(
+        integrationStateRequests,
+        fetchInto(snapshotData.integration, 'attrMappings', '/api/v1/all_done/integration/attributeMappings?returnArray=true', 'attrMappings'),
+        fetchInto(snapshotData.integration, 'filters', `/api/v1/${schoolId}/general/filters`, 'filters'),
+        reuseOrFetchInto(snapshotData.integration, 'rules', `${schoolPrefix}_rules`, `/api/v1/${schoolId}/rules`, 'rules')
+      );
+
+      await Promise.all(independentRequests);
       
       this.logProgress(`Snapshot generation completed: ${requestStatus.successful}/${requestStatus.total} requests successful`, 'success');
       
@@ -5005,6 +5342,466 @@ class CoursedogReporter {
     }
   }
 
+  /**
+   * Persist the main school's snapshot in the local snapshot history
+   * The main school's report inputs are stored with it so snapshot comparisons use the same data as live reports
+   * @param {Object} snapshotData - Output of generateSnapshot()
+   */
+  async saveSnapshotToHistory(snapshotData) {
+    try {
+      const reportInputs = {};
+      Object.keys(this.tempData).forEach(key => {
+        if (key.startsWith('MainSchool_')) {
+          reportInputs[key.slice('MainSchool_'.length)] = this.tempData[key];
+        }
+      });
+
+      const meta = await this.snapshotStore.saveSnapshot({
+        schoolId: this.mainSchool,
+        environment: this.selectedMainSchool.environment || this.mainSchoolEnvironment,
+        data: snapshotData,
+        reportInputs,
+        requestStatus: this.tempData[`snapshot_${this.mainSchool}_status`],
+        extensionVersion: chrome.runtime.getManifest().version
+      });
+      this.logProgress(`Saved snapshot v${meta.version} of ${meta.schoolId} to local history`, 'success');
+      await this.refreshSnapshotHistory();
+    } catch (error) {
+      console.error('Failed to save snapshot to history:', error);
+      this.logProgress(`Could not save snapshot to local history: ${error.message}`, 'error');
+    }
+  }
+
+  formatSnapshotLabel(meta) {
+    return `${meta.schoolId} v${meta.version} @ ${new Date(meta.capturedAt).toLocaleString()}`;
+  }
+
+  /**
+   * Reload the snapshot pickers from the local snapshot history
+   * Defaults to the newest snapshot (B) and the previous snapshot of the same school (A)
+   */
+  async refreshSnapshotHistory() {
+    const section = document.getElementById('snapshot-history-section');
+    const selectA = document.getElementById('snapshot-a');
+    const selectB = document.getElementById('snapshot-b');
+    if (!section || !selectA || !selectB) return;
+
+    let snapshots;
+    try {
+      snapshots = await this.snapshotStore.listSnapshots();
+    } catch (error) {
+      console.warn('Snapshot history unavailable:', error);
+      section.style.display = 'none';
+      return;
+    }
+
+    const previousA = selectA.value;
+    const previousB = selectB.value;
+    [selectA, selectB].forEach(select => {
+      select.innerHTML = '';
+      if (snapshots.length === 0) {
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = 'No saved snapshots';
+        select.appendChild(placeholder);
+      }
+      snapshots.forEach(meta => {
+        const option = document.createElement('option');
+        option.value = meta.id;
+        option.textContent = `${meta.environment === 'production' ? '🔴' : '🧪'} ${this.formatSnapshotLabel(meta)}`;
+        select.appendChild(option);
+      });
+    });
+
+    if (snapshots.length > 0) {
+      const has = (id) => snapshots.some(meta => meta.id === id);
+      const newest = snapshots[0];
+      const previous = snapshots.find(meta => meta.id !== newest.id && meta.schoolKey === newest.schoolKey) || newest;
+      selectB.value = has(previousB) ? previousB : newest.id;
+      selectA.value = has(previousA) ? previousA : previous.id;
+    }
+
+    const status = document.getElementById('snapshot-history-status');
+    if (status) {
+      status.textContent = `${snapshots.length} snapshot${snapshots.length === 1 ? '' : 's'} saved locally`;
+    }
+    document.getElementById('compare-snapshots-btn').disabled = snapshots.length < 2;
+    document.getElementById('delete-snapshot-btn').disabled = snapshots.length === 0;
+    section.style.display = 'block';
+  }
+
+  /**
+   * Compare two stored snapshots with the regular comparison reports
+   * The older snapshot is the baseline, so differences read as changes since that date
+   */
+  async handleCompareSnapshots() {
+    const idA = document.getElementById('snapshot-a').value;
+    const idB = document.getElementById('snapshot-b').value;
+    if (!idA || !idB || idA === idB) {
+      this.logProgress('Select two different snapshots to compare', 'error');
+      return;
+    }
+
+    try {
+      const [snapshotA, snapshotB] = await Promise.all([
+        this.snapshotStore.getSnapshot(idA),
+        this.snapshotStore.getSnapshot(idB)
+      ]);
+      if (!snapshotA || !snapshotB) {
+        throw new Error('Snapshot not found in local history');
+      }
+
+      const [older, newer] = snapshotA.meta.capturedAt <= snapshotB.meta.capturedAt
+        ? [snapshotA, snapshotB]
+        : [snapshotB, snapshotA];
+      this.logProgress(`🆕 Comparing snapshots: ${this.formatSnapshotLabel(newer.meta)} vs ${this.formatSnapshotLabel(older.meta)}`, 'info');
+
+      // Start from a clean session, like a regular report run
+      await this.clearSessionData();
+      this.cleanupDownloadUrls();
+      this.debugLog = [];
+      this.comparisonBaselines = [];
+      this.tempData = SnapshotStore.toComparisonTempData(newer, older);
+      this.snapshotComparison = {
+        mainName: this.formatSnapshotLabel(newer.meta),
+        baselineName: this.formatSnapshotLabel(older.meta),
+        mainEnv: newer.meta.environment,
+        baselineEnv: older.meta.environment
+      };
+      // Used in file names
+      this.mainSchool = `${newer.meta.schoolId}_v${newer.meta.version}`;
+      this.baselineSchool = `${older.meta.schoolId}_v${older.meta.version}`;
+
+      CoursedogReportGenerator.buildUnifiedFieldLists(this.tempData);
+      this.generateComparisonReport();
+      this.generateDownloadableReports();
+      document.getElementById('results-section').style.display = 'block';
+      await this.saveSessionData();
+
+      this.logProgress('Snapshot comparison completed!', 'success');
+    } catch (error) {
+      console.error('Snapshot comparison error:', error);
+      this.logProgress(`Snapshot comparison failed: ${error.message}`, 'error');
+    }
+  }
+
+  async handleDeleteSnapshot() {
+    const id = document.getElementById('snapshot-a').value;
+    if (!id) return;
+
+    const confirmed = await this.showConfirmation(
+      'Delete Snapshot',
+      'Delete the selected snapshot (A) from local history? This cannot be undone.',
+      'Delete',
+      'Cancel'
+    );
+    if (!confirmed) return;
+
+    try {
+      await this.snapshotStore.deleteSnapshot(id);
+      this.logProgress('Snapshot deleted from local history', 'info');
+      await this.refreshSnapshotHistory();
+    } catch (error) {
+      console.error('Failed to delete snapshot:', error);
+      this.logProgress(`Could not delete snapshot: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Send a drift watch request to the background service worker, which owns the watches
+   * @param {Object} message - Message with a driftWatch:* type
+   * @returns {Promise<Object>} Response ({ ok, ... })
+   */
+  sendDriftWatchMessage(message) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage(message, (resp) => {
+        resolve(resp || { ok: false, error: chrome.runtime.lastError?.message || 'No response from background' });
+      });
+    });
+  }
+
+  /**
+   * Reload the drift watch list
+   */
+  async refreshDriftWatches() {
+    const section = document.getElementById('drift-watch-section');
+    const list = document.getElementById('drift-watch-list');
+    const intervalSelect = document.getElementById('drift-watch-interval');
+    if (!section || !list || !intervalSelect) return;
+
+    if (intervalSelect.options.length === 0) {
+      Object.entries(DRIFT_WATCH_INTERVALS).forEach(([minutes, label]) => {
+        const option = document.createElement('option');
+        option.value = minutes;
+        option.textContent = label;
+        intervalSelect.appendChild(option);
+      });
+      intervalSelect.value = '1440';
+    }
+
+    const response = await this.sendDriftWatchMessage({ type: 'driftWatch:list' });
+    if (!response.ok) {
+      console.warn('Drift watch unavailable:', response.error);
+      section.style.display = 'none';
+      return;
+    }
+
+    const watches = response.watches || [];
+    list.innerHTML = '';
+    watches.forEach(watch => list.appendChild(this.renderDriftWatchItem(watch)));
+
+    const status = document.getElementById('drift-watch-status');
+    if (status) {
+      status.textContent = watches.length === 0
+        ? 'No schools watched yet'
+        : `${watches.length} school${watches.length === 1 ? '' : 's'} watched`;
+    }
+    section.style.display = 'block';
+  }
+
+  renderDriftWatchItem(watch) {
+    const item = document.createElement('li');
+    const header = document.createElement('div');
+    header.className = 'drift-watch-header';
+
+    const name = document.createElement('span');
+    const intervalLabel = DRIFT_WATCH_INTERVALS[watch.intervalMinutes] || `Every ${watch.intervalMinutes} min`;
+    name.textContent = `${watch.environment === 'production' ? '🔴' : '🧪'} ${watch.displayName} (${intervalLabel.toLowerCase()})`;
+    header.appendChild(name);
+
+    const actions = document.createElement('span');
+    [['drift-check-btn', '🔄', 'Check now'], ['drift-remove-btn', '✕', 'Stop watching']].forEach(([className, text, title]) => {
+      const button = document.createElement('button');
+      button.className = className;
+      button.dataset.watchId = watch.id;
+      button.textContent = text;
+      button.title = title;
+      actions.appendChild(button);
+    });
+    header.appendChild(actions);
+    item.appendChild(header);
+
+    const detail = document.createElement('small');
+    detail.className = 'help-text';
+    const lastChecked = watch.lastCheckedAt ? new Date(watch.lastCheckedAt).toLocaleString() : 'never';
+    const result = watch.lastResult;
+    let resultText = 'baseline captured';
+    if (result) {
+      resultText = result.changes === 0
+        ? 'no changes'
+        : `${result.changes} change${result.changes === 1 ? '' : 's'} (${Object.entries(result.bySection).map(([section, count]) => `${DRIFT_WATCH_SECTIONS[section] || section}: ${count}`).join(', ')})`;
+    }
+    detail.textContent = `Last checked ${lastChecked}: ${resultText}${watch.lastError ? ` ⚠️ ${watch.lastError}` : ''}`;
+    item.appendChild(detail);
+
+    if (result && result.records && result.records.length > 0) {
+      const details = document.createElement('details');
+      const summary = document.createElement('summary');
+      summary.textContent = 'Show changes';
+      details.appendChild(summary);
+      const labels = {
+        'missing-in-baseline': 'added',
+        'missing-in-main': 'removed',
+        'value-mismatch': 'changed'
+      };
+      result.records.slice(0, 50).forEach(record => {
+        const line = document.createElement('div');
+        const path = record.entity ? `${record.entity}.${record.fieldPath}` : record.fieldPath;
+        line.textContent = `${labels[record.category] || 'changed'} ${DRIFT_WATCH_SECTIONS[record.section] || record.section} › ${path}: ${JSON.stringify(record.baselineValue)} → ${JSON.stringify(record.mainValue)}`;
+        details.appendChild(line);
+      });
+      if (result.records.length > 50) {
+        const more = document.createElement('div');
+        more.textContent = `… and ${result.records.length - 50} more`;
+        details.appendChild(more);
+      }
+      item.appendChild(details);
+    }
+    return item;
+  }
+
+  /**
+   * Start watching the selected main school; the background takes the initial capture
+   */
+  async addDriftWatch() {
+    const schoolId = document.getElementById('main-school').value;
+    if (!schoolId) return;
+
+    const button = document.getElementById('add-drift-watch-btn');
+    const schoolList = this.mainSchoolEnvironment === 'staging' ? this.stagingSchools : this.productionSchools;
+    const schoolData = schoolList.find(school => school.id === schoolId);
+    button.disabled = true;
+    this.logProgress(`📡 Capturing initial configuration of ${schoolId} for drift watch...`, 'info');
+
+    try {
+      const response = await this.sendDriftWatchMessage({
+        type: 'driftWatch:add',
+        watch: {
+          schoolId,
+          environment: this.mainSchoolEnvironment,
+          intervalMinutes: parseInt(document.getElementById('drift-watch-interval').value, 10),
+          displayName: schoolData ? (schoolData.displayName || schoolData.fullName || schoolData.id) : schoolId
+        }
+      });
+      if (!response.ok) {
+        throw new Error(response.error || 'Unknown error');
+      }
+      this.logProgress(`Watching ${schoolId} (${this.mainSchoolEnvironment}) for configuration drift`, 'success');
+      if (response.watch?.lastError) {
+        this.logProgress(`Drift watch could not capture everything: ${response.watch.lastError}`, 'warn');
+      }
+      await this.refreshDriftWatches();
+    } catch (error) {
+      console.error('Failed to add drift watch:', error);
+      this.logProgress(`Could not start drift watch: ${error.message}`, 'error');
+    } finally {
+      button.disabled = !document.getElementById('main-school').value;
+    }
+  }
+
+  async checkDriftWatch(watchId) {
+    if (!watchId) return;
+    this.logProgress(`🔄 Checking ${watchId} for configuration drift...`, 'info');
+    const response = await this.sendDriftWatchMessage({ type: 'driftWatch:check', watchId });
+    if (response.ok) {
+      this.logProgress(`Drift check of ${watchId}: ${response.changes === 0 ? 'no changes' : `${response.changes} change(s)`}`, response.changes === 0 ? 'success' : 'warn');
+    } else {
+      this.logProgress(`Drift check of ${watchId} failed: ${response.error}`, 'error');
+    }
+    await this.refreshDriftWatches();
+  }
+
+  async removeDriftWatch(watchId) {
+    if (!watchId) return;
+    const confirmed = await this.showConfirmation(
+      'Stop Drift Watch',
+      `Stop watching ${watchId}? Its last capture will be discarded.`,
+      'Stop Watching',
+      'Cancel'
+    );
+    if (!confirmed) return;
+
+    const response = await this.sendDriftWatchMessage({ type: 'driftWatch:remove', watchId });
+    if (!response.ok) {
+      this.logProgress(`Could not remove drift watch: ${response.error}`, 'error');
+    }
+    await this.refreshDriftWatches();
+  }
+
+  /**
+   * Show the merge settings patch picker: one checkbox per stepsToExecute / fieldExceptions /
+   * default method difference, grouped by entity (hidden when merge settings are unavailable)
+   */
+  renderMergePatchPanel() {
+    const section = document.getElementById('merge-patch-section');
+    const container = document.getElementById('merge-patch-options');
+    if (!section || !container) return;
+
+    const preview = document.getElementById('merge-patch-preview');
+    if (preview) {
+      preview.style.display = 'none';
+      preview.textContent = '';
+    }
+
+    let groups;
+    try {
+      this.mergePatchBuilder = new MergeSettingsPatchBuilder(
+        this.tempData['MainSchool_mergeSettings'],
+        this.tempData['BaselineSchool_mergeSettings']
+      );
+      groups = this.mergePatchBuilder.getChangeOptions();
+    } catch (error) {
+      this.mergePatchBuilder = null;
+      section.style.display = 'none';
+      return;
+    }
+
+    container.innerHTML = '';
+    groups.forEach(({ entity, changes }) => {
+      const details = document.createElement('details');
+      const summary = document.createElement('summary');
+      const entityCheckbox = document.createElement('input');
+      entityCheckbox.type = 'checkbox';
+      entityCheckbox.checked = true;
+      entityCheckbox.className = 'merge-patch-entity';
+      summary.appendChild(entityCheckbox);
+      summary.appendChild(document.createTextNode(` ${entity} (${changes.length})`));
+      details.appendChild(summary);
+
+      changes.forEach(change => {
+        const label = document.createElement('label');
+        label.className = 'merge-patch-change';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = true;
+        checkbox.value = change.id;
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(` ${MergeSettingsPatchBuilder.describeChange(change)}`));
+        details.appendChild(label);
+      });
+
+      // The entity checkbox toggles all of its changes
+      entityCheckbox.addEventListener('change', () => {
+        details.querySelectorAll('.merge-patch-change input').forEach(checkbox => { checkbox.checked = entityCheckbox.checked; });
+      });
+      details.addEventListener('change', (e) => {
+        if (e.target === entityCheckbox) return;
+        const boxes = Array.from(details.querySelectorAll('.merge-patch-change input'));
+        entityCheckbox.checked = boxes.some(checkbox => checkbox.checked);
+        entityCheckbox.indeterminate = entityCheckbox.checked && !boxes.every(checkbox => checkbox.checked);
+      });
+      container.appendChild(details);
+    });
+
+    const status = document.getElementById('merge-patch-status');
+    const total = groups.reduce((sum, group) => sum + group.changes.length, 0);
+    if (status) {
+      status.textContent = total === 0
+        ? 'Merge settings already match the baseline.'
+        : `${total} change${total === 1 ? '' : 's'} across ${groups.length} entit${groups.length === 1 ? 'y' : 'ies'}`;
+    }
+    document.getElementById('preview-merge-patch-btn').disabled = total === 0;
+    document.getElementById('download-merge-patch-btn').disabled = total === 0;
+    section.style.display = 'block';
+  }
+
+  /**
+   * Build the patch from the checked changes
+   * @returns {Object|null} Output of MergeSettingsPatchBuilder.buildPatch()
+   */
+  buildSelectedMergePatch() {
+    if (!this.mergePatchBuilder) return null;
+    const selectedIds = Array.from(document.querySelectorAll('#merge-patch-options .merge-patch-change input:checked'))
+      .map(checkbox => checkbox.value);
+    return this.mergePatchBuilder.buildPatch(selectedIds);
+  }
+
+  previewMergePatch() {
+    const result = this.buildSelectedMergePatch();
+    const preview = document.getElementById('merge-patch-preview');
+    if (!result || !preview) return;
+    preview.textContent = result.preview;
+    preview.style.display = 'block';
+  }
+
+  downloadMergePatch() {
+    const result = this.buildSelectedMergePatch();
+    if (!result) return;
+    if (result.changes.length === 0) {
+      alert('No changes selected.');
+      return;
+    }
+
+    const timestamp = new Date().toISOString().slice(0, 19).replace(/[:.]/g, '-');
+    const link = this.createDownloadLink(
+      `MergeSettings_Patch_${this.mainSchool}_from_${this.baselineSchool}_${timestamp}.json`,
+      JSON.stringify(result.patch, null, 2),
+      'application/json'
+    );
+    link.click();
+    this.logProgress(`Downloaded merge settings patch (${result.changes.length} change(s) in ${Object.keys(result.patch).join(', ')})`, 'success');
+  }
+
   /**
    * Generate downloadable files for snapshot
    */
@@ -5211,6 +6008,7 @@ class CoursedogReporter {
    * Handle Notion upload process
    */
   async handleNotionUpload() {
+    this.requestLocalServerAccess();
     try {
       // ✅ Check queue status first
       const queueStatus = await this.getUploadQueueStatus();
@@ -5255,6 +6053,16 @@ class CoursedogReporter {
       // ✅ Create immutable snapshot of current tempData
       this.logNotionProgress('Creating data snapshot for upload...', 'info');
       const dataSnapshot = this.createDataSnapshot(this.tempData);
+      // Triage annotations of this school pair fill the Comments column of the Notion databases
+      try {
+        dataSnapshot[TRIAGE_TEMPDATA_KEY] = await this.triageStore.getPairAnnotations(this.mainSchool, this.baselineSchool);
+      } catch (error) {
+        console.warn('Triage annotations unavailable for upload:', error);
+      }
+      // "Update previous review page": the uploader syncs the last page of this school pair in place
+      dataSnapshot[NOTION_REVIEW_TEMPDATA_KEY] = {
+        updateExisting: !!document.getElementById('notion-update-existing-checkbox')?.checked
+      };
       const snapshotSize = JSON.stringify(dataSnapshot).length;
       this.logNotionProgress(`Snapshot created: ${(snapshotSize / 1024 / 1024).toFixed(2)} MB`, 'info');
 
@@ -5341,6 +6149,7 @@ class CoursedogReporter {
         mainEnv: this.selectedMainSchool.environment || 'staging',
         baselineEnv: this.selectedBaselineSchool.environment || 'staging',
         notionWorkspaceId: this.notionConfig.workspaceId, 
+        notionBaseUrl: this.notionConfig.baseUrl,
         notionTopLevelPageId: stored?.notionTopLevelPageId || null 
       };
       const payloadRef = { location: 'local', key: payloadKey };
@@ -0,0 +1,314 @@
+/**
+ * SIS compare tool + Env capture - Remediation Plan
+ * Turns the structured diff results of a comparison into an ordered checklist of configuration
+ * changes that make the main school match the baseline: default conflict handling, stepsToExecute
+ * toggles, field exceptions, attribute mappings and integration filters. Every step names the
+ * Coursedog admin area it is made in. Rendered as Markdown, CSV and (by the Notion uploader) a to-do list.
+ */
+
+const REMEDIATION_PLAN_REPORT_KEY = 'RemediationPlan_Report';
+const REMEDIATION_PLAN_DATA_KEY = 'RemediationPlan_Report_Plan';
+
+// Phases in the order the changes should be made ({entity} is replaced with the entity label)
+const REMEDIATION_PHASES = [
+  {
+    id: 'defaultMethod',
+    title: 'Default Conflict Handling',
+    reportKey: 'fieldExceptions_Comparison_Report',
+    section: 'defaultMethod',
+    area: 'Integrations › Merge Settings › {entity} › Conflict Handling Method'
+  },
+  {
+    id: 'stepsToExecute',
+    title: 'Steps To Execute',
+    reportKey: 'stepsToExecute_Comparison_Report',
+    section: 'stepsToExecute',
+    area: 'Integrations › Merge Settings › {entity} › Steps To Execute'
+  },
+  {
+    id: 'fieldExceptions',
+    title: 'Field Exceptions',
+    reportKey: 'fieldExceptions_Comparison_Report',
+    section: 'fieldExceptions',
+    area: 'Integrations › Merge Settings › {entity} › Field Exceptions'
+  },
+  {
+    id: 'attributeMappings',
+    title: 'Attribute Mappings',
+    reportKey: 'AttributeMapping_Comparison_Report',
+    section: 'attributeMappings',
+    area: 'Integrations › Attribute Mappings › {entity}'
+  },
+  {
+    id: 'integrationFilters',
+    title: 'Integration Filters',
+    reportKey: 'IntegrationFilters_Comparison_Report',
+    section: 'integrationFilters',
+    area: 'Integrations › Integration Filters › {entity}'
+  }
+];
+
+const REMEDIATION_CSV_COLUMNS = [
+  ['order', 'Order'],
+  ['phaseTitle', 'Phase'],
+  ['area', 'Admin Area'],
+  ['entity', 'Entity'],
+  ['action', 'Action'],
+  ['target', 'Target'],
+  ['currentValue', 'Current Value (Main)'],
+  ['targetValue', 'Target Value (Baseline)'],
+  ['severity', 'Severity'],
+  ['instruction', 'Instruction']
+];
+
+class RemediationPlanGenerator {
+  /**
+   * @param {string} mainSchool - Main school (the school being changed)
+   * @param {string} baselineSchool - Baseline school (the reference)
+   * @param {Object} tempData - Session data holding the stored diff results (<reportKey>_Diff)
+   * @param {Object} [options] - Options
+   * @param {string} [options.mainEnv='staging'] - Main school environment
+   * @param {string} [options.baselineEnv='staging'] - Baseline school environment
+   */
+  constructor(mainSchool, baselineSchool, tempData, options = {}) {
+    this.mainSchool = mainSchool;
+    this.baselineSchool = baselineSchool;
+    this.tempData = tempData;
+    this.mainEnv = options.mainEnv || 'staging';
+    this.baselineEnv = options.baselineEnv || 'staging';
+  }
+
+  /**
+   * Build the plan and store it in tempData (Markdown report and plan JSON)
+   * @returns {Object} Plan ({ mainSchool, baselineSchool, generatedAt, steps, skipped })
+   */
+  generateReport() {
+    const plan = this.buildPlan();
+    this.tempData[REMEDIATION_PLAN_DATA_KEY] = plan;
+    this.tempData[REMEDIATION_PLAN_REPORT_KEY] = RemediationPlanGenerator.formatMarkdown(plan);
+    return plan;
+  }
+
+  /**
+   * Convert the stored diff results into ordered steps
+   * @returns {Object} Plan
+   */
+  buildPlan() {
+    const plan = {
+      mainSchool: this.mainSchool,
+      baselineSchool: this.baselineSchool,
+      mainEnv: this.mainEnv,
+      baselineEnv: this.baselineEnv,
+      generatedAt: new Date().toISOString(),
+      steps: [],
+      skipped: 0,
+      missingReports: []
+    };
+    const severityOrder = { critical: 0, warning: 1, info: 2 };
+
+    REMEDIATION_PHASES.forEach((phase, phaseIndex) => {
+      const diff = this.tempData[DiffResult.storageKey(phase.reportKey)];
+      if (!diff || !Array.isArray(diff.records)) {
+        if (!plan.missingReports.includes(phase.reportKey)) plan.missingReports.push(phase.reportKey);
+        return;
+      }
+
+      const phaseSteps = [];
+      diff.records
+        .filter(record => record.section === phase.section &&
+          !record.suppressed &&
+          record.category !== DIFF_CATEGORIES.MATCH &&
+          record.category !== DIFF_CATEGORIES.UNAVAILABLE)
+        .forEach(record => {
+          const change = this.describeChange(phase.id, record);
+          if (!change) {
+            plan.skipped++;
+            return;
+          }
+          phaseSteps.push({
+            phase: phase.id,
+            phaseTitle: phase.title,
+            phaseIndex,
+            area: phase.area.replace('{entity}', RemediationPlanGenerator.formatEntity(record.entity)),
+            entity: record.entity,
+            target: record.fieldLabel ? `${record.fieldPath} (${record.fieldLabel})` : record.fieldPath,
+            severity: record.severity,
+            riskScore: record.details?.riskScore || 0,
+            recordId: record.id,
+            ...change
+          });
+        });
+
+      // Highest risk first within a phase, then by entity and field for a stable order
+      phaseSteps.sort((a, b) =>
+        b.riskScore - a.riskScore ||
+        (severityOrder[a.severity] ?? 3) - (severityOrder[b.severity] ?? 3) ||
+        a.entity.localeCompare(b.entity) ||
+        a.target.localeCompare(b.target)
+      );
+      plan.steps.push(...phaseSteps);
+    });
+
+    plan.steps.forEach((step, index) => { step.order = index + 1; });
+    return plan;
+  }
+
+  /**
+   * Describe the change for one diff record
+   * @param {string} phase - Phase ID
+   * @param {Object} record - Diff record (main = school to change, baseline = reference)
+   * @returns {Object|null} { action, currentValue, targetValue, instruction }, or null when nothing can be changed
+   */
+  describeChange(phase, record) {
+    const current = record.mainValue;
+    const target = record.baselineValue;
+    const entity = RemediationPlanGenerator.formatEntity(record.entity);
+    const code = (value) => `\`${RemediationPlanGenerator.formatValue(value)}\``;
+    const change = (action, instruction) => ({
+      action,
+      currentValue: RemediationPlanGenerator.formatValue(current),
+      targetValue: RemediationPlanGenerator.formatValue(target),
+      instruction
+    });
+
+    switch (phase) {
+      case 'defaultMethod':
+        if (target === null || target === undefined) {
+          return change('review', `Review the ${entity} default conflictHandlingMethod ${code(current)}; the baseline has none`);
+        }
+        return change('change', `Set the ${entity} default conflictHandlingMethod to ${code(target)}${current ? ` (currently ${code(current)})` : ''}`);
+
+      case 'stepsToExecute':
+        if (target === true) {
+          return change('enable', `Enable step \`${record.fieldPath}\` for ${entity}`);
+        }
+        if (target === null || target === undefined) {
+          return change('disable', `Disable step \`${record.fieldPath}\` for ${entity} (not set in the baseline)`);
+        }
+        if (target === false) {
+          return change('disable', `Disable step \`${record.fieldPath}\` for ${entity}`);
+        }
+        return change('change', `Set step \`${record.fieldPath}\` for ${entity} to ${code(target)}`);
+
+      case 'fieldExceptions': {
+        const mainSource = record.details?.mainSource || (current ? 'configured' : null);
+        const baselineSource = record.details?.baselineSource || (target ? 'configured' : null);
+        // Global exceptions are hardcoded in Coursedog and cannot be changed per school
+        if (baselineSource === 'global' && mainSource === 'global') return null;
+        if (baselineSource === 'configured' && mainSource === 'configured') {
+          return change('change', `Change field exception \`${record.fieldPath}\` on ${entity} from ${code(current)} to ${code(target)}`);
+        }
+        if (baselineSource === 'configured') {
+          return change('add', `Add field exception \`${record.fieldPath}\` on ${entity} with ${code(target)}`);
+        }
+        if (mainSource === 'configured') {
+          return change('remove', `Remove field exception \`${record.fieldPath}\` (${code(current)}) from ${entity} so it falls back to ${target ? code(target) : 'the default'}`);
+        }
+        // Both sides fall back to their defaults: fixed by the Default Conflict Handling step
+        return null;
+      }
+
+      case 'attributeMappings':
+      case 'integrationFilters': {
+        const label = phase === 'attributeMappings' ? 'attribute mapping' : 'integration filter';
+        if (record.category === DIFF_CATEGORIES.MISSING_IN_MAIN) {
+          return change('create', `Create ${label} for \`${record.fieldPath}\` on ${entity}`);
+        }
+        if (record.category === DIFF_CATEGORIES.MISSING_IN_BASELINE) {
+          return change('review', `Review ${label} \`${record.fieldPath}\` on ${entity}; it only exists in ${this.mainSchool}`);
+        }
+        if (record.category === DIFF_CATEGORIES.VALUE_MISMATCH) {
+          const operations = (record.details?.operations || []).filter(operation => operation.op !== 'move');
+          const paths = operations.slice(0, 3).map(operation => `\`${operation.path}\``).join(', ');
+          const more = operations.length > 3 ? ` and ${operations.length - 3} more` : '';
+          return change('update', `Update ${label} \`${record.fieldPath}\` on ${entity} to match the baseline${paths ? ` (${paths}${more})` : ''}`);
+        }
+        return null;
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  static formatEntity(entity) {
+    if (!entity) return 'General';
+    return entity.charAt(0).toUpperCase() + entity.slice(1);
+  }
+
+  static formatValue(value) {
+    if (value === null || value === undefined) return '';
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  }
+
+  /**
+   * Render a plan as a Markdown checklist
+   * @param {Object} plan - Output of buildPlan()
+   * @returns {string} Markdown report
+   */
+  static formatMarkdown(plan) {
+    const severityIcons = { critical: '🔴', warning: '🟡', info: '🔵' };
+    let report = `# Remediation Plan\n\n`;
+    report += `**Main School (to change):** ${plan.mainSchool} (${plan.mainEnv})\n`;
+    report += `**Baseline School (reference):** ${plan.baselineSchool} (${plan.baselineEnv})\n`;
+    report += `**Generated:** ${new Date(plan.generatedAt).toLocaleString()}\n\n`;
+
+    if (plan.steps.length === 0) {
+      report += `✅ **No configuration changes needed** — merge settings, field exceptions, attribute mappings and integration filters already match the baseline.\n\n`;
+    } else {
+      report += `**${plan.steps.length} change(s)** to make ${plan.mainSchool} match ${plan.baselineSchool}, in the order they should be made. `;
+      report += `Within each phase the highest-risk changes come first.\n\n`;
+    }
+
+    REMEDIATION_PHASES.forEach(phase => {
+      const steps = plan.steps.filter(step => step.phase === phase.id);
+      if (steps.length === 0) return;
+      report += `## ${phase.title}\n\n`;
+      steps.forEach(step => {
+        report += `- [ ] **${step.order}.** ${severityIcons[step.severity] || ''} ${step.instruction} — *${step.area}*\n`;
+      });
+      report += `\n`;
+    });
+
+    if (plan.skipped > 0) {
+      report += `*${plan.skipped} difference(s) need no direct change (global field exceptions or defaults covered by an earlier step).*\n\n`;
+    }
+    if (plan.missingReports.length > 0) {
+      report += `*Not covered (report not generated): ${plan.missingReports.join(', ')}*\n`;
+    }
+    return report;
+  }
+
+  /**
+   * Render a plan as CSV (one row per step)
+   * @param {Object} plan - Output of buildPlan()
+   * @returns {string} CSV text
+   */
+  static formatCSV(plan) {
+    const escape = (value) => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = [REMEDIATION_CSV_COLUMNS.map(([, header]) => header)];
+    (plan?.steps || []).forEach(step => {
+      rows.push(REMEDIATION_CSV_COLUMNS.map(([field]) => step[field]));
+    });
+    return rows.map(row => row.map(escape).join(',')).join('\n') + '\n';
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    RemediationPlanGenerator,
+    REMEDIATION_PLAN_REPORT_KEY,
+    REMEDIATION_PLAN_DATA_KEY,
+    REMEDIATION_PHASES
+  };
+}
+
+if (typeof window !== 'undefined') {
+  window.RemediationPlanGenerator = RemediationPlanGenerator;
+  window.REMEDIATION_PLAN_REPORT_KEY = REMEDIATION_PLAN_REPORT_KEY;
+  window.REMEDIATION_PLAN_DATA_KEY = REMEDIATION_PLAN_DATA_KEY;
+}
@@ -5,7 +5,18 @@
  */
 
 class CoursedogReportGenerator {
-  constructor(mainSchool, baselineSchool, tempData, debugLog, curriculumEnabled = true, schedulingEnabled = true, mainEnv = 'staging', baselineEnv = 'staging') {
+  // Templates without a dedicated comparison (same question format as the course template)
+  static GENERAL_TEMPLATE_TYPES = ['roomTemplate', 'instructorTemplate', 'termTemplate'];
+
+  // notifications_settings modules; toggle names the report option that includes the module (null: always)
+  static NOTIFICATION_MODULES = [
+    { code: 'cm', name: 'Curriculum', toggle: 'curriculum' },
+    { code: 'ca', name: 'Catalog', toggle: 'curriculum' },
+    { code: 'sm', name: 'Scheduling', toggle: 'scheduling' },
+    { code: 'em', name: 'Events', toggle: null }
+  ];
+
+  constructor(mainSchool, baselineSchool, tempData, debugLog, curriculumEnabled = true, schedulingEnabled = true, mainEnv = 'staging', baselineEnv = 'staging', options = {}) {
     this.mainSchool = mainSchool;
     this.baselineSchool = baselineSchool;
     this.tempData = tempData;
@@ -14,9 +25,20 @@ class CoursedogReportGenerator {
     this.schedulingEnabled = schedulingEnabled;
     this.mainEnv = mainEnv;
     this.baselineEnv = baselineEnv;
+    this.diffResults = {}; // Structured diff results keyed by report key
     
     // Load global field exceptions
     this.loadGlobalFieldExceptions();
+
+    // Severity rules (severity-rules.js) classify every diff record for the Executive Summary
+    this.severityRules = typeof SEVERITY_RULES !== 'undefined' ? SEVERITY_RULES : null;
+    this.severityContext = null;
+
+    // Question properties compared by the template reports (template-property-profiles.js)
+    this.templatePropertyProfile = resolveTemplatePropertyProfile(options.templatePropertyProfile);
+
+    // Ignore rules (ignore-rules.js) suppress or downgrade known benign differences in every report
+    this.ignoreRules = typeof resolveIgnoreRules === 'function' ? resolveIgnoreRules(options.ignoreRules) : [];
   }
 
   /**
@@ -188,8 +210,10 @@ class CoursedogReportGenerator {
     report += `**Baseline School:** ${this.baselineSchool} (${baselineEnvLabel})\n`;
     report += `**Generated:** ${new Date().toLocaleString()}\n\n`;
 
+    // Executive Summary is filled in once the reports below have produced their diff results
+    const executiveSummaryPlaceholder = '<!-- executive-summary -->';
     report += `## Executive Summary\n\n`;
-    report += this.generateExecutiveSummary();
+    report += executiveSummaryPlaceholder;
 
     report += `## Template Comparisons\n\n`;
     report += this.generateTemplateComparisons();
@@ -245,8 +269,32 @@ class CoursedogReportGenerator {
       } catch (error) {
         console.error('Error generating Section Template report:', error);
       }
+
+      CoursedogReportGenerator.GENERAL_TEMPLATE_TYPES.forEach(templateType => {
+        try {
+          this.generateGeneralTemplateReport(templateType);
+        } catch (error) {
+          console.error(`Error generating ${this.formatTemplateName(templateType)} report:`, error);
+        }
+      });
     }
     
+    // Generate forms & workflows report with the curriculum reports (CM forms)
+    if (this.curriculumEnabled) {
+      try {
+        this.generateFormsWorkflowsReport();
+      } catch (error) {
+        console.error('Error generating Forms & Workflows report:', error);
+      }
+    }
+
+    // Notification settings (modules follow the curriculum/scheduling options)
+    try {
+      this.generateNotificationSettingsReport();
+    } catch (error) {
+      console.error('Error generating Notification Settings report:', error);
+    }
+
     // Generate attribute mappings and integration filters reports
     try {
       this.generateAttributeMappingsReport();
@@ -260,7 +308,18 @@ class CoursedogReportGenerator {
       console.error('Error generating Integration Filters report:', error);
     }
 
-    return report;
+    try {
+      this.generateRulesScheduleReport();
+    } catch (error) {
+      console.error('Error generating Integration Rules & Schedule report:', error);
+    }
+
+    this.appendSuppressedDifferences();
+
+    const executiveSummary = this.generateExecutiveSummary();
+    this.tempData['ExecutiveSummary_Report'] = this.generateExecutiveSummaryReport(executiveSummary);
+
+    return report.replace(executiveSummaryPlaceholder, executiveSummary);
   }
 
   /**
@@ -1055,40 +1114,187 @@ class CoursedogReportGenerator {
 
   /**
    * Generate executive summary
+   * Ranks the differences of every report by risk (severity rules in severity-rules.js)
    */
   generateExecutiveSummary() {
-    let summary = '';
-    const templateTypes = ['courseTemplate', 'programTemplate', 'sectionTemplate'];
-    let totalDifferences = 0;
-    let templatesWithDifferences = 0;
-
-    templateTypes.forEach(templateType => {
-      const mainTemplate = this.tempData[`MainSchool_${templateType}`];
-      const baselineTemplate = this.tempData[`BaselineSchool_${templateType}`];
-      
-      if (mainTemplate && baselineTemplate && !mainTemplate.error && !baselineTemplate.error) {
-        const mainQuestions = this.extractQuestions(mainTemplate, templateType);
-        const baselineQuestions = this.extractQuestions(baselineTemplate, templateType);
-        const differences = this.compareQuestionsForSummary(mainQuestions, baselineQuestions);
-        
-        if (differences.total > 0) {
-          templatesWithDifferences++;
-          totalDifferences += differences.total;
-        }
-      }
+    const ranked = this.getRankedDifferences();
+    const reportCount = Object.keys(this.diffResults).length;
+    const suppressed = Object.values(this.diffResults).reduce((sum, diff) => sum + diff.getSuppressed().length, 0);
+    const suppressedNote = suppressed > 0
+      ? `🙈 ${suppressed} known benign difference(s) suppressed by ignore rules (listed at the end of each report).\n\n`
+      : '';
+
+    if (ranked.length === 0) {
+      let summary = `✅ **No configuration differences found** between ${this.mainSchool} and ${this.baselineSchool}`;
+      summary += reportCount > 0 ? ` across ${reportCount} report(s).\n\n` : '.\n\n';
+      return summary + suppressedNote;
+    }
+
+    const counts = { critical: 0, warning: 0, info: 0 };
+    ranked.forEach(record => { counts[record.severity] = (counts[record.severity] || 0) + 1; });
+    const totalRisk = ranked.reduce((sum, record) => sum + (record.details.riskScore || 0), 0);
+
+    let summary = `⚠️ **${ranked.length} configuration differences** found across ${reportCount} report(s): `;
+    summary += `🔴 ${counts.critical} critical, 🟡 ${counts.warning} warning, 🔵 ${counts.info} info `;
+    summary += `(risk score ${totalRisk}).\n\n`;
+    summary += suppressedNote;
+
+    // Risk by report, highest first
+    const byReport = {};
+    ranked.forEach(record => {
+      const entry = byReport[record.reportKey] || (byReport[record.reportKey] = { risk: 0, critical: 0, warning: 0, info: 0 });
+      entry.risk += record.details.riskScore || 0;
+      entry[record.severity] = (entry[record.severity] || 0) + 1;
+    });
+    summary += `### Risk by Report\n\n`;
+    summary += `| Report | Risk | Critical | Warning | Info |\n`;
+    summary += `|--------|------|----------|---------|------|\n`;
+    Object.entries(byReport)
+      .sort((a, b) => b[1].risk - a[1].risk)
+      .forEach(([reportKey, entry]) => {
+        const title = this.diffResults[reportKey]?.title || reportKey;
+        summary += `| ${title} | ${entry.risk} | ${entry.critical} | ${entry.warning} | ${entry.info} |\n`;
+      });
+    summary += `\n`;
+
+    // Highest-risk differences
+    const limit = 25;
+    summary += `### Top Risks\n\n`;
+    summary += `| # | Severity | Report | Entity | Field | ${this.mainSchool} | ${this.baselineSchool} | Rule |\n`;
+    summary += `|---|----------|--------|--------|-------|------|----------|------|\n`;
+    ranked.slice(0, limit).forEach((record, index) => {
+      const field = record.property ? `${record.fieldPath} (${record.property})` : record.fieldPath;
+      const rule = record.details.severityRule || '—';
+      summary += `| ${index + 1} | ${this.formatSeverity(record.severity)} | ${this.diffResults[record.reportKey]?.title || record.reportKey} | ${record.entity || '—'} | \`${field}\` | ${this.formatSummaryValue(record.mainValue)} | ${this.formatSummaryValue(record.baselineValue)} | ${rule} |\n`;
     });
+    if (ranked.length > limit) {
+      summary += `\n*${ranked.length - limit} lower-risk difference(s) not shown; see the individual reports.*\n`;
+    }
+    summary += `\n`;
 
-    if (totalDifferences === 0) {
-      summary += `✅ **No configuration differences found** between ${this.mainSchool} and ${this.baselineSchool}.\n\n`;
-      summary += `All template configurations are identical.\n\n`;
-    } else {
-      summary += `⚠️ **${totalDifferences} configuration differences** found across ${templatesWithDifferences} template(s).\n\n`;
-      summary += `Detailed analysis is provided in the sections below.\n\n`;
+    // Rules that fired, so the reader knows why something is critical
+    const firedRules = Array.from(new Set(ranked.map(record => record.details.severityRule).filter(Boolean)));
+    if (firedRules.length > 0 && typeof getSeverityRuleDescription === 'function') {
+      summary += `**Rules:**\n`;
+      firedRules.forEach(ruleId => {
+        summary += `- \`${ruleId}\`: ${getSeverityRuleDescription(ruleId, this.severityRules || undefined)}\n`;
+      });
+      summary += `\n`;
     }
 
     return summary;
   }
 
+  /**
+   * Standalone Executive Summary report stored next to the other reports
+   * @param {string} executiveSummary - Output of generateExecutiveSummary()
+   * @returns {string} Markdown report
+   */
+  generateExecutiveSummaryReport(executiveSummary) {
+    let report = `# Executive Summary\n\n`;
+    report += `**Main School:** ${this.formatSchoolHeader(this.mainSchool, this.mainEnv)}\n`;
+    report += `**Baseline School:** ${this.formatSchoolHeader(this.baselineSchool, this.baselineEnv)}\n`;
+    report += `**Generated:** ${new Date().toLocaleString()}\n\n`;
+    report += executiveSummary;
+    return report;
+  }
+
+  /**
+   * Every difference across all diff results, highest risk first
+   * @returns {Array<Object>} Diff records
+   */
+  getRankedDifferences() {
+    const severityOrder = { critical: 0, warning: 1, info: 2 };
+    return Object.values(this.diffResults)
+      .flatMap(diff => diff.getDifferences())
+      .map(record => (record.details && record.details.riskScore !== undefined) ? record : this.classifyRecord(record))
+      .sort((a, b) =>
+        (b.details.riskScore || 0) - (a.details.riskScore || 0) ||
+        (severityOrder[a.severity] ?? 3) - (severityOrder[b.severity] ?? 3) ||
+        a.id.localeCompare(b.id)
+      );
+  }
+
+  formatSeverity(severity) {
+    const icons = { critical: '🔴', warning: '🟡', info: '🔵' };
+    return `${icons[severity] || ''} ${severity}`.trim();
+  }
+
+  formatSummaryValue(value) {
+    if (value === null || value === undefined) return '—';
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    const short = text.length > 40 ? `${text.slice(0, 37)}...` : text;
+    return short.replace(/\|/g, '\\|').replace(/\n/g, ' ');
+  }
+
+  /**
+   * Context used by severity rule conditions (built once per generator)
+   * @returns {Object} { getGlobalFieldException, mainEnabledEntities, baselineEnabledEntities }
+   */
+  getSeverityContext() {
+    if (this.severityContext) return this.severityContext;
+    const enabledEntities = (mergeSettings) => new Set(
+      mergeSettings && !mergeSettings.error
+        ? Object.entries(mergeSettings).filter(([, settings]) => settings && settings.enabled).map(([entity]) => entity)
+        : []
+    );
+    this.severityContext = {
+      getGlobalFieldException: (fieldPath, entityType) => this.getGlobalFieldException(fieldPath, entityType),
+      mainEnabledEntities: enabledEntities(this.tempData['MainSchool_mergeSettings']),
+      baselineEnabledEntities: enabledEntities(this.tempData['BaselineSchool_mergeSettings'])
+    };
+    return this.severityContext;
+  }
+
+  /**
+   * Apply the severity rules to a diff record (no-op when severity-rules.js is not loaded)
+   * @param {Object} record - Diff record (modified in place)
+   * @returns {Object} The record
+   */
+  classifyRecord(record) {
+    if (!this.severityRules || typeof classifyDiffRecord !== 'function') {
+      record.details = { ...(record.details || {}), riskScore: 0 };
+      return record;
+    }
+    classifyDiffRecord(record, this.getSeverityContext(), this.severityRules);
+    if (record.ignoreRule && !record.suppressed) {
+      record.severity = 'info';
+      record.details.riskScore = typeof SEVERITY_WEIGHTS !== 'undefined' ? SEVERITY_WEIGHTS.info : 0;
+    }
+    return record;
+  }
+
+  /**
+   * Append the differences suppressed by ignore rules to every report that had any,
+   * so nothing is hidden without a trace
+   */
+  appendSuppressedDifferences() {
+    const limit = 50;
+    Object.values(this.diffResults).forEach(diff => {
+      const suppressed = diff.getSuppressed();
+      if (suppressed.length === 0 || typeof this.tempData[diff.reportKey] !== 'string') return;
+
+      const byRule = {};
+      suppressed.forEach(record => { byRule[record.ignoreRule] = (byRule[record.ignoreRule] || 0) + 1; });
+      let section = `\n## Suppressed by Ignore Rules\n\n`;
+      section += `${suppressed.length} known benign difference(s) are left out of this report:\n\n`;
+      Object.entries(byRule).forEach(([ruleId, count]) => {
+        const rule = this.ignoreRules.find(r => r.id === ruleId);
+        section += `- \`${ruleId}\` (${count})${rule && rule.description ? `: ${rule.description}` : ''}\n`;
+      });
+      section += `\n| Entity | Field | ${this.formatSchoolHeader(this.mainSchool, this.mainEnv)} | ${this.formatSchoolHeader(this.baselineSchool, this.baselineEnv)} | Rule |\n`;
+      section += `|--------|-------|------|----------|------|\n`;
+      suppressed.slice(0, limit).forEach(record => {
+        const field = record.property ? `${record.fieldPath} (${record.property})` : record.fieldPath;
+        section += `| ${record.entity || '—'} | \`${field.replace(/`/g, '').replace(/\|/g, '\\|')}\` | ${this.formatSummaryValue(record.mainValue)} | ${this.formatSummaryValue(record.baselineValue)} | ${record.ignoreRule} |\n`;
+      });
+      if (suppressed.length > limit) {
+        section += `\n*${suppressed.length - limit} more suppressed difference(s) not shown.*\n`;
+      }
+      this.tempData[diff.reportKey] += section;
+    });
+  }
+
   /**
    * Extract entities that have formatters=true from main school formatter data and validate against merge settings
    * @param {Object} mainFormatters - Main school formatter data
@@ -1131,7 +1337,7 @@ class CoursedogReportGenerator {
    */
   generateTemplateSummary() {
     let summary = '## Summary\n\n';
-    const templateTypes = ['courseTemplate', 'programTemplate', 'sectionTemplate'];
+    const templateTypes = ['courseTemplate', 'programTemplate', 'sectionTemplate', ...CoursedogReportGenerator.GENERAL_TEMPLATE_TYPES];
     let totalDifferences = 0;
     let templatesWithDifferences = 0;
     
@@ -1167,7 +1373,7 @@ class CoursedogReportGenerator {
    */
   generateTemplateComparisons() {
     let report = '';
-    const templateTypes = ['courseTemplate', 'programTemplate', 'sectionTemplate'];
+    const templateTypes = ['courseTemplate', 'programTemplate', 'sectionTemplate', ...CoursedogReportGenerator.GENERAL_TEMPLATE_TYPES];
     
     templateTypes.forEach(templateType => {
       report += `### ${this.formatTemplateName(templateType)}\n\n`;
@@ -1334,7 +1540,10 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
     const names = {
       'courseTemplate': 'Course Template',
       'programTemplate': 'Program Template', 
-      'sectionTemplate': 'Section Template'
+      'sectionTemplate': 'Section Template',
+      'roomTemplate': 'Room Template',
+      'instructorTemplate': 'Instructor Template',
+      'termTemplate': 'Term Template'
     };
     return names[templateType] || templateType;
   }
@@ -1355,6 +1564,11 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
         questions = this.getNestedProperty(template, 'sectionTemplate.questions');
         return questions ? Object.values(questions) : [];
         
+      case 'roomTemplate':
+      case 'instructorTemplate':
+      case 'termTemplate':
+        return Object.values(this.getGeneralTemplateQuestions(template, templateType));
+        
       default:
         return [];
     }
@@ -1396,43 +1610,6 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
     return path.split('.').reduce((current, key) => current && current[key], obj);
   }
 
-  compareQuestionsForSummary(mainQuestions, baselineQuestions) {
-    const safeMainQuestions = Array.isArray(mainQuestions) ? mainQuestions : [];
-    const safeBaselineQuestions = Array.isArray(baselineQuestions) ? baselineQuestions : [];
-    
-    const getKey = (q) => q.key || q.id || q.name || q.questionId || q.dataKey || 'unknown';
-    const mainQuestionMap = new Map(safeMainQuestions.map(q => [getKey(q), q]));
-    const baselineQuestionMap = new Map(safeBaselineQuestions.map(q => [getKey(q), q]));
-    
-    const allKeys = new Set([...mainQuestionMap.keys(), ...baselineQuestionMap.keys()]);
-    
-    let onlyInMain = 0;
-    let onlyInBaseline = 0;
-    let different = 0;
-    
-    allKeys.forEach(key => {
-      const mainQ = mainQuestionMap.get(key);
-      const baselineQ = baselineQuestionMap.get(key);
-      
-      if (mainQ && !baselineQ) {
-        onlyInMain++;
-      } else if (!mainQ && baselineQ) {
-        onlyInBaseline++;
-      } else if (mainQ && baselineQ) {
-        if (JSON.stringify(mainQ) !== JSON.stringify(baselineQ)) {
-          different++;
-        }
-      }
-    });
-    
-    return {
-      total: onlyInMain + onlyInBaseline + different,
-      onlyInMain,
-      onlyInBaseline,
-      different
-    };
-  }
-
   compareQuestions(mainQuestions, baselineQuestions) {
     let comparison = '';
     
@@ -1540,12 +1717,33 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
     const baselineMergeSettings = this.tempData['BaselineSchool_mergeSettings'];
     
     if (!mainMergeSettings || !baselineMergeSettings || mainMergeSettings.error || baselineMergeSettings.error) {
-      this.tempData['stepsToExecute_Comparison_Report'] = this.generateErrorReport('Steps To Execute', 'Merge settings data not available');
+      this.recordReportError('stepsToExecute_Comparison_Report', 'Steps To Execute', 'Merge settings data not available');
       return;
     }
 
     // Use new formatter-based entity selection logic
     const targetEntities = this.determineTargetEntities(mainMergeSettings, baselineMergeSettings);
+    const diff = this.createDiffResult('stepsToExecute_Comparison_Report', 'Steps To Execute');
+
+    // Build diff records for every step of every target entity
+    targetEntities.forEach(entity => {
+      const mainSteps = mainMergeSettings[entity]?.stepsToExecute;
+      const baselineSteps = baselineMergeSettings[entity]?.stepsToExecute;
+      const allKeys = new Set([...(mainSteps ? Object.keys(mainSteps) : []), ...(baselineSteps ? Object.keys(baselineSteps) : [])]);
+      Array.from(allKeys).sort().forEach(step => {
+        const mainValue = mainSteps ? mainSteps[step] : undefined;
+        const baselineValue = baselineSteps ? baselineSteps[step] : undefined;
+        diff.add({
+          entity,
+          section: 'stepsToExecute',
+          fieldPath: step,
+          mainValue,
+          baselineValue,
+          category: DiffResult.categorize(mainValue !== undefined, baselineValue !== undefined, mainValue === baselineValue) // preserve validation semantics
+        });
+      });
+    });
+    this.storeDiffResult(diff);
     
     let report = `# Steps To Execute Comparison Report\n\n`;
     report += `**Main School:** ${this.mainSchool}\n`;
@@ -1586,45 +1784,22 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
     const sectionsNoDiff = [];
 
     targetEntities.forEach(entity => {
-      const mainSteps = mainMergeSettings[entity]?.stepsToExecute;
-      const baselineSteps = baselineMergeSettings[entity]?.stepsToExecute;
-
       let section = '';
       section += `### ${entity}\n\n`;
 
-      // Build union of step keys using existing detection logic (no validation changes)
-      const allKeys = new Set([...(mainSteps ? Object.keys(mainSteps) : []), ...(baselineSteps ? Object.keys(baselineSteps) : [])]);
-      const sortedSteps = Array.from(allKeys).sort();
-
-      // If no steps in either environment, show placeholder message only
-      if ((!mainSteps && !baselineSteps) || sortedSteps.length === 0) {
-        section += `*No differences identified.*\n\n`;
-        sectionsNoDiff.push(section);
-        return;
-      }
-
-      // Collect only rows that have differences
-      const diffRows = [];
-      sortedSteps.forEach(step => {
-        const mainValue = mainSteps ? mainSteps[step] : undefined;
-        const baselineValue = baselineSteps ? baselineSteps[step] : undefined;
-        const isMatch = mainValue === baselineValue; // preserve validation semantics
-        if (!isMatch) {
-          const mainDisp = mainValue === undefined ? 'N/A' : mainValue;
-          const baseDisp = baselineValue === undefined ? 'N/A' : baselineValue;
-          diffRows.push(`| ${step} | \`${mainDisp}\` | \`${baseDisp}\` | ❌ |\n`);
-        }
-      });
+      // Only render the records that have differences
+      const diffRecords = diff.getRecords({ section: 'stepsToExecute', entity, differencesOnly: true });
 
-      if (diffRows.length === 0) {
-        // All lines match -> placeholder + message only
+      if (diffRecords.length === 0) {
+        // No steps in either environment, or all lines match -> placeholder message only
         section += `*No differences identified.*\n\n`;
         sectionsNoDiff.push(section);
       } else {
-        // Only render the differing rows
         section += `| Step | ${this.formatSchoolHeader(this.mainSchool, this.mainEnv)} | ${this.formatSchoolHeader(this.baselineSchool, this.baselineEnv)} | Match |\n`;
         section += `|------|------------------|----------------|-------|\n`;
-        diffRows.forEach(row => { section += row; });
+        diffRecords.forEach(record => {
+          section += `| ${record.fieldPath} | \`${this.diffSideValue(record, 'main')}\` | \`${this.diffSideValue(record, 'baseline')}\` | ❌ |\n`;
+        });
         section += `\n`;
         sectionsWithDiff.push(section);
       }
@@ -1653,7 +1828,7 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
     const baselineMergeSettings = this.tempData['BaselineSchool_mergeSettings'];
     
     if (!mainMergeSettings || !baselineMergeSettings || mainMergeSettings.error || baselineMergeSettings.error) {
-      this.tempData['fieldExceptions_Comparison_Report'] = this.generateErrorReport('Field Exceptions', 'Merge settings data not available');
+      this.recordReportError('fieldExceptions_Comparison_Report', 'Field Exceptions', 'Merge settings data not available');
       return;
     }
 
@@ -1683,31 +1858,21 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
       return;
     }
 
-    // Table 3: List the conflictHandlingMethod for each target entity (render only mismatches)
-    report += `## Default \`conflictHandlingMethod\` Comparison\n\n`;
-    const defaultMethodRows = [];
+    const diff = this.createDiffResult('fieldExceptions_Comparison_Report', 'Field Exceptions');
+
+    // Build diff records: default conflictHandlingMethod and explicit fieldExceptions per entity
     targetEntities.forEach(entity => {
       const mainMethod = mainMergeSettings[entity]?.conflictHandlingMethod;
       const baselineMethod = baselineMergeSettings[entity]?.conflictHandlingMethod;
-      const isMatch = mainMethod === baselineMethod;
-      if (!isMatch) {
-        defaultMethodRows.push(`| **${entity}** | \`${mainMethod || 'N/A'}\` | \`${baselineMethod || 'N/A'}\` | ❌ |\n`);
-      }
-    });
-    if (defaultMethodRows.length === 0) {
-      report += `No differences detected\n\n`;
-    } else {
-      report += `| Entity Type | ${this.formatSchoolHeader(this.mainSchool, this.mainEnv)} | ${this.formatSchoolHeader(this.baselineSchool, this.baselineEnv)} | Match |\n`;
-      report += `|-------------|-------------------|-----------------|-------|\n`;
-      defaultMethodRows.forEach(r => { report += r; });
-      report += `\n`;
-    }
-    report += `---\n\n`;
-
-    // Table 4: List the fieldExceptions for each field, grouped by entity type (one table per entity)
-    report += `##  \`fieldExceptions\` Comparison (by entity)\n\n`;
+      diff.add({
+        entity,
+        section: 'defaultMethod',
+        fieldPath: 'conflictHandlingMethod',
+        mainValue: mainMethod,
+        baselineValue: baselineMethod,
+        category: DiffResult.categorize(!!mainMethod, !!baselineMethod, mainMethod === baselineMethod)
+      });
 
-    targetEntities.forEach(entity => {
       const mainExceptions = mainMergeSettings[entity]?.fieldExceptions || [];
       const baselineExceptions = baselineMergeSettings[entity]?.fieldExceptions || [];
       
@@ -1730,42 +1895,121 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
 
       processExceptions(mainExceptions, 'main');
       processExceptions(baselineExceptions, 'baseline');
-      
-      const sortedPaths = Object.keys(allFields).sort();
-
-      // Per-entity subsection and table (render only mismatches)
-      report += `### ${entity}\n\n`;
-      if (sortedPaths.length === 0) {
-        report += `No differences detected\n\n`;
-        return;
-      }
 
-      const diffRows = [];
-      sortedPaths.forEach(path => {
+      Object.keys(allFields).sort().forEach(path => {
         const fieldData = allFields[path];
-        const mainMethod = fieldData.mainMethod || '*Not Found*';
-        const baselineMethod = fieldData.baselineMethod || '*Not Found*';
-        const isMatch = mainMethod === baselineMethod;
-        const displayName = fieldData.mainLabel || fieldData.baselineLabel || path;
-        if (!isMatch) {
-          diffRows.push(`| ${displayName} (\`${path}\`) | \`${mainMethod}\` | \`${baselineMethod}\` | ❌ |\n`);
-        }
+        diff.add({
+          entity,
+          section: 'fieldExceptions',
+          fieldPath: path,
+          fieldLabel: fieldData.mainLabel || fieldData.baselineLabel || '',
+          baselineFieldLabel: fieldData.baselineLabel || '',
+          mainValue: fieldData.mainMethod,
+          baselineValue: fieldData.baselineMethod,
+          category: DiffResult.categorize(!!fieldData.mainMethod, !!fieldData.baselineMethod, fieldData.mainMethod === fieldData.baselineMethod)
+        });
       });
+    });
+    this.storeDiffResult(diff);
 
-      if (diffRows.length === 0) {
+    // Table 3: List the conflictHandlingMethod for each target entity (render only mismatches)
+    report += `## Default \`conflictHandlingMethod\` Comparison\n\n`;
+    const defaultMethodRecords = diff.getRecords({ section: 'defaultMethod', differencesOnly: true });
+    if (defaultMethodRecords.length === 0) {
+      report += `No differences detected\n\n`;
+    } else {
+      report += `| Entity Type | ${this.formatSchoolHeader(this.mainSchool, this.mainEnv)} | ${this.formatSchoolHeader(this.baselineSchool, this.baselineEnv)} | Match |\n`;
+      report += `|-------------|-------------------|-----------------|-------|\n`;
+      defaultMethodRecords.forEach(record => {
+        report += `| **${record.entity}** | \`${this.diffSideValue(record, 'main')}\` | \`${this.diffSideValue(record, 'baseline')}\` | ❌ |\n`;
+      });
+      report += `\n`;
+    }
+    report += `---\n\n`;
+
+    // Table 4: List the fieldExceptions for each field, grouped by entity type (one table per entity)
+    report += `##  \`fieldExceptions\` Comparison (by entity)\n\n`;
+
+    targetEntities.forEach(entity => {
+      // Per-entity subsection and table (render only mismatches)
+      report += `### ${entity}\n\n`;
+      const diffRecords = diff.getRecords({ section: 'fieldExceptions', entity, differencesOnly: true });
+
+      if (diffRecords.length === 0) {
         report += `No differences detected\n\n`;
         return;
       }
 
       report += `| Field (Path) | ${this.formatSchoolHeader(this.mainSchool, this.mainEnv)} | ${this.formatSchoolHeader(this.baselineSchool, this.baselineEnv)} | Match |\n`;
       report += `|--------------|-----------------------------|---------------------------|-------|\n`;
-      diffRows.forEach(r => { report += r; });
+      diffRecords.forEach(record => {
+        const displayName = record.fieldLabel || record.fieldPath;
+        report += `| ${displayName} (\`${record.fieldPath}\`) | \`${this.diffSideValue(record, 'main', '*Not Found*')}\` | \`${this.diffSideValue(record, 'baseline', '*Not Found*')}\` | ❌ |\n`;
+      });
       report += `\n`;
     });
 
     this.tempData['fieldExceptions_Comparison_Report'] = report;
   }
 
+  /**
+   * Build unified field lists (all field paths known to either school) per entity type
+   * Combines entityFieldExceptions map keys with configured field exceptions from merge settings,
+   * and stores each list in tempData as `unifiedFieldList_<entityType>` for the enhanced report
+   * @param {Object} tempData - Collected data keyed by MainSchool_/BaselineSchool_ prefixes
+   * @returns {Object} Map of entity type to its Set of field paths (empty when no merge settings)
+   */
+  static buildUnifiedFieldLists(tempData) {
+    const mainMergeSettings = tempData['MainSchool_mergeSettings'];
+    const baselineMergeSettings = tempData['BaselineSchool_mergeSettings'];
+    const unifiedLists = {};
+
+    if (!mainMergeSettings && !baselineMergeSettings) {
+      return unifiedLists;
+    }
+
+    // Collect entity types from tempData keys
+    const entityTypes = new Set();
+    Object.keys(tempData).forEach(key => {
+      const match = key.match(/^(MainSchool|BaselineSchool)_fieldExceptionMap_(.+)$/);
+      if (match) {
+        entityTypes.add(match[2]);
+      }
+    });
+
+    const addConfiguredFields = (entitySettings, unifiedFields) => {
+      if (!entitySettings?.fieldExceptions) return;
+      entitySettings.fieldExceptions.forEach(exceptionGroup => {
+        exceptionGroup.fields.forEach(field => {
+          unifiedFields.add(field.path.join('.'));
+        });
+      });
+    };
+
+    entityTypes.forEach(entityType => {
+      const unifiedFields = new Set();
+
+      // Fields from both schools' API responses (if available)
+      const mainMapData = tempData[`MainSchool_fieldExceptionMap_${entityType}`];
+      const baselineMapData = tempData[`BaselineSchool_fieldExceptionMap_${entityType}`];
+      if (mainMapData?.data) {
+        Object.keys(mainMapData.data).forEach(fieldPath => unifiedFields.add(fieldPath));
+      }
+      if (baselineMapData?.data) {
+        Object.keys(baselineMapData.data).forEach(fieldPath => unifiedFields.add(fieldPath));
+      }
+
+      // Fields from both schools' configured exceptions
+      addConfiguredFields(mainMergeSettings?.[entityType], unifiedFields);
+      addConfiguredFields(baselineMergeSettings?.[entityType], unifiedFields);
+
+      tempData[`unifiedFieldList_${entityType}`] = unifiedFields;
+      unifiedLists[entityType] = unifiedFields;
+    });
+
+    return unifiedLists;
+  }
+
   /**
    * ============================================================================
    * FIELD EXCEPTIONS COMPARISON REPORT (ENHANCED)
@@ -1779,7 +2023,7 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
     const baselineMergeSettings = this.tempData['BaselineSchool_mergeSettings'];
     
     if (!mainMergeSettings || !baselineMergeSettings || mainMergeSettings.error || baselineMergeSettings.error) {
-      this.tempData['fieldExceptions_Comparison_Report'] = this.generateErrorReport('Field Exceptions', 'Merge settings data not available');
+      this.recordReportError('fieldExceptions_Comparison_Report', 'Field Exceptions', 'Merge settings data not available');
       return;
     }
 
@@ -1845,6 +2089,8 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
       return;
     }
 
+    const diff = this.createDiffResult('fieldExceptions_Comparison_Report', 'Field Exceptions');
+
     // Process each entity
     targetEntities.forEach(entity => {
       const mainMapKey = `MainSchool_fieldExceptionMap_${entity}`;
@@ -1858,6 +2104,14 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
       // Get default methods from merge settings
       const mainDefaultMethod = mainMergeSettings[entity]?.conflictHandlingMethod || 'N/A';
       const baselineDefaultMethod = baselineMergeSettings[entity]?.conflictHandlingMethod || 'N/A';
+      diff.add({
+        entity,
+        section: 'defaultMethod',
+        fieldPath: 'conflictHandlingMethod',
+        mainValue: mainMergeSettings[entity]?.conflictHandlingMethod,
+        baselineValue: baselineMergeSettings[entity]?.conflictHandlingMethod,
+        category: DiffResult.categorize(mainDefaultMethod !== 'N/A', baselineDefaultMethod !== 'N/A', mainDefaultMethod === baselineDefaultMethod)
+      });
 
       // Get API availability status
       const mainApiAvailable = mainMapData?.apiAvailable !== false;
@@ -1949,6 +2203,7 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
 
       if (!mainHasData && !baselineHasData) {
         // BOTH schools have no data - cannot compare (already shown in summary above)
+        diff.addError('Field exception maps unavailable for both schools', entity);
         return;
       }
 
@@ -1971,8 +2226,7 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
       
       const sortedPaths = Array.from(allPaths).sort();
 
-      // Build comparison table - show ALL fields with differences
-      const diffRows = [];
+      // Build diff records for every field; the table shows only the differences
       sortedPaths.forEach(path => {
         // Determine if field exists in each school
         const existsInMain = path in mainMap;
@@ -1983,6 +2237,8 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
         let matchStatus;
         let mainDisplay;
         let baselineDisplay;
+        let mainResolution = null;
+        let baselineResolution = null;
         
         if (!existsInMain && !existsInBaseline) {
           // Field not in either map - likely in configured exceptions but not resolved
@@ -1995,7 +2251,7 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
           const baselineConfigured = this.isFieldConfigured(path, baselineMergeSettings[entity]);
           
           if (mainConfigured) {
-            const mainResolution = this.resolveFieldException(path, entity, mainMergeSettings[entity]);
+            mainResolution = this.resolveFieldException(path, entity, mainMergeSettings[entity]);
             mainDisplay = this.formatFieldExceptionDisplay(mainResolution);
           } else {
             // Differentiate between API failure/empty response vs normal "not configured"
@@ -2007,7 +2263,7 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
           }
           
           if (baselineConfigured) {
-            const baselineResolution = this.resolveFieldException(path, entity, baselineMergeSettings[entity]);
+            baselineResolution = this.resolveFieldException(path, entity, baselineMergeSettings[entity]);
             baselineDisplay = this.formatFieldExceptionDisplay(baselineResolution);
           } else {
             // Differentiate between API failure/empty response vs normal "not configured"
@@ -2025,7 +2281,7 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
           // Check if main has it configured even though not in map
           const mainConfigured = this.isFieldConfigured(path, mainMergeSettings[entity]);
           if (mainConfigured) {
-            const mainResolution = this.resolveFieldException(path, entity, mainMergeSettings[entity]);
+            mainResolution = this.resolveFieldException(path, entity, mainMergeSettings[entity]);
             mainDisplay = this.formatFieldExceptionDisplay(mainResolution);
           } else {
             // Differentiate between API failure/empty response vs normal "not configured"
@@ -2036,20 +2292,20 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
             }
           }
           
-          const baselineResolution = this.resolveFieldException(path, entity, baselineMergeSettings[entity]);
+          baselineResolution = this.resolveFieldException(path, entity, baselineMergeSettings[entity]);
           baselineDisplay = this.formatFieldExceptionDisplay(baselineResolution);
         } else if (!existsInBaseline) {
           // Only in main map
           isMatch = false;
           matchStatus = '⚠️';
           
-          const mainResolution = this.resolveFieldException(path, entity, mainMergeSettings[entity]);
+          mainResolution = this.resolveFieldException(path, entity, mainMergeSettings[entity]);
           mainDisplay = this.formatFieldExceptionDisplay(mainResolution);
           
           // Check if baseline has it configured even though not in map
           const baselineConfigured = this.isFieldConfigured(path, baselineMergeSettings[entity]);
           if (baselineConfigured) {
-            const baselineResolution = this.resolveFieldException(path, entity, baselineMergeSettings[entity]);
+            baselineResolution = this.resolveFieldException(path, entity, baselineMergeSettings[entity]);
             baselineDisplay = this.formatFieldExceptionDisplay(baselineResolution);
           } else {
             // Differentiate between API failure/empty response vs normal "not configured"
@@ -2061,8 +2317,8 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
           }
         } else {
           // In both schools - compare values
-          const mainResolution = this.resolveFieldException(path, entity, mainMergeSettings[entity]);
-          const baselineResolution = this.resolveFieldException(path, entity, baselineMergeSettings[entity]);
+          mainResolution = this.resolveFieldException(path, entity, mainMergeSettings[entity]);
+          baselineResolution = this.resolveFieldException(path, entity, baselineMergeSettings[entity]);
           
           // Compare ONLY the actual field exception values, NOT the source
           isMatch = mainResolution.value === baselineResolution.value;
@@ -2102,13 +2358,47 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
             mainDisplay.includes('No entityFieldExceptions record found') || 
             baselineDisplay.includes('No entityFieldExceptions record found');
           
-          // Store row with metadata for hide/reveal feature
-          diffRows.push({
-            markdown: `| \`${path}\` | ${mainDisplay} | ${baselineDisplay} | ${matchStatus} |\n`,
-            hasNoEntityFieldExceptions: hasNoEntityFieldExceptions
+          // Store record with metadata for hide/reveal feature
+          let category;
+          if (hasNoEntityFieldExceptions) {
+            category = DIFF_CATEGORIES.UNAVAILABLE;
+          } else if (existsInMain && existsInBaseline) {
+            category = DIFF_CATEGORIES.VALUE_MISMATCH;
+          } else {
+            category = DiffResult.categorize(!!mainResolution, !!baselineResolution, false);
+          }
+          diff.add({
+            entity,
+            section: 'fieldExceptions',
+            fieldPath: path,
+            mainValue: mainResolution ? mainResolution.value : null,
+            baselineValue: baselineResolution ? baselineResolution.value : null,
+            category,
+            details: {
+              mainSource: mainResolution ? mainResolution.source : null,
+              baselineSource: baselineResolution ? baselineResolution.source : null,
+              mainDisplay,
+              baselineDisplay,
+              matchStatus,
+              hasNoEntityFieldExceptions
+            }
+          });
+        } else {
+          diff.add({
+            entity,
+            section: 'fieldExceptions',
+            fieldPath: path,
+            mainValue: mainResolution ? mainResolution.value : null,
+            baselineValue: baselineResolution ? baselineResolution.value : null,
+            category: DIFF_CATEGORIES.MATCH,
+            details: {
+              mainSource: mainResolution ? mainResolution.source : null,
+              baselineSource: baselineResolution ? baselineResolution.source : null
+            }
           });
         }
       });
+      const diffRows = diff.getRecords({ section: 'fieldExceptions', entity, differencesOnly: true });
 
       if (diffRows.length === 0) {
         report += `✅ **All ${sortedPaths.length} fields match** - No differences detected\n\n`;
@@ -2128,12 +2418,13 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
           // Some fields match or defaults are the same - show detailed table
           report += `| Field Path | ${this.formatSchoolHeader(this.mainSchool, this.mainEnv)} | ${this.formatSchoolHeader(this.baselineSchool, this.baselineEnv)} | Match |\n`;
           report += `|------------|---------------------------|---------------------------|-------|\n`;
-          diffRows.forEach(row => { report += row.markdown; });
+          diffRows.forEach(record => { report += `| \`${record.fieldPath}\` | ${record.details.mainDisplay} | ${record.details.baselineDisplay} | ${record.details.matchStatus} |\n`; });
           report += `\n**Total Fields:** ${sortedPaths.length} • **Mismatches:** ${diffRows.length}\n\n`;
         }
       }
     });
 
+    this.storeDiffResult(diff);
     this.tempData['fieldExceptions_Comparison_Report'] = report;
   }
 
@@ -2148,15 +2439,18 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
     const baselineTemplate = this.tempData['BaselineSchool_courseTemplate'];
     
     if (!mainTemplate || !baselineTemplate || mainTemplate.error || baselineTemplate.error) {
-      this.tempData['courseTemplate_Comparison_Report'] = this.generateErrorReport('Course Template', 'Course template data not available');
+      this.recordReportError('courseTemplate_Comparison_Report', 'Course Template', 'Course template data not available');
       return;
     }
 
+    const diff = this.createDiffResult('courseTemplate_Comparison_Report', 'Course Template');
+
     let report = `# Course Template Comparison Report\n\n`;
     report += `**Main School:** ${this.mainSchool}\n`;
     report += `**Baseline School:** ${this.baselineSchool}\n`;
     report += `**Generated:** ${new Date().toLocaleString()}\n`;
-    report += `**Environment:** https://staging.coursedog.com\n\n`;
+    report += `**Environment:** https://staging.coursedog.com\n`;
+    report += `${describeTemplatePropertyProfile(this.templatePropertyProfile, 'courseTemplate')}\n`;
 
     try {
       const mainQuestions = mainTemplate.courseTemplate?.questions || {};
@@ -2164,52 +2458,95 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
       
       if (!mainQuestions || !baselineQuestions) {
         report += `*No course template questions found in either school*\n\n`;
+        this.storeDiffResult(diff);
         this.tempData['courseTemplate_Comparison_Report'] = report;
         return;
       }
 
       // New: Field existance check (comes before other tables)
-      report += this.formatFieldExistanceTable(mainQuestions, baselineQuestions);
+      report += this.formatFieldExistanceTable(mainQuestions, baselineQuestions, diff, 'courseTemplate');
 
-      report += this.compareCourseConfigurations(mainQuestions, baselineQuestions);
+      report += this.compareCourseConfigurations(mainQuestions, baselineQuestions, diff);
       
     } catch (error) {
       console.error('Error generating Course Template report:', error);
       report += `*Error generating course template comparison: ${error.message}*\n\n`;
+      diff.addError(error.message);
     }
 
+    this.storeDiffResult(diff);
     this.tempData['courseTemplate_Comparison_Report'] = report;
   }
 
   /**
-   * Extract nested field configurations from config.fields
-   * @param {Object} question - Question object from the template
-   * @returns {Object} Nested field configurations
+   * ============================================================================
+   * ROOM / INSTRUCTOR / TERM TEMPLATE COMPARISON REPORTS
+   * ============================================================================
+   * Same format as the course template report; questions live under <templateType>.questions
+   * @param {string} templateType - One of CoursedogReportGenerator.GENERAL_TEMPLATE_TYPES
    */
-  extractNestedFieldConfigurations(question) {
-    const nestedFields = question.config?.fields || {};
-    const nestedConfigs = {};
-    
-    for (const [fieldId, fieldData] of Object.entries(nestedFields)) {
-      nestedConfigs[fieldId] = this.extractConfigProperties(fieldData);
+  generateGeneralTemplateReport(templateType) {
+    const reportKey = `${templateType}_Comparison_Report`;
+    const templateName = this.formatTemplateName(templateType);
+    const mainTemplate = this.tempData[`MainSchool_${templateType}`];
+    const baselineTemplate = this.tempData[`BaselineSchool_${templateType}`];
+
+    if (!mainTemplate || !baselineTemplate || mainTemplate.error || baselineTemplate.error) {
+      this.recordReportError(reportKey, templateName, `${templateName} data not available`);
+      return;
     }
-    
-    return nestedConfigs;
+
+    const diff = this.createDiffResult(reportKey, templateName);
+
+    let report = `# ${templateName} Comparison Report\n\n`;
+    report += `**Main School:** ${this.mainSchool}\n`;
+    report += `**Baseline School:** ${this.baselineSchool}\n`;
+    report += `**Generated:** ${new Date().toLocaleString()}\n`;
+    report += `**Environment:** https://staging.coursedog.com\n`;
+    report += `${describeTemplatePropertyProfile(this.templatePropertyProfile, templateType)}\n`;
+
+    try {
+      const mainQuestions = this.getGeneralTemplateQuestions(mainTemplate, templateType);
+      const baselineQuestions = this.getGeneralTemplateQuestions(baselineTemplate, templateType);
+
+      report += this.formatFieldExistanceTable(mainQuestions, baselineQuestions, diff, templateType);
+      report += this.compareCourseConfigurations(mainQuestions, baselineQuestions, diff, templateType);
+    } catch (error) {
+      console.error(`Error generating ${templateName} report:`, error);
+      report += `*Error generating ${templateName.toLowerCase()} comparison: ${error.message}*\n\n`;
+      diff.addError(error.message);
+    }
+
+    this.storeDiffResult(diff);
+    this.tempData[reportKey] = report;
+  }
+
+  /**
+   * Questions of a room, instructor or term template keyed by question ID
+   * Accepts the wrapped API response ({ roomTemplate: { questions } }) or the bare template
+   * @param {Object} template - Template API response
+   * @param {string} templateType - Template type
+   * @returns {Object} Questions keyed by ID
+   */
+  getGeneralTemplateQuestions(template, templateType) {
+    const questions = template?.[templateType]?.questions || template?.questions;
+    return questions && typeof questions === 'object' && !Array.isArray(questions) ? questions : {};
   }
 
   /**
    * Compare configurations between the two environments for course templates
    * @param {Object} mainQuestions - Questions from main school template
    * @param {Object} baselineQuestions - Questions from baseline template
+   * @param {DiffResult} diff - Diff result that receives the property and nested field records
+   * @param {string} [templateType='courseTemplate'] - Template type recorded as the diff entity (room, instructor and term templates reuse this comparison)
    * @returns {Object} Comparison results and field categorization
    */
-  compareCourseConfigurations(mainQuestions, baselineQuestions) {
+  compareCourseConfigurations(mainQuestions, baselineQuestions, diff, templateType = 'courseTemplate') {
     const comparisonResults = [];
     const nestedFieldResults = [];
     const baselineOnlyFields = [];
     const mainOnlyFields = [];
     const unchangedCommonFields = [];
-    const allComparisonRows = [];
     const detailedResults = {
       required: [],
       dynamicOptions: [],
@@ -2244,12 +2581,10 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
     const fieldsToProcess = [...mainQuestionIds];
     
     for (const questionId of fieldsToProcess) {
-      const mainConfig = this.extractConfigProperties(mainQuestions[questionId]);
-      const baselineConfig = baselineQuestionIds.has(questionId) 
-        ? this.extractConfigProperties(baselineQuestions[questionId]) 
-        : null;
-      
-      const propertiesToCheck = ['required', 'dynamicOptions', 'config_default', 'config_useCourseOptions', 'actions'];
+      const baselineQuestion = baselineQuestionIds.has(questionId) ? baselineQuestions[questionId] : null;
+      const propertiesToCheck = this.getTemplatePropertyKeys(templateType, mainQuestions[questionId], baselineQuestion);
+      const mainConfig = this.extractConfigProperties(mainQuestions[questionId], propertiesToCheck);
+      const baselineConfig = baselineQuestion ? this.extractConfigProperties(baselineQuestion, propertiesToCheck) : null;
       let anyDifference = false;
       
       for (const propName of propertiesToCheck) {
@@ -2272,7 +2607,7 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
           };
           
           comparisonResults.push(result);
-          detailedResults[propName].push(result);
+          (detailedResults[propName] = detailedResults[propName] || []).push(result);
         }
       }
 
@@ -2281,18 +2616,20 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
         unchangedCommonFields.push(questionId);
       }
       
-      const mainNestedFields = this.extractNestedFieldConfigurations(mainQuestions[questionId]);
-      const baselineNestedFields = baselineQuestionIds.has(questionId) 
-        ? this.extractNestedFieldConfigurations(baselineQuestions[questionId]) 
-        : {};
+      // Nested fields of a question missing in the baseline are covered by its Field existence record
+      if (!baselineQuestion) continue;
+
+      const mainNestedFields = mainQuestions[questionId].config?.fields || {};
+      const baselineNestedFields = baselineQuestion.config?.fields || {};
       
       const allNestedFieldIds = new Set([...Object.keys(mainNestedFields), ...Object.keys(baselineNestedFields)]);
       
       for (const nestedFieldId of allNestedFieldIds) {
-        const mainNestedConfig = mainNestedFields[nestedFieldId] || {};
-        const baselineNestedConfig = baselineNestedFields[nestedFieldId] || {};
+        const nestedPropertiesToCheck = this.getTemplatePropertyKeys(templateType, mainNestedFields[nestedFieldId], baselineNestedFields[nestedFieldId]);
+        const mainNestedConfig = mainNestedFields[nestedFieldId] ? this.extractConfigProperties(mainNestedFields[nestedFieldId], nestedPropertiesToCheck) : {};
+        const baselineNestedConfig = baselineNestedFields[nestedFieldId] ? this.extractConfigProperties(baselineNestedFields[nestedFieldId], nestedPropertiesToCheck) : {};
         
-        for (const propName of propertiesToCheck) {
+        for (const propName of nestedPropertiesToCheck) {
           const mainValue = mainNestedConfig[propName];
           const baselineValue = baselineNestedConfig[propName];
           
@@ -2319,44 +2656,69 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
             };
             
             nestedFieldResults.push(result);
-            nestedDetailedResults[propName].push(result);
+            (nestedDetailedResults[propName] = nestedDetailedResults[propName] || []).push(result);
+            diff.add({
+              entity: templateType,
+              section: 'nestedFields',
+              fieldPath: `${questionId}.${nestedFieldId}`,
+              fieldLabel: result.nestedFieldLabelMain || result.nestedFieldLabelBaseline,
+              baselineFieldLabel: result.nestedFieldLabelBaseline,
+              property: propName,
+              mainValue,
+              baselineValue,
+              category: Object.keys(mainNestedConfig).length === 0
+                ? DIFF_CATEGORIES.MISSING_IN_MAIN
+                : (isMainOnly ? DIFF_CATEGORIES.MISSING_IN_BASELINE : DIFF_CATEGORIES.VALUE_MISMATCH),
+              details: {
+                parentField: questionId,
+                nestedField: nestedFieldId,
+                parentFieldLabel: result.parentFieldLabelMain || result.parentFieldLabelBaseline,
+                parentInBoth: result.existsInBoth
+              }
+            });
           }
         }
       }
     }
 
-    // Build overall rows including all fields from both templates (visual Exists/Match)
-    const propertiesToCheck = ['required', 'dynamicOptions', 'config_default', 'config_useCourseOptions', 'actions'];
+    // Build overall rows for the fields of both templates (visual Exists/Match)
     const allQuestionIds = new Set([...mainQuestionIds, ...baselineQuestionIds]);
     for (const questionId of allQuestionIds) {
       const mainExists = mainQuestionIds.has(questionId);
       const baselineExists = baselineQuestionIds.has(questionId);
-      const mainConfig = mainExists ? this.extractConfigProperties(mainQuestions[questionId]) : null;
-      const baselineConfig = baselineExists ? this.extractConfigProperties(baselineQuestions[questionId]) : null;
+      // A question in only one template is reported once, by its Field existence record
+      if (!mainExists || !baselineExists) continue;
+      const propertiesToCheck = this.getTemplatePropertyKeys(templateType, mainExists ? mainQuestions[questionId] : null, baselineExists ? baselineQuestions[questionId] : null);
+      const mainConfig = mainExists ? this.extractConfigProperties(mainQuestions[questionId], propertiesToCheck) : null;
+      const baselineConfig = baselineExists ? this.extractConfigProperties(baselineQuestions[questionId], propertiesToCheck) : null;
       for (const propName of propertiesToCheck) {
         const rawMainValue = mainConfig ? mainConfig[propName] : null;
         const rawBaselineValue = baselineConfig ? baselineConfig[propName] : null;
-        const mainValue = mainExists ? this.valueToString(rawMainValue) : 'Field not in main';
-        const baselineValue = baselineExists ? this.valueToString(rawBaselineValue) : 'Field not in baseline';
         const existsInBoth = mainExists && baselineExists;
         const match = existsInBoth && this.deepEqual(rawMainValue, rawBaselineValue);
-        allComparisonRows.push({
-          field: questionId,
+        diff.add({
+          entity: templateType,
+          section: 'properties',
+          fieldPath: questionId,
+          fieldLabel: (mainExists ? mainQuestions[questionId].label : '') || (baselineExists ? baselineQuestions[questionId].label : '') || '',
+          baselineFieldLabel: (baselineExists ? baselineQuestions[questionId].label : '') || '',
           property: propName,
-          mainValue,
-          baselineValue,
-          fieldLabelMain: mainExists ? (mainQuestions[questionId].label || '') : '',
-          fieldLabelBaseline: baselineExists ? (baselineQuestions[questionId].label || '') : '',
-          existsInBoth,
-          match
+          mainValue: rawMainValue,
+          baselineValue: rawBaselineValue,
+          category: DiffResult.categorize(mainExists, baselineExists, match),
+          details: existsInBoth && !match ? this.describeValueChanges(rawMainValue, rawBaselineValue, propName) : undefined
         });
       }
     }
     
+    // Render from the structured diff records
+    const allComparisonRows = diff.getRecords({ section: 'properties' });
+    const nestedFieldRecords = diff.getRecords({ section: 'nestedFields' });
+
     return this.formatCourseComparisonReport(
       allComparisonRows,
       comparisonResults,
-      nestedFieldResults,
+      nestedFieldRecords,
       baselineOnlyFields,
       mainOnlyFields,
       unchangedCommonFields,
@@ -2383,7 +2745,7 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
     let report = '';
     
     report += `## Overall Configuration Differences\n`;
-    report += `*This section lists all fields grouped by tracked property (required, dynamicOptions, config.default, config.useCourseOptions, actions). 'In Both?' indicates presence in both templates; 'Match' indicates identical values.*\n\n`;
+    report += `*This section lists all fields grouped by compared property (see Compared Properties above). 'In Both?' indicates presence in both templates; 'Match' indicates identical values.*\n\n`;
     report += this.formatPropertyGroupedTables(allComparisonRows);
     report += '\n';
     
@@ -2408,7 +2770,7 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
       return "No configuration differences found between the environments.";
     }
     
-    let explanation = "*This table lists all fields and tracked properties (required, dynamicOptions, config.default, config.useCourseOptions, actions) from both templates. 'In Both?' indicates presence in both templates; 'Match' indicates identical values.*\n\n";
+    let explanation = "*This table lists all fields and compared properties (see Compared Properties above) from both templates. 'In Both?' indicates presence in both templates; 'Match' indicates identical values.*\n\n";
     let markdownTable = "| Field | Property | Field Label | Main School Value | Baseline School Value | In Both? | Match |\n";
     markdownTable += "|-------|----------|-------------|-------------------|----------------------|----------|-------|\n";
     
@@ -2435,12 +2797,12 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
   }
 
   /**
-   * Format nested field comparison results as a markdown table
-   * @param {Array} nestedFieldResults - Array of nested field comparison result objects
+   * Format nested field comparison records as a markdown table
+   * @param {Array} nestedFieldRecords - Diff records from the 'nestedFields' section
    * @returns {string} Markdown table
    */
-  formatNestedFieldComparisonTable(nestedFieldResults) {
-    if (nestedFieldResults.length === 0) {
+  formatNestedFieldComparisonTable(nestedFieldRecords) {
+    if (nestedFieldRecords.length === 0) {
       return "No nested field configuration differences found between the environments.";
     }
     
@@ -2448,11 +2810,11 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
     let markdownTable = "| Parent Field | Nested Field | Property | Parent Field Label | Nested Field Label | Main School Value | Baseline School Value | In Both? |\n";
     markdownTable += "|--------------|--------------|----------|-------------------|-------------------|-------------------|----------------------|----------|\n";
     
-    for (const row of nestedFieldResults) {
-      const parentLabel = row.parentFieldLabelMain || row.parentFieldLabelBaseline;
-      const nestedLabel = row.nestedFieldLabelMain || row.nestedFieldLabelBaseline;
-      const existsInBoth = row.existsInBoth ? "Yes" : "No";
-      markdownTable += `| ${row.parentField} | ${row.nestedField} | ${row.property} | ${parentLabel} | ${nestedLabel} | ${row.mainValue} | ${row.baselineValue} | ${existsInBoth} |\n`;
+    for (const record of nestedFieldRecords) {
+      const details = record.details || {};
+      const baselineValue = record.baselineValue !== null ? this.valueToString(record.baselineValue) : 'Field not in baseline';
+      const existsInBoth = details.parentInBoth ? "Yes" : "No";
+      markdownTable += `| ${details.parentField} | ${details.nestedField} | ${record.property} | ${details.parentFieldLabel || ''} | ${record.fieldLabel} | ${this.valueToString(record.mainValue)} | ${baselineValue} | ${existsInBoth} |\n`;
     }
     
     return explanation + markdownTable;
@@ -2485,31 +2847,53 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
     }
   }
 
-  // Render property-grouped tables from combined rows (shared by all template reports)
-  formatPropertyGroupedTables(allComparisonRows) {
-    if (!Array.isArray(allComparisonRows) || allComparisonRows.length === 0) {
+  /**
+   * Convert a template 'properties' diff record into the row shape used by the property tables
+   * @param {Object} record - Diff record from the 'properties' section
+   * @returns {Object} Display row
+   */
+  templateRowFromRecord(record) {
+    const existsInBoth = record.category === DIFF_CATEGORIES.MATCH || record.category === DIFF_CATEGORIES.VALUE_MISMATCH;
+    return {
+      field: record.fieldPath,
+      property: record.property,
+      mainValue: record.category === DIFF_CATEGORIES.MISSING_IN_MAIN ? 'Field not in main' : this.valueToString(record.mainValue),
+      baselineValue: record.category === DIFF_CATEGORIES.MISSING_IN_BASELINE ? 'Field not in baseline' : this.valueToString(record.baselineValue),
+      fieldLabelMain: record.category === DIFF_CATEGORIES.MISSING_IN_MAIN ? '' : record.fieldLabel,
+      fieldLabelBaseline: record.category === DIFF_CATEGORIES.MISSING_IN_BASELINE ? 'N/A' : (record.baselineFieldLabel ?? record.fieldLabel),
+      existsInBoth,
+      match: record.category === DIFF_CATEGORIES.MATCH
+    };
+  }
+
+  // Render property-grouped tables from template diff records (shared by all template reports)
+  formatPropertyGroupedTables(propertyRecords) {
+    if (!Array.isArray(propertyRecords) || propertyRecords.length === 0) {
       return 'No configuration differences found between the environments.';
     }
-    const order = [
-      { key: 'required', label: 'Required' },
-      { key: 'dynamicOptions', label: 'Dynamic Options' },
-      { key: 'config_default', label: 'Config Default' },
-      { key: 'config_useCourseOptions', label: 'Config Use Course Options' },
-      { key: 'actions', label: 'Actions' }
-    ];
-    const descMap = {
-      'required': '*Compares question.required*',
-      'dynamicOptions': '*Compares config.dynamicOptions*',
-      'config_default': '*Compares config.default*',
-      'config_useCourseOptions': '*Compares config.useCourseOptions*',
-      'actions': '*Compares question.actions*'
-    };
+    const allComparisonRows = propertyRecords.map(record => this.templateRowFromRecord(record));
+    // Profile properties first (always listed), then other question properties that differ
+    const templateType = propertyRecords[0].entity;
+    const included = this.templatePropertyProfile.templates[templateType]?.include || [];
+    const otherKeys = Array.from(new Set(allComparisonRows.map(r => r.property)))
+      .filter(key => !included.includes(key))
+      .sort();
+    const order = [...included, ...otherKeys].map(key => {
+      const property = TEMPLATE_PROPERTY_CATALOG.find(p => p.key === key);
+      return {
+        key,
+        label: getTemplatePropertyLabel(key),
+        description: `*Compares ${(property ? property.paths : [key]).map(path => path.startsWith('config.') ? path : `question.${path}`).join(' / ')}*`,
+        alwaysShow: !!property
+      };
+    });
     let out = '';
-    order.forEach(({ key, label }) => {
+    order.forEach(({ key, label, description, alwaysShow }) => {
       const rows = allComparisonRows.filter(r => r.property === key);
-      out += `### ${label} Differences\n`;
-      out += `${descMap[key] || ''}\n`;
       const renderRows = rows.filter(r => this.shouldRenderPropertyRow(r));
+      if (renderRows.length === 0 && !alwaysShow) return;
+      out += `### ${label} Differences\n`;
+      out += `${description}\n`;
       if (renderRows.length === 0) {
         out += `No differences detected\n\n`;
         return;
@@ -2576,15 +2960,18 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
     const baselineTemplate = this.tempData['BaselineSchool_programTemplate'];
     
     if (!mainTemplate || !baselineTemplate || mainTemplate.error || baselineTemplate.error) {
-      this.tempData['programTemplate_Comparison_Report'] = this.generateErrorReport('Program Template', 'Program template data not available');
+      this.recordReportError('programTemplate_Comparison_Report', 'Program Template', 'Program template data not available');
       return;
     }
 
+    const diff = this.createDiffResult('programTemplate_Comparison_Report', 'Program Template');
+
     let report = `# Program Template Comparison Report\n\n`;
     report += `**Main School:** ${this.mainSchool}\n`;
     report += `**Baseline School:** ${this.baselineSchool}\n`;
     report += `**Generated:** ${new Date().toLocaleString()}\n`;
-    report += `**Environment:** https://staging.coursedog.com\n\n`;
+    report += `**Environment:** https://staging.coursedog.com\n`;
+    report += `${describeTemplatePropertyProfile(this.templatePropertyProfile, 'programTemplate')}\n`;
 
     try {
       const mainQuestions = mainTemplate.programTemplate?.questions || {};
@@ -2592,38 +2979,45 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
       
       if (!mainQuestions || !baselineQuestions) {
         report += `*No program template questions found in either school*\n\n`;
+        this.storeDiffResult(diff);
         this.tempData['programTemplate_Comparison_Report'] = report;
         return;
       }
 
       // New: Field existance check (comes before other tables)
-      report += this.formatFieldExistanceTable(mainQuestions, baselineQuestions);
+      report += this.formatFieldExistanceTable(mainQuestions, baselineQuestions, diff, 'programTemplate');
 
-      report += this.compareProgramConfigurations(mainQuestions, baselineQuestions);
+      report += this.compareProgramConfigurations(mainQuestions, baselineQuestions, diff);
       
     } catch (error) {
       console.error('Error generating Program Template report:', error);
       report += `*Error generating program template comparison: ${error.message}*\n\n`;
+      diff.addError(error.message);
     }
 
+    this.storeDiffResult(diff);
     this.tempData['programTemplate_Comparison_Report'] = report;
   }
 
   /**
-   * Extract the specific configuration properties we're interested in
+   * Property keys compared for a question, from the template property profile
+   * @param {string} templateType - 'courseTemplate' | 'programTemplate' | 'sectionTemplate' | 'roomTemplate' | 'instructorTemplate' | 'termTemplate'
+   * @param {Object} [mainQuestion] - Main school question (or nested field)
+   * @param {Object} [baselineQuestion] - Baseline school question (or nested field)
+   * @returns {Array<string>} Property keys
+   */
+  getTemplatePropertyKeys(templateType, mainQuestion, baselineQuestion) {
+    return getTemplatePropertyKeys(this.templatePropertyProfile, templateType, mainQuestion, baselineQuestion);
+  }
+
+  /**
+   * Extract the configuration properties the profile compares
    * @param {Object} question - Question object from the template
+   * @param {Array<string>} propertyKeys - Output of getTemplatePropertyKeys()
    * @returns {Object} Extracted configuration properties
    */
-  extractConfigProperties(question) {
-    const config = question.config || {};
-    
-    return {
-      required: question.required || false,
-      dynamicOptions: config.dynamicOptions || {},
-      config_default: config.default || null,
-      config_useCourseOptions: config.useCourseOptions || null,
-      actions: question.actions || []
-    };
+  extractConfigProperties(question, propertyKeys) {
+    return extractTemplateProperties(question, propertyKeys);
   }
 
   /**
@@ -2673,24 +3067,36 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
    * Format a field existence check table for two environments
    * @param {Object} mainQuestions - Questions object from main environment
    * @param {Object} baselineQuestions - Questions object from baseline environment
+   * @param {DiffResult} diff - Diff result that receives one existence record per field
+   * @param {string} templateType - Template type used as the record entity
    * @returns {string} Markdown table placed before other tables
    */
-  formatFieldExistanceTable(mainQuestions, baselineQuestions) {
+  formatFieldExistanceTable(mainQuestions, baselineQuestions, diff, templateType) {
     const mainIds = new Set(Object.keys(mainQuestions || {}));
     const baselineIds = new Set(Object.keys(baselineQuestions || {}));
     const allIds = new Set([...mainIds, ...baselineIds]);
 
-    // Build rows and sort with "Found in both = false" first, then by field name
-    const rows = Array.from(allIds).map(id => {
+    Array.from(allIds).forEach(id => {
       const inMain = mainIds.has(id);
       const inBaseline = baselineIds.has(id);
-      const both = inMain && inBaseline;
-      return { id, inMain, inBaseline, both };
-    }).sort((a, b) => {
-      const aBoth = a.both ? 1 : 0;
-      const bBoth = b.both ? 1 : 0;
+      diff.add({
+        entity: templateType,
+        section: 'existence',
+        fieldPath: id,
+        fieldLabel: (inMain ? mainQuestions[id]?.label : '') || (inBaseline ? baselineQuestions[id]?.label : '') || '',
+        baselineFieldLabel: (inBaseline ? baselineQuestions[id]?.label : '') || '',
+        mainValue: inMain,
+        baselineValue: inBaseline,
+        category: DiffResult.categorize(inMain, inBaseline, true)
+      });
+    });
+
+    // Render rows sorted with "Found in both = false" first, then by field name
+    const rows = diff.getRecords({ section: 'existence' }).slice().sort((a, b) => {
+      const aBoth = a.category === DIFF_CATEGORIES.MATCH ? 1 : 0;
+      const bBoth = b.category === DIFF_CATEGORIES.MATCH ? 1 : 0;
       if (aBoth !== bBoth) return aBoth - bBoth; // false (0) first
-      return String(a.id).localeCompare(String(b.id));
+      return String(a.fieldPath).localeCompare(String(b.fieldPath));
     });
 
     let out = '';
@@ -2704,7 +3110,8 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
     out += `| Field Name | Exists in ${this.formatSchoolHeader(this.mainSchool, this.mainEnv)} | Exists in ${this.formatSchoolHeader(this.baselineSchool, this.baselineEnv)} | Found in both |\n`;
     out += `|------------|------------------------------|-------------------------------|----------------|\n`;
     rows.forEach(row => {
-      out += `| ${row.id} | ${row.inMain ? '✅' : '❌'} | ${row.inBaseline ? '✅' : '❌'} | ${row.both ? '✅' : '❌'} |\n`;
+      const both = row.category === DIFF_CATEGORIES.MATCH;
+      out += `| ${row.fieldPath} | ${row.mainValue ? '✅' : '❌'} | ${row.baselineValue ? '✅' : '❌'} | ${both ? '✅' : '❌'} |\n`;
     });
     out += `\n`;
 
@@ -2715,14 +3122,14 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
    * Compare configurations between the two environments
    * @param {Object} mainQuestions - Questions from main school template
    * @param {Object} baselineQuestions - Questions from baseline template
+   * @param {DiffResult} diff - Diff result that receives the property records
    * @returns {Object} Comparison results and field categorization
    */
-  compareProgramConfigurations(mainQuestions, baselineQuestions) {
+  compareProgramConfigurations(mainQuestions, baselineQuestions, diff) {
     const comparisonResults = [];
     const baselineOnlyFields = [];
     const mainOnlyFields = [];
     const unchangedCommonFields = [];
-    const allComparisonRows = [];
     const detailedResults = {
       required: [],
       dynamicOptions: [],
@@ -2750,12 +3157,10 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
     const fieldsToProcess = [...mainQuestionIds];
     
     for (const questionId of fieldsToProcess) {
-      const mainConfig = this.extractConfigProperties(mainQuestions[questionId]);
-      const baselineConfig = baselineQuestionIds.has(questionId) 
-        ? this.extractConfigProperties(baselineQuestions[questionId]) 
-        : null;
-      
-      const propertiesToCheck = ['required', 'dynamicOptions', 'config_default', 'config_useCourseOptions', 'actions'];
+      const baselineQuestion = baselineQuestionIds.has(questionId) ? baselineQuestions[questionId] : null;
+      const propertiesToCheck = this.getTemplatePropertyKeys('programTemplate', mainQuestions[questionId], baselineQuestion);
+      const mainConfig = this.extractConfigProperties(mainQuestions[questionId], propertiesToCheck);
+      const baselineConfig = baselineQuestion ? this.extractConfigProperties(baselineQuestion, propertiesToCheck) : null;
       let anyDifference = false;
       
       for (const propName of propertiesToCheck) {
@@ -2778,7 +3183,7 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
           };
           
           comparisonResults.push(result);
-          detailedResults[propName].push(result);
+          (detailedResults[propName] = detailedResults[propName] || []).push(result);
         }
       }
 
@@ -2787,34 +3192,39 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
       }
     }
 
-    // Build overall rows including all fields from both templates
-    const propertiesToCheck = ['required', 'dynamicOptions', 'config_default', 'config_useCourseOptions', 'actions'];
+    // Build overall rows for the fields of both templates
     const allQuestionIds = new Set([...mainQuestionIds, ...baselineQuestionIds]);
     for (const questionId of allQuestionIds) {
       const mainExists = mainQuestionIds.has(questionId);
       const baselineExists = baselineQuestionIds.has(questionId);
-      const mainConfig = mainExists ? this.extractConfigProperties(mainQuestions[questionId]) : null;
-      const baselineConfig = baselineExists ? this.extractConfigProperties(baselineQuestions[questionId]) : null;
+      // A question in only one template is reported once, by its Field existence record
+      if (!mainExists || !baselineExists) continue;
+      const propertiesToCheck = this.getTemplatePropertyKeys('programTemplate', mainExists ? mainQuestions[questionId] : null, baselineExists ? baselineQuestions[questionId] : null);
+      const mainConfig = mainExists ? this.extractConfigProperties(mainQuestions[questionId], propertiesToCheck) : null;
+      const baselineConfig = baselineExists ? this.extractConfigProperties(baselineQuestions[questionId], propertiesToCheck) : null;
       for (const propName of propertiesToCheck) {
         const rawMainValue = mainConfig ? mainConfig[propName] : null;
         const rawBaselineValue = baselineConfig ? baselineConfig[propName] : null;
-        const mainValue = mainExists ? this.valueToString(rawMainValue) : 'Field not in main';
-        const baselineValue = baselineExists ? this.valueToString(rawBaselineValue) : 'Field not in baseline';
         const existsInBoth = mainExists && baselineExists;
         const match = existsInBoth && this.deepEqual(rawMainValue, rawBaselineValue);
-        allComparisonRows.push({
-          field: questionId,
+        diff.add({
+          entity: 'programTemplate',
+          section: 'properties',
+          fieldPath: questionId,
+          fieldLabel: (mainExists ? mainQuestions[questionId].label : '') || (baselineExists ? baselineQuestions[questionId].label : '') || '',
+          baselineFieldLabel: (baselineExists ? baselineQuestions[questionId].label : '') || '',
           property: propName,
-          mainValue,
-          baselineValue,
-          fieldLabelMain: mainExists ? (mainQuestions[questionId].label || '') : '',
-          fieldLabelBaseline: baselineExists ? (baselineQuestions[questionId].label || '') : '',
-          existsInBoth,
-          match
+          mainValue: rawMainValue,
+          baselineValue: rawBaselineValue,
+          category: DiffResult.categorize(mainExists, baselineExists, match),
+          details: existsInBoth && !match ? this.describeValueChanges(rawMainValue, rawBaselineValue, propName) : undefined
         });
       }
     }
 
+    // Render from the structured diff records
+    const allComparisonRows = diff.getRecords({ section: 'properties' });
+
     return this.formatProgramComparisonReport(
       allComparisonRows,
       comparisonResults,
@@ -2841,7 +3251,7 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
     let report = '';
     
     report += `## Overall Configuration Differences\n`;
-    report += `*This section lists all fields grouped by tracked property (required, dynamicOptions, config.default, config.useCourseOptions, actions). 'In Both?' indicates presence in both templates; 'Match' indicates identical values.*\n\n`;
+    report += `*This section lists all fields grouped by compared property (see Compared Properties above). 'In Both?' indicates presence in both templates; 'Match' indicates identical values.*\n\n`;
     report += this.formatPropertyGroupedTables(allComparisonRows);
     report += '\n';
     
@@ -2860,7 +3270,7 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
       return "No configuration differences found between the environments.";
     }
     
-    let explanation = "*This table lists all fields and tracked properties (required, dynamicOptions, config.default, config.useCourseOptions, actions) from both templates. 'In Both?' indicates presence in both templates; 'Match' indicates identical values.*\n\n";
+    let explanation = "*This table lists all fields and compared properties (see Compared Properties above) from both templates. 'In Both?' indicates presence in both templates; 'Match' indicates identical values.*\n\n";
     let markdownTable = "| Field | Property | Field Label | Main School Value | Baseline School Value | In Both? | Match |\n";
     markdownTable += "|-------|----------|-------------|-------------------|----------------------|----------|-------|\n";
     
@@ -2922,15 +3332,18 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
     const baselineTemplate = this.tempData['BaselineSchool_sectionTemplate'];
     
     if (!mainTemplate || !baselineTemplate || mainTemplate.error || baselineTemplate.error) {
-      this.tempData['sectionTemplate_Comparison_Report'] = this.generateErrorReport('Section Template', 'Section template data not available');
+      this.recordReportError('sectionTemplate_Comparison_Report', 'Section Template', 'Section template data not available');
       return;
     }
 
+    const diff = this.createDiffResult('sectionTemplate_Comparison_Report', 'Section Template');
+
     let report = `# Section Template Comparison Report\n\n`;
     report += `**Main School:** ${this.mainSchool}\n`;
     report += `**Baseline School:** ${this.baselineSchool}\n`;
     report += `**Generated:** ${new Date().toLocaleString()}\n`;
-    report += `**Environment:** https://staging.coursedog.com\n\n`;
+    report += `**Environment:** https://staging.coursedog.com\n`;
+    report += `${describeTemplatePropertyProfile(this.templatePropertyProfile, 'sectionTemplate')}\n`;
 
     try {
       const mainQuestions = mainTemplate.sectionTemplate?.questions || {};
@@ -2938,20 +3351,23 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
       
       if (!mainQuestions || !baselineQuestions) {
         report += `*No section template questions found in either school*\n\n`;
+        this.storeDiffResult(diff);
         this.tempData['sectionTemplate_Comparison_Report'] = report;
         return;
       }
 
       // New: Field existance check (comes before other tables)
-      report += this.formatFieldExistanceTable(mainQuestions, baselineQuestions);
+      report += this.formatFieldExistanceTable(mainQuestions, baselineQuestions, diff, 'sectionTemplate');
 
-      report += this.compareSectionConfigurations(mainQuestions, baselineQuestions);
+      report += this.compareSectionConfigurations(mainQuestions, baselineQuestions, diff);
       
     } catch (error) {
       console.error('Error generating Section Template report:', error);
       report += `*Error generating section template comparison: ${error.message}*\n\n`;
+      diff.addError(error.message);
     }
 
+    this.storeDiffResult(diff);
     this.tempData['sectionTemplate_Comparison_Report'] = report;
   }
 
@@ -2959,15 +3375,15 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
    * Compare configurations between the two environments for section templates
    * @param {Object} mainQuestions - Questions from main school template
    * @param {Object} baselineQuestions - Questions from baseline template
+   * @param {DiffResult} diff - Diff result that receives the property and nested field records
    * @returns {Object} Comparison results and field categorization
    */
-  compareSectionConfigurations(mainQuestions, baselineQuestions) {
+  compareSectionConfigurations(mainQuestions, baselineQuestions, diff) {
     const comparisonResults = [];
     const nestedFieldResults = [];
     const baselineOnlyFields = [];
     const mainOnlyFields = [];
     const unchangedCommonFields = [];
-    const allComparisonRows = [];
     const detailedResults = {
       required: [],
       dynamicOptions: [],
@@ -3002,12 +3418,10 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
     const fieldsToProcess = [...mainQuestionIds];
     
     for (const questionId of fieldsToProcess) {
-      const mainConfig = this.extractConfigProperties(mainQuestions[questionId]);
-      const baselineConfig = baselineQuestionIds.has(questionId) 
-        ? this.extractConfigProperties(baselineQuestions[questionId]) 
-        : null;
-      
-      const propertiesToCheck = ['required', 'dynamicOptions', 'config_default', 'config_useCourseOptions', 'actions'];
+      const baselineQuestion = baselineQuestionIds.has(questionId) ? baselineQuestions[questionId] : null;
+      const propertiesToCheck = this.getTemplatePropertyKeys('sectionTemplate', mainQuestions[questionId], baselineQuestion);
+      const mainConfig = this.extractConfigProperties(mainQuestions[questionId], propertiesToCheck);
+      const baselineConfig = baselineQuestion ? this.extractConfigProperties(baselineQuestion, propertiesToCheck) : null;
       
       let anyDifference = false;
       for (const propName of propertiesToCheck) {
@@ -3030,7 +3444,7 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
           };
           
           comparisonResults.push(result);
-          detailedResults[propName].push(result);
+          (detailedResults[propName] = detailedResults[propName] || []).push(result);
         }
       }
 
@@ -3038,18 +3452,20 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
         unchangedCommonFields.push(questionId);
       }
       
-      const mainNestedFields = this.extractNestedFieldConfigurations(mainQuestions[questionId]);
-      const baselineNestedFields = baselineQuestionIds.has(questionId) 
-        ? this.extractNestedFieldConfigurations(baselineQuestions[questionId]) 
-        : {};
+      // Nested fields of a question missing in the baseline are covered by its Field existence record
+      if (!baselineQuestion) continue;
+
+      const mainNestedFields = mainQuestions[questionId].config?.fields || {};
+      const baselineNestedFields = baselineQuestion.config?.fields || {};
       
       const allNestedFieldIds = new Set([...Object.keys(mainNestedFields), ...Object.keys(baselineNestedFields)]);
       
       for (const nestedFieldId of allNestedFieldIds) {
-        const mainNestedConfig = mainNestedFields[nestedFieldId] || {};
-        const baselineNestedConfig = baselineNestedFields[nestedFieldId] || {};
+        const nestedPropertiesToCheck = this.getTemplatePropertyKeys('sectionTemplate', mainNestedFields[nestedFieldId], baselineNestedFields[nestedFieldId]);
+        const mainNestedConfig = mainNestedFields[nestedFieldId] ? this.extractConfigProperties(mainNestedFields[nestedFieldId], nestedPropertiesToCheck) : {};
+        const baselineNestedConfig = baselineNestedFields[nestedFieldId] ? this.extractConfigProperties(baselineNestedFields[nestedFieldId], nestedPropertiesToCheck) : {};
         
-        for (const propName of propertiesToCheck) {
+        for (const propName of nestedPropertiesToCheck) {
           const mainValue = mainNestedConfig[propName];
           const baselineValue = baselineNestedConfig[propName];
           
@@ -3076,44 +3492,69 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
             };
             
             nestedFieldResults.push(result);
-            nestedDetailedResults[propName].push(result);
+            (nestedDetailedResults[propName] = nestedDetailedResults[propName] || []).push(result);
+            diff.add({
+              entity: 'sectionTemplate',
+              section: 'nestedFields',
+              fieldPath: `${questionId}.${nestedFieldId}`,
+              fieldLabel: result.nestedFieldLabelMain || result.nestedFieldLabelBaseline,
+              baselineFieldLabel: result.nestedFieldLabelBaseline,
+              property: propName,
+              mainValue,
+              baselineValue,
+              category: Object.keys(mainNestedConfig).length === 0
+                ? DIFF_CATEGORIES.MISSING_IN_MAIN
+                : (isMainOnly ? DIFF_CATEGORIES.MISSING_IN_BASELINE : DIFF_CATEGORIES.VALUE_MISMATCH),
+              details: {
+                parentField: questionId,
+                nestedField: nestedFieldId,
+                parentFieldLabel: result.parentFieldLabelMain || result.parentFieldLabelBaseline,
+                parentInBoth: result.existsInBoth
+              }
+            });
           }
         }
       }
     }
 
-    // Build overall rows including all fields from both templates
-    const propertiesToCheck = ['required', 'dynamicOptions', 'config_default', 'config_useCourseOptions', 'actions'];
+    // Build overall rows for the fields of both templates
     const allQuestionIds = new Set([...mainQuestionIds, ...baselineQuestionIds]);
     for (const questionId of allQuestionIds) {
       const mainExists = mainQuestionIds.has(questionId);
       const baselineExists = baselineQuestionIds.has(questionId);
-      const mainConfig = mainExists ? this.extractConfigProperties(mainQuestions[questionId]) : null;
-      const baselineConfig = baselineExists ? this.extractConfigProperties(baselineQuestions[questionId]) : null;
+      // A question in only one template is reported once, by its Field existence record
+      if (!mainExists || !baselineExists) continue;
+      const propertiesToCheck = this.getTemplatePropertyKeys('sectionTemplate', mainExists ? mainQuestions[questionId] : null, baselineExists ? baselineQuestions[questionId] : null);
+      const mainConfig = mainExists ? this.extractConfigProperties(mainQuestions[questionId], propertiesToCheck) : null;
+      const baselineConfig = baselineExists ? this.extractConfigProperties(baselineQuestions[questionId], propertiesToCheck) : null;
       for (const propName of propertiesToCheck) {
         const rawMainValue = mainConfig ? mainConfig[propName] : null;
         const rawBaselineValue = baselineConfig ? baselineConfig[propName] : null;
-        const mainValue = mainExists ? this.valueToString(rawMainValue) : 'Field not in main';
-        const baselineValue = baselineExists ? this.valueToString(rawBaselineValue) : 'Field not in baseline';
         const existsInBoth = mainExists && baselineExists;
         const match = existsInBoth && this.deepEqual(rawMainValue, rawBaselineValue);
-        allComparisonRows.push({
-          field: questionId,
+        diff.add({
+          entity: 'sectionTemplate',
+          section: 'properties',
+          fieldPath: questionId,
+          fieldLabel: (mainExists ? mainQuestions[questionId].label : '') || (baselineExists ? baselineQuestions[questionId].label : '') || '',
+          baselineFieldLabel: (baselineExists ? baselineQuestions[questionId].label : '') || '',
           property: propName,
-          mainValue,
-          baselineValue,
-          fieldLabelMain: mainExists ? (mainQuestions[questionId].label || '') : '',
-          fieldLabelBaseline: baselineExists ? (baselineQuestions[questionId].label || '') : '',
-          existsInBoth,
-          match
+          mainValue: rawMainValue,
+          baselineValue: rawBaselineValue,
+          category: DiffResult.categorize(mainExists, baselineExists, match),
+          details: existsInBoth && !match ? this.describeValueChanges(rawMainValue, rawBaselineValue, propName) : undefined
         });
       }
     }
     
+    // Render from the structured diff records
+    const allComparisonRows = diff.getRecords({ section: 'properties' });
+    const nestedFieldRecords = diff.getRecords({ section: 'nestedFields' });
+
     return this.formatSectionComparisonReport(
       allComparisonRows,
       comparisonResults,
-      nestedFieldResults,
+      nestedFieldRecords,
       baselineOnlyFields,
       mainOnlyFields,
       unchangedCommonFields,
@@ -3140,7 +3581,7 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
     let report = '';
     
     report += `## Overall Configuration Differences\n`;
-    report += `*This section lists all fields grouped by tracked property (required, dynamicOptions, config.default, config.useCourseOptions, actions). 'In Both?' indicates presence in both templates; 'Match' indicates identical values.*\n\n`;
+    report += `*This section lists all fields grouped by compared property (see Compared Properties above). 'In Both?' indicates presence in both templates; 'Match' indicates identical values.*\n\n`;
     report += this.formatPropertyGroupedTables(allComparisonRows);
     report += '\n';
     
@@ -3164,7 +3605,7 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
       return "No configuration differences found between the environments.";
     }
     
-    let explanation = "*This table lists all fields and tracked properties (required, dynamicOptions, config.default, config.useCourseOptions, actions) from both templates. 'In Both?' indicates presence in both templates; 'Match' indicates identical values.*\n\n";
+    let explanation = "*This table lists all fields and compared properties (see Compared Properties above) from both templates. 'In Both?' indicates presence in both templates; 'Match' indicates identical values.*\n\n";
     let markdownTable = "| Field | Property | Field Label | Main School Value | Baseline School Value | In Both? | Match |\n";
     markdownTable += "|-------|----------|-------------|-------------------|----------------------|----------|-------|\n";
     
@@ -3200,6 +3641,60 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
     return `# ${reportType} Comparison Report\n\n**Error:** ${errorMessage}\n\n*This report could not be generated due to missing or invalid data.*\n`;
   }
 
+  /**
+   * Create an empty structured diff result for a report
+   * @param {string} reportKey - tempData key of the Markdown report
+   * @param {string} reportType - Human readable report type (e.g. 'Course Template')
+   * @returns {DiffResult} New diff result
+   */
+  createDiffResult(reportKey, reportType) {
+    return new DiffResult(reportKey, {
+      title: `${reportType} Comparison`,
+      mainSchool: this.mainSchool,
+      baselineSchool: this.baselineSchool,
+      mainEnv: this.mainEnv,
+      baselineEnv: this.baselineEnv,
+      ignoreMatcher: this.ignoreRules.length > 0 ? (record) => findIgnoreRule(record, this.ignoreRules) : null
+    });
+  }
+
+  /**
+   * Store a diff result in tempData next to its Markdown report (as plain JSON)
+   * @param {DiffResult} diff - Diff result to store
+   */
+  storeDiffResult(diff) {
+    diff.getDifferences().forEach(record => this.classifyRecord(record));
+    this.diffResults[diff.reportKey] = diff;
+    this.tempData[DiffResult.storageKey(diff.reportKey)] = diff.toJSON();
+  }
+
+  /**
+   * Store an error report and a matching diff result that carries the error
+   * @param {string} reportKey - tempData key of the Markdown report
+   * @param {string} reportType - Human readable report type
+   * @param {string} errorMessage - Reason the report could not be generated
+   */
+  recordReportError(reportKey, reportType, errorMessage) {
+    const diff = this.createDiffResult(reportKey, reportType);
+    diff.addError(errorMessage);
+    this.storeDiffResult(diff);
+    this.tempData[reportKey] = this.generateErrorReport(reportType, errorMessage);
+  }
+
+  /**
+   * Display value for one side of a diff record
+   * @param {Object} record - Diff record
+   * @param {string} side - 'main' or 'baseline'
+   * @param {string} missingText - Text shown when the value is absent on that side
+   * @returns {string} Display value
+   */
+  diffSideValue(record, side, missingText = 'N/A') {
+    const missingCategory = side === 'main' ? DIFF_CATEGORIES.MISSING_IN_MAIN : DIFF_CATEGORIES.MISSING_IN_BASELINE;
+    if (record.category === missingCategory) return missingText;
+    const value = side === 'main' ? record.mainValue : record.baselineValue;
+    return typeof value === 'string' ? value : this.valueToString(value);
+  }
+
   generateTemplateComparisonTable(mainQuestions, baselineQuestions, templateType) {
     const mainQuestionMap = new Map(mainQuestions.map(q => [q.key || q.id || q.name || 'unknown', q]));
     const baselineQuestionMap = new Map(baselineQuestions.map(q => [q.key || q.id || q.name || 'unknown', q]));
@@ -3356,7 +3851,7 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
     const baselineAttributeMappings = this.tempData['BaselineSchool_attributeMappings'];
     
     if (!mainAttributeMappings || !baselineAttributeMappings || mainAttributeMappings.error || baselineAttributeMappings.error) {
-      this.tempData['AttributeMapping_Comparison_Report'] = this.generateErrorReport('Attribute Mappings', 'Attribute mappings data not available');
+      this.recordReportError('AttributeMapping_Comparison_Report', 'Attribute Mappings', 'Attribute mappings data not available');
       return;
     }
 
@@ -3367,8 +3862,10 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
     report += `**Environment:** https://staging.coursedog.com\n\n`;
 
     // Use the improved comparison logic
-    report += this.compareAttributeMappings(mainAttributeMappings, baselineAttributeMappings);
+    const diff = this.createDiffResult('AttributeMapping_Comparison_Report', 'Attribute Mappings');
+    report += this.compareAttributeMappings(mainAttributeMappings, baselineAttributeMappings, diff);
 
+    this.storeDiffResult(diff);
     this.tempData['AttributeMapping_Comparison_Report'] = report;
   }
 
@@ -3402,13 +3899,15 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
     return ['code', 'description', 'status', 'primaryType', 'fieldName', 'types'];
   }
 
+  /**
+   * Identity of an attribute mapping, from the 'attribute-mappings' identity rule
+   * (primaryType|fieldName|code; description and status are edits, not a different mapping)
+   * @param {Object} mapping - Attribute mapping
+   * @returns {string} Normalized identity
+   */
   mappingKey(mapping) {
-    const sanitize = v => (v ?? '').toString().trim().toLowerCase();
-    const core = [mapping?.code, mapping?.description, mapping?.fieldName, mapping?.primaryType]
-      .map(sanitize).join('|');
-    if (core !== '|||') return core;
-    const id = mapping?.id ?? mapping?._id ?? '';
-    return `id:${sanitize(id)}`;
+    const identity = getElementIdentity(mapping || {}, getIdentityKeys('attributeMappings'));
+    return identity === null ? 'id:' : identity.trim().toLowerCase();
   }
 
   areMappingsEqual(a = {}, b = {}) {
@@ -3502,7 +4001,7 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
     };
   }
 
-  compareAttributeMappings(mainData, baselineData) {
+  compareAttributeMappings(mainData, baselineData, diff = this.createDiffResult('AttributeMapping_Comparison_Report', 'Attribute Mappings')) {
     const report = [];
     
     // Handle both array and object data structures for backward compatibility
@@ -3526,71 +4025,68 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
     const mainMappings = processData(mainData);
     const baselineMappings = processData(baselineData);
     
-    // Create a map of all unique fieldName values
+    // Create a map of all unique fieldName values (with each school's mappings for that field)
     const fieldMap = new Map();
-    
-    // Process main school mappings
-    mainMappings.forEach(mapping => {
-      if (mapping && mapping.fieldName && mapping.primaryType) {
-        const key = `${mapping.primaryType}|${mapping.fieldName}`;
-        if (!fieldMap.has(key)) {
-          fieldMap.set(key, {
-            primaryType: mapping.primaryType,
-            fieldName: mapping.fieldName,
-            mainSchool: false,
-            baseline: false
-          });
-        }
-        fieldMap.get(key).mainSchool = true;
-      }
-    });
-    
-    // Process baseline mappings
-    baselineMappings.forEach(mapping => {
-      if (mapping && mapping.fieldName && mapping.primaryType) {
-        const key = `${mapping.primaryType}|${mapping.fieldName}`;
-        if (!fieldMap.has(key)) {
-          fieldMap.set(key, {
-            primaryType: mapping.primaryType,
-            fieldName: mapping.fieldName,
-            mainSchool: false,
-            baseline: false
-          });
+    const collect = (mappings, side) => {
+      mappings.forEach(mapping => {
+        if (mapping && mapping.fieldName && mapping.primaryType) {
+          const key = `${mapping.primaryType}|${mapping.fieldName}`;
+          if (!fieldMap.has(key)) {
+            fieldMap.set(key, {
+              primaryType: mapping.primaryType,
+              fieldName: mapping.fieldName,
+              mainMappings: [],
+              baselineMappings: []
+            });
+          }
+          fieldMap.get(key)[side].push(mapping);
         }
-        fieldMap.get(key).baseline = true;
-      }
-    });
+      });
+    };
+    collect(mainMappings, 'mainMappings');
+    collect(baselineMappings, 'baselineMappings');
     
-    // Group by primaryType
-    const groupedByPrimaryType = new Map();
+    // Build one diff record per primaryType/fieldName pair; mappings in both schools are
+    // compared element by element (matched by identity, see identity-diff.js)
     for (const [key, data] of fieldMap) {
-      const primaryType = data.primaryType;
-      if (!groupedByPrimaryType.has(primaryType)) {
-        groupedByPrimaryType.set(primaryType, []);
-      }
-      groupedByPrimaryType.get(primaryType).push(data);
+      const inMain = data.mainMappings.length > 0;
+      const inBaseline = data.baselineMappings.length > 0;
+      const operations = inMain && inBaseline
+        ? identityDiff(data.mainMappings, data.baselineMappings, { path: 'attributeMappings' })
+        : [];
+      diff.add({
+        entity: data.primaryType,
+        section: 'attributeMappings',
+        fieldPath: data.fieldName,
+        mainValue: inMain,
+        baselineValue: inBaseline,
+        category: DiffResult.categorize(inMain, inBaseline, !hasContentChanges(operations)),
+        details: operations.length > 0 ? { operations: this.compactOperations(operations) } : undefined
+      });
     }
     
-    // Generate report sections
-    const sortedPrimaryTypes = Array.from(groupedByPrimaryType.keys()).sort();
+    // Generate report sections (grouped by primaryType) from the diff records
+    const records = diff.getRecords({ section: 'attributeMappings' });
+    const sortedPrimaryTypes = Array.from(new Set(records.map(r => r.entity))).sort();
     
     for (const primaryType of sortedPrimaryTypes) {
       report.push(`## ${primaryType}`);
 
-      report.push(`| primaryType | fieldName | ${this.formatSchoolHeader(this.mainSchool, this.mainEnv)} | ${this.formatSchoolHeader(this.baselineSchool, this.baselineEnv)} |`);
-      report.push('|-------------|-----------|------------|----------------|');
+      report.push(`| primaryType | fieldName | ${this.formatSchoolHeader(this.mainSchool, this.mainEnv)} | ${this.formatSchoolHeader(this.baselineSchool, this.baselineEnv)} | Changes |`);
+      report.push('|-------------|-----------|------------|----------------|---------|');
       
-      const mappings = groupedByPrimaryType.get(primaryType);
-      mappings.sort((a, b) => a.fieldName.localeCompare(b.fieldName));
+      const mappings = records.filter(r => r.entity === primaryType);
+      mappings.sort((a, b) => a.fieldPath.localeCompare(b.fieldPath));
       
       for (const mapping of mappings) {
-        const mainStatus = mapping.mainSchool ? 'configured' : '-';
-        const baselineStatus = mapping.baseline ? 'configured' : '-';
+        const mainStatus = mapping.mainValue ? 'configured' : '-';
+        const baselineStatus = mapping.baselineValue ? 'configured' : '-';
         
-        report.push(`| ${mapping.primaryType} | ${mapping.fieldName} | ${mainStatus} | ${baselineStatus} |`);
+        report.push(`| ${mapping.entity} | ${mapping.fieldPath} | ${mainStatus} | ${baselineStatus} | ${this.formatOperationSummary(mapping.details?.operations)} |`);
       }
       
       report.push('\n');
+      report.push(...this.renderOperationDetails(mappings));
     }
     
     report.push('---\n');
@@ -3610,7 +4106,7 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
     const baselineIntegrationFilters = this.tempData['BaselineSchool_integrationFilters'];
     
     if (!mainIntegrationFilters || !baselineIntegrationFilters || mainIntegrationFilters.error || baselineIntegrationFilters.error) {
-      this.tempData['IntegrationFilters_Comparison_Report'] = this.generateErrorReport('Integration Filters', 'Integration filters data not available');
+      this.recordReportError('IntegrationFilters_Comparison_Report', 'Integration Filters', 'Integration filters data not available');
       return;
     }
 
@@ -3621,8 +4117,10 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
     report += `**Environment:** https://staging.coursedog.com\n\n`;
 
     // Use the improved comparison logic
-    report += this.compareIntegrationFilters(mainIntegrationFilters, baselineIntegrationFilters);
+    const diff = this.createDiffResult('IntegrationFilters_Comparison_Report', 'Integration Filters');
+    report += this.compareIntegrationFilters(mainIntegrationFilters, baselineIntegrationFilters, diff);
 
+    this.storeDiffResult(diff);
     this.tempData['IntegrationFilters_Comparison_Report'] = report;
   }
 
@@ -3691,79 +4189,113 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
     report.push('\n');
   }
 
+  /**
+   * Diff two values into display rows, matching array elements by identity (see identity-diff.js)
+   * so an inserted filter or template child is one row instead of a cascade of shifted "Different" rows
+   * @param {*} mainObj - Main school value
+   * @param {*} baselineObj - Baseline school value
+   * @param {string} [basePath=''] - Path prefix for the rows
+   * @returns {Array<Object>} Rows ({ path, mainValue, baselineValue, status, operation })
+   */
   deepDiff(mainObj, baselineObj, basePath = '') {
-    const differences = [];
-    
-    if (typeof mainObj !== typeof baselineObj) {
-      differences.push({
-        path: basePath || 'root',
-        mainValue: JSON.stringify(mainObj),
-        baselineValue: JSON.stringify(baselineObj),
-        status: '❌ Different'
-      });
-      return differences;
-    }
-    
-    if (mainObj === null || baselineObj === null) {
-      if (mainObj !== baselineObj) {
-        differences.push({
-          path: basePath || 'root',
-          mainValue: JSON.stringify(mainObj),
-          baselineValue: JSON.stringify(baselineObj),
-          status: mainObj === null ? '⚠️ Only in Baseline' : `⚠️ Only in ${this.mainSchool}`
-        });
-      }
-      return differences;
-    }
-    
-    if (typeof mainObj !== 'object') {
-      if (mainObj !== baselineObj) {
-        differences.push({
-          path: basePath || 'root',
-          mainValue: JSON.stringify(mainObj),
-          baselineValue: JSON.stringify(baselineObj),
-          status: '❌ Different'
-        });
-      } else {
-        differences.push({
-          path: basePath || 'root',
-          mainValue: JSON.stringify(mainObj),
-          baselineValue: JSON.stringify(baselineObj),
-          status: '✅ Match'
-        });
-      }
-      return differences;
-    }
-    
-    const allKeys = new Set([...Object.keys(mainObj || {}), ...Object.keys(baselineObj || {})]);
-    
-    for (const key of allKeys) {
-      const newPath = basePath ? `${basePath}.${key}` : key;
-      const mainValue = mainObj?.[key];
-      const baselineValue = baselineObj?.[key];
-      
-      if (mainValue === undefined && baselineValue !== undefined) {
-        differences.push({
-          path: newPath,
-          mainValue: 'N/A',
-          baselineValue: JSON.stringify(baselineValue).substring(0, 100),
-          status: '⚠️ Only in Baseline'
-        });
-      } else if (mainValue !== undefined && baselineValue === undefined) {
-        differences.push({
-          path: newPath,
-          mainValue: JSON.stringify(mainValue).substring(0, 100),
-          baselineValue: 'N/A',
-          status: `⚠️ Only in ${this.mainSchool}`
-        });
-      } else if (mainValue !== undefined && baselineValue !== undefined) {
-        differences.push(...this.deepDiff(mainValue, baselineValue, newPath));
-      }
-    }
-    
-    return differences;
+    const format = (value) => value === undefined ? 'N/A' : JSON.stringify(value).substring(0, 100);
+    const statuses = {
+      [DIFF_OPERATIONS.INSERT]: `⚠️ Only in ${this.mainSchool}`,
+      [DIFF_OPERATIONS.DELETE]: '⚠️ Only in Baseline',
+      [DIFF_OPERATIONS.MODIFY]: '❌ Different',
+      [DIFF_OPERATIONS.MOVE]: '↕️ Moved',
+      [DIFF_OPERATIONS.MATCH]: '✅ Match'
+    };
+
+    return identityDiff(mainObj, baselineObj, { path: basePath, includeMatches: true }).map(operation => ({
+      path: operation.op === DIFF_OPERATIONS.MOVE
+        ? `${operation.path} (position ${operation.baselineIndex + 1} → ${operation.mainIndex + 1})`
+        : operation.path,
+      mainValue: operation.op === DIFF_OPERATIONS.MOVE ? `#${operation.mainIndex + 1}` : format(operation.mainValue),
+      baselineValue: operation.op === DIFF_OPERATIONS.MOVE ? `#${operation.baselineIndex + 1}` : format(operation.baselineValue),
+      status: statuses[operation.op],
+      operation: operation.op
+    }));
   }
   
+  /**
+   * Structured changes between two differing object values (e.g. a question's actions), matched by identity
+   * @param {*} mainValue - Main school value
+   * @param {*} baselineValue - Baseline school value
+   * @param {string} path - Path used to pick identity rules
+   * @returns {Object|undefined} Record details ({ operations }), or undefined for scalar values
+   */
+  describeValueChanges(mainValue, baselineValue, path) {
+    const isObject = (value) => value !== null && typeof value === 'object';
+    if (!isObject(mainValue) && !isObject(baselineValue)) return undefined;
+    return { operations: this.compactOperations(identityDiff(mainValue, baselineValue, { path })) };
+  }
+
+  /**
+   * Reduce identity diff operations to what the diff record needs (values truncated for storage)
+   * @param {Array<Object>} operations - Output of identityDiff()
+   * @returns {Array<Object>} Operations ({ op, path, mainValue, baselineValue, mainIndex, baselineIndex })
+   */
+  compactOperations(operations) {
+    const compact = (value) => {
+      if (value === undefined) return null;
+      const json = JSON.stringify(value);
+      return json.length > 200 ? `${json.substring(0, 197)}...` : value;
+    };
+    return operations.map(({ op, path, mainValue, baselineValue, mainIndex, baselineIndex }) => ({
+      op,
+      path,
+      mainValue: compact(mainValue),
+      baselineValue: compact(baselineValue),
+      ...(mainIndex !== undefined ? { mainIndex } : {}),
+      ...(baselineIndex !== undefined ? { baselineIndex } : {})
+    }));
+  }
+
+  /**
+   * One-line operation counts for a table cell ('-' when nothing changed)
+   * @param {Array<Object>} [operations] - Operations from a diff record's details
+   * @returns {string} e.g. "1 modified, 1 moved"
+   */
+  formatOperationSummary(operations) {
+    if (!operations || operations.length === 0) return '-';
+    const counts = summarizeOperations(operations);
+    const labels = { insert: `only in ${this.mainSchool}`, delete: 'only in baseline', modify: 'modified', move: 'moved' };
+    return Object.entries(counts)
+      .filter(([, count]) => count > 0)
+      .map(([op, count]) => `${count} ${labels[op]}`)
+      .join(', ');
+  }
+
+  /**
+   * Markdown list of the operations behind each changed record
+   * @param {Array<Object>} records - Diff records (records without operations are skipped)
+   * @returns {Array<string>} Report lines (empty when no record has operations)
+   */
+  renderOperationDetails(records) {
+    const changed = records.filter(record => record.details?.operations?.length > 0);
+    if (changed.length === 0) return [];
+
+    const lines = ['**Changes:**\n'];
+    const format = (value) => value === null || value === undefined ? '-' : `\`${this.truncateCell(value)}\``;
+    changed.forEach(record => {
+      lines.push(`- **${record.fieldLabel || record.fieldPath}**`);
+      record.details.operations.forEach(operation => {
+        if (operation.op === DIFF_OPERATIONS.MOVE) {
+          lines.push(`  - ↕️ moved \`${operation.path}\` (position ${operation.baselineIndex + 1} in baseline, ${operation.mainIndex + 1} in ${this.mainSchool})`);
+        } else if (operation.op === DIFF_OPERATIONS.INSERT) {
+          lines.push(`  - ➕ \`${operation.path}\` only in ${this.mainSchool}: ${format(operation.mainValue)}`);
+        } else if (operation.op === DIFF_OPERATIONS.DELETE) {
+          lines.push(`  - ➖ \`${operation.path}\` only in baseline: ${format(operation.baselineValue)}`);
+        } else {
+          lines.push(`  - ✏️ \`${operation.path}\`: ${format(operation.mainValue)} (${this.mainSchool}) vs ${format(operation.baselineValue)} (${this.baselineSchool})`);
+        }
+      });
+    });
+    lines.push('\n');
+    return lines;
+  }
+
   renderDeepDiffTable(diffRows) {
     if (diffRows.length === 0) {
       return ['No differences found.\n'];
@@ -3786,7 +4318,7 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
     return report;
   }
 
-  compareIntegrationFilters(mainData, baselineData) {
+  compareIntegrationFilters(mainData, baselineData, diff = this.createDiffResult('IntegrationFilters_Comparison_Report', 'Integration Filters')) {
     const report = [];
 
     const classify = d => {
@@ -3817,6 +4349,8 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
         report.push(b.error); 
         report.push('```\n'); 
       }
+      if (m.type === 'api_error') diff.addError(`${this.mainSchool}: ${m.error}`);
+      if (b.type === 'api_error') diff.addError(`${this.baselineSchool}: ${b.error}`);
       report.push('**Status**: ❌ Cannot perform comparison due to API errors\n'); 
       report.push('\n---\n*Report generated by Report Generator*\n'); 
       return report.join('\n');
@@ -3825,90 +4359,81 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
     if (m.type === 'structured' || b.type === 'structured') {
       const entityFieldCombinations = new Map();
       
-      const extractFieldLabels = (data) => {
-        const combinations = new Map();
-        if (data?.integrationFilters) {
-          Object.keys(data.integrationFilters).forEach(entityType => {
-            const filters = data.integrationFilters[entityType] || [];
-            filters.forEach(filter => {
-              if (filter.filterValues && Array.isArray(filter.filterValues)) {
-                filter.filterValues.forEach(filterValue => {
-                  if (filterValue.key && filterValue.key.label) {
-                    // Extract both label and path
-                    const path = Array.isArray(filterValue.key.path) 
-                      ? filterValue.key.path.join('.') 
-                      : (filterValue.key.path || 'N/A');
-                    const key = `${entityType}|${filterValue.key.label}|${path}`;
-                    combinations.set(key, {
+      // Group each school's filters by entityType/label/path of the fields they filter on
+      const collectFilters = (data, side) => {
+        if (!data?.integrationFilters) return;
+        Object.keys(data.integrationFilters).forEach(entityType => {
+          const filters = data.integrationFilters[entityType] || [];
+          filters.forEach(filter => {
+            if (filter.filterValues && Array.isArray(filter.filterValues)) {
+              filter.filterValues.forEach(filterValue => {
+                if (filterValue.key && filterValue.key.label) {
+                  // Extract both label and path
+                  const path = Array.isArray(filterValue.key.path) 
+                    ? filterValue.key.path.join('.') 
+                    : (filterValue.key.path || 'N/A');
+                  const key = `${entityType}|${filterValue.key.label}|${path}`;
+                  if (!entityFieldCombinations.has(key)) {
+                    entityFieldCombinations.set(key, {
                       entityType,
                       fieldLabel: filterValue.key.label,
-                      fieldPath: path
+                      fieldPath: path,
+                      mainFilters: [],
+                      baselineFilters: []
                     });
                   }
-                });
-              }
-            });
+                  const filters = entityFieldCombinations.get(key)[side];
+                  if (!filters.includes(filter)) filters.push(filter);
+                }
+              });
+            }
           });
-        }
-        return combinations;
+        });
       };
 
-      const mainCombinations = extractFieldLabels(mainData);
-      const baselineCombinations = extractFieldLabels(baselineData);
-
-      for (const [key, data] of mainCombinations) {
-        if (!entityFieldCombinations.has(key)) {
-          entityFieldCombinations.set(key, {
-            entityType: data.entityType,
-            fieldLabel: data.fieldLabel,
-            fieldPath: data.fieldPath,
-            mainSchool: false,
-            baseline: false
-          });
-        }
-        entityFieldCombinations.get(key).mainSchool = true;
-      }
-
-      for (const [key, data] of baselineCombinations) {
-        if (!entityFieldCombinations.has(key)) {
-          entityFieldCombinations.set(key, {
-            entityType: data.entityType,
-            fieldLabel: data.fieldLabel,
-            fieldPath: data.fieldPath,
-            mainSchool: false,
-            baseline: false
-          });
-        }
-        entityFieldCombinations.get(key).baseline = true;
-      }
+      collectFilters(mainData, 'mainFilters');
+      collectFilters(baselineData, 'baselineFilters');
 
-      const groupedByEntity = new Map();
+      // Build one diff record per entityType/label/path combination; filters in both schools are
+      // compared element by element (matched by identity, see identity-diff.js)
       for (const [key, data] of entityFieldCombinations) {
-        const entityType = data.entityType;
-        if (!groupedByEntity.has(entityType)) {
-          groupedByEntity.set(entityType, []);
-        }
-        groupedByEntity.get(entityType).push(data);
+        const inMain = data.mainFilters.length > 0;
+        const inBaseline = data.baselineFilters.length > 0;
+        const operations = inMain && inBaseline
+          ? identityDiff(data.mainFilters, data.baselineFilters, { path: `integrationFilters.${data.entityType}` })
+          : [];
+        diff.add({
+          entity: data.entityType,
+          section: 'integrationFilters',
+          fieldPath: data.fieldPath,
+          fieldLabel: data.fieldLabel,
+          mainValue: inMain,
+          baselineValue: inBaseline,
+          category: DiffResult.categorize(inMain, inBaseline, !hasContentChanges(operations)),
+          details: operations.length > 0 ? { operations: this.compactOperations(operations) } : undefined
+        });
       }
 
-      const sortedEntityTypes = Array.from(groupedByEntity.keys()).sort();
+      const records = diff.getRecords({ section: 'integrationFilters' });
+      const sortedEntityTypes = Array.from(new Set(records.map(r => r.entity))).sort();
 
       for (const entityType of sortedEntityTypes) {
         report.push(`## ${entityType}\n`);
-        report.push(`| entityType | Label | Path | ${this.formatSchoolHeader(this.mainSchool, this.mainEnv)} | ${this.formatSchoolHeader(this.baselineSchool, this.baselineEnv)} |`);
-        report.push('|------------|-------|------|------------|----------------|');
+        report.push(`| entityType | Label | Path | ${this.formatSchoolHeader(this.mainSchool, this.mainEnv)} | ${this.formatSchoolHeader(this.baselineSchool, this.baselineEnv)} | Changes |`);
+        report.push('|------------|-------|------|------------|----------------|---------|');
         
-        const fields = groupedByEntity.get(entityType);
+        const fields = records.filter(r => r.entity === entityType);
         fields.sort((a, b) => a.fieldLabel.localeCompare(b.fieldLabel));
         
         for (const field of fields) {
-          const mainStatus = field.mainSchool ? 'configured' : '-';
-          const baselineStatus = field.baseline ? 'configured' : '-';
+          const mainStatus = field.mainValue ? 'configured' : '-';
+          const baselineStatus = field.baselineValue ? 'configured' : '-';
           
-          report.push(`| ${field.entityType} | ${field.fieldLabel} | ${field.fieldPath} | ${mainStatus} | ${baselineStatus} |`);
+          report.push(`| ${field.entity} | ${field.fieldLabel} | ${field.fieldPath} | ${mainStatus} | ${baselineStatus} | ${this.formatOperationSummary(field.details?.operations)} |`);
         }
         
         report.push('\n');
+        report.push(...this.renderOperationDetails(fields));
       }
 
       report.push('---\n*Report generated by Report Generator*\n');
@@ -3921,6 +4446,1008 @@ Snapshot Schools: ${snapshotSchools.join(', ')}`;
     return report.join('\n');
   }
 
+  /**
+   * ============================================================================
+   * FORMS & WORKFLOWS COMPARISON REPORT
+   * ============================================================================
+   * Compares approval workflows (matched by name, then id) and CM forms (formsv2?formType=cm)
+   * between main and baseline schools: workflow steps, approvers, conditions, linked forms and
+   * form question sets
+   */
+  generateFormsWorkflowsReport() {
+    const mainWorkflows = this.tempData['MainSchool_approvalWorkflows'];
+    const baselineWorkflows = this.tempData['BaselineSchool_approvalWorkflows'];
+    const mainForms = this.tempData['MainSchool_cmForms'];
+    const baselineForms = this.tempData['BaselineSchool_cmForms'];
+
+    if (!mainWorkflows || !baselineWorkflows || mainWorkflows.error || baselineWorkflows.error) {
+      this.recordReportError('FormsWorkflows_Comparison_Report', 'Forms & Workflows', 'Approval workflow data not available');
+      return;
+    }
+
+    let report = `# Forms & Workflows Comparison Report\n\n`;
+    report += `**Main School:** ${this.mainSchool}\n`;
+    report += `**Baseline School:** ${this.baselineSchool}\n`;
+    report += `**Generated:** ${new Date().toLocaleString()}\n`;
+    report += `**Environment:** https://staging.coursedog.com\n\n`;
+
+    const diff = this.createDiffResult('FormsWorkflows_Comparison_Report', 'Forms & Workflows');
+    try {
+      // Forms are optional: without them the report still compares workflows (no linked forms)
+      const formsAvailable = mainForms && baselineForms && !mainForms.error && !baselineForms.error;
+      const main = this.normalizeFormsAndWorkflows(mainWorkflows, formsAvailable ? mainForms : null);
+      const baseline = this.normalizeFormsAndWorkflows(baselineWorkflows, formsAvailable ? baselineForms : null);
+
+      report += this.compareApprovalWorkflows(main.workflows, baseline.workflows, diff);
+      if (formsAvailable) {
+        report += this.compareCmForms(main.forms, baseline.forms, diff);
+      } else {
+        report += `## CM Forms\n\n*Form data not available; linked forms and question sets were not compared.*\n\n`;
+      }
+    } catch (error) {
+      console.error('Error generating Forms & Workflows report:', error);
+      report += `*Error generating forms and workflows comparison: ${error.message}*\n\n`;
+      diff.addError(error.message);
+    }
+
+    this.storeDiffResult(diff);
+    this.tempData['FormsWorkflows_Comparison_Report'] = report;
+  }
+
+  /**
+   * Normalize one school's approvalWorkflows and formsv2 responses
+   * Workflows may come as an array, { approvalWorkflows: { <id>: workflow } } or { approvalWorkflows: [...] };
+   * forms as an array or { forms | data | results: [...] }.
+   * @param {Object|Array} workflowData - approvalWorkflows response
+   * @param {Object|Array|null} formData - formsv2 response (null when unavailable)
+   * @returns {Object} { workflows: Map<key, workflow>, forms: Map<key, form> }
+   */
+  normalizeFormsAndWorkflows(workflowData, formData) {
+    const toList = (value) => {
+      if (Array.isArray(value)) return value;
+      if (value && typeof value === 'object') {
+        return Object.entries(value)
+          .filter(([, item]) => item && typeof item === 'object')
+          .map(([id, item]) => ({ id, ...item }));
+      }
+      return [];
+    };
+    const displayName = (item, fallback) => String(item.name || item.title || item.label || item.id || item._id || fallback);
+    // Names identify workflows and forms across schools (IDs are school-specific); duplicates get a suffix
+    const keyed = (items, prefix) => {
+      const map = new Map();
+      items.forEach((item, index) => {
+        const name = displayName(item, `${prefix} ${index + 1}`);
+        const base = name.trim().toLowerCase();
+        let key = base;
+        for (let n = 2; map.has(key); n++) key = `${base} #${n}`;
+        map.set(key, { ...item, displayName: key === base ? name : `${name} ${key.slice(base.length + 1)}` });
+      });
+      return map;
+    };
+
+    const workflowSource = workflowData?.approvalWorkflows ?? workflowData?.workflows ?? workflowData?.data ?? workflowData;
+    const workflows = keyed(toList(workflowSource), 'Workflow');
+    const formSource = formData ? (Array.isArray(formData) ? formData : (formData.forms ?? formData.data ?? formData.results ?? [])) : [];
+    const forms = keyed(toList(formSource), 'Form');
+
+    // Resolve workflow references (ID or name) to workflow keys
+    const workflowKeyByRef = new Map();
+    workflows.forEach((workflow, key) => {
+      [workflow.id, workflow._id, workflow.name].filter(Boolean).forEach(ref => workflowKeyByRef.set(String(ref), key));
+    });
+    const formKeyByRef = new Map();
+    forms.forEach((form, key) => {
+      [form.id, form._id, form.name].filter(Boolean).forEach(ref => formKeyByRef.set(String(ref), key));
+    });
+
+    forms.forEach(form => {
+      const ref = form.workflowId ?? form.approvalWorkflowId ?? form.workflow ?? form.approvalWorkflow ?? null;
+      const refId = ref && typeof ref === 'object' ? (ref.id || ref._id || ref.name) : ref;
+      const workflowKey = refId ? workflowKeyByRef.get(String(refId)) : undefined;
+      form.workflowName = workflowKey ? workflows.get(workflowKey).displayName : (refId ? String(refId) : null);
+      form.questionIds = this.getFormQuestionIds(form);
+      form.questionLabels = this.getFormQuestionLabels(form);
+      if (workflowKey) {
+        const workflow = workflows.get(workflowKey);
+        (workflow.linkedFormNames = workflow.linkedFormNames || new Set()).add(form.displayName);
+      }
+    });
+
+    workflows.forEach(workflow => {
+      // Workflows may also list their forms
+      const listed = workflow.forms ?? workflow.formIds ?? [];
+      (Array.isArray(listed) ? listed : []).forEach(ref => {
+        const refId = ref && typeof ref === 'object' ? (ref.id || ref._id || ref.name) : ref;
+        const formKey = refId ? formKeyByRef.get(String(refId)) : undefined;
+        (workflow.linkedFormNames = workflow.linkedFormNames || new Set()).add(formKey ? forms.get(formKey).displayName : String(refId));
+      });
+      workflow.linkedForms = Array.from(workflow.linkedFormNames || []).sort();
+      workflow.normalizedSteps = this.getWorkflowSteps(workflow);
+      workflow.normalizedConditions = workflow.conditions ?? workflow.condition ?? workflow.rules ?? null;
+    });
+
+    return { workflows, forms };
+  }
+
+  /**
+   * Steps of an approval workflow keyed by step name (in workflow order)
+   * @param {Object} workflow - Workflow object
+   * @returns {Map<string, Object>} Steps ({ name, position, approvers, conditions })
+   */
+  getWorkflowSteps(workflow) {
+    let steps = workflow.steps ?? workflow.approvalSteps ?? workflow.stages ?? [];
+    if (!Array.isArray(steps)) {
+      steps = Object.entries(steps || {}).map(([id, step]) => ({ id, ...step }));
+    }
+    const approverName = (approver) => {
+      if (approver === null || typeof approver !== 'object') return String(approver);
+      return String(approver.email || approver.name || approver.roleName || approver.role || approver.id || approver._id || stableStringify(approver));
+    };
+
+    const map = new Map();
+    steps.forEach((step, index) => {
+      if (!step || typeof step !== 'object') return;
+      const name = String(step.name || step.title || step.label || `Step ${index + 1}`);
+      const base = name.trim().toLowerCase();
+      let key = base;
+      for (let n = 2; map.has(key); n++) key = `${base} #${n}`;
+      const approvers = step.approvers ?? step.approverIds ?? step.users ?? step.roles ?? step.approvalRoles ?? [];
+      map.set(key, {
+        name,
+        position: index + 1,
+        approvers: Array.from(new Set((Array.isArray(approvers) ? approvers : [approvers]).map(approverName))).sort(),
+        conditions: step.conditions ?? step.condition ?? step.rules ?? step.logic ?? null
+      });
+    });
+    return map;
+  }
+
+  /**
+   * Question IDs of a form (questions object or array, or the form template's questions)
+   * @param {Object} form - Form object
+   * @returns {Array<string>} Sorted question IDs
+   */
+  getFormQuestionIds(form) {
+    const questions = form.questions ?? form.template?.questions ?? form.fields ?? [];
+    const ids = Array.isArray(questions)
+      ? questions.map(question => (question && typeof question === 'object' ? (question.id || question.questionId || question.key) : question))
+      : Object.keys(questions || {});
+    return Array.from(new Set(ids.filter(Boolean).map(String))).sort();
+  }
+
+  /**
+   * Labels of a form's questions by question ID (questions without a label are left out)
+   * @param {Object} form - Form object
+   * @returns {Object} Label by question ID
+   */
+  getFormQuestionLabels(form) {
+    const questions = form.questions ?? form.template?.questions ?? form.fields ?? [];
+    const entries = Array.isArray(questions)
+      ? questions.map(question => (question && typeof question === 'object' ? [question.id || question.questionId || question.key, question] : [question, null]))
+      : Object.entries(questions || {});
+    const labels = {};
+    entries.forEach(([id, question]) => {
+      if (!id || !question || typeof question !== 'object') return;
+      const label = question.label ?? question.name ?? question.title ?? question.questionText ?? question.text;
+      if (label !== undefined && label !== null && String(label).trim()) labels[String(id)] = String(label).trim();
+    });
+    return labels;
+  }
+
+  /**
+   * Compare approval workflows and their steps
+   * @param {Map} mainWorkflows - Normalized main school workflows
+   * @param {Map} baselineWorkflows - Normalized baseline school workflows
+   * @param {DiffResult} diff - Diff result that receives the workflow and step records
+   * @returns {string} Markdown section
+   */
+  compareApprovalWorkflows(mainWorkflows, baselineWorkflows, diff) {
+    const keys = Array.from(new Set([...mainWorkflows.keys(), ...baselineWorkflows.keys()])).sort();
+
+    keys.forEach(key => {
+      const main = mainWorkflows.get(key);
+      const baseline = baselineWorkflows.get(key);
+      const name = (main || baseline).displayName;
+      diff.add({
+        entity: 'approvalWorkflows',
+        section: 'workflows',
+        fieldPath: name,
+        mainValue: !!main,
+        baselineValue: !!baseline,
+        category: DiffResult.categorize(!!main, !!baseline, true)
+      });
+      if (!main || !baseline) return;
+
+      [
+        ['conditions', main.normalizedConditions, baseline.normalizedConditions],
+        ['linkedForms', main.linkedForms, baseline.linkedForms]
+      ].forEach(([property, mainValue, baselineValue]) => {
+        const match = this.deepEqual(mainValue, baselineValue);
+        diff.add({
+          entity: 'approvalWorkflows',
+          section: 'workflows',
+          fieldPath: name,
+          property,
+          mainValue,
+          baselineValue,
+          category: DiffResult.categorize(true, true, match),
+          details: match ? undefined : this.describeValueChanges(mainValue, baselineValue, property)
+        });
+      });
+
+      // Steps are matched by name (identity-diff.js); an inserted step does not shift the steps after it,
+      // only steps that moved relative to the others have a different position
+      const stepList = (steps) => Array.from(steps.entries()).map(([stepKey, step]) => ({ stepKey, ...step }));
+      const mainSteps = stepList(main.normalizedSteps);
+      const baselineSteps = stepList(baseline.normalizedSteps);
+      const { pairs, deleted } = matchArrayElements(mainSteps, baselineSteps, ['stepKey']);
+      const pairByMainIndex = new Map(pairs.map(pair => [pair.mainIndex, pair]));
+      const stepPath = (step) => `${name} › ${step.name}`;
+      const addMissingStep = (mainStep, baselineStep) => diff.add({
+        entity: 'approvalWorkflows',
+        section: 'workflowSteps',
+        fieldPath: stepPath(mainStep || baselineStep),
+        mainValue: mainStep ? mainStep.position : null,
+        baselineValue: baselineStep ? baselineStep.position : null,
+        category: DiffResult.categorize(!!mainStep, !!baselineStep, true)
+      });
+
+      // Steps in main school order, then the steps only the baseline has
+      mainSteps.forEach((mainStep, mainIndex) => {
+        const pair = pairByMainIndex.get(mainIndex);
+        if (!pair) {
+          addMissingStep(mainStep, null);
+          return;
+        }
+        const baselineStep = baselineSteps[pair.baselineIndex];
+        diff.add({
+          entity: 'approvalWorkflows',
+          section: 'workflowSteps',
+          fieldPath: stepPath(mainStep),
+          property: 'position',
+          mainValue: mainStep.position,
+          baselineValue: baselineStep.position,
+          category: DiffResult.categorize(true, true, !pair.moved),
+          details: pair.moved ? { moved: true } : undefined
+        });
+        ['approvers', 'conditions'].forEach(property => {
+          const match = this.deepEqual(mainStep[property], baselineStep[property]);
+          diff.add({
+            entity: 'approvalWorkflows',
+            section: 'workflowSteps',
+            fieldPath: stepPath(mainStep),
+            property,
+            mainValue: mainStep[property],
+            baselineValue: baselineStep[property],
+            category: DiffResult.categorize(true, true, match),
+            details: match ? undefined : this.describeValueChanges(mainStep[property], baselineStep[property], property)
+          });
+        });
+      });
+      deleted.forEach(({ baselineIndex }) => addMissingStep(null, baselineSteps[baselineIndex]));
+    });
+
+    const workflowRecords = diff.getRecords({ section: 'workflows' });
+    const stepRecords = diff.getRecords({ section: 'workflowSteps' });
+    const differingProperties = (workflowName) => {
+      const labels = { conditions: 'conditions', linkedForms: 'linked forms' };
+      const properties = workflowRecords
+        .filter(r => r.fieldPath === workflowName && r.property && r.category !== DIFF_CATEGORIES.MATCH)
+        .map(r => labels[r.property]);
+      const stepDiffs = stepRecords.filter(r => r.fieldPath.startsWith(`${workflowName} › `) && r.category !== DIFF_CATEGORIES.MATCH);
+      if (stepDiffs.length > 0) properties.unshift(`${new Set(stepDiffs.map(r => r.fieldPath)).size} step(s)`);
+      return properties;
+    };
+
+    let out = `## Approval Workflows\n\n`;
+    if (keys.length === 0) {
+      return out + `No approval workflows found in either school.\n\n`;
+    }
+    out += `| Workflow | ${this.formatSchoolHeader(this.mainSchool, this.mainEnv)} | ${this.formatSchoolHeader(this.baselineSchool, this.baselineEnv)} | Differences |\n`;
+    out += `|----------|------|----------|-------------|\n`;
+    const existence = workflowRecords.filter(r => !r.property);
+    existence.forEach(record => {
+      const both = record.mainValue && record.baselineValue;
+      const differences = both ? (differingProperties(record.fieldPath).join(', ') || '✅ None') : '-';
+      out += `| ${record.fieldPath} | ${record.mainValue ? '✅' : '❌'} | ${record.baselineValue ? '✅' : '❌'} | ${differences} |\n`;
+    });
+    out += `\n`;
+
+    // Step-by-step detail for workflows in both schools that differ
+    const format = (value) => {
+      if (value === null || value === undefined) return '-';
+      if (Array.isArray(value)) return value.length > 0 ? value.map(v => this.truncateCell(v, 40)).join(', ') : '-';
+      return this.truncateCell(typeof value === 'string' ? value : JSON.stringify(value));
+    };
+    existence.filter(r => r.mainValue && r.baselineValue && differingProperties(r.fieldPath).length > 0).forEach(record => {
+      const workflowName = record.fieldPath;
+      out += `### ${workflowName}\n\n`;
+      const steps = stepRecords.filter(r => r.fieldPath.startsWith(`${workflowName} › `));
+      const stepPaths = Array.from(new Set(steps.map(r => r.fieldPath)));
+      if (stepPaths.length > 0) {
+        out += `| Step | Position | Approvers (${this.mainSchool}) | Approvers (${this.baselineSchool}) | Status |\n`;
+        out += `|------|----------|------------|----------------|--------|\n`;
+        stepPaths.forEach(stepPath => {
+          const stepName = stepPath.slice(workflowName.length + 3);
+          const rows = steps.filter(r => r.fieldPath === stepPath);
+          const missing = rows.find(r => !r.property);
+          if (missing) {
+            const onlyIn = missing.category === DIFF_CATEGORIES.MISSING_IN_BASELINE ? this.mainSchool : this.baselineSchool;
+            out += `| ${stepName} | ${missing.mainValue ?? '-'} / ${missing.baselineValue ?? '-'} | - | - | Only in ${onlyIn} |\n`;
+            return;
+          }
+          const get = (property) => rows.find(r => r.property === property);
+          const position = get('position');
+          const approvers = get('approvers');
+          const changed = rows.filter(r => r.category !== DIFF_CATEGORIES.MATCH).map(r => (r.property === 'position' ? 'moved' : r.property));
+          out += `| ${stepName} | ${position.mainValue} / ${position.baselineValue} | ${format(approvers.mainValue)} | ${format(approvers.baselineValue)} | ${changed.length > 0 ? `❌ ${changed.join(', ')}` : '✅'} |\n`;
+        });
+        out += `\n`;
+      }
+      const linkedForms = workflowRecords.find(r => r.fieldPath === workflowName && r.property === 'linkedForms');
+      if (linkedForms && linkedForms.category !== DIFF_CATEGORIES.MATCH) {
+        out += `**Linked forms:** ${format(linkedForms.mainValue)} (${this.mainSchool}) vs ${format(linkedForms.baselineValue)} (${this.baselineSchool})\n\n`;
+      }
+      const changedRecords = [
+        ...workflowRecords.filter(r => r.fieldPath === workflowName && r.property === 'conditions'),
+        ...steps.filter(r => r.property === 'approvers' || r.property === 'conditions')
+      ].map(r => ({ ...r, fieldLabel: r.property === 'conditions' && r.section === 'workflows' ? `${workflowName} (conditions)` : `${r.fieldPath} (${r.property})` }));
+      out += this.renderOperationDetails(changedRecords).join('\n');
+    });
+
+    return out;
+  }
+
+  /**
+   * Compare CM forms: presence, question set, question labels and linked workflow
+   * @param {Map} mainForms - Normalized main school forms
+   * @param {Map} baselineForms - Normalized baseline school forms
+   * @param {DiffResult} diff - Diff result that receives the form records
+   * @returns {string} Markdown section
+   */
+  compareCmForms(mainForms, baselineForms, diff) {
+    const keys = Array.from(new Set([...mainForms.keys(), ...baselineForms.keys()])).sort();
+
+    keys.forEach(key => {
+      const main = mainForms.get(key);
+      const baseline = baselineForms.get(key);
+      const name = (main || baseline).displayName;
+      diff.add({
+        entity: 'cmForms',
+        section: 'forms',
+        fieldPath: name,
+        mainValue: !!main,
+        baselineValue: !!baseline,
+        category: DiffResult.categorize(!!main, !!baseline, true)
+      });
+      if (!main || !baseline) return;
+
+      const onlyInMain = main.questionIds.filter(id => !baseline.questionIds.includes(id));
+      const onlyInBaseline = baseline.questionIds.filter(id => !main.questionIds.includes(id));
+      diff.add({
+        entity: 'cmForms',
+        section: 'forms',
+        fieldPath: name,
+        property: 'questions',
+        mainValue: main.questionIds,
+        baselineValue: baseline.questionIds,
+        category: DiffResult.categorize(true, true, onlyInMain.length === 0 && onlyInBaseline.length === 0),
+        details: { onlyInMain, onlyInBaseline }
+      });
+      diff.add({
+        entity: 'cmForms',
+        section: 'forms',
+        fieldPath: name,
+        property: 'workflow',
+        mainValue: main.workflowName,
+        baselineValue: baseline.workflowName,
+        category: DiffResult.categorize(true, true, (main.workflowName || '').toLowerCase() === (baseline.workflowName || '').toLowerCase())
+      });
+
+      // Questions in both forms: same question, different label (e.g. "Title" vs "Course Title")
+      main.questionIds.filter(id => baseline.questionIds.includes(id)).forEach(id => {
+        const mainLabel = main.questionLabels[id] ?? null;
+        const baselineLabel = baseline.questionLabels[id] ?? null;
+        if (mainLabel === null && baselineLabel === null) return;
+        diff.add({
+          entity: 'cmForms',
+          section: 'forms',
+          fieldPath: `${name} › ${id}`,
+          property: 'label',
+          mainValue: mainLabel,
+          baselineValue: baselineLabel,
+          category: DiffResult.categorize(true, true, mainLabel === baselineLabel)
+        });
+      });
+    });
+
+    let out = `## CM Forms\n\n`;
+    if (keys.length === 0) {
+      return out + `No CM forms found in either school.\n\n`;
+    }
+    const records = diff.getRecords({ section: 'forms' });
+    const labelRecords = records.filter(r => r.property === 'label' && r.category !== DIFF_CATEGORIES.MATCH);
+    out += `| Form | ${this.formatSchoolHeader(this.mainSchool, this.mainEnv)} | ${this.formatSchoolHeader(this.baselineSchool, this.baselineEnv)} | Questions | Workflow | Match |\n`;
+    out += `|------|------|----------|-----------|----------|-------|\n`;
+    records.filter(r => !r.property).forEach(record => {
+      const questions = records.find(r => r.fieldPath === record.fieldPath && r.property === 'questions');
+      const workflow = records.find(r => r.fieldPath === record.fieldPath && r.property === 'workflow');
+      if (!questions) {
+        out += `| ${record.fieldPath} | ${record.mainValue ? '✅' : '❌'} | ${record.baselineValue ? '✅' : '❌'} | - | - | ❌ |\n`;
+        return;
+      }
+      const labelDiffs = labelRecords.filter(r => r.fieldPath.startsWith(`${record.fieldPath} › `));
+      const match = questions.category === DIFF_CATEGORIES.MATCH && workflow.category === DIFF_CATEGORIES.MATCH && labelDiffs.length === 0;
+      out += `| ${record.fieldPath} | ✅ | ✅ | ${questions.mainValue.length} / ${questions.baselineValue.length} | ${workflow.mainValue || '-'} / ${workflow.baselineValue || '-'} | ${match ? '✅' : '❌'} |\n`;
+    });
+    out += `\n`;
+
+    const questionDiffs = records.filter(r => r.property === 'questions' && r.category !== DIFF_CATEGORIES.MATCH);
+    if (questionDiffs.length > 0) {
+      out += `### Question Set Differences\n\n`;
+      const list = (ids) => ids.length > 0 ? ids.map(id => `\`${id}\``).join(', ') : '-';
+      questionDiffs.forEach(record => {
+        out += `- **${record.fieldPath}**\n`;
+        out += `  - ➕ Only in ${this.mainSchool}: ${list(record.details.onlyInMain)}\n`;
+        out += `  - ➖ Only in ${this.baselineSchool}: ${list(record.details.onlyInBaseline)}\n`;
+      });
+      out += `\n`;
+    }
+
+    if (labelRecords.length > 0) {
+      out += `### Question Label Differences\n\n`;
+      out += `| Form | Question | ${this.mainSchool} | ${this.baselineSchool} |\n`;
+      out += `|------|----------|------|----------|\n`;
+      labelRecords.forEach(record => {
+        const separator = record.fieldPath.lastIndexOf(' › ');
+        const label = (value) => (value === null ? '-' : this.truncateCell(value).replace(/\|/g, '\\|'));
+        out += `| ${record.fieldPath.slice(0, separator)} | \`${record.fieldPath.slice(separator + 3)}\` | ${label(record.mainValue)} | ${label(record.baselineValue)} |\n`;
+      });
+      out += `\n`;
+    }
+
+    return out;
+  }
+
+  /**
+   * ============================================================================
+   * NOTIFICATION SETTINGS COMPARISON REPORT
+   * ============================================================================
+   * Compares notifications_settings per module (tempData <prefix>_notificationSettings_<code>):
+   * which triggers are enabled, recipients, templates/subjects and bodies (line diff)
+   */
+  generateNotificationSettingsReport() {
+    const modules = CoursedogReportGenerator.NOTIFICATION_MODULES;
+    const compared = modules.filter(module => this.isNotificationModuleEnabled(module));
+    const skipped = modules.filter(module => !this.isNotificationModuleEnabled(module));
+
+    const diff = this.createDiffResult('NotificationSettings_Comparison_Report', 'Notification Settings');
+
+    let report = `# Notification Settings Comparison Report\n\n`;
+    report += `**Main School:** ${this.mainSchool}\n`;
+    report += `**Baseline School:** ${this.baselineSchool}\n`;
+    report += `**Generated:** ${new Date().toLocaleString()}\n`;
+    report += `**Environment:** https://staging.coursedog.com\n`;
+    report += `**Modules Compared:** ${compared.map(module => `${module.name} (${module.code})`).join(', ') || 'none'}\n`;
+    if (skipped.length > 0) {
+      report += `**Modules Skipped:** ${skipped.map(module => `${module.name} (${module.code})`).join(', ')} (turned off in report options)\n`;
+    }
+    report += `\n`;
+
+    compared.forEach(module => {
+      report += `## ${module.name} Notifications (${module.code})\n\n`;
+      const mainSettings = this.tempData[`MainSchool_notificationSettings_${module.code}`];
+      const baselineSettings = this.tempData[`BaselineSchool_notificationSettings_${module.code}`];
+
+      if (!mainSettings || !baselineSettings || mainSettings.error || baselineSettings.error) {
+        const reason = mainSettings?.error || baselineSettings?.error || 'data not available';
+        report += `*${module.name} notification settings could not be compared: ${reason}*\n\n`;
+        return;
+      }
+
+      try {
+        report += this.compareNotificationSettings(module, mainSettings, baselineSettings, diff);
+      } catch (error) {
+        console.error(`Error comparing ${module.name} notification settings:`, error);
+        report += `*Error comparing ${module.name} notification settings: ${error.message}*\n\n`;
+        diff.addError(`${module.code}: ${error.message}`);
+      }
+    });
+
+    this.storeDiffResult(diff);
+    this.tempData['NotificationSettings_Comparison_Report'] = report;
+  }
+
+  /**
+   * Whether a notification module is covered by the curriculum/scheduling report options
+   * @param {Object} module - Entry of CoursedogReportGenerator.NOTIFICATION_MODULES
+   * @returns {boolean} True when the module should be compared
+   */
+  isNotificationModuleEnabled(module) {
+    if (module.toggle === 'curriculum') return this.curriculumEnabled;
+    if (module.toggle === 'scheduling') return this.schedulingEnabled;
+    return true;
+  }
+
+  /**
+   * Normalize a notifications_settings response into triggers keyed by trigger ID
+   * Triggers may be an array or an object keyed by trigger ID, at the top level or under `notifications`.
+   * A trigger is keyed by its id (or key, or object key); `type` is only a fallback, since several
+   * triggers can share a type. Triggers that repeat a key are kept under `<key> #<n>` and reported.
+   * @param {Object|Array} data - notifications_settings response
+   * @returns {Object} { enabled: boolean|null, triggers: Map<key, { label, enabled, recipients, template, subject, body }>, duplicates: Array<string> }
+   */
+  normalizeNotificationSettings(data) {
+    const source = Array.isArray(data) ? data : (data.notifications ?? data);
+    const items = Array.isArray(source)
+      ? source.map(item => [null, item])
+      : Object.entries(source || {});
+    const toName = (value) => {
+      if (value === null || typeof value !== 'object') return String(value);
+      return String(value.email || value.name || value.id || stableStringify(value));
+    };
+    const list = (value) => (value === undefined || value === null ? [] : (Array.isArray(value) ? value : [value]));
+
+    const triggers = new Map();
+    const duplicates = [];
+    items.forEach(([objectKey, item], index) => {
+      if (!item || typeof item !== 'object' || Array.isArray(item)) return;
+      let key = String(item.id || item.key || objectKey || item.type || index + 1);
+      if (triggers.has(key)) {
+        let n = 2;
+        while (triggers.has(`${key} #${n}`)) n++;
+        duplicates.push(key);
+        key = `${key} #${n}`;
+      }
+      const template = item.template && typeof item.template === 'object' ? item.template : {};
+      const recipients = [
+        ...list(item.recipients).map(toName),
+        ...list(item.cc).map(value => `cc: ${toName(value)}`),
+        ...list(item.bcc).map(value => `bcc: ${toName(value)}`)
+      ];
+      triggers.set(key, {
+        label: String(item.name || key),
+        enabled: item.enabled ?? null,
+        recipients: Array.from(new Set(recipients)).sort(),
+        template: template.name ?? template.id ?? (typeof item.template === 'string' ? item.template : null),
+        subject: item.subject ?? template.subject ?? null,
+        body: item.body ?? template.body ?? null
+      });
+    });
+
+    const enabled = !Array.isArray(data) && typeof data.enabled === 'boolean' ? data.enabled : null;
+    return { enabled, triggers, duplicates: Array.from(new Set(duplicates)) };
+  }
+
+  /**
+   * Compare one module's notification settings
+   * @param {Object} module - Entry of CoursedogReportGenerator.NOTIFICATION_MODULES
+   * @param {Object|Array} mainData - Main school notifications_settings response
+   * @param {Object|Array} baselineData - Baseline school notifications_settings response
+   * @param {DiffResult} diff - Diff result that receives the notification records
+   * @returns {string} Markdown section
+   */
+  compareNotificationSettings(module, mainData, baselineData, diff) {
+    const main = this.normalizeNotificationSettings(mainData);
+    const baseline = this.normalizeNotificationSettings(baselineData);
+    const record = (fields) => diff.add({ entity: module.code, section: 'notifications', ...fields });
+
+    let out = '';
+    if (main.enabled !== null || baseline.enabled !== null) {
+      record({
+        fieldPath: '(module)',
+        fieldLabel: `${module.name} notifications`,
+        property: 'enabled',
+        mainValue: main.enabled,
+        baselineValue: baseline.enabled,
+        category: DiffResult.categorize(true, true, main.enabled === baseline.enabled)
+      });
+      out += `**Notifications enabled:** ${this.formatNotificationFlag(main.enabled)} (${this.mainSchool}) / ${this.formatNotificationFlag(baseline.enabled)} (${this.baselineSchool})\n\n`;
+    }
+
+    [[this.mainSchool, main], [this.baselineSchool, baseline]].forEach(([school, settings]) => {
+      if (settings.duplicates.length > 0) {
+        out += `> ⚠️ ${school} has several triggers with the same ID: ${settings.duplicates.map(key => `\`${key}\``).join(', ')}. They are listed as \`<id> #2\`, \`<id> #3\`, ... in response order.\n\n`;
+      }
+    });
+
+    const keys = Array.from(new Set([...main.triggers.keys(), ...baseline.triggers.keys()])).sort();
+    if (keys.length === 0) {
+      return out + `No notification triggers found in either school.\n\n`;
+    }
+
+    const properties = ['enabled', 'recipients', 'template', 'subject', 'body'];
+    keys.forEach(key => {
+      const mainTrigger = main.triggers.get(key);
+      const baselineTrigger = baseline.triggers.get(key);
+      const fieldLabel = (mainTrigger || baselineTrigger).label;
+      if (!mainTrigger || !baselineTrigger) {
+        record({
+          fieldPath: key,
+          fieldLabel,
+          mainValue: mainTrigger ? mainTrigger.enabled : null,
+          baselineValue: baselineTrigger ? baselineTrigger.enabled : null,
+          category: DiffResult.categorize(!!mainTrigger, !!baselineTrigger, true)
+        });
+        return;
+      }
+      properties.forEach(property => {
+        const match = this.deepEqual(mainTrigger[property], baselineTrigger[property]);
+        record({
+          fieldPath: key,
+          fieldLabel,
+          property,
+          mainValue: mainTrigger[property],
+          baselineValue: baselineTrigger[property],
+          category: DiffResult.categorize(true, true, match)
+        });
+      });
+    });
+
+    const records = diff.getRecords({ section: 'notifications', entity: module.code }).filter(r => r.fieldPath !== '(module)');
+    const get = (key, property) => records.find(r => r.fieldPath === key && r.property === property);
+    const status = (key, property) => {
+      const row = get(key, property);
+      return row ? (row.category === DIFF_CATEGORIES.MATCH ? '✅' : '❌') : '-';
+    };
+
+    out += `| Trigger | ${this.formatSchoolHeader(this.mainSchool, this.mainEnv)} | ${this.formatSchoolHeader(this.baselineSchool, this.baselineEnv)} | Recipients | Template | Subject | Body |\n`;
+    out += `|---------|------|----------|------------|----------|---------|------|\n`;
+    keys.forEach(key => {
+      const existence = records.find(r => r.fieldPath === key && !r.property);
+      const label = records.find(r => r.fieldPath === key).fieldLabel;
+      const name = label === key ? key : `${label} (\`${key}\`)`;
+      if (existence) {
+        const inMain = existence.category !== DIFF_CATEGORIES.MISSING_IN_MAIN;
+        out += `| ${name} | ${inMain ? this.formatNotificationFlag(existence.mainValue) : 'Not configured'} | ${inMain ? 'Not configured' : this.formatNotificationFlag(existence.baselineValue)} | - | - | - | - |\n`;
+        return;
+      }
+      const enabled = get(key, 'enabled');
+      out += `| ${name} | ${this.formatNotificationFlag(enabled.mainValue)} | ${this.formatNotificationFlag(enabled.baselineValue)} | ${status(key, 'recipients')} | ${status(key, 'template')} | ${status(key, 'subject')} | ${status(key, 'body')} |\n`;
+    });
+    out += `\n`;
+
+    // Recipient, template and subject differences
+    const changed = records.filter(r => ['recipients', 'template', 'subject'].includes(r.property) && r.category !== DIFF_CATEGORIES.MATCH);
+    if (changed.length > 0) {
+      out += `### Recipient & Template Differences\n\n`;
+      changed.forEach(row => {
+        if (row.property === 'recipients') {
+          const onlyInMain = row.mainValue.filter(value => !row.baselineValue.includes(value));
+          const onlyInBaseline = row.baselineValue.filter(value => !row.mainValue.includes(value));
+          const format = (values) => values.length > 0 ? values.map(value => `\`${value}\``).join(', ') : '-';
+          out += `- **${row.fieldLabel}** recipients: ➕ only in ${this.mainSchool}: ${format(onlyInMain)}; ➖ only in ${this.baselineSchool}: ${format(onlyInBaseline)}\n`;
+        } else {
+          out += `- **${row.fieldLabel}** ${row.property}: \`${this.truncateCell(row.mainValue ?? '-')}\` (${this.mainSchool}) vs \`${this.truncateCell(row.baselineValue ?? '-')}\` (${this.baselineSchool})\n`;
+        }
+      });
+      out += `\n`;
+    }
+
+    // Bodies diffed line by line (- baseline, + main)
+    const bodies = records.filter(r => r.property === 'body' && r.category !== DIFF_CATEGORIES.MATCH);
+    if (bodies.length > 0) {
+      out += `### Body Differences\n\n`;
+      out += `*Lines starting with \`-\` are in ${this.baselineSchool}, lines starting with \`+\` are in ${this.mainSchool}.*\n\n`;
+      bodies.forEach(row => {
+        out += `#### ${row.fieldLabel}\n\n`;
+        out += '```diff\n';
+        out += this.diffNotificationBodies(row.baselineValue, row.mainValue);
+        out += '```\n\n';
+      });
+    }
+
+    return out;
+  }
+
+  /**
+   * Line diff of two notification bodies (HTML line breaks start new lines)
+   * @param {string|null} baselineBody - Baseline body
+   * @param {string|null} mainBody - Main body
+   * @returns {string} Unified diff hunks
+   */
+  diffNotificationBodies(baselineBody, mainBody) {
+    const toLines = (body) => (body === null || body === undefined ? [] : String(typeof body === 'string' ? body : JSON.stringify(body, null, 2))
+      .replace(/(<br\s*\/?>|<\/p>)/gi, '$1\n')
+      .replace(/\n$/, '')
+      .split(/\r?\n/));
+    const before = toLines(baselineBody);
+    const after = toLines(mainBody);
+    if (typeof MergeSettingsPatchBuilder === 'undefined') {
+      return [...before.map(line => `-${line}`), ...after.map(line => `+${line}`)].join('\n') + '\n';
+    }
+    return MergeSettingsPatchBuilder.diffLines(before, after);
+  }
+
+  formatNotificationFlag(value) {
+    if (value === null || value === undefined) return '-';
+    return value ? '✅ On' : '❌ Off';
+  }
+
+  /**
+   * ============================================================================
+   * INTEGRATION RULES & SCHEDULE COMPARISON REPORT
+   * ============================================================================
+   * Compares the integration schedule (cadence and window per entity) and integration rules
+   * (matched by id, then name) between main and baseline schools
+   */
+  generateRulesScheduleReport() {
+    const mainSchedule = this.tempData['MainSchool_integrationSchedule'];
+    const baselineSchedule = this.tempData['BaselineSchool_integrationSchedule'];
+    const mainRules = this.tempData['MainSchool_rules'];
+    const baselineRules = this.tempData['BaselineSchool_rules'];
+    const available = (main, baseline) => main && baseline && !main.error && !baseline.error;
+
+    if (!available(mainSchedule, baselineSchedule) && !available(mainRules, baselineRules)) {
+      this.recordReportError('IntegrationRulesSchedule_Comparison_Report', 'Integration Rules & Schedule', 'Integration schedule and rules data not available');
+      return;
+    }
+
+    let report = `# Integration Rules & Schedule Comparison Report\n\n`;
+    report += `**Main School:** ${this.mainSchool}\n`;
+    report += `**Baseline School:** ${this.baselineSchool}\n`;
+    report += `**Generated:** ${new Date().toLocaleString()}\n`;
+    report += `**Environment:** https://staging.coursedog.com\n\n`;
+
+    const diff = this.createDiffResult('IntegrationRulesSchedule_Comparison_Report', 'Integration Rules & Schedule');
+    try {
+      report += `## Integration Schedule\n\n`;
+      report += available(mainSchedule, baselineSchedule)
+        ? this.compareIntegrationSchedules(mainSchedule, baselineSchedule, diff)
+        : `*Integration schedule could not be compared: ${mainSchedule?.error || baselineSchedule?.error || 'data not available'}*\n\n`;
+
+      report += `## Integration Rules\n\n`;
+      report += available(mainRules, baselineRules)
+        ? this.compareIntegrationRules(mainRules, baselineRules, diff)
+        : `*Rules could not be compared: ${mainRules?.error || baselineRules?.error || 'data not available'}*\n\n`;
+    } catch (error) {
+      console.error('Error generating Integration Rules & Schedule report:', error);
+      report += `*Error generating rules and schedule comparison: ${error.message}*\n\n`;
+      diff.addError(error.message);
+    }
+
+    this.storeDiffResult(diff);
+    this.tempData['IntegrationRulesSchedule_Comparison_Report'] = report;
+  }
+
+  /**
+   * Normalize an integrationSchedule response into schedules keyed by entity
+   * Accepts one school-wide schedule ({ enabled, cron }), schedules keyed by entity
+   * ({ courses: { cron, window } }) or a list ([{ entity, cron }]), optionally under schedule/schedules.
+   * @param {Object|Array} data - integrationSchedule response
+   * @returns {Map<string, Object>} Entity ('(all entities)' for a school-wide schedule) → { enabled, cadence, window, timezone, days, settings }
+   */
+  normalizeIntegrationSchedule(data) {
+    const source = Array.isArray(data) ? data : (data.schedules ?? data.schedule ?? data.entities ?? data);
+    const scheduleKeys = ['enabled', 'active', 'cron', 'frequency', 'interval', 'every', 'cadence', 'time', 'startTime', 'endTime', 'window', 'timezone', 'days', 'daysOfWeek'];
+    const isSchedule = (value) => value && typeof value === 'object' && !Array.isArray(value) && scheduleKeys.some(key => key in value);
+
+    let entries;
+    if (Array.isArray(source)) {
+      entries = source
+        .filter(item => item && typeof item === 'object')
+        .map((item, index) => [String(item.entity || item.entityType || item.type || item.name || item.id || `schedule ${index + 1}`), item]);
+    } else if (isSchedule(source)) {
+      entries = [['(all entities)', source]];
+    } else {
+      entries = Object.entries(source || {}).filter(([, value]) => isSchedule(value));
+    }
+
+    const schedules = new Map();
+    entries.forEach(([entity, schedule]) => {
+      const window = schedule.window ?? ((schedule.startTime ?? schedule.windowStart ?? schedule.endTime ?? schedule.windowEnd) !== undefined
+        ? { start: schedule.startTime ?? schedule.windowStart ?? null, end: schedule.endTime ?? schedule.windowEnd ?? null }
+        : null);
+      const known = new Set([...scheduleKeys, 'windowStart', 'windowEnd', 'entity', 'entityType', 'type', 'name', 'id', '_id', 'createdAt', 'updatedAt', 'lastEditedAt', 'lastEditedBy']);
+      const settings = Object.fromEntries(Object.entries(schedule).filter(([key]) => !known.has(key)));
+      schedules.set(entity, {
+        enabled: schedule.enabled ?? schedule.active ?? null,
+        cadence: schedule.cron ?? schedule.frequency ?? schedule.interval ?? schedule.every ?? schedule.cadence ?? schedule.time ?? null,
+        window,
+        timezone: schedule.timezone ?? null,
+        days: schedule.daysOfWeek ?? schedule.days ?? null,
+        settings: Object.keys(settings).length > 0 ? settings : null
+      });
+    });
+    return schedules;
+  }
+
+  /**
+   * Compare integration schedules per entity
+   * @param {Object|Array} mainData - Main school integrationSchedule response
+   * @param {Object|Array} baselineData - Baseline school integrationSchedule response
+   * @param {DiffResult} diff - Diff result that receives the schedule records
+   * @returns {string} Markdown section
+   */
+  compareIntegrationSchedules(mainData, baselineData, diff) {
+    const main = this.normalizeIntegrationSchedule(mainData);
+    const baseline = this.normalizeIntegrationSchedule(baselineData);
+    const entities = Array.from(new Set([...main.keys(), ...baseline.keys()])).sort();
+    const properties = ['enabled', 'cadence', 'window', 'timezone', 'days', 'settings'];
+
+    entities.forEach(entity => {
+      const mainSchedule = main.get(entity);
+      const baselineSchedule = baseline.get(entity);
+      if (!mainSchedule || !baselineSchedule) {
+        diff.add({
+          entity,
+          section: 'integrationSchedule',
+          fieldPath: entity,
+          mainValue: mainSchedule ? mainSchedule.cadence : null,
+          baselineValue: baselineSchedule ? baselineSchedule.cadence : null,
+          category: DiffResult.categorize(!!mainSchedule, !!baselineSchedule, true)
+        });
+        return;
+      }
+      properties.forEach(property => {
+        const match = this.deepEqual(mainSchedule[property], baselineSchedule[property]);
+        diff.add({
+          entity,
+          section: 'integrationSchedule',
+          fieldPath: entity,
+          property,
+          mainValue: mainSchedule[property],
+          baselineValue: baselineSchedule[property],
+          category: DiffResult.categorize(true, true, match),
+          details: match ? undefined : this.describeValueChanges(mainSchedule[property], baselineSchedule[property], property)
+        });
+      });
+    });
+
+    if (entities.length === 0) {
+      return `No integration schedule configured in either school.\n\n`;
+    }
+
+    const records = diff.getRecords({ section: 'integrationSchedule' });
+    const format = (value) => {
+      if (value === null || value === undefined) return '-';
+      if (typeof value === 'boolean') return value ? '✅' : '❌';
+      if (value && typeof value === 'object' && ('start' in value || 'end' in value)) return `${value.start ?? '?'}–${value.end ?? '?'}`;
+      return this.truncateCell(typeof value === 'string' ? value : JSON.stringify(value), 40);
+    };
+    let out = `| Entity | Enabled | Cadence (${this.mainSchool}) | Cadence (${this.baselineSchool}) | Window (${this.mainSchool}) | Window (${this.baselineSchool}) | Match |\n`;
+    out += `|--------|---------|------------|----------------|------------|----------------|-------|\n`;
+    entities.forEach(entity => {
+      const rows = records.filter(r => r.fieldPath === entity);
+      const existence = rows.find(r => !r.property);
+      if (existence) {
+        const onlyIn = existence.category === DIFF_CATEGORIES.MISSING_IN_BASELINE ? this.mainSchool : this.baselineSchool;
+        out += `| ${entity} | - | ${format(existence.mainValue)} | ${format(existence.baselineValue)} | - | - | ❌ Only in ${onlyIn} |\n`;
+        return;
+      }
+      const get = (property) => rows.find(r => r.property === property);
+      const changed = rows.filter(r => r.category !== DIFF_CATEGORIES.MATCH).map(r => r.property);
+      out += `| ${entity} | ${format(get('enabled').mainValue)} / ${format(get('enabled').baselineValue)} | ${format(get('cadence').mainValue)} | ${format(get('cadence').baselineValue)} | ${format(get('window').mainValue)} | ${format(get('window').baselineValue)} | ${changed.length > 0 ? `❌ ${changed.join(', ')}` : '✅'} |\n`;
+    });
+    out += `\n`;
+
+    const detailed = records
+      .filter(r => ['timezone', 'days', 'settings'].includes(r.property) && r.category !== DIFF_CATEGORIES.MATCH)
+      .map(r => ({ ...r, fieldLabel: `${r.fieldPath} (${r.property})`, details: r.details?.operations ? r.details : { operations: [{ op: DIFF_OPERATIONS.MODIFY, path: r.property, mainValue: r.mainValue, baselineValue: r.baselineValue }] } }));
+    out += this.renderOperationDetails(detailed).join('\n');
+    return out;
+  }
+
+  /**
+   * Compare integration rules: paired by id when both schools share it (cloned schools), then by name
+   * @param {Object|Array} mainData - Main school rules response
+   * @param {Object|Array} baselineData - Baseline school rules response
+   * @param {DiffResult} diff - Diff result that receives the rule records
+   * @returns {string} Markdown section
+   */
+  compareIntegrationRules(mainData, baselineData, diff) {
+    const toList = (data) => {
+      const source = Array.isArray(data) ? data : (data.rules ?? data.data ?? data);
+      if (Array.isArray(source)) return source.filter(rule => rule && typeof rule === 'object');
+      return Object.entries(source || {})
+        .filter(([, rule]) => rule && typeof rule === 'object')
+        .map(([id, rule]) => ({ id, ...rule }));
+    };
+    const ruleId = (rule) => rule.id ?? rule._id ?? null;
+    const ruleName = (rule) => String(rule.name || rule.label || rule.title || ruleId(rule) || '').trim().toLowerCase();
+    const mainList = toList(mainData);
+    const baselineList = toList(baselineData);
+
+    const pairs = [];
+    const unmatchedBaseline = new Set(baselineList);
+    const unmatchedMain = [];
+    const baselineById = new Map(baselineList.filter(ruleId).map(rule => [String(ruleId(rule)), rule]));
+    mainList.forEach(rule => {
+      const match = ruleId(rule) !== null ? baselineById.get(String(ruleId(rule))) : undefined;
+      if (match && unmatchedBaseline.has(match)) {
+        pairs.push([rule, match]);
+        unmatchedBaseline.delete(match);
+      } else {
+        unmatchedMain.push(rule);
+      }
+    });
+    unmatchedMain.forEach(rule => {
+      const match = Array.from(unmatchedBaseline).find(candidate => ruleName(candidate) === ruleName(rule));
+      if (match) unmatchedBaseline.delete(match);
+      pairs.push([rule, match || null]);
+    });
+    unmatchedBaseline.forEach(rule => pairs.push([null, rule]));
+
+    const normalize = (rule) => {
+      const known = new Set(['id', '_id', 'name', 'label', 'title', 'enabled', 'active', 'conditions', 'condition', 'criteria', 'actions', 'action', 'entity', 'entityType', 'createdAt', 'createdBy', 'updatedAt', 'lastEditedAt', 'lastEditedBy']);
+      const settings = Object.fromEntries(Object.entries(rule).filter(([key]) => !known.has(key)));
+      return {
+        enabled: rule.enabled ?? rule.active ?? null,
+        entity: rule.entity ?? rule.entityType ?? null,
+        conditions: rule.conditions ?? rule.condition ?? rule.criteria ?? null,
+        actions: rule.actions ?? rule.action ?? null,
+        settings: Object.keys(settings).length > 0 ? settings : null
+      };
+    };
+    const properties = ['enabled', 'entity', 'conditions', 'actions', 'settings'];
+
+    // Rule names are not unique: the id keeps the records (and table rows) of same-named rules apart
+    const ruleRows = [];
+    pairs.forEach(([mainRule, baselineRule]) => {
+      const rule = mainRule || baselineRule;
+      const name = String(rule.name || rule.label || rule.title || ruleId(rule) || 'Unnamed rule');
+      const id = ruleId(rule) !== null ? String(ruleId(rule)) : null;
+      const fieldPath = id !== null && id !== name ? `${name} (${id})` : name;
+      const fieldLabel = id !== null && id !== name ? `${name} (\`${id}\`)` : name;
+      const rows = [];
+      ruleRows.push({ fieldPath, rows });
+      if (!mainRule || !baselineRule) {
+        rows.push(diff.add({
+          section: 'integrationRules',
+          fieldPath,
+          fieldLabel,
+          mainValue: !!mainRule,
+          baselineValue: !!baselineRule,
+          category: DiffResult.categorize(!!mainRule, !!baselineRule, true)
+        }));
+        return;
+      }
+      const main = normalize(mainRule);
+      const baseline = normalize(baselineRule);
+      properties.forEach(property => {
+        const match = this.deepEqual(main[property], baseline[property]);
+        rows.push(diff.add({
+          section: 'integrationRules',
+          fieldPath,
+          fieldLabel,
+          property,
+          mainValue: main[property],
+          baselineValue: baseline[property],
+          category: DiffResult.categorize(true, true, match),
+          details: match ? undefined : this.describeValueChanges(main[property], baseline[property], property)
+        }));
+      });
+    });
+
+    if (pairs.length === 0) {
+      return `No integration rules found in either school.\n\n`;
+    }
+
+    let out = `| Rule | ${this.formatSchoolHeader(this.mainSchool, this.mainEnv)} | ${this.formatSchoolHeader(this.baselineSchool, this.baselineEnv)} | Enabled | Conditions | Actions | Match |\n`;
+    out += `|------|------|----------|---------|------------|---------|-------|\n`;
+    ruleRows.sort((a, b) => a.fieldPath.localeCompare(b.fieldPath)).forEach(({ rows }) => {
+      const existence = rows.find(r => !r.property);
+      if (existence) {
+        out += `| ${existence.fieldLabel} | ${existence.mainValue ? '✅' : '❌'} | ${existence.baselineValue ? '✅' : '❌'} | - | - | - | ❌ |\n`;
+        return;
+      }
+      const get = (property) => rows.find(r => r.property === property);
+      const enabled = get('enabled');
+      const flag = (value) => value === null || value === undefined ? '-' : (value ? 'on' : 'off');
+      const status = (property) => get(property).category === DIFF_CATEGORIES.MATCH ? '✅' : '❌';
+      const match = rows.every(r => r.category === DIFF_CATEGORIES.MATCH);
+      out += `| ${rows[0].fieldLabel} | ✅ | ✅ | ${flag(enabled.mainValue)} / ${flag(enabled.baselineValue)} | ${status('conditions')} | ${status('actions')} | ${match ? '✅' : '❌'} |\n`;
+    });
+    out += `\n`;
+
+    const detailed = ruleRows.flatMap(({ rows }) => rows)
+      .filter(r => r.property && r.property !== 'enabled' && r.category !== DIFF_CATEGORIES.MATCH)
+      .map(r => ({ ...r, fieldLabel: `${r.fieldLabel} (${r.property})`, details: r.details?.operations ? r.details : { operations: [{ op: DIFF_OPERATIONS.MODIFY, path: r.property, mainValue: r.mainValue, baselineValue: r.baselineValue }] } }));
+    out += this.renderOperationDetails(detailed).join('\n');
+    return out;
+  }
+
   /**
    * Detect if data is grouped by entity type or field name
    */
@@ -4393,3 +5920,8 @@ The Notion upload feature was not used for this report generation.
 if (typeof window !== 'undefined') {
   window.CoursedogReportGenerator = CoursedogReportGenerator;
 }
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CoursedogReportGenerator;
+}
@@ -0,0 +1,456 @@
+/**
+ * Report Search for Coursedog Extension
+ *
+ * Full-text and structured search across every report loaded in the report viewer
+ * (sessions opened from the popup or from a loaded ZIP). Two kinds of entries are indexed:
+ *   - record  - Diff records from the session's structured diffs (entity, field path, status, severity)
+ *   - text    - Every non-empty Markdown line of every report, with the heading it sits under
+ *
+ * Filter chips narrow the results by entity, field path, status and severity. Chips only apply to
+ * diff records, because Markdown lines carry no structured fields. Filters can also be typed in
+ * the search box: entity:courses path:courseNumber status:different severity:warning
+ */
+
+// Status filter values (diff categories) and their labels
+const REPORT_SEARCH_STATUSES = {
+  'missing-in-baseline': 'Only in main',
+  'missing-in-main': 'Only in baseline',
+  'value-mismatch': 'Different'
+};
+
+const REPORT_SEARCH_SEVERITIES = ['critical', 'warning', 'info'];
+
+// Typed filter prefixes accepted in the search box
+const REPORT_SEARCH_PREFIXES = {
+  entity: 'entities',
+  path: 'paths',
+  status: 'statuses',
+  severity: 'severities'
+};
+
+const REPORT_SEARCH_MAX_RESULTS = 200;
+
+/**
+ * Resolve a typed status (category or label, e.g. 'different', 'only-in-main') to a diff category
+ * @param {string} value - Typed status
+ * @returns {string|null} Diff category, or null when unknown
+ */
+function resolveReportSearchStatus(value) {
+  const normalized = String(value).toLowerCase().replace(/[\s_]+/g, '-');
+  if (REPORT_SEARCH_STATUSES[normalized]) return normalized;
+  const match = Object.entries(REPORT_SEARCH_STATUSES)
+    .find(([, label]) => label.toLowerCase().replace(/\s+/g, '-') === normalized);
+  return match ? match[0] : null;
+}
+
+/**
+ * Split a search box query into free-text terms and typed filters
+ * @param {string} query - Search box text
+ * @returns {Object} { terms: Array<string>, filters: { entities, paths, statuses, severities } }
+ */
+function parseReportSearchQuery(query) {
+  const terms = [];
+  const filters = { entities: [], paths: [], statuses: [], severities: [] };
+  // Quoted phrases stay together: path:"config.default" or "max credits"
+  const tokens = String(query || '').match(/(\w+:)?"[^"]*"|\S+/g) || [];
+  tokens.forEach(token => {
+    const prefixed = token.match(/^(\w+):(.+)$/);
+    const prefix = prefixed ? prefixed[1].toLowerCase() : null;
+    if (prefix && REPORT_SEARCH_PREFIXES[prefix]) {
+      const value = prefixed[2].replace(/^"|"$/g, '');
+      if (prefix === 'status') {
+        const status = resolveReportSearchStatus(value);
+        if (status) filters.statuses.push(status);
+      } else if (prefix === 'severity') {
+        if (REPORT_SEARCH_SEVERITIES.includes(value.toLowerCase())) filters.severities.push(value.toLowerCase());
+      } else if (value) {
+        filters[REPORT_SEARCH_PREFIXES[prefix]].push(value);
+      }
+      return;
+    }
+    const term = token.replace(/^"|"$/g, '').toLowerCase();
+    if (term) terms.push(term);
+  });
+  return { terms, filters };
+}
+
+/**
+ * Plain text of a Markdown line (table pipes, emphasis and list markers removed)
+ * @param {string} line - Markdown line
+ * @returns {string} Display text
+ */
+function cleanReportSearchLine(line) {
+  let text = line.trim();
+  if (text.startsWith('|')) {
+    text = text.replace(/^\||\|$/g, '').split('|').map(cell => cell.trim()).filter(Boolean).join(' · ');
+  }
+  return text
+    .replace(/^#+\s*/, '')
+    .replace(/^[-*]\s+/, '')
+    .replace(/\*\*|__|`/g, '')
+    .trim();
+}
+
+function formatReportSearchValue(value) {
+  if (value === null || value === undefined) return '—';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+}
+
+/**
+ * Searchable index over a report viewer session
+ */
+class ReportSearchIndex {
+  /**
+   * @param {Object} payload - Viewer session ({ meta, index: [{ key, title }], reports: { key: markdown }, diffs: { key: diff JSON } })
+   */
+  constructor(payload = {}) {
+    this.entries = [];
+    this.reportOrder = [];
+    const titles = {};
+    (payload.index || []).forEach(item => { titles[item.key] = item.title; });
+    const reportKeys = Array.from(new Set([...(payload.index || []).map(item => item.key), ...Object.keys(payload.reports || {})]));
+
+    reportKeys.forEach(reportKey => {
+      const reportTitle = titles[reportKey] || reportKey;
+      this.reportOrder.push(reportKey);
+
+      const records = payload.diffs?.[reportKey]?.records || [];
+      records.forEach(record => {
+        if (!REPORT_SEARCH_STATUSES[record.category] || record.suppressed) return;
+        const entry = {
+          kind: 'record',
+          reportKey,
+          reportTitle,
+          entity: record.entity || '',
+          section: record.section || '',
+          fieldPath: record.fieldPath || '',
+          fieldLabel: record.fieldLabel || '',
+          property: record.property || '',
+          category: record.category,
+          severity: record.severity || 'info',
+          mainValue: record.mainValue,
+          baselineValue: record.baselineValue
+        };
+        entry.haystack = [
+          reportTitle, entry.entity, entry.section, entry.fieldPath, entry.fieldLabel, entry.property,
+          REPORT_SEARCH_STATUSES[entry.category], entry.severity,
+          formatReportSearchValue(entry.mainValue), formatReportSearchValue(entry.baselineValue)
+        ].join(' ').toLowerCase();
+        this.entries.push(entry);
+      });
+
+      const markdown = payload.reports?.[reportKey];
+      if (typeof markdown !== 'string') return;
+      let heading = '';
+      markdown.split('\n').forEach((line, lineNumber) => {
+        if (!line.trim() || /^\s*\|?[\s:-]+\|[\s|:-]*$/.test(line)) return;
+        const text = cleanReportSearchLine(line);
+        if (!text) return;
+        if (/^#+\s/.test(line.trim())) heading = text;
+        this.entries.push({
+          kind: 'text',
+          reportKey,
+          reportTitle,
+          heading,
+          line: lineNumber + 1,
+          text,
+          haystack: text.toLowerCase()
+        });
+      });
+    });
+  }
+
+  /**
+   * Values available for the filter chips, with record counts
+   * @returns {Object} { entities: [{ value, count }], statuses: [...], severities: [...] }
+   */
+  getFacets() {
+    const count = (field) => {
+      const counts = new Map();
+      this.entries.filter(entry => entry.kind === 'record').forEach(entry => {
+        if (entry[field]) counts.set(entry[field], (counts.get(entry[field]) || 0) + 1);
+      });
+      return counts;
+    };
+    const entities = count('entity');
+    const statuses = count('category');
+    const severities = count('severity');
+    return {
+      entities: Array.from(entities.keys()).sort().map(value => ({ value, count: entities.get(value) })),
+      statuses: Object.keys(REPORT_SEARCH_STATUSES).map(value => ({ value, count: statuses.get(value) || 0 })),
+      severities: REPORT_SEARCH_SEVERITIES.map(value => ({ value, count: severities.get(value) || 0 }))
+    };
+  }
+
+  /**
+   * Search the index
+   * @param {string} query - Search box text (free text plus optional typed filters)
+   * @param {Object} [chips] - Active filter chips { entities, paths, statuses, severities } (arrays)
+   * @returns {Object} { total, results: Array<entry>, truncated } (records before text lines, report order kept)
+   */
+  search(query, chips = {}) {
+    const parsed = parseReportSearchQuery(query);
+    const filters = {};
+    Object.values(REPORT_SEARCH_PREFIXES).forEach(name => {
+      filters[name] = [...(chips[name] || []), ...parsed.filters[name]];
+    });
+    const structured = Object.values(filters).some(values => values.length > 0);
+    if (parsed.terms.length === 0 && !structured) {
+      return { total: 0, results: [], truncated: false };
+    }
+
+    const matches = this.entries.filter(entry => {
+      if (!parsed.terms.every(term => entry.haystack.includes(term))) return false;
+      if (!structured) return true;
+      if (entry.kind !== 'record') return false;
+      if (filters.entities.length > 0 && !filters.entities.some(value => entry.entity.toLowerCase() === value.toLowerCase())) return false;
+      if (filters.statuses.length > 0 && !filters.statuses.includes(entry.category)) return false;
+      if (filters.severities.length > 0 && !filters.severities.includes(entry.severity)) return false;
+      if (filters.paths.length > 0) {
+        const path = `${entry.fieldPath} ${entry.fieldLabel}`.toLowerCase();
+        if (!filters.paths.some(value => path.includes(value.toLowerCase()))) return false;
+      }
+      return true;
+    });
+
+    const order = (entry) => this.reportOrder.indexOf(entry.reportKey) * 2 + (entry.kind === 'record' ? 0 : 1);
+    matches.sort((a, b) => order(a) - order(b));
+    return {
+      total: matches.length,
+      results: matches.slice(0, REPORT_SEARCH_MAX_RESULTS),
+      truncated: matches.length > REPORT_SEARCH_MAX_RESULTS
+    };
+  }
+}
+
+/**
+ * Open the report an entry belongs to in the viewer and scroll to the matching element
+ * Works on the viewer's rendered DOM: the sidebar link is clicked, then the report pane is
+ * polled until the matching row, list item or paragraph has rendered.
+ * @param {Object} entry - Search result entry
+ * @param {Document} [root] - Document to work in
+ */
+function navigateToReportSearchResult(entry, root = document) {
+  const links = Array.from(root.querySelectorAll('#rv-report-list .rv-report-link, #rv-report-list button, #rv-report-list a'));
+  const link = links.find(el => el.dataset?.key === entry.reportKey)
+    || links.find(el => el.textContent.trim() === entry.reportTitle)
+    || links.find(el => el.textContent.includes(entry.reportTitle));
+  if (link) link.click();
+
+  const needle = (entry.kind === 'record' ? (entry.fieldPath || entry.fieldLabel) : entry.text.split(' · ')[0]).toLowerCase();
+  const startedAt = Date.now();
+  const locate = () => {
+    const report = root.getElementById('rv-report');
+    const candidates = report ? Array.from(report.querySelectorAll('tr, li, p, h1, h2, h3, h4, pre')) : [];
+    const target = candidates.find(el => el.textContent.toLowerCase().includes(needle));
+    if (!target) {
+      if (Date.now() - startedAt < 1500) setTimeout(locate, 100);
+      return;
+    }
+    target.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    target.classList.add('rv-search-hit');
+    setTimeout(() => target.classList.remove('rv-search-hit'), 2500);
+  };
+  setTimeout(locate, 50);
+}
+
+/**
+ * Search bar, filter chips and result list of the report viewer
+ */
+class ReportSearchPanel {
+  /**
+   * @param {Object} elements - { input, chips, results, count } DOM elements
+   * @param {ReportSearchIndex} index - Index to search
+   * @param {Object} [options]
+   * @param {Function} [options.onNavigate] - Called with the chosen result (defaults to navigateToReportSearchResult)
+   */
+  constructor(elements, index, options = {}) {
+    this.elements = elements;
+    this.index = index;
+    this.onNavigate = options.onNavigate || ((entry) => navigateToReportSearchResult(entry));
+    this.chips = { entities: [], paths: [], statuses: [], severities: [] };
+    this.lastResults = [];
+
+    this.elements.input.addEventListener('input', () => this.update());
+    this.elements.input.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        this.promoteTypedFilters();
+      } else if (event.key === 'Escape') {
+        this.elements.input.value = '';
+        this.update();
+      }
+    });
+    this.elements.chips.addEventListener('click', (event) => {
+      const chip = event.target.closest('[data-chip-group]');
+      if (!chip) return;
+      this.toggleChip(chip.dataset.chipGroup, chip.dataset.chipValue);
+    });
+    this.elements.results.addEventListener('click', (event) => {
+      const item = event.target.closest('[data-result-index]');
+      if (!item) return;
+      const entry = this.lastResults[Number(item.dataset.resultIndex)];
+      if (entry) this.onNavigate(entry);
+    });
+
+    this.renderChips();
+  }
+
+  toggleChip(group, value) {
+    const values = this.chips[group];
+    if (!values) return;
+    const position = values.indexOf(value);
+    if (position === -1) values.push(value); else values.splice(position, 1);
+    this.renderChips();
+    this.update();
+  }
+
+  /**
+   * Move typed filters (entity:, path:, status:, severity:) from the search box into chips
+   */
+  promoteTypedFilters() {
+    const { filters } = parseReportSearchQuery(this.elements.input.value);
+    Object.entries(filters).forEach(([group, values]) => {
+      values.forEach(value => {
+        if (!this.chips[group].includes(value)) this.chips[group].push(value);
+      });
+    });
+    const prefixes = Object.keys(REPORT_SEARCH_PREFIXES).join('|');
+    this.elements.input.value = this.elements.input.value
+      .replace(new RegExp(`\\b(${prefixes}):("[^"]*"|\\S+)`, 'gi'), '')
+      .replace(/\s+/g, ' ')
+      .trim();
+    this.renderChips();
+    this.update();
+  }
+
+  renderChips() {
+    const facets = this.index.getFacets();
+    const chip = (group, value, label, count) => {
+      const active = this.chips[group].includes(value);
+      const suffix = count === undefined ? '' : ` <span class="rv-search-chip-count">${count}</span>`;
+      return `<button type="button" class="rv-filter-chip rv-search-chip${active ? ' active' : ''}" data-chip-group="${group}" data-chip-value="${escapeReportSearchHtml(value)}">${escapeReportSearchHtml(label)}${suffix}</button>`;
+    };
+
+    let html = `<span class="rv-search-chip-label">Status</span>`;
+    html += facets.statuses.map(s => chip('statuses', s.value, REPORT_SEARCH_STATUSES[s.value], s.count)).join('');
+    html += `<span class="rv-search-chip-label">Severity</span>`;
+    html += facets.severities.map(s => chip('severities', s.value, s.value, s.count)).join('');
+    if (facets.entities.length > 0) {
+      html += `<span class="rv-search-chip-label">Entity</span>`;
+      html += facets.entities.map(e => chip('entities', e.value, e.value, e.count)).join('');
+    }
+    if (this.chips.paths.length > 0) {
+      html += `<span class="rv-search-chip-label">Field path</span>`;
+      html += this.chips.paths.map(path => chip('paths', path, `${path} ✕`)).join('');
+    }
+    this.elements.chips.innerHTML = html;
+  }
+
+  update() {
+    const { total, results, truncated } = this.index.search(this.elements.input.value, this.chips);
+    this.lastResults = results;
+    const active = this.elements.input.value.trim() || Object.values(this.chips).some(values => values.length > 0);
+
+    if (this.elements.count) {
+      this.elements.count.textContent = active ? `${total} match${total === 1 ? '' : 'es'}${truncated ? ` (showing first ${results.length})` : ''}` : '';
+    }
+    if (!active) {
+      this.elements.results.innerHTML = '';
+      this.elements.results.style.display = 'none';
+      return;
+    }
+    this.elements.results.style.display = '';
+    if (results.length === 0) {
+      this.elements.results.innerHTML = `<div class="rv-empty">No matches in the loaded reports.</div>`;
+      return;
+    }
+
+    const { terms } = parseReportSearchQuery(this.elements.input.value);
+    let html = '';
+    let currentReport = null;
+    results.forEach((entry, i) => {
+      if (entry.reportKey !== currentReport) {
+        if (currentReport !== null) html += `</ul>`;
+        currentReport = entry.reportKey;
+        const count = results.filter(r => r.reportKey === entry.reportKey).length;
+        html += `<div class="rv-search-group">${escapeReportSearchHtml(entry.reportTitle)} <span class="muted">(${count})</span></div><ul class="rv-search-list">`;
+      }
+      html += `<li class="rv-search-result" data-result-index="${i}">${this.renderResult(entry, terms)}</li>`;
+    });
+    html += `</ul>`;
+    this.elements.results.innerHTML = html;
+  }
+
+  renderResult(entry, terms) {
+    const mark = (text) => highlightReportSearchTerms(text, terms);
+    if (entry.kind === 'record') {
+      const field = entry.fieldLabel || entry.fieldPath || '(report)';
+      const property = entry.property ? ` (${entry.property})` : '';
+      const entity = entry.entity ? `${mark(entry.entity)} · ` : '';
+      return `<span class="rv-search-severity rv-search-severity-${entry.severity}">${entry.severity}</span> `
+        + `${entity}<strong>${mark(field)}</strong>${mark(property)} — ${REPORT_SEARCH_STATUSES[entry.category]}`
+        + `<div class="muted">${mark(formatReportSearchValue(entry.mainValue))} vs ${mark(formatReportSearchValue(entry.baselineValue))}</div>`;
+    }
+    const heading = entry.heading && entry.heading !== entry.text ? `<span class="muted">${escapeReportSearchHtml(entry.heading)} › </span>` : '';
+    return `${heading}${mark(entry.text.length > 200 ? `${entry.text.slice(0, 197)}...` : entry.text)}`;
+  }
+}
+
+function escapeReportSearchHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function highlightReportSearchTerms(text, terms) {
+  const escaped = escapeReportSearchHtml(text);
+  if (!terms || terms.length === 0) return escaped;
+  const pattern = terms
+    .map(term => escapeReportSearchHtml(term).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('|');
+  return escaped.replace(new RegExp(`(${pattern})`, 'gi'), '<mark>$1</mark>');
+}
+
+// Mount the search bar on the viewer page once the session payload is readable
+if (typeof document !== 'undefined' && typeof chrome !== 'undefined' && chrome.storage) {
+  document.addEventListener('DOMContentLoaded', async () => {
+    const input = document.getElementById('rv-search-input');
+    if (!input) return;
+    const sessionId = new URLSearchParams(window.location.search).get('session');
+    if (!sessionId) return;
+    try {
+      const stored = await chrome.storage.local.get(sessionId);
+      const payload = stored[sessionId];
+      if (!payload) return;
+      window.reportSearchPanel = new ReportSearchPanel({
+        input,
+        chips: document.getElementById('rv-search-chips'),
+        results: document.getElementById('rv-search-results'),
+        count: document.getElementById('rv-search-count')
+      }, new ReportSearchIndex(payload));
+    } catch (error) {
+      console.error('Failed to build report search index:', error);
+    }
+  });
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ReportSearchIndex,
+    ReportSearchPanel,
+    REPORT_SEARCH_STATUSES,
+    parseReportSearchQuery,
+    cleanReportSearchLine,
+    navigateToReportSearchResult
+  };
+}
+
+if (typeof window !== 'undefined') {
+  window.ReportSearchIndex = ReportSearchIndex;
+  window.ReportSearchPanel = ReportSearchPanel;
+}
@@ -0,0 +1,191 @@
+/**
+ * Report Triage for Coursedog Extension
+ *
+ * Triage panel of the report viewer: lists every difference of the loaded run (from the session's
+ * structured diffs), lets reviewers set a triage status and comment per difference and saves them
+ * with TriageAnnotationStore. Annotations from earlier runs of the same school pair are shown again;
+ * accepted differences whose values have not changed are collapsed.
+ */
+
+const TRIAGE_PANEL_DIFFERENCE_LABELS = {
+  'missing-in-baseline': 'Only in main',
+  'missing-in-main': 'Only in baseline',
+  'value-mismatch': 'Different'
+};
+
+function escapeTriageHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatTriageValue(value) {
+  if (value === null || value === undefined) return '—';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+class ReportTriagePanel {
+  /**
+   * @param {Object} elements - { section, summary, list } DOM elements
+   * @param {Object} payload - Viewer session ({ meta, index, diffs })
+   * @param {TriageAnnotationStore} store - Annotation store
+   */
+  constructor(elements, payload, store) {
+    this.elements = elements;
+    this.payload = payload;
+    this.store = store;
+    this.mainSchool = payload.meta?.mainSchool || '';
+    this.baselineSchool = payload.meta?.baselineSchool || '';
+    this.annotations = {};
+    this.openReports = new Set();
+
+    this.reports = (payload.index || [])
+      .filter(item => payload.diffs?.[item.key])
+      .map(item => ({
+        key: item.key,
+        title: item.title,
+        records: payload.diffs[item.key].records.filter(record => TRIAGE_PANEL_DIFFERENCE_LABELS[record.category] && !record.suppressed)
+      }))
+      .filter(report => report.records.length > 0);
+    this.recordsById = new Map();
+    this.reports.forEach(report => report.records.forEach(record => this.recordsById.set(record.id, record)));
+
+    this.elements.list.addEventListener('change', (event) => {
+      const row = event.target.closest('[data-record-id]');
+      if (!row || !event.target.matches('.rv-triage-status, .rv-triage-comment')) return;
+      this.saveRow(row);
+    });
+    this.elements.list.addEventListener('click', (event) => {
+      const button = event.target.closest('.rv-triage-remove');
+      if (!button) return;
+      this.removeStale(button.dataset.recordId);
+    });
+    this.elements.list.addEventListener('toggle', (event) => {
+      const details = event.target;
+      if (!details.dataset || !details.dataset.reportKey) return;
+      if (details.open) this.openReports.add(details.dataset.reportKey); else this.openReports.delete(details.dataset.reportKey);
+    }, true);
+  }
+
+  async load() {
+    if (this.reports.length === 0) return;
+    this.annotations = await this.store.getPairAnnotations(this.mainSchool, this.baselineSchool);
+    this.elements.section.style.display = '';
+    this.render();
+  }
+
+  async saveRow(row) {
+    const record = this.recordsById.get(row.dataset.recordId);
+    if (!record) return;
+    const status = row.querySelector('.rv-triage-status').value;
+    const comment = row.querySelector('.rv-triage-comment').value;
+    try {
+      const stored = await this.store.setAnnotation(this.mainSchool, this.baselineSchool, record, { status, comment });
+      if (stored) this.annotations[record.id] = stored; else delete this.annotations[record.id];
+      this.render();
+    } catch (error) {
+      console.error('Failed to save triage annotation:', error);
+      alert(`Failed to save triage annotation: ${error.message}`);
+    }
+  }
+
+  async removeStale(recordId) {
+    try {
+      await this.store.removeAnnotation(this.mainSchool, this.baselineSchool, recordId);
+      delete this.annotations[recordId];
+      this.render();
+    } catch (error) {
+      console.error('Failed to remove triage annotation:', error);
+    }
+  }
+
+  isCollapsed(record) {
+    const annotation = this.annotations[record.id];
+    return !!annotation && annotation.status === 'accepted' && isTriageAnnotationCurrent(annotation, record);
+  }
+
+  render() {
+    const total = this.reports.reduce((sum, report) => sum + report.records.length, 0);
+    const triaged = Array.from(this.recordsById.keys()).filter(id => this.annotations[id]).length;
+    const collapsed = Array.from(this.recordsById.values()).filter(record => this.isCollapsed(record)).length;
+    this.elements.summary.textContent = `${total} difference${total === 1 ? '' : 's'} · ${triaged} triaged · ${collapsed} accepted (collapsed)`;
+
+    this.elements.list.innerHTML = this.reports.map(report => {
+      const open = report.records.filter(record => !this.isCollapsed(record));
+      const accepted = report.records.filter(record => this.isCollapsed(record));
+      const stale = Object.entries(this.annotations)
+        .filter(([id, annotation]) => annotation.reportKey === report.key && !this.recordsById.has(id));
+
+      let html = `<details class="rv-triage-report" data-report-key="${escapeTriageHtml(report.key)}"${this.openReports.has(report.key) ? ' open' : ''}>`;
+      html += `<summary>${escapeTriageHtml(report.title)} <span class="muted">(${open.length} open${accepted.length > 0 ? `, ${accepted.length} accepted` : ''})</span></summary>`;
+      html += open.length > 0 ? this.renderTable(open) : `<div class="rv-empty">Every difference is accepted.</div>`;
+      if (accepted.length > 0) {
+        html += `<details class="rv-triage-accepted"><summary>${accepted.length} accepted difference${accepted.length === 1 ? '' : 's'}</summary>${this.renderTable(accepted)}</details>`;
+      }
+      if (stale.length > 0) {
+        html += `<details class="rv-triage-accepted"><summary>${stale.length} annotation${stale.length === 1 ? '' : 's'} on differences that no longer exist</summary><ul class="rv-triage-stale">`;
+        html += stale.map(([id, annotation]) => `<li>${escapeTriageHtml(annotation.fieldLabel || annotation.fieldPath)}${annotation.property ? ` (${escapeTriageHtml(annotation.property)})` : ''} · ${escapeTriageHtml(TRIAGE_STATUSES[annotation.status] || '💬')}${annotation.comment ? ` · ${escapeTriageHtml(annotation.comment)}` : ''} <button type="button" class="rv-sort-btn rv-triage-remove" data-record-id="${escapeTriageHtml(id)}">🗑️ Remove</button></li>`).join('');
+        html += `</ul></details>`;
+      }
+      html += `</details>`;
+      return html;
+    }).join('');
+  }
+
+  renderTable(records) {
+    let html = `<table class="rv-table rv-triage-table"><thead><tr><th>Entity</th><th>Field</th><th>Difference</th><th>${escapeTriageHtml(this.mainSchool || 'Main')}</th><th>${escapeTriageHtml(this.baselineSchool || 'Baseline')}</th><th>Triage</th><th>Comment</th></tr></thead><tbody>`;
+    records.forEach(record => {
+      const annotation = this.annotations[record.id];
+      const changed = annotation && !isTriageAnnotationCurrent(annotation, record);
+      const field = `${record.fieldLabel || record.fieldPath || '-'}${record.property ? ` (${record.property})` : ''}`;
+      const options = [`<option value="">Untriaged</option>`]
+        .concat(Object.entries(TRIAGE_STATUSES).map(([value, label]) => `<option value="${value}"${annotation?.status === value ? ' selected' : ''}>${label}</option>`))
+        .join('');
+      html += `<tr data-record-id="${escapeTriageHtml(record.id)}">`;
+      html += `<td>${escapeTriageHtml(record.entity || '-')}</td>`;
+      html += `<td><code>${escapeTriageHtml(field)}</code>${changed ? `<div class="muted">⚠️ Values changed since triage (${escapeTriageHtml(new Date(annotation.updatedAt).toLocaleDateString())})</div>` : ''}</td>`;
+      html += `<td>${TRIAGE_PANEL_DIFFERENCE_LABELS[record.category]}</td>`;
+      html += `<td>${escapeTriageHtml(formatTriageValue(record.mainValue))}</td>`;
+      html += `<td>${escapeTriageHtml(formatTriageValue(record.baselineValue))}</td>`;
+      html += `<td><select class="rv-triage-status">${options}</select></td>`;
+      html += `<td><input type="text" class="rv-table-search rv-triage-comment" placeholder="Comment" value="${escapeTriageHtml(annotation?.comment || '')}"></td>`;
+      html += `</tr>`;
+    });
+    return html + `</tbody></table>`;
+  }
+}
+
+// Mount the triage panel on the viewer page once the session payload is readable
+if (typeof document !== 'undefined' && typeof chrome !== 'undefined' && chrome.storage) {
+  document.addEventListener('DOMContentLoaded', async () => {
+    const section = document.getElementById('rv-triage-section');
+    if (!section) return;
+    const sessionId = new URLSearchParams(window.location.search).get('session');
+    if (!sessionId) return;
+    try {
+      const stored = await chrome.storage.local.get(sessionId);
+      const payload = stored[sessionId];
+      if (!payload || !payload.diffs) return;
+      window.reportTriagePanel = new ReportTriagePanel({
+        section,
+        summary: document.getElementById('rv-triage-summary'),
+        list: document.getElementById('rv-triage-list')
+      }, payload, new TriageAnnotationStore({ storage: chrome.storage.local }));
+      await window.reportTriagePanel.load();
+    } catch (error) {
+      console.error('Failed to load triage annotations:', error);
+    }
+  });
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ReportTriagePanel };
+}
+
+if (typeof window !== 'undefined') {
+  window.ReportTriagePanel = ReportTriagePanel;
+}
@@ -0,0 +1,180 @@
+/**
+ * SIS compare tool + Env capture - Request Pool
+ * Bounded-concurrency pool for Coursedog API requests with per-environment rate limits.
+ * Responses with status 429 pause the environment for the server's Retry-After (or an
+ * exponential backoff when the header is missing) and the request is retried.
+ */
+
+class RequestPool {
+  /**
+   * @param {Object} options - Pool options
+   * @param {number} [options.concurrency=6] - Max requests in flight across all environments
+   * @param {Object} [options.limits] - Per-key limits, e.g. { staging: { concurrency: 4, maxRps: 8 } }
+   * @param {Object} [options.defaultLimit] - Limits for keys without an entry in `limits`
+   * @param {number} [options.maxRetries=3] - Retries for a rate-limited (429) request
+   * @param {number} [options.baseBackoffMs=1000] - First backoff when Retry-After is missing
+   * @param {number} [options.maxBackoffMs=30000] - Upper bound for any wait
+   * @param {Function} [options.onRateLimited] - Called with (key, waitMs, attempt) on each 429
+   */
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || 6;
+    this.limits = options.limits || {};
+    this.defaultLimit = { concurrency: 4, maxRps: 8, ...(options.defaultLimit || {}) };
+    this.maxRetries = options.maxRetries ?? 3;
+    this.baseBackoffMs = options.baseBackoffMs || 1000;
+    this.maxBackoffMs = options.maxBackoffMs || 30000;
+    this.onRateLimited = options.onRateLimited || null;
+
+    this.queue = [];
+    this.active = 0;
+    this.keyState = {}; // key -> { active, nextStartAt, pausedUntil }
+    this.timer = null;
+    this.stats = { completed: 0, retried: 0, rateLimited: 0 };
+  }
+
+  /**
+   * Schedule a request
+   * @param {string} key - Rate limit key (environment name)
+   * @param {Function} taskFn - Async function performing the request and returning a Response
+   * @returns {Promise<*>} Task result; a 429 Response is only returned once retries are exhausted
+   */
+  schedule(key, taskFn) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ key, taskFn, resolve, reject, attempt: 0 });
+      this._pump();
+    });
+  }
+
+  /**
+   * Number of requests queued or in flight
+   * @returns {number} Pending request count
+   */
+  get pending() {
+    return this.queue.length + this.active;
+  }
+
+  getLimit(key) {
+    return { ...this.defaultLimit, ...(this.limits[key] || {}) };
+  }
+
+  _getKeyState(key) {
+    if (!this.keyState[key]) {
+      this.keyState[key] = { active: 0, nextStartAt: 0, pausedUntil: 0 };
+    }
+    return this.keyState[key];
+  }
+
+  /**
+   * Start every queued job that its key's limits allow, in FIFO order per key
+   */
+  _pump() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    const now = Date.now();
+    let wakeAt = Infinity;
+    const blockedKeys = new Set();
+
+    for (let i = 0; i < this.queue.length && this.active < this.concurrency; i++) {
+      const job = this.queue[i];
+      if (blockedKeys.has(job.key)) continue;
+
+      const state = this._getKeyState(job.key);
+      const limit = this.getLimit(job.key);
+      const readyAt = Math.max(state.nextStartAt, state.pausedUntil);
+
+      if (state.active >= limit.concurrency || readyAt > now) {
+        // Keep per-key order: later jobs for this key wait behind this one
+        blockedKeys.add(job.key);
+        if (readyAt > now) wakeAt = Math.min(wakeAt, readyAt);
+        continue;
+      }
+
+      this.queue.splice(i, 1);
+      i--;
+      state.nextStartAt = now + (limit.maxRps > 0 ? Math.ceil(1000 / limit.maxRps) : 0);
+      this._start(job, state);
+    }
+
+    if (this.queue.length > 0 && wakeAt !== Infinity) {
+      this.timer = setTimeout(() => this._pump(), Math.max(0, wakeAt - Date.now()));
+    }
+  }
+
+  async _start(job, state) {
+    this.active++;
+    state.active++;
+
+    try {
+      const result = await job.taskFn();
+
+      if (RequestPool.isRateLimited(result) && job.attempt < this.maxRetries) {
+        job.attempt++;
+        const waitMs = Math.min(
+          RequestPool.getRetryAfterMs(result) ?? this.baseBackoffMs * Math.pow(2, job.attempt - 1),
+          this.maxBackoffMs
+        );
+        state.pausedUntil = Math.max(state.pausedUntil, Date.now() + waitMs);
+        this.stats.rateLimited++;
+        this.stats.retried++;
+        if (this.onRateLimited) {
+          try { this.onRateLimited(job.key, waitMs, job.attempt); } catch (_) {}
+        }
+        // Retry ahead of jobs queued later for the same key
+        this.queue.unshift(job);
+        return;
+      }
+
+      this.stats.completed++;
+      job.resolve(result);
+    } catch (error) {
+      this.stats.completed++;
+      job.reject(error);
+    } finally {
+      this.active--;
+      state.active--;
+      this._pump();
+    }
+  }
+
+  /**
+   * Check whether a task result is a rate-limited response
+   * @param {*} result - Task result
+   * @returns {boolean} True for a 429 response
+   */
+  static isRateLimited(result) {
+    return !!result && result.status === 429;
+  }
+
+  /**
+   * Read the Retry-After header (delta-seconds or HTTP-date) from a response
+   * @param {Response} response - Rate-limited response
+   * @returns {number|null} Wait in milliseconds, or null when absent/invalid
+   */
+  static getRetryAfterMs(response) {
+    const value = response?.headers?.get ? response.headers.get('Retry-After') : null;
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+    return null;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RequestPool;
+}
+
+if (typeof window !== 'undefined') {
+  window.RequestPool = RequestPool;
+}
@@ -0,0 +1,200 @@
+/**
+ * Run Comparison for Coursedog Extension
+ *
+ * Compares two report runs (report viewer sessions: rv_* runs from the popup, zip_* runs loaded from a ZIP)
+ * through their structured diffs. Every difference is matched by record ID (report, section, entity,
+ * field, property) and classified per report section:
+ *   new        - Different in the later run only
+ *   resolved   - Different in the earlier run only
+ *   changed    - Different in both runs, but the values moved
+ *   unchanged  - Different in both runs with the same values
+ * Used to track remediation progress on a school between two runs. A report whose diff recorded errors
+ * (e.g. a failed fetch) in either run is not compared, since its missing records are not resolutions.
+ */
+
+const RUN_COMPARISON_REPORT_KEY = 'RunComparison_Report';
+
+const RUN_COMPARISON_STATUSES = {
+  new: '🆕 New',
+  resolved: '✅ Resolved',
+  changed: '✏️ Changed',
+  unchanged: '⏸️ Unchanged'
+};
+
+// Rows listed per report section before the table is cut off
+const RUN_COMPARISON_MAX_ROWS = 200;
+
+/**
+ * Label of a run for pickers and report headers
+ * @param {Object} meta - Session meta ({ mainSchool, baselineSchool, createdAt })
+ * @returns {string} Label
+ */
+function formatRunLabel(meta = {}) {
+  const date = meta.createdAt ? new Date(meta.createdAt).toLocaleString() : 'unknown date';
+  return `${meta.mainSchool || 'Unknown'} vs ${meta.baselineSchool || 'Unknown'} @ ${date}`;
+}
+
+function isRunDifference(record) {
+  return record.category !== 'match' && record.category !== 'unavailable' && !record.suppressed;
+}
+
+function runDiffErrors(diff) {
+  return Array.isArray(diff.errors) ? diff.errors : [];
+}
+
+function runRecordValues(record) {
+  const stringify = typeof stableStringify === 'function' ? stableStringify : JSON.stringify;
+  return stringify([record.mainValue, record.baselineValue]);
+}
+
+/**
+ * Compare the structured diffs of two runs
+ * @param {Object} earlier - Earlier session payload ({ meta, index, reports, diffs })
+ * @param {Object} later - Later session payload
+ * @returns {Object} { earlier, later, reports: [{ reportKey, title, availability, sections, counts, errors }], totals }
+ *   availability is 'both', 'earlier-only', 'later-only' or 'error' (errors: [{ run, message }])
+ */
+function compareReportRuns(earlier, later) {
+  const titles = {};
+  [...(earlier.index || []), ...(later.index || [])].forEach(item => { titles[item.key] = item.title; });
+  const earlierDiffs = earlier.diffs || {};
+  const laterDiffs = later.diffs || {};
+  const reportKeys = Array.from(new Set([...Object.keys(laterDiffs), ...Object.keys(earlierDiffs)]));
+
+  const totals = { new: 0, resolved: 0, changed: 0, unchanged: 0 };
+  const reports = reportKeys.map(reportKey => {
+    const title = titles[reportKey] || earlierDiffs[reportKey]?.title || laterDiffs[reportKey]?.title || reportKey;
+    if (!earlierDiffs[reportKey] || !laterDiffs[reportKey]) {
+      return { reportKey, title, availability: earlierDiffs[reportKey] ? 'earlier-only' : 'later-only', sections: [], counts: null, errors: [] };
+    }
+    const errors = [
+      ...runDiffErrors(earlierDiffs[reportKey]).map(error => ({ run: 'earlier', message: error.message })),
+      ...runDiffErrors(laterDiffs[reportKey]).map(error => ({ run: 'later', message: error.message }))
+    ];
+    if (errors.length > 0) {
+      return { reportKey, title, availability: 'error', sections: [], counts: null, errors };
+    }
+
+    const before = new Map(earlierDiffs[reportKey].records.filter(isRunDifference).map(record => [record.id || DiffResult.recordId(record), record]));
+    const after = new Map(laterDiffs[reportKey].records.filter(isRunDifference).map(record => [record.id || DiffResult.recordId(record), record]));
+    const rows = [];
+    after.forEach((record, id) => {
+      const previous = before.get(id);
+      if (!previous) {
+        rows.push({ status: 'new', record, previous: null });
+      } else {
+        rows.push({ status: runRecordValues(previous) === runRecordValues(record) ? 'unchanged' : 'changed', record, previous });
+      }
+    });
+    before.forEach((record, id) => {
+      if (!after.has(id)) rows.push({ status: 'resolved', record, previous: record });
+    });
+
+    const counts = { new: 0, resolved: 0, changed: 0, unchanged: 0 };
+    const sections = new Map();
+    rows.forEach(row => {
+      counts[row.status]++;
+      totals[row.status]++;
+      const section = row.record.section || 'general';
+      if (!sections.has(section)) sections.set(section, { section, rows: [], counts: { new: 0, resolved: 0, changed: 0, unchanged: 0 } });
+      sections.get(section).rows.push(row);
+      sections.get(section).counts[row.status]++;
+    });
+
+    const statusOrder = Object.keys(RUN_COMPARISON_STATUSES);
+    sections.forEach(section => {
+      section.rows.sort((a, b) => statusOrder.indexOf(a.status) - statusOrder.indexOf(b.status)
+        || String(a.record.entity).localeCompare(String(b.record.entity))
+        || String(a.record.fieldPath).localeCompare(String(b.record.fieldPath)));
+    });
+    return { reportKey, title, availability: 'both', sections: Array.from(sections.values()), counts, errors: [] };
+  });
+
+  return { earlier: earlier.meta || {}, later: later.meta || {}, reports, totals };
+}
+
+function formatRunValue(value) {
+  if (value === null || value === undefined) return '—';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  const cell = text.length > 60 ? `${text.slice(0, 57)}...` : text;
+  return cell.replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+/**
+ * Markdown report of a run comparison
+ * @param {Object} comparison - Output of compareReportRuns()
+ * @returns {string} Markdown
+ */
+function generateRunComparisonReport(comparison) {
+  const { earlier, later, reports, totals } = comparison;
+  let report = `# Report Run Comparison\n\n`;
+  report += `**Earlier Run:** ${formatRunLabel(earlier)}\n`;
+  report += `**Later Run:** ${formatRunLabel(later)}\n`;
+  report += `**Generated:** ${new Date().toLocaleString()}\n\n`;
+  if (earlier.mainSchool !== later.mainSchool || earlier.baselineSchool !== later.baselineSchool) {
+    report += `> ⚠️ The runs compare different schools, so most differences will show as new or resolved.\n\n`;
+  }
+
+  report += `## Summary\n\n`;
+  report += `| Report | ${RUN_COMPARISON_STATUSES.new} | ${RUN_COMPARISON_STATUSES.resolved} | ${RUN_COMPARISON_STATUSES.changed} | ${RUN_COMPARISON_STATUSES.unchanged} |\n`;
+  report += `|--------|-----|----------|---------|-----------|\n`;
+  reports.forEach(item => {
+    if (!item.counts) {
+      report += `| ${item.title} | - | - | - | - |\n`;
+      return;
+    }
+    report += `| ${item.title} | ${item.counts.new} | ${item.counts.resolved} | ${item.counts.changed} | ${item.counts.unchanged} |\n`;
+  });
+  report += `| **Total** | **${totals.new}** | **${totals.resolved}** | **${totals.changed}** | **${totals.unchanged}** |\n\n`;
+
+  const unavailable = reports.filter(item => !item.counts && item.availability !== 'error');
+  if (unavailable.length > 0) {
+    report += `*Not compared (no structured diff in one of the runs):* ${unavailable.map(item => `${item.title} (${item.availability === 'earlier-only' ? 'earlier run only' : 'later run only'})`).join(', ')}\n\n`;
+  }
+  const failed = reports.filter(item => item.availability === 'error');
+  if (failed.length > 0) {
+    report += `*Not compared (the comparison failed in a run):*\n`;
+    failed.forEach(item => {
+      report += `- ${item.title}: ${item.errors.map(error => `${error.run} run: ${error.message}`).join('; ')}\n`;
+    });
+    report += `\n`;
+  }
+
+  reports.filter(item => item.counts).forEach(item => {
+    report += `## ${item.title}\n\n`;
+    if (item.sections.length === 0) {
+      report += `No differences in either run.\n\n`;
+      return;
+    }
+    item.sections.forEach(section => {
+      const { counts } = section;
+      report += `### ${section.section}\n\n`;
+      report += `${counts.new} new, ${counts.resolved} resolved, ${counts.changed} changed, ${counts.unchanged} unchanged\n\n`;
+      report += `| Status | Entity | Field | Earlier (main / baseline) | Later (main / baseline) |\n`;
+      report += `|--------|--------|-------|---------------------------|-------------------------|\n`;
+      section.rows.slice(0, RUN_COMPARISON_MAX_ROWS).forEach(({ status, record, previous }) => {
+        const field = `${record.fieldLabel || record.fieldPath || '-'}${record.property ? ` (${record.property})` : ''}`.replace(/`/g, '');
+        const earlierValues = previous ? `${formatRunValue(previous.mainValue)} / ${formatRunValue(previous.baselineValue)}` : '-';
+        const laterValues = status === 'resolved' ? '-' : `${formatRunValue(record.mainValue)} / ${formatRunValue(record.baselineValue)}`;
+        report += `| ${RUN_COMPARISON_STATUSES[status]} | ${record.entity || '-'} | \`${field.replace(/\|/g, '\\|')}\` | ${earlierValues} | ${laterValues} |\n`;
+      });
+      if (section.rows.length > RUN_COMPARISON_MAX_ROWS) {
+        report += `\n*${section.rows.length - RUN_COMPARISON_MAX_ROWS} more rows not shown.*\n`;
+      }
+      report += `\n`;
+    });
+  });
+
+  return report;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    RUN_COMPARISON_REPORT_KEY,
+    RUN_COMPARISON_STATUSES,
+    formatRunLabel,
+    compareReportRuns,
+    generateRunComparisonReport
+  };
+}
@@ -0,0 +1,285 @@
+/**
+ * Severity Rules for Coursedog Extension
+ *
+ * Classifies every diff record (see diff-model.js) as critical / warning / info and gives it a
+ * risk score, so the Executive Summary can rank differences by how likely they are to break a sync.
+ *
+ * Rules are plain data, like GLOBAL_FIELD_EXCEPTIONS: add an entry to SEVERITY_RULES to classify
+ * more differences. Rules are evaluated in order and the first matching rule wins; records that
+ * match no rule keep their category default (DEFAULT_CATEGORY_SEVERITY).
+ *
+ * Rule fields:
+ *   id          - Stable identifier (shown in the summary)
+ *   description - Why the difference matters
+ *   severity    - 'critical' | 'warning' | 'info'
+ *   weight      - Multiplier for the severity's base score (default 1)
+ *   match       - Record fields that must match: reportKey, section, entity, property, category
+ *                 (string or array of strings) and fieldPath (exact string or /regex/ string)
+ *   when        - Optional conditions from SEVERITY_CONDITIONS, e.g. { globalException: 'alwaysCoursedog' }
+ */
+
+// Base risk score per severity (multiplied by the rule weight)
+const SEVERITY_WEIGHTS = {
+  critical: 100,
+  warning: 10,
+  info: 1
+};
+
+const SEVERITY_DIFF_CATEGORIES = ['value-mismatch', 'missing-in-main', 'missing-in-baseline'];
+
+const SEVERITY_RULES = [
+  {
+    id: 'global-exception-method-mismatch',
+    description: 'conflictHandlingMethod differs on a field that is a global alwaysCoursedog exception',
+    severity: 'critical',
+    weight: 3,
+    match: { section: 'fieldExceptions', category: SEVERITY_DIFF_CATEGORIES },
+    when: { globalException: 'alwaysCoursedog' }
+  },
+  {
+    id: 'default-method-mismatch',
+    description: 'Default conflictHandlingMethod differs for an entity',
+    severity: 'critical',
+    weight: 2,
+    match: { section: 'defaultMethod', category: SEVERITY_DIFF_CATEGORIES }
+  },
+  {
+    id: 'step-enabled-in-one-school',
+    description: 'stepsToExecute step is enabled in only one school',
+    severity: 'critical',
+    weight: 2,
+    match: { section: 'stepsToExecute', category: SEVERITY_DIFF_CATEGORIES },
+    when: { enabledInOneSchool: true }
+  },
+  {
+    id: 'attribute-mapping-missing-for-enabled-entity',
+    description: 'Attribute mapping missing in the main school for an entity its merge settings enable',
+    severity: 'critical',
+    match: { section: 'attributeMappings', category: 'missing-in-main' },
+    when: { entityEnabledInMain: true }
+  },
+  {
+    id: 'field-exception-differs',
+    description: 'Field exception resolves differently',
+    severity: 'warning',
+    weight: 2,
+    match: { section: 'fieldExceptions', category: SEVERITY_DIFF_CATEGORIES }
+  },
+  {
+    id: 'steps-to-execute-differs',
+    description: 'stepsToExecute step differs',
+    severity: 'warning',
+    match: { section: 'stepsToExecute', category: SEVERITY_DIFF_CATEGORIES }
+  },
+  {
+    id: 'attribute-mapping-differs',
+    description: 'Attribute mapping present in only one school or configured differently',
+    severity: 'warning',
+    match: { section: 'attributeMappings', category: SEVERITY_DIFF_CATEGORIES }
+  },
+  {
+    id: 'integration-filter-differs',
+    description: 'Integration filter present in only one school or configured differently',
+    severity: 'warning',
+    match: { section: 'integrationFilters', category: SEVERITY_DIFF_CATEGORIES }
+  },
+  {
+    id: 'workflow-missing',
+    description: 'Approval workflow exists in only one school',
+    severity: 'warning',
+    weight: 2,
+    match: { section: 'workflows', property: '', category: ['missing-in-main', 'missing-in-baseline'] }
+  },
+  {
+    id: 'workflow-step-order-differs',
+    description: 'Approval workflow step moved relative to the other steps',
+    severity: 'info',
+    match: { section: 'workflowSteps', property: 'position', category: 'value-mismatch' }
+  },
+  {
+    id: 'workflow-step-differs',
+    description: 'Approval workflow step missing or has different approvers or conditions',
+    severity: 'warning',
+    match: { section: 'workflowSteps', category: SEVERITY_DIFF_CATEGORIES }
+  },
+  {
+    id: 'workflow-differs',
+    description: 'Approval workflow conditions or linked forms differ',
+    severity: 'info',
+    weight: 3,
+    match: { section: 'workflows', category: SEVERITY_DIFF_CATEGORIES }
+  },
+  {
+    id: 'cm-form-differs',
+    description: 'CM form exists in only one school, has a different question set or question labels, or uses a different workflow',
+    severity: 'info',
+    weight: 2,
+    match: { section: 'forms', category: SEVERITY_DIFF_CATEGORIES }
+  },
+  {
+    id: 'notification-trigger-enabled-differs',
+    description: 'Notification trigger is on in one school and off or missing in the other',
+    severity: 'warning',
+    match: { section: 'notifications', property: ['enabled', ''], category: SEVERITY_DIFF_CATEGORIES }
+  },
+  {
+    id: 'notification-differs',
+    description: 'Notification recipients, template, subject or body differ',
+    severity: 'info',
+    weight: 2,
+    match: { section: 'notifications', category: SEVERITY_DIFF_CATEGORIES }
+  },
+  {
+    id: 'integration-schedule-timing-differs',
+    description: 'Integration sync is scheduled for only one school, or its on/off state, cadence or window differs',
+    severity: 'warning',
+    weight: 2,
+    match: { section: 'integrationSchedule', property: ['', 'enabled', 'cadence', 'window', 'timezone', 'days'], category: SEVERITY_DIFF_CATEGORIES }
+  },
+  {
+    id: 'integration-schedule-differs',
+    description: 'Other integration schedule settings differ',
+    severity: 'info',
+    weight: 2,
+    match: { section: 'integrationSchedule', category: SEVERITY_DIFF_CATEGORIES }
+  },
+  {
+    id: 'integration-rule-differs',
+    description: 'Integration rule exists in only one school, or its on/off state or conditions differ',
+    severity: 'warning',
+    match: { section: 'integrationRules', property: ['', 'enabled', 'conditions'], category: SEVERITY_DIFF_CATEGORIES }
+  },
+  {
+    id: 'integration-rule-settings-differ',
+    description: 'Integration rule actions or other settings differ',
+    severity: 'info',
+    weight: 2,
+    match: { section: 'integrationRules', category: SEVERITY_DIFF_CATEGORIES }
+  },
+  {
+    id: 'template-required-differs',
+    description: 'Template question required flag differs',
+    severity: 'warning',
+    match: { section: ['properties', 'nestedFields'], property: 'required', category: 'value-mismatch' }
+  },
+  {
+    id: 'template-question-missing',
+    description: 'Template question exists in only one school',
+    severity: 'warning',
+    // One record per question: its Field existence row (property rows of the same question fall through)
+    match: { section: 'existence', category: ['missing-in-main', 'missing-in-baseline'] }
+  },
+  {
+    id: 'template-property-differs',
+    description: 'Template question configuration differs',
+    severity: 'info',
+    weight: 2,
+    match: { section: ['properties', 'nestedFields', 'existence'], category: SEVERITY_DIFF_CATEGORIES }
+  }
+];
+
+/**
+ * Named conditions usable in a rule's `when`
+ * Each receives (record, expected, context) and returns true when the condition holds.
+ * context: { getGlobalFieldException(fieldPath, entity), mainEnabledEntities: Set, baselineEnabledEntities: Set }
+ */
+const SEVERITY_CONDITIONS = {
+  globalException: (record, expected, context) => {
+    const value = context.getGlobalFieldException ? context.getGlobalFieldException(record.fieldPath, record.entity) : null;
+    return expected === true ? !!value : value === expected;
+  },
+  enabledInOneSchool: (record, expected) => {
+    const enabledInOne = (record.mainValue === true) !== (record.baselineValue === true);
+    return enabledInOne === expected;
+  },
+  entityEnabledInMain: (record, expected, context) => {
+    const enabled = !!context.mainEnabledEntities && context.mainEnabledEntities.has(record.entity);
+    return enabled === expected;
+  }
+};
+
+/**
+ * Check a record field against a rule's match value
+ * @param {*} actual - Record field value
+ * @param {string|Array<string>} expected - Expected value(s); '/regex/' strings are matched as patterns
+ * @returns {boolean} True when matched
+ */
+function matchesRuleValue(actual, expected) {
+  if (Array.isArray(expected)) {
+    return expected.some(value => matchesRuleValue(actual, value));
+  }
+  if (typeof expected === 'string' && expected.length > 2 && expected.startsWith('/') && expected.endsWith('/')) {
+    return new RegExp(expected.slice(1, -1)).test(String(actual || ''));
+  }
+  return actual === expected;
+}
+
+/**
+ * Find the first rule matching a diff record
+ * @param {Object} record - Diff record
+ * @param {Object} context - Condition context
+ * @param {Array<Object>} [rules] - Rules to evaluate (defaults to SEVERITY_RULES)
+ * @returns {Object|null} Matching rule
+ */
+function findSeverityRule(record, context = {}, rules = SEVERITY_RULES) {
+  return rules.find(rule => {
+    const match = rule.match || {};
+    const fieldsMatch = Object.entries(match).every(([field, expected]) => matchesRuleValue(record[field], expected));
+    if (!fieldsMatch) return false;
+
+    return Object.entries(rule.when || {}).every(([name, expected]) => {
+      const condition = SEVERITY_CONDITIONS[name];
+      if (!condition) {
+        console.warn(`Unknown severity rule condition '${name}' in rule '${rule.id}'`);
+        return false;
+      }
+      return condition(record, expected, context);
+    });
+  }) || null;
+}
+
+/**
+ * Classify a diff record: sets record.severity and stores the rule and risk score in record.details
+ * Matching records are left untouched (they carry no risk).
+ * @param {Object} record - Diff record (modified in place)
+ * @param {Object} context - Condition context
+ * @param {Array<Object>} [rules] - Rules to evaluate
+ * @returns {Object} The record
+ */
+function classifyDiffRecord(record, context = {}, rules = SEVERITY_RULES) {
+  if (record.category === 'match') return record;
+
+  const rule = findSeverityRule(record, context, rules);
+  if (rule) {
+    record.severity = rule.severity;
+  }
+  record.details = {
+    ...(record.details || {}),
+    severityRule: rule ? rule.id : null,
+    riskScore: (SEVERITY_WEIGHTS[record.severity] || 0) * (rule && rule.weight ? rule.weight : 1)
+  };
+  return record;
+}
+
+/**
+ * Get the description of a rule by ID
+ * @param {string} ruleId - Rule ID
+ * @param {Array<Object>} [rules] - Rules to search
+ * @returns {string} Rule description, or '' when unknown
+ */
+function getSeverityRuleDescription(ruleId, rules = SEVERITY_RULES) {
+  const rule = rules.find(r => r.id === ruleId);
+  return rule ? rule.description : '';
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SEVERITY_RULES,
+    SEVERITY_WEIGHTS,
+    SEVERITY_CONDITIONS,
+    findSeverityRule,
+    classifyDiffRecord,
+    getSeverityRuleDescription
+  };
+}
@@ -65,23 +65,7 @@ class SimpleTableBuilder {
         object: 'block',
         type: 'table_row',
         table_row: {
-          cells: headers.map(header => [{
-            type: 'text',
-            text: {
-              content: this.sanitizeCellContent(String(header || '')),
-              link: null
-            },
-            annotations: {
-              bold: false,
-              italic: false,
-              strikethrough: false,
-              underline: false,
-              code: false,
-              color: 'default'
-            },
-            plain_text: this.sanitizeCellContent(String(header || '')),
-            href: null
-          }])
+          cells: headers.map(header => this.createCellRichText(header))
         }
       };
 
@@ -329,23 +313,7 @@ class SimpleTableBuilder {
       object: 'block',
       type: 'table_row',
       table_row: {
-        cells: normalizedRow.map(cellValue => [{
-          type: 'text',
-          text: {
-            content: this.sanitizeCellContent(String(cellValue || '')),
-            link: null
-          },
-          annotations: {
-            bold: false,
-            italic: false,
-            strikethrough: false,
-            underline: false,
-            code: false,
-            color: 'default'
-          },
-          plain_text: this.sanitizeCellContent(String(cellValue || '')),
-          href: null
-        }])
+        cells: normalizedRow.map(cellValue => this.createCellRichText(cellValue))
       }
     };
   }
@@ -373,6 +341,15 @@ class SimpleTableBuilder {
     return normalized;
   }
 
+  /**
+   * Rich text of a table cell; inline Markdown in the cell is rendered (see notion-rich-text.js)
+   * @param {*} value - Cell value
+   * @returns {Array<Object>} rich_text items
+   */
+  createCellRichText(value) {
+    return markdownToRichText(this.sanitizeCellContent(String(value || '')), this.MAX_TEXT_LENGTH);
+  }
+
   /**
    * Sanitize cell content to meet Notion's requirements
    * @param {string} content - Cell content
@@ -823,23 +800,7 @@ class SimpleTableBuilder {
       object: 'block',
       type: 'table_row',
       table_row: {
-        cells: headers.map(header => [{
-          type: 'text',
-          text: {
-            content: this.sanitizeCellContent(String(header || '')),
-            link: null
-          },
-          annotations: {
-            bold: false,
-            italic: false,
-            strikethrough: false,
-            underline: false,
-            code: false,
-            color: 'default'
-          },
-          plain_text: this.sanitizeCellContent(String(header || '')),
-          href: null
-        }])
+        cells: headers.map(header => this.createCellRichText(header))
       }
     };
 
@@ -948,23 +909,7 @@ class SimpleTableBuilder {
       object: 'block',
       type: 'table_row',
       table_row: {
-        cells: headers.map(header => [{
-          type: 'text',
-          text: {
-            content: this.sanitizeCellContent(String(header || '')),
-            link: null
-          },
-          annotations: {
-            bold: false,
-            italic: false,
-            strikethrough: false,
-            underline: false,
-            code: false,
-            color: 'default'
-          },
-          plain_text: this.sanitizeCellContent(String(header || '')),
-          href: null
-        }])
+        cells: headers.map(header => this.createCellRichText(header))
       }
     };
 
@@ -0,0 +1,286 @@
+/**
+ * SIS compare tool + Env capture - Snapshot Store
+ * Persists school snapshots in IndexedDB (the extension has unlimitedStorage) so a school's
+ * configuration can be compared against itself at an earlier date.
+ *
+ * Two object stores keep listing cheap:
+ *   snapshotMeta - versioned metadata only (school, environment, capture time, per-school version)
+ *   snapshots    - the snapshot body plus the report inputs needed to re-run the comparison reports
+ */
+
+const SNAPSHOT_DB_NAME = 'coursedogSnapshots';
+const SNAPSHOT_DB_VERSION = 1;
+const SNAPSHOT_SCHEMA_VERSION = 1; // Bump when the stored snapshot shape changes
+const SNAPSHOT_META_STORE = 'snapshotMeta';
+const SNAPSHOT_DATA_STORE = 'snapshots';
+
+class SnapshotStore {
+  /**
+   * @param {Object} [options] - Store options
+   * @param {IDBFactory} [options.indexedDB] - IndexedDB factory (defaults to the global one)
+   * @param {string} [options.dbName] - Database name
+   */
+  constructor(options = {}) {
+    this.idb = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+    this.dbName = options.dbName || SNAPSHOT_DB_NAME;
+    this.dbPromise = null;
+  }
+
+  /**
+   * Open (and create/upgrade) the database
+   * @returns {Promise<IDBDatabase>} Open database
+   */
+  open() {
+    if (this.dbPromise) return this.dbPromise;
+    if (!this.idb) {
+      return Promise.reject(new Error('IndexedDB is not available'));
+    }
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = this.idb.open(this.dbName, SNAPSHOT_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(SNAPSHOT_META_STORE)) {
+          const metaStore = db.createObjectStore(SNAPSHOT_META_STORE, { keyPath: 'id' });
+          metaStore.createIndex('schoolKey', 'schoolKey', { unique: false });
+          metaStore.createIndex('capturedAt', 'capturedAt', { unique: false });
+        }
+        if (!db.objectStoreNames.contains(SNAPSHOT_DATA_STORE)) {
+          db.createObjectStore(SNAPSHOT_DATA_STORE, { keyPath: 'id' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error || new Error('Failed to open snapshot database'));
+    });
+    // Allow a later retry if opening failed
+    this.dbPromise.catch(() => { this.dbPromise = null; });
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a function inside a transaction and resolve once the transaction completes
+   * @param {Array<string>} storeNames - Object stores used
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} fn - Called with the object stores (in storeNames order); request callbacks may fill its return value
+   * @returns {Promise<*>} Value returned by fn, resolved once the transaction completes
+   */
+  async transaction(storeNames, mode, fn) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeNames, mode);
+      let result;
+      try {
+        result = fn(...storeNames.map(name => tx.objectStore(name)));
+      } catch (error) {
+        tx.abort();
+        reject(error);
+        return;
+      }
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error || new Error('Snapshot store transaction failed'));
+      tx.onabort = () => reject(tx.error || new Error('Snapshot store transaction aborted'));
+    });
+  }
+
+  /**
+   * Key grouping snapshots of the same school in the same environment
+   * @param {string} schoolId - School ID
+   * @param {string} environment - 'staging' or 'production'
+   * @returns {string} School key
+   */
+  static schoolKey(schoolId, environment) {
+    return `${environment || 'staging'}:${schoolId}`;
+  }
+
+  /**
+   * Persist a snapshot
+   * @param {Object} snapshot - Snapshot to store
+   * @param {string} snapshot.schoolId - School ID
+   * @param {string} snapshot.environment - Environment the snapshot was captured from
+   * @param {Object} snapshot.data - Output of generateSnapshot()
+   * @param {Object} [snapshot.reportInputs] - Unprefixed report generator inputs (courseTemplate, mergeSettings, ...)
+   * @param {Object} [snapshot.requestStatus] - { successful, total, errors } from generateSnapshot()
+   * @param {string} [snapshot.label] - Optional user label
+   * @param {string} [snapshot.extensionVersion] - Extension version that captured the snapshot
+   * @returns {Promise<Object>} Stored metadata (includes the per-school version number)
+   */
+  async saveSnapshot(snapshot) {
+    if (!snapshot || !snapshot.schoolId || !snapshot.data) {
+      throw new Error('saveSnapshot requires schoolId and data');
+    }
+
+    const schoolKey = SnapshotStore.schoolKey(snapshot.schoolId, snapshot.environment);
+    const existing = await this.listSnapshots({ schoolId: snapshot.schoolId, environment: snapshot.environment });
+    const version = existing.reduce((max, meta) => Math.max(max, meta.version || 0), 0) + 1;
+    const capturedAt = snapshot.capturedAt || new Date().toISOString();
+    const id = `${schoolKey}:${capturedAt}`;
+    const body = { id, data: snapshot.data, reportInputs: snapshot.reportInputs || {} };
+    const status = snapshot.requestStatus || {};
+
+    const meta = {
+      id,
+      schemaVersion: SNAPSHOT_SCHEMA_VERSION,
+      schoolKey,
+      schoolId: snapshot.schoolId,
+      environment: snapshot.environment || 'staging',
+      version,
+      capturedAt,
+      label: snapshot.label || '',
+      extensionVersion: snapshot.extensionVersion || '',
+      sections: Object.keys(snapshot.data),
+      requestStatus: {
+        successful: status.successful || 0,
+        total: status.total || 0,
+        errors: Array.isArray(status.errors) ? status.errors.length : 0
+      },
+      sizeBytes: JSON.stringify(body).length
+    };
+
+    await this.transaction([SNAPSHOT_META_STORE, SNAPSHOT_DATA_STORE], 'readwrite', (metaStore, dataStore) => {
+      metaStore.put(meta);
+      dataStore.put(body);
+    });
+    return meta;
+  }
+
+  /**
+   * List snapshot metadata, newest first
+   * @param {Object} [filter] - Filter criteria
+   * @param {string} [filter.schoolId] - Only snapshots of this school
+   * @param {string} [filter.environment] - Only snapshots from this environment (requires schoolId)
+   * @returns {Promise<Array<Object>>} Snapshot metadata
+   */
+  async listSnapshots(filter = {}) {
+    const result = await this.transaction([SNAPSHOT_META_STORE], 'readonly', (metaStore) => {
+      const entry = { items: [] };
+      const request = filter.schoolId && filter.environment
+        ? metaStore.index('schoolKey').getAll(SnapshotStore.schoolKey(filter.schoolId, filter.environment))
+        : metaStore.getAll();
+      request.onsuccess = (event) => { entry.items = event.target.result || []; };
+      return entry;
+    });
+
+    return result.items
+      .filter(meta => !filter.schoolId || meta.schoolId === filter.schoolId)
+      .sort((a, b) => b.capturedAt.localeCompare(a.capturedAt));
+  }
+
+  /**
+   * Load a snapshot with its metadata
+   * @param {string} id - Snapshot ID
+   * @returns {Promise<Object|null>} { meta, data, reportInputs } or null when not found
+   */
+  async getSnapshot(id) {
+    const result = await this.transaction([SNAPSHOT_META_STORE, SNAPSHOT_DATA_STORE], 'readonly', (metaStore, dataStore) => {
+      const entry = {};
+      metaStore.get(id).onsuccess = (event) => { entry.meta = event.target.result; };
+      dataStore.get(id).onsuccess = (event) => { entry.body = event.target.result; };
+      return entry;
+    });
+
+    if (!result.meta || !result.body) return null;
+    return { meta: result.meta, data: result.body.data, reportInputs: result.body.reportInputs || {} };
+  }
+
+  /**
+   * Delete a snapshot
+   * @param {string} id - Snapshot ID
+   */
+  async deleteSnapshot(id) {
+    await this.transaction([SNAPSHOT_META_STORE, SNAPSHOT_DATA_STORE], 'readwrite', (metaStore, dataStore) => {
+      metaStore.delete(id);
+      dataStore.delete(id);
+    });
+  }
+
+  /**
+   * Derive report generator inputs from a snapshot body
+   * Integration data is wrapped in the same envelope fetchSchoolIntegrationData() stores.
+   * @param {Object} data - Output of generateSnapshot()
+   * @returns {Object} Unprefixed inputs (courseTemplate, mergeSettings, fieldMappings_courses, ...)
+   */
+  static deriveReportInputs(data) {
+    const inputs = {};
+    if (!data || typeof data !== 'object') return inputs;
+
+    const envelope = (value) => {
+      if (value && typeof value === 'object' && (value.error || value.status === 'not_configured')) {
+        return { status: value.status === 'not_configured' ? 'not_configured' : 'error', data: null, error: value.error || null };
+      }
+      return { status: 'success', statusCode: 200, data: value, error: null };
+    };
+
+    const templates = data.templates || {};
+    if (templates.course !== undefined) inputs.courseTemplate = templates.course;
+    if (templates.program !== undefined) inputs.programTemplate = templates.program;
+    if (templates.section !== undefined) inputs.sectionTemplate = templates.section;
+    if (templates.room !== undefined) inputs.roomTemplate = templates.room;
+    if (templates.instructor !== undefined) inputs.instructorTemplate = templates.instructor;
+    if (templates.term !== undefined) inputs.termTemplate = templates.term;
+
+    const formsAndWorkflows = data.formsAndWorkflows || {};
+    if (formsAndWorkflows.forms !== undefined) inputs.cmForms = formsAndWorkflows.forms;
+    if (formsAndWorkflows.workflows !== undefined) inputs.approvalWorkflows = formsAndWorkflows.workflows;
+
+    const notifications = data.notifications || {};
+    const notificationModules = { curriculum: 'cm', catalog: 'ca', scheduling: 'sm', events: 'em' };
+    Object.entries(notificationModules).forEach(([field, code]) => {
+      if (notifications[field] !== undefined) inputs[`notificationSettings_${code}`] = notifications[field];
+    });
+
+    const integration = data.integration || {};
+    if (integration.enabledSavedState !== undefined) inputs.integrationSaveState = integration.enabledSavedState;
+    if (integration.mergeSettings) inputs.mergeSettings = integration.mergeSettings;
+    if (integration.attrMappings !== undefined) inputs.attributeMappings = integration.attrMappings;
+    if (integration.rules !== undefined) inputs.rules = integration.rules;
+
+    const codeAsConfig = data.codeAsConfig || {};
+    if (codeAsConfig.schedule !== undefined) inputs.integrationSchedule = codeAsConfig.schedule;
+    if (codeAsConfig.settings !== undefined) inputs.integrationSettings = envelope(codeAsConfig.settings);
+    if (codeAsConfig.formattersGet !== undefined) inputs.formatters = envelope(codeAsConfig.formattersGet);
+    if (codeAsConfig.formattersPost !== undefined) inputs.formattersPost = envelope(codeAsConfig.formattersPost);
+    Object.entries(codeAsConfig.fieldMappingsGet || {}).forEach(([entity, value]) => {
+      inputs[`fieldMappings_${entity}`] = envelope(value);
+    });
+    Object.entries(codeAsConfig.fieldMappingsPost || {}).forEach(([entity, value]) => {
+      inputs[`fieldMappingsPost_${entity}`] = envelope(value);
+    });
+    Object.entries(codeAsConfig.customFieldMappingsGet || {}).forEach(([entity, value]) => {
+      inputs[`customFields_${entity}`] = envelope(value);
+    });
+
+    return inputs;
+  }
+
+  /**
+   * Build comparison tempData for two stored snapshots
+   * @param {Object} mainSnapshot - Newer snapshot ({ data, reportInputs }) shown as the main school
+   * @param {Object} baselineSnapshot - Older snapshot shown as the baseline
+   * @returns {Object} tempData with MainSchool_* and BaselineSchool_* keys
+   */
+  static toComparisonTempData(mainSnapshot, baselineSnapshot) {
+    const tempData = {};
+    const addSide = (snapshot, prefix) => {
+      // Inputs captured with the report win over ones derived from the snapshot body
+      const inputs = { ...SnapshotStore.deriveReportInputs(snapshot.data), ...(snapshot.reportInputs || {}) };
+      Object.entries(inputs).forEach(([key, value]) => {
+        tempData[`${prefix}_${key}`] = value;
+      });
+    };
+    addSide(mainSnapshot, 'MainSchool');
+    addSide(baselineSnapshot, 'BaselineSchool');
+    return tempData;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SnapshotStore,
+    SNAPSHOT_SCHEMA_VERSION
+  };
+}
+
+if (typeof window !== 'undefined') {
+  window.SnapshotStore = SnapshotStore;
+}
@@ -0,0 +1,205 @@
+/**
+ * Template Property Profiles for Coursedog Extension
+ *
+ * Decides which question properties the template reports (course, program, section, room, instructor, term) compare.
+ * A profile lists, per template type, the catalog properties to include and whether every other
+ * question property (top-level keys and config.* keys) is compared too, minus an ignore list.
+ * The popup lets users edit and save a profile (chrome.storage.local); reports show it in their header.
+ *
+ * Catalog fields:
+ *   key         - Property key used in diff records (legacy keys like config_default are kept)
+ *   label       - Column/table title
+ *   paths       - Question paths read in order; the first one present is used
+ *   falsyAs     - Value used when the property is missing or falsy (legacy normalization)
+ */
+
+const TEMPLATE_PROPERTY_PROFILE_STORAGE_KEY = 'templatePropertyProfile';
+
+const TEMPLATE_PROFILE_TYPES = ['courseTemplate', 'programTemplate', 'sectionTemplate', 'roomTemplate', 'instructorTemplate', 'termTemplate'];
+
+const TEMPLATE_PROPERTY_CATALOG = [
+  { key: 'label', label: 'Label', paths: ['label'] },
+  { key: 'required', label: 'Required', paths: ['required'], falsyAs: false },
+  { key: 'hidden', label: 'Hidden', paths: ['hidden', 'config.hidden'], falsyAs: false },
+  { key: 'readonly', label: 'Read Only', paths: ['readonly', 'readOnly', 'config.readonly', 'config.readOnly'], falsyAs: false },
+  { key: 'validations', label: 'Validation Rules', paths: ['validations', 'config.validations', 'config.validation'] },
+  { key: 'options', label: 'Options', paths: ['options', 'config.options'] },
+  { key: 'helpText', label: 'Help Text', paths: ['helpText', 'config.helpText', 'description', 'config.description'] },
+  { key: 'conditionalLogic', label: 'Conditional Logic', paths: ['conditionalLogic', 'conditions', 'logic', 'config.conditions', 'config.logic'] },
+  { key: 'dynamicOptions', label: 'Dynamic Options', paths: ['config.dynamicOptions'], falsyAs: {} },
+  { key: 'config_default', label: 'Config Default', paths: ['config.default'], falsyAs: null },
+  { key: 'config_useCourseOptions', label: 'Config Use Course Options', paths: ['config.useCourseOptions'], falsyAs: null },
+  { key: 'actions', label: 'Actions', paths: ['actions'], falsyAs: [] }
+];
+
+// Question keys never compared as "other" properties (identifiers, metadata, nested fields)
+const TEMPLATE_PROPERTY_DEFAULT_IGNORE = [
+  'id', '_id', 'questionId', 'type', 'createdAt', 'createdBy', 'lastEditedAt', 'lastEditedBy', 'updatedAt', 'config.fields'
+];
+
+const LEGACY_TEMPLATE_PROPERTIES = ['required', 'dynamicOptions', 'config_default', 'config_useCourseOptions', 'actions'];
+
+const TEMPLATE_PROPERTY_PROFILES = {
+  full: {
+    id: 'full',
+    name: 'Full question diff',
+    templates: Object.fromEntries(TEMPLATE_PROFILE_TYPES.map(type => [type, {
+      include: TEMPLATE_PROPERTY_CATALOG.map(property => property.key),
+      compareOther: true,
+      ignore: TEMPLATE_PROPERTY_DEFAULT_IGNORE
+    }]))
+  },
+  classic: {
+    id: 'classic',
+    name: 'Classic (required, dynamicOptions, default, useCourseOptions, actions)',
+    templates: Object.fromEntries(TEMPLATE_PROFILE_TYPES.map(type => [type, {
+      include: LEGACY_TEMPLATE_PROPERTIES,
+      compareOther: false,
+      ignore: TEMPLATE_PROPERTY_DEFAULT_IGNORE
+    }]))
+  }
+};
+
+const DEFAULT_TEMPLATE_PROPERTY_PROFILE_ID = 'full';
+
+/**
+ * Fill in a (possibly partial or saved) profile so every template type has complete settings
+ * Unknown property keys are dropped; missing template types fall back to the default profile.
+ * @param {Object|string} [profile] - Profile object, built-in profile ID, or nothing for the default
+ * @returns {Object} Complete profile ({ id, name, templates: { <type>: { include, compareOther, ignore } } })
+ */
+function resolveTemplatePropertyProfile(profile) {
+  const fallback = TEMPLATE_PROPERTY_PROFILES[DEFAULT_TEMPLATE_PROPERTY_PROFILE_ID];
+  if (!profile) return fallback;
+  if (typeof profile === 'string') return TEMPLATE_PROPERTY_PROFILES[profile] || fallback;
+
+  const base = TEMPLATE_PROPERTY_PROFILES[profile.id] || fallback;
+  const knownKeys = new Set(TEMPLATE_PROPERTY_CATALOG.map(property => property.key));
+  const templates = {};
+  TEMPLATE_PROFILE_TYPES.forEach(type => {
+    const settings = profile.templates?.[type] || {};
+    const baseSettings = base.templates[type];
+    templates[type] = {
+      include: Array.isArray(settings.include)
+        ? TEMPLATE_PROPERTY_CATALOG.map(property => property.key).filter(key => settings.include.includes(key) && knownKeys.has(key))
+        : baseSettings.include,
+      compareOther: typeof settings.compareOther === 'boolean' ? settings.compareOther : baseSettings.compareOther,
+      ignore: Array.isArray(settings.ignore)
+        ? settings.ignore.map(path => String(path).trim()).filter(Boolean)
+        : baseSettings.ignore
+    };
+  });
+  return {
+    id: profile.id || 'custom',
+    name: profile.name || 'Custom',
+    templates
+  };
+}
+
+function getTemplatePathValue(question, path) {
+  return path.split('.').reduce((current, key) => (current == null ? undefined : current[key]), question);
+}
+
+function isIgnoredTemplatePath(path, ignore) {
+  return ignore.some(pattern => pattern.endsWith('*') ? path.startsWith(pattern.slice(0, -1)) : path === pattern);
+}
+
+/**
+ * Property keys to compare for a question in a template type
+ * Included catalog properties come first (catalog order), then every other question path present
+ * in any of the given questions when the profile compares other properties.
+ * @param {Object} profile - Resolved profile
+ * @param {string} templateType - One of TEMPLATE_PROFILE_TYPES
+ * @param {...Object} questions - Question objects (main and/or baseline)
+ * @returns {Array<string>} Property keys
+ */
+function getTemplatePropertyKeys(profile, templateType, ...questions) {
+  const settings = profile.templates[templateType];
+  const keys = [...settings.include];
+  if (!settings.compareOther) return keys;
+
+  const catalogPaths = new Set(TEMPLATE_PROPERTY_CATALOG.flatMap(property => property.paths));
+  const otherPaths = new Set();
+  questions.filter(Boolean).forEach(question => {
+    Object.keys(question).forEach(key => {
+      if (key === 'config') return;
+      if (!catalogPaths.has(key) && !isIgnoredTemplatePath(key, settings.ignore)) otherPaths.add(key);
+    });
+    Object.keys(question.config || {}).forEach(key => {
+      const path = `config.${key}`;
+      if (!catalogPaths.has(path) && !isIgnoredTemplatePath(path, settings.ignore)) otherPaths.add(path);
+    });
+  });
+  return keys.concat(Array.from(otherPaths).sort());
+}
+
+/**
+ * Read the compared properties of a question
+ * @param {Object} question - Question object
+ * @param {Array<string>} keys - Output of getTemplatePropertyKeys()
+ * @returns {Object} Property values keyed by property key (missing other properties are null)
+ */
+function extractTemplateProperties(question, keys) {
+  const values = {};
+  keys.forEach(key => {
+    const property = TEMPLATE_PROPERTY_CATALOG.find(p => p.key === key);
+    if (!property) {
+      const value = getTemplatePathValue(question, key);
+      values[key] = value === undefined ? null : value;
+      return;
+    }
+    const path = property.paths.find(p => getTemplatePathValue(question, p) !== undefined);
+    const value = path ? getTemplatePathValue(question, path) : undefined;
+    if ('falsyAs' in property) {
+      values[key] = value || property.falsyAs;
+    } else {
+      values[key] = value === undefined ? null : value;
+    }
+  });
+  return values;
+}
+
+/**
+ * Display label for a property key (other properties show their path)
+ * @param {string} key - Property key
+ * @returns {string} Label
+ */
+function getTemplatePropertyLabel(key) {
+  const property = TEMPLATE_PROPERTY_CATALOG.find(p => p.key === key);
+  return property ? property.label : key;
+}
+
+/**
+ * Markdown lines describing the profile used for a template report
+ * @param {Object} profile - Resolved profile
+ * @param {string} templateType - Template type
+ * @returns {string} Markdown
+ */
+function describeTemplatePropertyProfile(profile, templateType) {
+  const settings = profile.templates[templateType];
+  let text = `**Property Profile:** ${profile.name}\n`;
+  text += `**Compared Properties:** ${settings.include.map(getTemplatePropertyLabel).join(', ') || 'none'}`;
+  text += settings.compareOther ? ', plus all other question properties\n' : '\n';
+  if (settings.compareOther && settings.ignore.length > 0) {
+    text += `**Ignored Properties:** ${settings.ignore.map(path => `\`${path}\``).join(', ')}\n`;
+  }
+  return text;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    TEMPLATE_PROPERTY_PROFILE_STORAGE_KEY,
+    TEMPLATE_PROFILE_TYPES,
+    TEMPLATE_PROPERTY_CATALOG,
+    TEMPLATE_PROPERTY_PROFILES,
+    TEMPLATE_PROPERTY_DEFAULT_IGNORE,
+    LEGACY_TEMPLATE_PROPERTIES,
+    DEFAULT_TEMPLATE_PROPERTY_PROFILE_ID,
+    resolveTemplatePropertyProfile,
+    getTemplatePropertyKeys,
+    extractTemplateProperties,
+    getTemplatePropertyLabel,
+    describeTemplatePropertyProfile
+  };
+}
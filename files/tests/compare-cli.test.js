@@ -0,0 +1,46 @@
+/**
+ * compare-cli.js loadSchoolData: school prefixes of exported files and directories without school data
+ * Run: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadSchoolData } = require('../compare-cli.js');
+
+function createExport(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'compare-cli-'));
+  Object.entries(files).forEach(([name, value]) => fs.writeFileSync(path.join(dir, name), JSON.stringify(value)));
+  return dir;
+}
+
+test('files with another school prefix load under the requested prefix', (t) => {
+  const dir = createExport({ 'MainSchool_courseTemplate.json': { questions: {} }, 'MainSchool_mergeSettings.json': {} });
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const tempData = {};
+
+  assert.equal(loadSchoolData(dir, 'baseline', tempData), 2);
+  assert.equal(loadSchoolData(dir, 'baseline', tempData, 'BaselineSchool2'), 2);
+  assert.deepEqual(Object.keys(tempData).sort(), [
+    'BaselineSchool2_courseTemplate', 'BaselineSchool2_mergeSettings', 'BaselineSchool_courseTemplate', 'BaselineSchool_mergeSettings'
+  ]);
+});
+
+test('files with the side prefix win over the other school', (t) => {
+  const dir = createExport({ 'MainSchool_mergeSettings.json': { side: 'main' }, 'BaselineSchool_mergeSettings.json': { side: 'baseline' } });
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const tempData = {};
+
+  loadSchoolData(dir, 'main', tempData);
+  loadSchoolData(dir, 'baseline', tempData);
+  assert.deepEqual(tempData, { MainSchool_mergeSettings: { side: 'main' }, BaselineSchool_mergeSettings: { side: 'baseline' } });
+});
+
+test('a directory without any school data fails loudly', (t) => {
+  const dir = createExport({ 'package.json': { name: 'unrelated' } });
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  assert.throws(() => loadSchoolData(dir, 'main', {}), /No main school data found/);
+});
@@ -0,0 +1,111 @@
+/**
+ * Forms & Workflows report: workflow steps matched by name (relative order) and question labels
+ * Run: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Load report-generator.js through the CLI, which sets up the browser globals it needs
+const { main } = require('../compare-cli.js');
+const { DiffResult, DIFF_CATEGORIES } = require('../diff-model.js');
+const CoursedogReportGenerator = globalThis.CoursedogReportGenerator;
+
+const quiet = () => {};
+
+function generateReport(main, baseline, schools = ['main', 'baseline']) {
+  const tempData = {
+    MainSchool_approvalWorkflows: main.workflows,
+    BaselineSchool_approvalWorkflows: baseline.workflows,
+    MainSchool_cmForms: main.forms,
+    BaselineSchool_cmForms: baseline.forms
+  };
+  const generator = new CoursedogReportGenerator(schools[0], schools[1], tempData, quiet, true, true, 'staging', 'staging');
+  generator.generateFormsWorkflowsReport();
+  return {
+    report: tempData.FormsWorkflows_Comparison_Report,
+    diff: DiffResult.fromJSON(tempData[DiffResult.storageKey('FormsWorkflows_Comparison_Report')])
+  };
+}
+
+const step = (name, approvers = ['chair@school.edu']) => ({ name, approvers });
+const workflow = (steps) => [{ id: 'wf-1', name: 'Course Approval', steps }];
+const form = (questions) => [{ id: 'form-1', name: 'New Course', workflowId: 'wf-1', questions }];
+
+test('an inserted workflow step is reported once and does not shift the steps after it', () => {
+  const { diff, report } = generateReport(
+    { workflows: workflow([step('Department'), step('Budget Review'), step('College'), step('Registrar')]), forms: [] },
+    { workflows: workflow([step('Department'), step('College'), step('Registrar')]), forms: [] }
+  );
+  const differences = diff.getDifferences().filter(record => record.section === 'workflowSteps');
+
+  assert.deepEqual(differences.map(record => [record.fieldPath, record.property, record.category]), [
+    ['Course Approval › Budget Review', '', DIFF_CATEGORIES.MISSING_IN_BASELINE]
+  ]);
+  assert.match(report, /\| College \| 3 \/ 2 \| chair@school\.edu \| chair@school\.edu \| ✅ \|/);
+});
+
+test('only steps that moved relative to the others are reported as moved', () => {
+  const { diff, report } = generateReport(
+    { workflows: workflow([step('College'), step('Department'), step('Registrar')]), forms: [] },
+    { workflows: workflow([step('Department'), step('College'), step('Registrar')]), forms: [] }
+  );
+  const moved = diff.getDifferences().filter(record => record.section === 'workflowSteps');
+
+  assert.equal(moved.length, 1);
+  assert.equal(moved[0].property, 'position');
+  assert.equal(moved[0].details.moved, true);
+  assert.equal(moved[0].details.severityRule, 'workflow-step-order-differs');
+  assert.match(report, /❌ moved/);
+});
+
+test('question labels are compared per question', () => {
+  const steps = workflow([step('Department')]);
+  const { diff, report } = generateReport(
+    { workflows: steps, forms: form([{ id: 'q1', label: 'Title' }, { id: 'q2', label: 'Credits' }]) },
+    { workflows: steps, forms: form([{ id: 'q1', label: 'Course Title' }, { id: 'q2', label: 'Credits' }]) }
+  );
+  const labels = diff.getRecords({ section: 'forms' }).filter(record => record.property === 'label');
+
+  assert.deepEqual(labels.map(record => [record.fieldPath, record.category]), [
+    ['New Course › q1', DIFF_CATEGORIES.VALUE_MISMATCH],
+    ['New Course › q2', DIFF_CATEGORIES.MATCH]
+  ]);
+  assert.match(report, /\| New Course \| `q1` \| Title \| Course Title \|/);
+  assert.match(report, /\| New Course \| ✅ \| ✅ \| 2 \/ 2 \| Course Approval \/ Course Approval \| ❌ \|/);
+});
+
+test('linked form differences name both schools', () => {
+  const steps = workflow([step('Department')]);
+  const { report } = generateReport(
+    { workflows: steps, forms: form([{ id: 'q1', label: 'Title' }]) },
+    { workflows: steps, forms: [] },
+    ['main_school', 'baseline_school']
+  );
+
+  assert.match(report, /\*\*Linked forms:\*\* .*\(main_school\) vs .*\(baseline_school\)/);
+});
+
+test('the headless CLI writes the workflow step comparison', (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'forms-workflows-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const writeSchool = (name, data) => {
+    const dir = path.join(root, name);
+    fs.mkdirSync(dir);
+    Object.entries(data).forEach(([key, value]) => fs.writeFileSync(path.join(dir, `${key}.json`), JSON.stringify(value)));
+    return dir;
+  };
+  const mainDir = writeSchool('main', { approvalWorkflows: workflow([step('Department'), step('Budget Review'), step('College')]), cmForms: [] });
+  const baselineDir = writeSchool('baseline', { approvalWorkflows: workflow([step('Department'), step('College')]), cmForms: [] });
+  const outDir = path.join(root, 'out');
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+
+  assert.equal(main(['--main', mainDir, '--baseline', baselineDir, '--out', outDir, '--no-scheduling']), 0);
+  const report = fs.readFileSync(path.join(outDir, 'FormsWorkflows_Comparison_Report.md'), 'utf8');
+  assert.doesNotMatch(report, /is not defined/);
+  assert.match(report, /\| Budget Review \| 2 \/ - \| - \| - \| Only in main \|/);
+});
@@ -0,0 +1,25 @@
+/**
+ * Identity diff: array elements are matched by their identity keys
+ * Run: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getElementIdentity, getIdentityKeys, matchArrayElements } = require('../identity-diff.js');
+
+const FILTER_KEYS = getIdentityKeys('integrationFilters.courses');
+
+test('composite identities leave out the parts an element does not have', () => {
+  assert.equal(getElementIdentity({ filterType: 'status', filterValues: [] }, FILTER_KEYS), 'status');
+  assert.equal(getElementIdentity({ filterType: 'status', filterValues: [{ key: { path: 'subject' } }] }, FILTER_KEYS), 'status|subject');
+  assert.equal(getElementIdentity({ filterValues: [{ key: { path: 'subject' } }] }, FILTER_KEYS), 'subject');
+  assert.equal(getElementIdentity({ filterValues: [] }, FILTER_KEYS), null);
+});
+
+test('elements without any identity part are labelled by index', () => {
+  const result = matchArrayElements([{ filterType: 'status' }, { note: 'a' }], [{ filterType: 'status' }], FILTER_KEYS);
+
+  assert.deepEqual(result.pairs.map(pair => pair.label), ['status']);
+  assert.deepEqual(result.inserted, [{ label: '1', mainIndex: 1 }]);
+});
@@ -0,0 +1,79 @@
+/**
+ * Ignore rules on identity diff operations (attribute mappings, integration filters, workflows)
+ * Run: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Load report-generator.js through the CLI, which sets up the browser globals it needs
+require('../compare-cli.js');
+const { DiffResult } = require('../diff-model.js');
+const { findIgnoreRule, DEFAULT_IGNORE_RULES } = require('../ignore-rules.js');
+const CoursedogReportGenerator = globalThis.CoursedogReportGenerator;
+
+const quiet = () => {};
+
+function mapping(fieldName, overrides = {}) {
+  return { primaryType: 'courses', fieldName, code: `${fieldName}-code`, description: fieldName, status: 'active', ...overrides };
+}
+
+function compareMappings(main, baseline, options = {}) {
+  const generator = new CoursedogReportGenerator('main', 'baseline', {}, quiet, true, true, 'staging', 'staging', options);
+  const diff = generator.createDiffResult('AttributeMapping_Comparison_Report', 'Attribute Mappings');
+  generator.compareAttributeMappings(main, baseline, diff);
+  return diff;
+}
+
+test('attribute mappings differing only in _id and lastSyncedAt are suppressed', () => {
+  const main = [
+    mapping('title', { _id: 'a1', lastSyncedAt: '2024-05-01T10:00:00Z' }),
+    mapping('credits', { _id: 'a2', description: 'Credit hours' })
+  ];
+  const baseline = [
+    mapping('title', { _id: 'b1', lastSyncedAt: '2024-06-01T10:00:00Z' }),
+    mapping('credits', { _id: 'b2', description: 'Credits' })
+  ];
+  const diff = compareMappings(main, baseline);
+
+  assert.deepEqual(diff.getDifferences().map(record => record.fieldPath), ['credits']);
+  const [suppressed] = diff.getSuppressed();
+  assert.equal(suppressed.fieldPath, 'title');
+  assert.equal(suppressed.ignoreRule, 'database-ids');
+  assert.deepEqual(suppressed.details.operations, []);
+  assert.equal(suppressed.details.suppressedOperations, 2);
+});
+
+test('ignored operations are dropped from records that still differ', () => {
+  const diff = compareMappings(
+    [mapping('credits', { _id: 'a2', description: 'Credit hours' })],
+    [mapping('credits', { _id: 'b2', description: 'Credits' })]
+  );
+  const [record] = diff.getDifferences();
+  assert.equal(record.suppressed, undefined);
+  assert.deepEqual(record.details.operations.map(operation => operation.path), ['attributeMappings[courses|credits|credits-code].description']);
+  assert.equal(record.details.suppressedOperations, 1);
+});
+
+test('downgrade rules keep operations', () => {
+  const diff = new DiffResult('r', { ignoreMatcher: record => findIgnoreRule(record, DEFAULT_IGNORE_RULES) });
+  const stored = diff.add({
+    section: 'workflows',
+    fieldPath: 'approval',
+    mainValue: true,
+    baselineValue: true,
+    details: { operations: [{ op: 'modify', path: 'steps[review].dueAt', mainValue: '2024-01-01T00:00:00Z', baselineValue: '2024-02-01T00:00:00Z' }] }
+  });
+  assert.equal(stored.details.operations.length, 1);
+  assert.equal(stored.suppressed, undefined);
+});
+
+test('records are unchanged without ignore rules', () => {
+  const diff = compareMappings(
+    [mapping('title', { _id: 'a1' })],
+    [mapping('title', { _id: 'b1' })],
+    { ignoreRules: [] }
+  );
+  assert.equal(diff.getDifferences().length, 1);
+  assert.equal(diff.getDifferences()[0].details.operations.length, 1);
+});
@@ -0,0 +1,28 @@
+/**
+ * Integration rules: rules are paired by id, then by name
+ * Run: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Load report-generator.js through the CLI, which sets up the browser globals it needs
+require('../compare-cli.js');
+const CoursedogReportGenerator = globalThis.CoursedogReportGenerator;
+
+test('rules sharing a name keep their own records and table rows', () => {
+  const generator = new CoursedogReportGenerator('main', 'baseline', {}, () => {}, true, true, 'staging', 'staging');
+  const diff = generator.createDiffResult('IntegrationRules_Comparison_Report', 'Integration Rules');
+  const rules = (secondEnabled) => [
+    { id: 'r1', name: 'Sync courses', enabled: true, conditions: [{ field: 'status', value: 'active' }] },
+    { id: 'r2', name: 'Sync courses', enabled: secondEnabled, conditions: [{ field: 'status', value: 'draft' }] }
+  ];
+  const markdown = generator.compareIntegrationRules(rules(true), rules(false), diff);
+
+  const records = diff.getRecords({ section: 'integrationRules' });
+  assert.equal(new Set(records.map(record => record.id)).size, records.length);
+  const enabled = records.filter(record => record.property === 'enabled');
+  assert.deepEqual(enabled.map(record => [record.fieldPath, record.category]), [['Sync courses (r1)', 'match'], ['Sync courses (r2)', 'value-mismatch']]);
+  assert.match(markdown, /\| Sync courses \(`r1`\) \| ✅ \| ✅ \| on \/ on \| ✅ \| ✅ \| ✅ \|/);
+  assert.match(markdown, /\| Sync courses \(`r2`\) \| ✅ \| ✅ \| on \/ off \| ✅ \| ✅ \| ❌ \|/);
+});
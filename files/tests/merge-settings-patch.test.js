@@ -0,0 +1,56 @@
+/**
+ * Merge settings patch: entities only the baseline has and field exception settings besides the method
+ * Run: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MergeSettingsPatchBuilder } = require('../merge-settings-patch.js');
+
+const exceptionGroup = (conflictHandlingMethod, fields) => ({ conflictHandlingMethod, fields });
+
+test('an entity missing in main starts from the baseline settings', () => {
+  const builder = new MergeSettingsPatchBuilder(
+    { courses: { type: 'courses', enabled: true, conflictHandlingMethod: 'sisWins' } },
+    {
+      courses: { type: 'courses', enabled: true, conflictHandlingMethod: 'sisWins' },
+      sections: {
+        type: 'sections',
+        enabled: true,
+        conflictHandlingMethod: 'coursedogWins',
+        stepsToExecute: { createInSis: true, updateInSis: false }
+      }
+    }
+  );
+  const selected = [
+    MergeSettingsPatchBuilder.changeId('sections', 'defaultMethod'),
+    MergeSettingsPatchBuilder.changeId('sections', 'step', 'createInSis')
+  ];
+  const { patch } = builder.buildPatch(selected);
+
+  assert.deepEqual(patch, {
+    sections: { type: 'sections', enabled: true, conflictHandlingMethod: 'coursedogWins', stepsToExecute: { createInSis: true } }
+  });
+});
+
+test('field exceptions that differ besides the method are changes', () => {
+  const field = (label, extra = {}) => ({ path: ['description'], label, ...extra });
+  const builder = new MergeSettingsPatchBuilder(
+    { courses: { fieldExceptions: [exceptionGroup('sisWins', [field('Description', { ignoreEmpty: false })])] } },
+    { courses: { fieldExceptions: [exceptionGroup('sisWins', [field('Description', { ignoreEmpty: true })])] } }
+  );
+  const [group] = builder.getChangeOptions();
+
+  assert.equal(group.changes.length, 1);
+  assert.deepEqual(group.changes[0].mainValue, { conflictHandlingMethod: 'sisWins', label: 'Description', ignoreEmpty: false });
+  assert.deepEqual(group.changes[0].baselineValue, { conflictHandlingMethod: 'sisWins', label: 'Description', ignoreEmpty: true });
+  assert.deepEqual(builder.buildPatch().patch.courses.fieldExceptions, [exceptionGroup('sisWins', [field('Description', { ignoreEmpty: true })])]);
+});
+
+test('field exceptions with the same settings in another key order are not changes', () => {
+  const builder = new MergeSettingsPatchBuilder(
+    { courses: { fieldExceptions: [exceptionGroup('sisWins', [{ path: ['name'], label: 'Name', ignoreEmpty: true }])] } },
+    { courses: { fieldExceptions: [exceptionGroup('sisWins', [{ ignoreEmpty: true, label: 'Name', path: ['name'] }])] } }
+  );
+  assert.deepEqual(builder.getChangeOptions(), []);
+});
@@ -0,0 +1,45 @@
+/**
+ * Mock Coursedog API server CORS: credentialed requests from the extension origin
+ * Run: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockServer } = require('../mock-coursedog-server.js');
+
+const ORIGIN = 'chrome-extension://abcdefghijklmnopabcdefghijklmnop';
+
+async function withServer(run) {
+  const server = createMockServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    await run(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    server.close();
+  }
+}
+
+test('preflight and responses echo the request origin and allow credentials', async () => {
+  await withServer(async (baseUrl) => {
+    const preflight = await fetch(`${baseUrl}/api/v1/sessions`, {
+      method: 'OPTIONS',
+      headers: { Origin: ORIGIN, 'Access-Control-Request-Method': 'POST', 'Access-Control-Request-Headers': 'content-type' }
+    });
+    assert.equal(preflight.status, 204);
+    assert.equal(preflight.headers.get('access-control-allow-origin'), ORIGIN);
+    assert.equal(preflight.headers.get('access-control-allow-credentials'), 'true');
+
+    const response = await fetch(`${baseUrl}/api/v1/unknown`, { headers: { Origin: ORIGIN } });
+    assert.equal(response.headers.get('access-control-allow-origin'), ORIGIN);
+    assert.equal(response.headers.get('access-control-allow-credentials'), 'true');
+    assert.equal(response.headers.get('vary'), 'Origin');
+  });
+});
+
+test('requests without an origin get the wildcard and no credentials', async () => {
+  await withServer(async (baseUrl) => {
+    const response = await fetch(`${baseUrl}/api/v1/unknown`);
+    assert.equal(response.headers.get('access-control-allow-origin'), '*');
+    assert.equal(response.headers.get('access-control-allow-credentials'), null);
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Multi-baseline matrix: the primary baseline reuses the diff results of the regular report run
+ * Run: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Load report-generator.js through the CLI, which sets up the browser globals it needs
+require('../compare-cli.js');
+const { DiffResult } = require('../diff-model.js');
+const CoursedogReportGenerator = globalThis.CoursedogReportGenerator;
+const { MultiBaselineReportGenerator } = require('../multi-baseline-report.js');
+const { fixtures } = require('../fixtures/coursedog-api.json');
+
+console.log = () => {};
+console.warn = () => {};
+
+const mergeSettings = (school) => fixtures.find(fixture => fixture.path.endsWith('/integration/mergeSettings') && fixture.school === school).body;
+
+const BASELINES = [
+  { name: 'baseline_one', environment: 'staging', prefix: 'BaselineSchool' },
+  { name: 'baseline_two', environment: 'staging', prefix: 'BaselineSchool2' }
+];
+
+function createTempData() {
+  return {
+    MainSchool_mergeSettings: mergeSettings('fixture_main'),
+    BaselineSchool_mergeSettings: mergeSettings(undefined),
+    BaselineSchool2_mergeSettings: mergeSettings('fixture_main')
+  };
+}
+
+function countComparisonRuns(t) {
+  const original = CoursedogReportGenerator.prototype.generateComparisonReport;
+  const runs = [];
+  t.mock.method(CoursedogReportGenerator.prototype, 'generateComparisonReport', function (...args) {
+    runs.push(this.baselineSchool);
+    return original.apply(this, args);
+  });
+  return runs;
+}
+
+function generateMatrix(tempData) {
+  return new MultiBaselineReportGenerator('main_school', BASELINES, tempData, { curriculumEnabled: false, schedulingEnabled: false }).generateReport();
+}
+
+test('the primary baseline reuses the stored diff results', (t) => {
+  const tempData = createTempData();
+  new CoursedogReportGenerator('main_school', 'baseline_one', tempData, [], false, false).generateComparisonReport();
+  const runs = countComparisonRuns(t);
+
+  const matrix = generateMatrix(tempData);
+  assert.deepEqual(runs, ['baseline_two']);
+
+  const steps = matrix.sections.find(section => section.reportKey === 'stepsToExecute_Comparison_Report');
+  assert.ok(steps.rows.length > 0);
+  assert.deepEqual(steps.errors, []);
+  const primary = DiffResult.fromJSON(tempData[DiffResult.storageKey('stepsToExecute_Comparison_Report')]);
+  primary.getRecords().forEach(record => {
+    const row = steps.rows.find(candidate => candidate.id === record.id);
+    assert.equal(row.cells[0].category, record.category);
+  });
+});
+
+test('without stored diff results every baseline is compared', (t) => {
+  const runs = countComparisonRuns(t);
+  generateMatrix(createTempData());
+  assert.deepEqual(runs, ['baseline_one', 'baseline_two']);
+});
+
+test('a compared baseline without a record for a row matches main; a failed one is not compared', (t) => {
+  const generator = new MultiBaselineReportGenerator('main_school', [...BASELINES, { name: 'baseline_three', environment: 'staging', prefix: 'BaselineSchool3' }], createTempData(), { curriculumEnabled: false, schedulingEnabled: false });
+  const [section] = generator.getSections();
+  const nested = { entity: 'courses', section: 'nestedFields', fieldPath: 'requisites.type', mainValue: 'pre', baselineValue: 'co' };
+  const results = {
+    BaselineSchool: { [section.key]: new DiffResult(section.key) },
+    BaselineSchool2: { [section.key]: new DiffResult(section.key) },
+    BaselineSchool3: { [section.key]: new DiffResult(section.key) }
+  };
+  results.BaselineSchool[section.key].add(nested);
+  results.BaselineSchool3[section.key].addError('Fetch failed', 'courses');
+  t.mock.method(generator, 'collectDiffResults', () => results);
+
+  const matrix = generator.buildMatrix();
+  const row = matrix.sections[0].rows.find(candidate => candidate.fieldPath === 'requisites.type');
+  assert.deepEqual(row.cells.map(cell => cell && cell.category), ['value-mismatch', 'match', null]);
+  assert.match(generator.formatMatrixReport(matrix), /\| requisites\.type \| `pre` \| ❌ `co` \| ✅ \| — \|/);
+});
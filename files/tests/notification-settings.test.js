@@ -0,0 +1,45 @@
+/**
+ * Notification settings: triggers are matched by ID across the schools
+ * Run: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Load report-generator.js through the CLI, which sets up the browser globals it needs
+require('../compare-cli.js');
+const CoursedogReportGenerator = globalThis.CoursedogReportGenerator;
+
+const MODULE = { code: 'cm', name: 'Curriculum Management', toggle: 'curriculum' };
+
+function compare(mainData, baselineData) {
+  const generator = new CoursedogReportGenerator('main', 'baseline', {}, () => {}, true, true, 'staging', 'staging');
+  const diff = generator.createDiffResult('NotificationSettings_Comparison_Report', 'Notification Settings');
+  const markdown = generator.compareNotificationSettings(MODULE, mainData, baselineData, diff);
+  return { markdown, records: diff.getRecords({ section: 'notifications' }) };
+}
+
+test('triggers sharing a type are compared by ID', () => {
+  const settings = (approvedSubject) => ({
+    enabled: true,
+    notifications: [
+      { id: 'n1', type: 'email', name: 'Proposal submitted', enabled: true, subject: 'Submitted' },
+      { id: 'n2', type: 'email', name: 'Proposal approved', enabled: true, subject: approvedSubject }
+    ]
+  });
+  const { records } = compare(settings('Approved'), settings('Proposal approved'));
+
+  const subjects = records.filter(record => record.property === 'subject');
+  assert.deepEqual(subjects.map(record => [record.fieldPath, record.category]), [['n1', 'match'], ['n2', 'value-mismatch']]);
+});
+
+test('triggers repeating an ID are kept and reported', () => {
+  const main = [
+    { id: 'n1', name: 'Proposal submitted', enabled: true },
+    { id: 'n1', name: 'Proposal submitted (copy)', enabled: false }
+  ];
+  const { markdown, records } = compare(main, [{ id: 'n1', name: 'Proposal submitted', enabled: true }]);
+
+  assert.deepEqual(records.filter(record => !record.property).map(record => [record.fieldPath, record.category]), [['n1 #2', 'missing-in-baseline']]);
+  assert.match(markdown, /main has several triggers with the same ID: `n1`/);
+});
@@ -0,0 +1,360 @@
+/**
+ * End-to-end Notion uploads against the fake Notion server (mock-notion-server.js): the live
+ * uploader path, the persisted plan path, "update existing" syncs and block auto-repair, with injected 429s and validation errors
+ * Run: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// The uploader modules expect these as browser globals (loaded by <script> tags in offscreen.html)
+Object.assign(globalThis, require('../notion-rich-text.js'));
+Object.assign(globalThis, require('../diff-model.js'));
+Object.assign(globalThis, require('../triage-annotations.js'));
+Object.assign(globalThis, require('../notion-review-pages.js'));
+Object.assign(globalThis, require('../notion-plan-executor.js'));
+globalThis.SimpleTableBuilder = require('../simple-table-builder.js');
+globalThis.ContentProcessor = require('../content-processor.js');
+globalThis.NotionCompiler = require('../notion-compiler.js');
+globalThis.NotionClient = require('../notion-client.js');
+const NotionUploader = require('../notion-uploader.js');
+const { NotionReviewsIndex, NOTION_REVIEWS_DATABASE_TITLE } = require('../notion-reviews-index.js');
+const { createMockNotionServer } = require('../mock-notion-server.js');
+
+// The client and uploader log every request
+console.log = () => {};
+console.warn = () => {};
+console.error = () => {};
+
+const TOKEN = 'secret_test';
+
+const REPORT = (title) => [
+  `# ${title}`,
+  '',
+  '## Summary',
+  '',
+  'The schools differ in **3** fields; review the `courseNumber` requirement first.',
+  '',
+  '## Differences',
+  '',
+  '| Field | Main | Baseline |',
+  '|---|---|---|',
+  '| `courseNumber` | **required** | *optional* |',
+  '| credits | 3 | 4 |',
+  '| status | [active](https://example.com/status) | inactive |',
+  ''
+].join('\n');
+
+const TEMP_DATA = {
+  ExecutiveSummary_Report: REPORT('Executive Summary'),
+  courseTemplate_Comparison_Report: REPORT('Course Template')
+};
+
+async function startServer(options = {}) {
+  const requests = [];
+  const server = createMockNotionServer({ token: TOKEN, rootPage: { title: 'Reviews' }, log: line => requests.push(line), ...options });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  server.requests = requests;
+  server.baseURL = `http://127.0.0.1:${server.address().port}/v1/`;
+  return server;
+}
+
+function createClient(server) {
+  const client = new NotionClient(TOKEN, null, { baseURL: server.baseURL });
+  client.delay = async () => {}; // Retry-After is 0; skip the pacing delays
+  return client;
+}
+
+function createUploader(client) {
+  const uploader = new NotionUploader(client);
+  uploader.delay = async () => {};
+  return uploader;
+}
+
+function pageTitle(page) {
+  const title = Object.values(page.properties).find(property => property.type === 'title');
+  return (title ? title.title : []).map(item => item.text.content).join('');
+}
+
+function childPages(workspace, parentId) {
+  return Array.from(workspace.pages.values()).filter(page => page.parent?.page_id === parentId && !page.archived);
+}
+
+function databaseRows(workspace, databaseId) {
+  return Array.from(workspace.pages.values()).filter(page => page.parent?.database_id === databaseId);
+}
+
+function databasesUnder(workspace, pageId) {
+  return Array.from(workspace.databases.values()).filter(database => database.parent.page_id === pageId);
+}
+
+function countResponses(server, status) {
+  return server.requests.filter(line => line.includes(`→ ${status}`)).length;
+}
+
+function createMemoryJobStore(jobId) {
+  const jobs = { [jobId]: { id: jobId, status: 'running', notion: { mainPageId: null, subpages: [] }, progress: {}, resume: {}, pointers: {} } };
+  const plans = {};
+  const copy = value => JSON.parse(JSON.stringify(value));
+  return {
+    jobs,
+    async getJob(id) { return copy(jobs[id]); },
+    async checkpoint(id, checkpoint) {
+      const job = jobs[id];
+      const update = copy(checkpoint);
+      if (update.status) job.status = update.status;
+      if (update.error) job.error = update.error;
+      ['pointers', 'notion', 'progress', 'resume'].forEach(field => {
+        if (update[field]) job[field] = { ...job[field], ...update[field] };
+      });
+    },
+    async getPlan(id) { return plans[id] ? copy(plans[id]) : null; },
+    async savePlan(id, plan) { plans[id] = copy(plan); },
+    async removePlan(id) { delete plans[id]; }
+  };
+}
+
+test('live upload retries 429s and validation errors and creates every page and row', async () => {
+  const server = await startServer({
+    rateLimit: { every: 5, retryAfter: 0 },
+    failures: [{ method: 'PATCH', path: /\/children$/, status: 400, message: 'Injected validation error', times: 1 }]
+  });
+  try {
+    const uploader = createUploader(createClient(server));
+    const result = await uploader.uploadReportFilesSimplified(TEMP_DATA, 'main_school', 'baseline_school', () => {}, server.rootPage.id);
+    const workspace = server.workspace;
+
+    assert.ok(countResponses(server, 429) > 0, 'expected injected 429s');
+    assert.equal(countResponses(server, 400), 1);
+
+    const [mainPage] = childPages(workspace, server.rootPage.id);
+    assert.match(pageTitle(mainPage), /main_school Pod Lead Review/);
+    assert.equal(result.url, mainPage.url);
+
+    const subPages = childPages(workspace, mainPage.id);
+    ['🚦 Executive Summary', '📚 Course Template Comparison'].forEach(title => {
+      assert.equal(subPages.filter(page => pageTitle(page) === title).length, 1, title);
+    });
+
+    const courseTemplate = subPages.find(page => pageTitle(page) === '📚 Course Template Comparison');
+    const summary = workspace.listChildren(courseTemplate.id, {}).results.find(block => block.type === 'paragraph'
+      && block.paragraph.rich_text.some(item => item.text.content === 'courseNumber'));
+    assert.deepEqual(summary.paragraph.rich_text.filter(item => item.annotations).map(item => [item.text.content, item.annotations]), [
+      ['3', { bold: true }],
+      ['courseNumber', { code: true }]
+    ]);
+
+    const [table] = databasesUnder(workspace, courseTemplate.id);
+    const rows = databaseRows(workspace, table.id);
+    assert.equal(rows.length, 3);
+    const required = rows.map(row => Object.values(row.properties).flatMap(property => property.title || property.rich_text || []))
+      .flat()
+      .find(item => item.text.content === 'required');
+    assert.deepEqual(required.annotations, { bold: true });
+  } finally {
+    server.close();
+  }
+});
+
+test('plan upload pauses on a 429 storm and resumes without duplicating pages', async () => {
+  // Six consecutive 429s on the first database request outlast executePlanRequest's five retries
+  const server = await startServer({
+    failures: [{ method: 'POST', path: '/v1/databases', status: 429, code: 'rate_limited', message: 'Rate limited', times: 6 }]
+  });
+  try {
+    const store = createMemoryJobStore('job-1');
+    const uploader = createUploader(createClient(server));
+    const run = () => uploader.uploadReportFilesFromPlan('job-1', store, TEMP_DATA, 'main_school', 'baseline_school', () => {}, server.rootPage.id);
+
+    await assert.rejects(run(), error => error.code === 'rate_limited');
+    assert.equal(store.jobs['job-1'].status, 'paused');
+    assert.ok(store.jobs['job-1'].resume.retryAt);
+    assert.equal(countResponses(server, 429), 6);
+
+    const result = await run();
+    const workspace = server.workspace;
+    const mainPages = childPages(workspace, server.rootPage.id);
+    assert.equal(mainPages.length, 1);
+    assert.equal(result.url, mainPages[0].url);
+
+    const subPages = childPages(workspace, mainPages[0].id);
+    assert.equal(subPages.length, 2);
+    subPages.forEach(page => {
+      const databases = databasesUnder(workspace, page.id);
+      assert.equal(databases.length, 1);
+      assert.equal(databaseRows(workspace, databases[0].id).length, 3);
+    });
+    assert.deepEqual(store.jobs['job-1'].notion.subpages.map(subpage => subpage.status), ['succeeded', 'succeeded']);
+  } finally {
+    server.close();
+  }
+});
+
+test('malformed blocks are auto-repaired before they are sent', async () => {
+  const server = await startServer();
+  try {
+    const client = createClient(server);
+    client.convertContentToBlocks = () => [
+      client.createHeadingBlock('Repaired blocks', 2),
+      { object: 'block', type: 'paragraph' },
+      { object: 'block', type: 'code' }
+    ];
+    const page = await client.createSubPage('Auto repair', server.rootPage.id, 'ignored', 'markdown');
+    const blocks = server.workspace.listChildren(page.id, {}).results;
+
+    assert.deepEqual(blocks.map(block => block.type), ['heading_2', 'paragraph', 'code']);
+    assert.equal(blocks[1].paragraph.rich_text[0].text.content, 'Error: Missing paragraph content');
+    assert.equal(blocks[2].code.rich_text[0].text.content, 'Error: Missing code content');
+  } finally {
+    server.close();
+  }
+});
+
+test('update-existing uploads keep reviewer comments on typed rows and replace the change log and snapshot', async () => {
+  const server = await startServer({
+    failures: [{ method: 'DELETE', path: /\/v1\/blocks\//, status: 429, code: 'rate_limited', message: 'Rate limited', times: 2 }]
+  });
+  const countsReport = (rows) => [
+    '# Course Template',
+    '',
+    '## Summary',
+    '',
+    'Field counts differ between the schools; the registrar should confirm the **course number** limits.',
+    '',
+    '## Counts',
+    '',
+    '| Field | Count | Status |',
+    '|---|---|---|',
+    ...rows,
+    ''
+  ].join('\n');
+  const tempData = (rows) => ({
+    ExecutiveSummary_Report: REPORT('Executive Summary'),
+    courseTemplate_Comparison_Report: countsReport(rows),
+    snapshot_main_school_json: '{"courses":[]}',
+    [NOTION_REVIEW_TEMPDATA_KEY]: { updateExisting: true }
+  });
+  const rows = ['| `courseNumber` | 1,200 | **active** |', '| credits | 3 | inactive |'];
+
+  try {
+    const storage = { data: {}, async get(key) { return { [key]: this.data[key] }; }, async set(items) { Object.assign(this.data, items); } };
+    const uploader = createUploader(createClient(server));
+    uploader.reviewPageStore = new NotionReviewPageStore({ storage });
+    const workspace = server.workspace;
+    const mainBlocks = (pageId) => workspace.listChildren(pageId, {}).results;
+    const courseTemplateRows = (pageId) => {
+      const page = childPages(workspace, pageId).find(subPage => pageTitle(subPage) === '📚 Course Template Comparison');
+      const [database] = databasesUnder(workspace, page.id).filter(candidate => !candidate.archived);
+      return { database, rows: databaseRows(workspace, database.id) };
+    };
+
+    // The plan path infers number (Count) and select (Status) columns next to the Comments column
+    await uploader.uploadReportFilesFromPlan('job-1', createMemoryJobStore('job-1'), tempData(rows), 'main_school', 'baseline_school', () => {}, server.rootPage.id);
+    const [mainPage] = childPages(workspace, server.rootPage.id);
+    const dividers = () => mainBlocks(mainPage.id).filter(block => block.type === 'divider').length;
+    const initialDividers = dividers();
+    const planned = courseTemplateRows(mainPage.id);
+    assert.equal(planned.database.properties.Count.type, 'number');
+    assert.equal(planned.database.properties.Status.type, 'select');
+    assert.equal(planned.database.properties.Comments.type, 'rich_text');
+    const commented = planned.rows.find(row => row.properties.Count.number === 1200);
+    commented.properties.Comments = { id: 'cmts', type: 'rich_text', rich_text: [{ type: 'text', text: { content: 'Check with registrar' }, plain_text: 'Check with registrar' }] };
+
+    await uploader.uploadReportFilesSimplified(tempData([...rows, '| status | 1 | pending |']), 'main_school', 'baseline_school', () => {}, server.rootPage.id);
+    await uploader.uploadReportFilesSimplified(tempData([...rows, '| status | 2 | pending |']), 'main_school', 'baseline_school', () => {}, server.rootPage.id);
+
+    assert.equal(countResponses(server, 429), 2);
+    assert.deepEqual(childPages(workspace, server.rootPage.id).map(page => page.id), [mainPage.id]);
+    const comments = courseTemplateRows(mainPage.id).rows
+      .map(row => row.properties.Comments.rich_text.map(item => item.text.content).join(''))
+      .filter(Boolean);
+    assert.deepEqual(comments, ['Check with registrar']);
+
+    const blocks = mainBlocks(mainPage.id);
+    const headings = blocks.filter(block => block.type === 'heading_3' && block.heading_3.rich_text[0].text.content.startsWith('🔄 Updated'));
+    assert.equal(headings.length, 1);
+    assert.equal(dividers(), initialDividers + 1);
+    assert.equal(blocks.filter(block => block.type === 'file' && block.file.name === 'snapshot_main_school.json').length, 1);
+  } finally {
+    server.close();
+  }
+});
+
+test('plan uploads carry the difference summary, triage comments, CAC and remediation pages', async () => {
+  const server = await startServer();
+  const diff = new DiffResult('courseTemplate_Comparison_Report');
+  diff.add({ entity: 'courseTemplate', section: 'properties', fieldPath: 'credits', property: 'value', mainValue: 3, baselineValue: 4, severity: 'warning' });
+  const tempData = {
+    ...TEMP_DATA,
+    [DiffResult.storageKey('courseTemplate_Comparison_Report')]: diff.toJSON(),
+    [TRIAGE_TEMPDATA_KEY]: {
+      'courseTemplate_Comparison_Report|properties|courseTemplate|credits|value': {
+        reportKey: 'courseTemplate_Comparison_Report', entity: 'courseTemplate', fieldPath: 'credits', status: 'needs-fix', comment: 'Registrar to confirm'
+      }
+    },
+    CAC_Report: '# CAC Report',
+    MainSchool_integrationSettings: { status: 'success', data: { sis: 'banner' } },
+    RemediationPlan_Report: '# Remediation Plan',
+    RemediationPlan_Report_Plan: {
+      mainSchool: 'main_school',
+      baselineSchool: 'baseline_school',
+      steps: [{ order: 1, phase: 'templates', phaseTitle: 'Templates', severity: 'warning', instruction: 'Set `credits` to 4', area: 'Course template' }]
+    }
+  };
+
+  try {
+    const uploader = createUploader(createClient(server));
+    await uploader.uploadReportFilesFromPlan('job-1', createMemoryJobStore('job-1'), tempData, 'main_school', 'baseline_school', () => {}, server.rootPage.id);
+    const workspace = server.workspace;
+    const [mainPage] = childPages(workspace, server.rootPage.id);
+    const subPage = (title) => childPages(workspace, mainPage.id).find(page => pageTitle(page) === title);
+    const blocks = (page) => workspace.listChildren(page.id, {}).results;
+
+    const courseTemplate = subPage('📚 Course Template Comparison');
+    const [summary] = blocks(courseTemplate);
+    assert.equal(summary.type, 'callout');
+    assert.equal(summary.callout.rich_text[0].text.content, '1 difference(s): 0 critical, 1 warning, 0 info');
+    const [table] = databasesUnder(workspace, courseTemplate.id);
+    assert.equal(table.properties.Comments.type, 'rich_text');
+    const comments = databaseRows(workspace, table.id)
+      .map(row => row.properties.Comments.rich_text.map(item => item.text.content).join(''));
+    assert.deepEqual(comments, ['', '🔧 Needs fix: Registrar to confirm', '']);
+
+    const cac = blocks(subPage('📋 CAC Report'));
+    assert.ok(cac.some(block => block.type === 'code' && block.code.rich_text[0].text.content.includes('"sis": "banner"')));
+
+    const remediation = blocks(subPage('🛠️ Remediation Plan'));
+    const todos = remediation.filter(block => block.type === 'to_do');
+    assert.equal(todos.length, 1);
+    assert.equal(todos[0].to_do.rich_text[0].text.content, '1. 🟡 Set credits to 4');
+  } finally {
+    server.close();
+  }
+});
+
+test('the Reviews database created on one machine is reused by another', async () => {
+  const server = await startServer();
+  const machine = () => {
+    const storage = { data: {}, async get(key) { return { [key]: this.data[key] }; }, async set(items) { Object.assign(this.data, items); } };
+    return new NotionReviewsIndex(createClient(server), new NotionReviewPageStore({ storage }));
+  };
+  const run = (mainSchool) => ({
+    mainSchool,
+    baselineSchool: 'baseline_school',
+    runDate: new Date('2026-10-19T10:00:00Z'),
+    url: null,
+    summary: { reports: [{ column: 'Course Template', differences: 2 }], differences: 2, riskScore: 4 }
+  });
+
+  try {
+    await machine().recordRun(server.rootPage.id, run('main_one'));
+    await machine().recordRun(server.rootPage.id, run('main_two'));
+
+    const databases = databasesUnder(server.workspace, server.rootPage.id)
+      .filter(database => database.title.map(item => item.text.content).join('') === NOTION_REVIEWS_DATABASE_TITLE);
+    assert.equal(databases.length, 1);
+    assert.equal(databaseRows(server.workspace, databases[0].id).length, 2);
+  } finally {
+    server.close();
+  }
+});
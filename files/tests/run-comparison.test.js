@@ -0,0 +1,51 @@
+/**
+ * Run comparison: differences are matched by record ID between two report runs
+ * Run: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { DiffResult } = require('../diff-model.js');
+globalThis.DiffResult = DiffResult;
+const { compareReportRuns, generateRunComparisonReport } = require('../run-comparison.js');
+
+const REPORT_KEY = 'courseTemplate_Comparison_Report';
+
+function run(createdAt, build) {
+  const diff = new DiffResult(REPORT_KEY, { title: 'Course Template', mainSchool: 'main_school', baselineSchool: 'baseline_school' });
+  build(diff);
+  return {
+    meta: { mainSchool: 'main_school', baselineSchool: 'baseline_school', createdAt },
+    index: [{ key: REPORT_KEY, title: 'Course Template' }],
+    diffs: { [REPORT_KEY]: diff.toJSON() }
+  };
+}
+
+const credits = { entity: 'courseTemplate', section: 'properties', fieldPath: 'credits', property: 'value', mainValue: 3, baselineValue: 4 };
+const status = { entity: 'courseTemplate', section: 'properties', fieldPath: 'status', property: 'value', mainValue: 'active', baselineValue: 'draft' };
+
+test('differences missing from the later run are resolved', () => {
+  const earlier = run('2026-10-01T10:00:00Z', diff => { diff.add(credits); diff.add(status); });
+  const later = run('2026-10-02T10:00:00Z', diff => { diff.add({ ...credits, mainValue: 4, baselineValue: 5 }); });
+
+  const comparison = compareReportRuns(earlier, later);
+  assert.equal(comparison.reports[0].availability, 'both');
+  assert.deepEqual(comparison.totals, { new: 0, resolved: 1, changed: 1, unchanged: 0 });
+});
+
+test('a run whose comparison failed is listed as not compared instead of resolving every difference', () => {
+  const earlier = run('2026-10-01T10:00:00Z', diff => { diff.add(credits); diff.add(status); });
+  const later = run('2026-10-02T10:00:00Z', diff => { diff.addError('Failed to fetch course template: 503'); });
+
+  const comparison = compareReportRuns(earlier, later);
+  const [report] = comparison.reports;
+  assert.equal(report.availability, 'error');
+  assert.equal(report.counts, null);
+  assert.deepEqual(report.errors, [{ run: 'later', message: 'Failed to fetch course template: 503' }]);
+  assert.deepEqual(comparison.totals, { new: 0, resolved: 0, changed: 0, unchanged: 0 });
+
+  const markdown = generateRunComparisonReport(comparison);
+  assert.match(markdown, /- Course Template: later run: Failed to fetch course template: 503/);
+  assert.doesNotMatch(markdown, /\| ✅ Resolved \| courseTemplate \|/);
+});
@@ -0,0 +1,24 @@
+/**
+ * Severity rules: each difference is classified by the first matching rule
+ * Run: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Load report-generator.js through the CLI, which sets up the browser globals it needs
+require('../compare-cli.js');
+const CoursedogReportGenerator = globalThis.CoursedogReportGenerator;
+
+test('a question present in only one school is counted once as a missing question', () => {
+  const generator = new CoursedogReportGenerator('main', 'baseline', {}, () => {}, true, true, 'staging', 'staging');
+  const diff = generator.createDiffResult('courseTemplate_Comparison_Report', 'Course Template');
+  const mainQuestions = { title: { label: 'Title', required: true }, credits: { label: 'Credits', required: true } };
+  const baselineQuestions = { title: { label: 'Title', required: true }, subject: { label: 'Subject', required: false } };
+  generator.formatFieldExistanceTable(mainQuestions, baselineQuestions, diff, 'courseTemplate');
+  generator.compareCourseConfigurations(mainQuestions, baselineQuestions, diff);
+  generator.storeDiffResult(diff);
+
+  const missing = diff.getDifferences().filter(record => record.details.severityRule === 'template-question-missing');
+  assert.deepEqual(missing.map(record => [record.section, record.fieldPath]).sort(), [['existence', 'credits'], ['existence', 'subject']]);
+});
@@ -0,0 +1,47 @@
+/**
+ * Template property rows keep the field label of each school
+ * Run: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Load report-generator.js through the CLI, which sets up the browser globals it needs
+require('../compare-cli.js');
+const CoursedogReportGenerator = globalThis.CoursedogReportGenerator;
+
+test('template property rows map the baseline label of the question', () => {
+  const generator = new CoursedogReportGenerator('main', 'baseline', {}, () => {}, true, true, 'staging', 'staging');
+  const diff = generator.createDiffResult('courseTemplate_Comparison_Report', 'Course Template');
+  generator.compareCourseConfigurations(
+    { title: { label: 'Title', required: true }, credits: { label: 'Credits', required: true } },
+    { title: { label: 'Course Title', required: false } },
+    diff
+  );
+  const rows = diff.getRecords({ section: 'properties' }).map(record => generator.templateRowFromRecord(record));
+  const title = rows.find(row => row.field === 'title');
+  const credits = rows.find(row => row.field === 'credits');
+
+  assert.equal(title.fieldLabelMain, 'Title');
+  assert.equal(title.fieldLabelBaseline, 'Course Title');
+  assert.equal(credits, undefined);
+});
+
+test('a question in only one template gets its existence record and no property rows', () => {
+  const generator = new CoursedogReportGenerator('main', 'baseline', {}, () => {}, true, true, 'staging', 'staging', { templatePropertyProfile: 'full' });
+  const diff = generator.createDiffResult('courseTemplate_Comparison_Report', 'Course Template');
+  const mainQuestions = {
+    title: { label: 'Title', required: true },
+    credits: { label: 'Credits', required: true, config: { fields: { min: { label: 'Minimum', required: true } } } }
+  };
+  const baselineQuestions = { title: { label: 'Title', required: true }, subject: { label: 'Subject', required: false } };
+  generator.formatFieldExistanceTable(mainQuestions, baselineQuestions, diff, 'courseTemplate');
+  generator.compareCourseConfigurations(mainQuestions, baselineQuestions, diff);
+
+  const oneSided = diff.getRecords().filter(record => ['credits', 'subject'].includes(record.fieldPath.split('.')[0]));
+  assert.deepEqual(oneSided.map(record => [record.section, record.fieldPath, record.category]), [
+    ['existence', 'credits', 'missing-in-baseline'],
+    ['existence', 'subject', 'missing-in-main']
+  ]);
+  assert.ok(diff.getRecords({ section: 'properties' }).some(record => record.fieldPath === 'title'));
+});
@@ -0,0 +1,165 @@
+/**
+ * SIS compare tool + Env capture - Triage Annotations
+ * Reviewers mark individual differences as expected / accepted, needs fix or question for customer,
+ * with a comment. Annotations are kept in chrome.storage.local per school pair and keyed by diff
+ * record ID (report, section, entity, field path, property), so they carry forward to every later
+ * run for the same pair. Accepted differences are collapsed in the report viewer while their values
+ * stay the same, and annotation comments fill the Comments column of the Notion databases.
+ */
+
+const TRIAGE_STORAGE_KEY = 'triageAnnotations';
+const TRIAGE_TEMPDATA_KEY = 'TriageAnnotations'; // Pair annotations attached to a Notion upload payload
+
+const TRIAGE_STATUSES = {
+  accepted: '✅ Expected / accepted',
+  'needs-fix': '🔧 Needs fix',
+  question: '❓ Question for customer'
+};
+
+/**
+ * Key of a school pair (school IDs; header decorations like "(Staging)" are ignored)
+ * @param {string} mainSchool - Main school ID
+ * @param {string} baselineSchool - Baseline school ID
+ * @returns {string} Pair key
+ */
+function triagePairKey(mainSchool, baselineSchool) {
+  const normalize = (school) => String(school || '').replace(/\s*\(.*\)\s*$/, '').trim().toLowerCase();
+  return `${normalize(mainSchool)}|${normalize(baselineSchool)}`;
+}
+
+/**
+ * Whether an annotation still describes the record (same values as when it was made)
+ * @param {Object} annotation - Stored annotation
+ * @param {Object} record - Diff record of the current run
+ * @returns {boolean} True when the values are unchanged
+ */
+function isTriageAnnotationCurrent(annotation, record) {
+  return JSON.stringify([annotation.mainValue, annotation.baselineValue]) === JSON.stringify([record.mainValue, record.baselineValue]);
+}
+
+class TriageAnnotationStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {Object} options.storage - chrome.storage area (get/set) holding the annotations
+   * @param {Function} [options.now] - Clock (returns a Date), for tests
+   */
+  constructor(options = {}) {
+    this.storage = options.storage;
+    this.now = options.now || (() => new Date());
+  }
+
+  async readAll() {
+    const stored = await this.storage.get(TRIAGE_STORAGE_KEY);
+    return stored[TRIAGE_STORAGE_KEY] || {};
+  }
+
+  /**
+   * Annotations of a school pair
+   * @param {string} mainSchool - Main school ID
+   * @param {string} baselineSchool - Baseline school ID
+   * @returns {Promise<Object>} Annotations keyed by record ID
+   */
+  async getPairAnnotations(mainSchool, baselineSchool) {
+    const all = await this.readAll();
+    return all[triagePairKey(mainSchool, baselineSchool)] || {};
+  }
+
+  /**
+   * Save (or clear, when status is empty) the annotation of a difference
+   * @param {string} mainSchool - Main school ID
+   * @param {string} baselineSchool - Baseline school ID
+   * @param {Object} record - Diff record being annotated
+   * @param {Object} annotation - { status: key of TRIAGE_STATUSES or '', comment }
+   * @returns {Promise<Object|null>} Stored annotation, or null when cleared
+   */
+  async setAnnotation(mainSchool, baselineSchool, record, annotation) {
+    const all = await this.readAll();
+    const pairKey = triagePairKey(mainSchool, baselineSchool);
+    const pair = all[pairKey] || {};
+    const comment = String(annotation.comment || '').trim();
+
+    let stored = null;
+    if (!annotation.status && !comment) {
+      delete pair[record.id];
+    } else {
+      if (annotation.status && !TRIAGE_STATUSES[annotation.status]) {
+        throw new Error(`Unknown triage status: ${annotation.status}`);
+      }
+      stored = {
+        status: annotation.status || '',
+        comment,
+        reportKey: record.reportKey,
+        section: record.section || '',
+        entity: record.entity || '',
+        fieldPath: record.fieldPath || '',
+        fieldLabel: record.fieldLabel || '',
+        property: record.property || '',
+        mainValue: record.mainValue === undefined ? null : record.mainValue,
+        baselineValue: record.baselineValue === undefined ? null : record.baselineValue,
+        updatedAt: this.now().toISOString()
+      };
+      pair[record.id] = stored;
+    }
+
+    if (Object.keys(pair).length > 0) all[pairKey] = pair; else delete all[pairKey];
+    await this.storage.set({ [TRIAGE_STORAGE_KEY]: all });
+    return stored;
+  }
+
+  /**
+   * Remove an annotation (e.g. one whose difference no longer exists)
+   * @param {string} mainSchool - Main school ID
+   * @param {string} baselineSchool - Baseline school ID
+   * @param {string} recordId - Diff record ID
+   */
+  async removeAnnotation(mainSchool, baselineSchool, recordId) {
+    await this.setAnnotation(mainSchool, baselineSchool, { id: recordId }, { status: '', comment: '' });
+  }
+}
+
+/**
+ * Text for the Notion Comments column of one table row
+ * A row gets the annotations of its report whose field path or label appears as a cell; when several
+ * annotations share the field, the ones whose entity also appears in the row win.
+ * @param {Array<string>} cells - Row cells (Markdown)
+ * @param {Array<Object>} annotations - Annotations of the report being uploaded
+ * @returns {string} Comment text ('' when no annotation matches)
+ */
+function getTriageRowComment(cells, annotations) {
+  if (!annotations || annotations.length === 0) return '';
+  const clean = (text) => String(text || '').replace(/[`*]/g, '').replace(/\s+\(`?[^)]*`?\)$/, '').trim().toLowerCase();
+  const rowCells = new Set(cells.map(clean).filter(Boolean));
+
+  let matches = annotations.filter(annotation => {
+    const names = [annotation.fieldPath, annotation.fieldLabel].map(clean).filter(Boolean);
+    return names.some(name => rowCells.has(name));
+  });
+  const withEntity = matches.filter(annotation => annotation.entity && rowCells.has(clean(annotation.entity)));
+  if (withEntity.length > 0) matches = withEntity;
+
+  return matches
+    .map(annotation => {
+      const status = annotation.status ? TRIAGE_STATUSES[annotation.status] : '💬';
+      const property = annotation.property ? ` (${annotation.property})` : '';
+      const comment = annotation.comment ? `: ${annotation.comment}` : '';
+      return matches.length > 1 ? `${status}${property}${comment}` : `${status}${comment}`;
+    })
+    .join('; ');
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    TRIAGE_STORAGE_KEY,
+    TRIAGE_TEMPDATA_KEY,
+    TRIAGE_STATUSES,
+    TriageAnnotationStore,
+    triagePairKey,
+    isTriageAnnotationCurrent,
+    getTriageRowComment
+  };
+}
+
+if (typeof window !== 'undefined') {
+  window.TriageAnnotationStore = TriageAnnotationStore;
+}
@@ -3,6 +3,7 @@
  * @property {string} mainSchool
  * @property {string} baselineSchool
  * @property {string|null} notionWorkspaceId
+ * @property {string|null} [notionBaseUrl] - Notion API base URL (null for api.notion.com)
  * @property {string|null} initiator
  */
 
@@ -11,10 +12,12 @@
  * @property {string} key
  * @property {string} title
  * @property {string|null} id
+ * @property {string|null} url
  * @property {number} totalBatches
- * @property {number} nextBatchIndex
+ * @property {number} nextBatchIndex - First plan request not completed yet
  * @property {('pending'|'running'|'succeeded'|'failed'|'skipped')} status
  * @property {string|null} error
+ * @property {Object<string, string>} placeholders - Resolved plan placeholder ids ({ rootId, dbId_N })
  */
 
 /**
@@ -25,12 +28,12 @@
  * @property {string} updatedAt
  * @property {('pending'|'running'|'succeeded'|'failed'|'cancelled'|'paused')} status
  * @property {UploadJobMeta} meta
- * @property {{ payloadLocation: ('session'|'local'|'idb'|null), payloadKey: (string|null) }} pointers
- * @property {{ mainPageId: (string|null), mainPageUrl: (string|null), subpages: UploadJobSubpage[], totals: { totalBlocks: number, totalBatches: number, totalApiCalls: number } }} notion
+ * @property {{ payloadLocation: ('session'|'local'|'idb'|null), payloadKey: (string|null), planKey: (string|null) }} pointers
+ * @property {{ mainPageId: (string|null), mainPageUrl: (string|null), mainPageTitle: (string|null), mainPageContent: boolean, subpages: UploadJobSubpage[], totals: { totalBlocks: number, totalBatches: number, totalApiCalls: number } }} notion
  * @property {{ percent: number, currentSubpage: (string|null), currentBatch: number, lastMessage: (string|null), lastHeartbeatAt: string }} progress
  * @property {{ notionUrl: (string|null), uploadReportMeta: { filename: (string|null), size: number } }} result
  * @property {{ message: (string|null), code: (string|null), details: Object }} error
- * @property {{ resumedCount: number, lastResumeAt: (string|null) }} resume
+ * @property {{ resumedCount: number, lastResumeAt: (string|null), retryAt: (string|null) }} resume
  */
 
 